@@ -9,7 +9,7 @@
  * @version 1.0.0
  */
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useSpring, animated } from 'react-spring';
 import GameBoard from './components/GameBoard';
 import ElementSelector from './components/ElementSelector';
@@ -19,6 +19,9 @@ import Tutorial from './components/Tutorial';
 import GameOver from './components/GameOver';
 import ElementInventory from './components/ElementInventory';
 import ElementStore from './components/ElementStore';
+import TransmutationDialog from './components/TransmutationDialog';
+import InventoryOverflow from './components/InventoryOverflow';
+import SaveRecovery from './components/SaveRecovery';
 import SettingsMenu from './components/SettingsMenu';
 import Achievements from './components/Achievements';
 import MainMenu from './components/MainMenu';
@@ -26,13 +29,22 @@ import LoadingScreen from './components/LoadingScreen';
 import WordPuzzle from './components/WordPuzzle';
 import LogicPuzzle from './components/LogicPuzzle';
 import ParticleEffects from './components/ParticleEffects';
+import LevelFailed from './components/LevelFailed';
+import SandboxTools from './components/SandboxTools';
+import DailyChallenge from './components/DailyChallenge';
+import { levelRequirements } from './constants/levels';
+import { getLogicPuzzleDifficulties, getLogicPuzzleSizes, getLogicPuzzleVariants } from './utils/puzzles';
+import { GAME_MODES, GAME_STATES, SANDBOX_DEFAULTS } from './constants/gameStates';
 import { GameProvider, useGame } from './contexts/GameContext';
+import useSimulation from './hooks/useSimulation';
+import useUndoShortcuts from './hooks/useUndoShortcuts';
 
 // Main app content component
 const AppContent = () => {
   // Access game context
   const { 
     gameState, 
+    gameMode,
     currentLevel, 
     selectedElement, 
     score, 
@@ -43,32 +55,108 @@ const AppContent = () => {
     playerLevel,
     settings,
     objectives,
-    setSelectedElement, 
+    boardEffects,
+    undoStack,
+    redoStack,
+    ownedUpgrades,
+    catalystUsed,
+    pendingOverflow,
+    saveRecovery,
+    sandbox,
+    dailyChallenge,
+    dailyHistory,
+    currentWordPuzzle,
+    currentLogicPuzzle,
+    levelPuzzle,
+    wordPuzzleStats,
+    selectElement, 
+    getMovesRemaining,
     placeElement, 
     startGame, 
     restartLevel, 
+    retryLevel,
     nextLevel,
+    pauseGame,
+    resumeGame,
+    undo,
+    redo,
     updateSettings,
     resetSettings,
     purchaseItem,
+    getInventorySlots,
+    getStackCap,
+    resolveOverflow,
+    getSaveBackup,
+    dismissSaveRecovery,
+    activateCatalyst,
+    transmuteElement,
+    getTransmutationValue,
+    checkWordPuzzleSolution,
+    buyWordPuzzleHint,
+    checkLogicPuzzleSolution,
+    saveLogicPuzzleProgress,
+    startLevelPuzzle,
+    leavePuzzleMode,
+    getSandboxElements,
+    resizeSandbox,
+    setSandboxMechanic,
+    eraseCell,
+    clearBoard,
     
     // App UI state
     appState,
     startNewGame,
     continueGame,
+    startSandbox,
+    startDailyChallenge,
+    toggleDailyChallenge,
+    startWordPuzzle,
+    openWordPuzzle,
+    startLogicPuzzle,
+    openLogicPuzzle,
     toggleSettings,
     toggleAchievements,
     toggleStore,
     toggleTutorial,
     toggleCredits,
     returnToMainMenu,
+    showMainMenu,
+    pushModal,
     popModal
   } = useGame();
   
+  // Move limit and palette for the current level or daily challenge
+  const isDaily = gameMode === GAME_MODES.DAILY_CHALLENGE && Boolean(dailyChallenge);
+  const { maxMoves, availableElements } = (isDaily ? dailyChallenge : levelRequirements[currentLevel]) || {};
+  
+  // Sandbox: every element in unlimited supply, and a place/erase tool
+  const isSandbox = gameMode === GAME_MODES.SANDBOX;
+  const [sandboxTool, setSandboxTool] = useState('place');
+  
+  // The sandbox and the daily challenge don't draw on the player's inventory
+  let unlimitedElements = null;
+  if (isSandbox) {
+    unlimitedElements = getSandboxElements();
+  } else if (isDaily) {
+    unlimitedElements = availableElements;
+  }
+  const unlimitedInventory = unlimitedElements
+    ? Object.fromEntries(unlimitedElements.map(element => [element, Infinity]))
+    : null;
+  
+  // Board stays visible (but frozen) while paused
+  const boardVisible = gameState === 'playing' || gameState === 'paused';
+  
+  // Run the board simulation while the level is on screen
+  useSimulation(gameState === 'playing' && !appState.showMainMenu && !appState.isLoading);
+  
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z for placement history
+  useUndoShortcuts(gameState === 'playing' && !appState.showMainMenu);
+  
   // Animation for the game board
   const boardAnimation = useSpring({
-    opacity: gameState === 'playing' ? 1 : 0,
-    transform: gameState === 'playing' 
+    opacity: boardVisible ? 1 : 0,
+    transform: boardVisible 
       ? 'translateY(0)' 
       : 'translateY(50px)',
     config: { tension: 280, friction: 20 }
@@ -76,11 +164,33 @@ const AppContent = () => {
   
   // Handle element placement on the board
   const handleCellClick = (rowIndex, colIndex) => {
-    if (selectedElement && gameState === 'playing') {
+    if (isSandbox && sandboxTool === 'erase') {
+      if (gameState === 'playing') {
+        eraseCell(rowIndex, colIndex);
+      }
+    } else if (selectedElement && gameState === 'playing') {
       placeElement(rowIndex, colIndex, selectedElement);
     }
   };
   
+  // Use an owned special item from the store
+  const handleUseItem = (item) => {
+    if (item.id === 'special_catalyst') {
+      activateCatalyst();
+    } else if (item.id === 'special_transmutation') {
+      pushModal('Transmutation');
+    }
+  };
+  
+  // Whether an owned special item can be used right now
+  const canUseItem = (item) => {
+    if (item.id === 'special_catalyst') {
+      return gameState === 'playing' && !catalystUsed;
+    }
+    
+    return true;
+  };
+  
   // Render appropriate content based on app state
   const renderContent = () => {
     // Show loading screen
@@ -94,6 +204,10 @@ const AppContent = () => {
         <MainMenu 
           onStartGame={startNewGame}
           onContinueGame={continueGame}
+          onSandbox={startSandbox}
+          onDailyChallenge={toggleDailyChallenge}
+          onWordPuzzle={openWordPuzzle}
+          onLogicPuzzle={openLogicPuzzle}
           onSettings={toggleSettings}
           onAchievements={toggleAchievements}
           onCredits={toggleCredits}
@@ -105,16 +219,41 @@ const AppContent = () => {
     return (
       <animated.div style={boardAnimation} className="game-container">
         <div className="game-header">
-          <LevelInfo 
-            level={currentLevel} 
-            score={score} 
-            isComplete={gameState === 'level_complete'}
-            objectives={objectives}
-          />
+          {isSandbox ? (
+            <SandboxTools
+              rows={sandbox.rows}
+              cols={sandbox.cols}
+              minSize={SANDBOX_DEFAULTS.minSize}
+              maxSize={SANDBOX_DEFAULTS.maxSize}
+              mechanics={sandbox.mechanics}
+              tool={sandboxTool}
+              onResize={resizeSandbox}
+              onToggleMechanic={setSandboxMechanic}
+              onToolChange={setSandboxTool}
+              onClear={clearBoard}
+            />
+          ) : (
+            <LevelInfo 
+              level={isDaily ? null : currentLevel} 
+              title={isDaily ? 'Daily Challenge' : undefined}
+              score={score} 
+              isComplete={gameState === 'level_complete'}
+              objectives={objectives}
+              onSolvePuzzle={gameState === 'playing' ? startLevelPuzzle : null}
+              movesRemaining={getMovesRemaining()}
+              maxMoves={maxMoves}
+            />
+          )}
           <GameControls 
-            onRestart={restartLevel}
-            onNext={gameState === 'level_complete' ? nextLevel : null}
+            onRestart={isSandbox ? clearBoard : restartLevel}
+            onNext={gameState === 'level_complete' && !isDaily ? nextLevel : null}
             onHelp={toggleTutorial}
+            onPause={gameState === 'paused' ? resumeGame : pauseGame}
+            isPaused={gameState === 'paused'}
+            onUndo={undo}
+            onRedo={redo}
+            canUndo={gameState === 'playing' && undoStack.length > 0}
+            canRedo={gameState === 'playing' && redoStack.length > 0}
             onSettings={toggleSettings}
             onStore={toggleStore}
             onMenu={returnToMainMenu}
@@ -122,18 +261,32 @@ const AppContent = () => {
         </div>
         
         <div className="game-content">
-          <ElementInventory 
-            inventory={inventory}
-            selectedElement={selectedElement}
-            onSelectElement={setSelectedElement}
-            playerLevel={playerLevel}
-          />
+          {unlimitedInventory ? (
+            <ElementInventory 
+              inventory={unlimitedInventory}
+              selectedElement={selectedElement}
+              onSelectElement={selectElement}
+              playerLevel={playerLevel}
+              maxSlots={Object.keys(unlimitedInventory).length}
+            />
+          ) : (
+            <ElementInventory 
+              inventory={inventory}
+              selectedElement={selectedElement}
+              onSelectElement={selectElement}
+              playerLevel={playerLevel}
+              maxSlots={getInventorySlots()}
+              getStackCap={getStackCap}
+              allowedElements={availableElements}
+            />
+          )}
           
           <div className="game-board-container">
             <GameBoard 
               board={board}
               onCellClick={handleCellClick}
               selectedElement={selectedElement}
+              changes={boardEffects}
             />
             
             {/* Ambient particle effects based on settings */}
@@ -179,11 +332,34 @@ const AppContent = () => {
           playerInventory={inventory}
           playerEssence={playerEssence}
           playerLevel={playerLevel}
+          ownedUpgrades={ownedUpgrades}
           onPurchase={purchaseItem}
+          onUseItem={handleUseItem}
+          canUseItem={canUseItem}
           onClose={toggleStore}
         />
       )}
       
+      {/* Transmutation dialog (Element Transmutation) */}
+      {appState.showTransmutation && (
+        <TransmutationDialog
+          inventory={inventory}
+          playerEssence={playerEssence}
+          getValue={getTransmutationValue}
+          onTransmute={transmuteElement}
+          onClose={() => popModal()}
+        />
+      )}
+      
+      {/* Daily challenge overview */}
+      {appState.showDailyChallenge && (
+        <DailyChallenge
+          history={dailyHistory}
+          onPlay={startDailyChallenge}
+          onClose={toggleDailyChallenge}
+        />
+      )}
+      
       {/* Tutorial modal */}
       {appState.showTutorial && (
         <Tutorial
@@ -191,23 +367,111 @@ const AppContent = () => {
         />
       )}
       
-      {/* Word puzzle modal (for demonstrating UI) */}
-      {appState.showWordPuzzle && (
+      {/* Standalone word puzzle mode */}
+      {gameMode === GAME_MODES.WORD_PUZZLE && currentWordPuzzle && !appState.showMainMenu && (
         <WordPuzzle
-          word="FLAME"
-          maxAttempts={6}
-          onComplete={() => {}}
-          onClose={() => popModal()}
+          key={currentWordPuzzle.number}
+          word={currentWordPuzzle.word}
+          maxAttempts={currentWordPuzzle.maxAttempts}
+          guesses={currentWordPuzzle.guesses}
+          stats={wordPuzzleStats}
+          hints={currentWordPuzzle.hints}
+          hintsEnabled={settings.hintsEnabled !== false}
+          points={currentWordPuzzle.points ?? null}
+          onGuess={checkWordPuzzleSolution}
+          onHint={buyWordPuzzleHint}
+          onNext={startWordPuzzle}
+          onClose={showMainMenu}
         />
       )}
       
-      {/* Logic puzzle modal (for demonstrating UI) */}
-      {appState.showLogicPuzzle && (
+      {/* Standalone logic puzzle mode */}
+      {gameMode === GAME_MODES.LOGIC_PUZZLE && currentLogicPuzzle && !appState.showMainMenu && (
         <LogicPuzzle
-          size={4}
-          validElements={['fire', 'water', 'earth', 'air']}
-          onComplete={() => {}}
-          onClose={() => popModal()}
+          key={currentLogicPuzzle.number}
+          size={currentLogicPuzzle.size}
+          validElements={currentLogicPuzzle.validElements}
+          solution={currentLogicPuzzle.solution}
+          puzzle={currentLogicPuzzle.puzzle}
+          constraints={currentLogicPuzzle.constraints}
+          progress={currentLogicPuzzle.progress}
+          difficulty={currentLogicPuzzle.difficulty}
+          target={currentLogicPuzzle.target}
+          variant={currentLogicPuzzle.variant}
+          sizes={getLogicPuzzleSizes()}
+          difficulties={getLogicPuzzleDifficulties(currentLogicPuzzle.size)}
+          variants={getLogicPuzzleVariants()}
+          onSizeChange={(size) => startLogicPuzzle(size)}
+          onDifficultyChange={(difficulty) => startLogicPuzzle(currentLogicPuzzle.size, difficulty)}
+          onVariantChange={(variant) => startLogicPuzzle(currentLogicPuzzle.size, null, variant)}
+          onNext={() => startLogicPuzzle(currentLogicPuzzle.size)}
+          onProgress={saveLogicPuzzleProgress}
+          onComplete={(solved, grid) => checkLogicPuzzleSolution(grid)}
+          onClose={showMainMenu}
+        />
+      )}
+      
+      {/* Word puzzle opened from a level objective */}
+      {gameState === GAME_STATES.PUZZLE_MODE && levelPuzzle?.type === 'word' && currentWordPuzzle && !appState.showMainMenu && (
+        <WordPuzzle
+          key={levelPuzzle.objectiveId}
+          word={currentWordPuzzle.word}
+          maxAttempts={currentWordPuzzle.maxAttempts}
+          guesses={currentWordPuzzle.guesses}
+          hints={currentWordPuzzle.hints}
+          hintsEnabled={settings.hintsEnabled !== false}
+          points={currentWordPuzzle.points ?? null}
+          onGuess={checkWordPuzzleSolution}
+          onHint={buyWordPuzzleHint}
+          onClose={leavePuzzleMode}
+        />
+      )}
+      
+      {/* Logic puzzle opened from a level objective */}
+      {gameState === GAME_STATES.PUZZLE_MODE && levelPuzzle?.type === 'logic' && currentLogicPuzzle && !appState.showMainMenu && (
+        <LogicPuzzle
+          key={levelPuzzle.objectiveId}
+          size={currentLogicPuzzle.size}
+          validElements={currentLogicPuzzle.validElements}
+          solution={currentLogicPuzzle.solution}
+          puzzle={currentLogicPuzzle.puzzle}
+          constraints={currentLogicPuzzle.constraints}
+          progress={currentLogicPuzzle.progress}
+          difficulty={currentLogicPuzzle.difficulty}
+          onProgress={saveLogicPuzzleProgress}
+          onComplete={(solved, grid) => checkLogicPuzzleSolution(grid)}
+          onClose={leavePuzzleMode}
+        />
+      )}
+      
+      {/* Elements that did not fit in the inventory */}
+      {pendingOverflow.length > 0 && !appState.showMainMenu && (
+        <InventoryOverflow
+          overflow={pendingOverflow}
+          getValue={getTransmutationValue}
+          onDiscard={() => resolveOverflow('discard')}
+          onConvert={() => resolveOverflow('convert')}
+        />
+      )}
+      
+      {/* Save that couldn't be loaded as is */}
+      {saveRecovery && (
+        <SaveRecovery
+          recovery={saveRecovery}
+          getBackup={getSaveBackup}
+          onContinue={dismissSaveRecovery}
+        />
+      )}
+      
+      {/* Level failed screen */}
+      {gameState === 'level_failed' && !isSandbox && !appState.showMainMenu && (
+        <LevelFailed
+          level={currentLevel}
+          title={isDaily ? 'the daily challenge' : undefined}
+          objectives={objectives}
+          maxMoves={maxMoves}
+          onRetry={retryLevel}
+          onMenu={returnToMainMenu}
         />
       )}
       
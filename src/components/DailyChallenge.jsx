@@ -0,0 +1,133 @@
+/**
+ * ElementCraft - Daily Challenge Component
+ *
+ * This component is opened from the main menu. It shows today's
+ * challenge (board size, palette, move limit and objectives), the
+ * player's streak and the recent days marked as played or missed.
+ *
+ * @module DailyChallenge
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { useSpring, animated } from 'react-spring';
+import ElementCard from './ElementCard';
+import {
+  generateDailyChallenge,
+  getDailyCalendar,
+  getDailyStreak,
+  getDateKey
+} from '../utils/dailyChallenge';
+
+// Format a duration in milliseconds as m:ss
+const formatTime = (time) => {
+  const seconds = Math.floor(time / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const DailyChallenge = ({ history = {}, onPlay, onClose }) => {
+  // Animation for the modal
+  const modalAnimation = useSpring({
+    opacity: 1,
+    transform: 'scale(1)',
+    from: { opacity: 0, transform: 'scale(0.8)' },
+    config: { tension: 280, friction: 20 }
+  });
+
+  const today = getDateKey();
+  const challenge = generateDailyChallenge(today);
+  const streak = getDailyStreak(history, today);
+  const calendar = getDailyCalendar(history, today);
+  const todayResult = history[today];
+
+  return (
+    <div className="game-over-overlay daily-challenge-overlay">
+      <animated.div
+        className="game-over-modal daily-challenge-modal"
+        style={modalAnimation}
+      >
+        <h2 className="game-over-title daily-challenge-title">Daily Challenge</h2>
+        <div className="daily-date">{today}</div>
+
+        <div className="daily-streak">
+          <div className="stat-item">
+            <div className="stat-label">Streak</div>
+            <div className="stat-value">{streak.current}</div>
+          </div>
+          <div className="stat-item">
+            <div className="stat-label">Best</div>
+            <div className="stat-value">{streak.best}</div>
+          </div>
+        </div>
+
+        <div className="daily-calendar">
+          {calendar.map(day => (
+            <div
+              key={day.date}
+              className={`daily-day ${day.status} ${day.result?.completed ? 'completed' : ''}`}
+              title={day.result
+                ? `${day.date}: ${day.result.completed ? 'completed' : 'played'}, ${day.result.score} points`
+                : `${day.date}: ${day.status === 'today' ? 'not played yet' : 'missed'}`}
+            >
+              {Number(day.date.slice(-2))}
+            </div>
+          ))}
+        </div>
+
+        <div className="daily-details">
+          <div className="daily-rules">
+            <span>Board {challenge.rows} × {challenge.cols}</span>
+            <span>{challenge.obstacles.length} obstacles</span>
+            <span>{challenge.maxMoves} moves</span>
+          </div>
+
+          <div className="daily-palette">
+            {challenge.availableElements.map(element => (
+              <ElementCard
+                key={element}
+                element={element}
+                size="small"
+                showDetails={false}
+              />
+            ))}
+          </div>
+
+          <ul className="objectives-list">
+            {challenge.objectives.map(objective => (
+              <li key={objective.id} className="objective-item">
+                <span>{objective.description}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {todayResult && (
+          <div className="daily-result">
+            {todayResult.completed ? 'Completed' : 'Not completed'}: {todayResult.score} points
+            in {todayResult.moves} moves ({formatTime(todayResult.time)}),
+            {' '}{todayResult.attempts} {todayResult.attempts === 1 ? 'attempt' : 'attempts'}
+          </div>
+        )}
+
+        <div className="game-over-actions">
+          <button
+            className="restart-button"
+            onClick={onPlay}
+          >
+            {todayResult ? 'Play Again' : 'Play'}
+          </button>
+
+          <button
+            className="menu-button"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </animated.div>
+    </div>
+  );
+};
+
+export default DailyChallenge;
@@ -27,6 +27,9 @@ const ElementCard = ({
   // State for hover effect
   const [hovered, setHovered] = useState(false);
   
+  // Unlimited stock (sandbox) is shown as infinity
+  const displayCount = count === Infinity ? '∞' : count;
+  
   // Animations based on state
   const cardAnimation = useSpring({
     transform: selected 
@@ -79,7 +82,7 @@ const ElementCard = ({
       <div className="element-details">
         <div className="element-name">
           {element.charAt(0).toUpperCase() + element.slice(1)}
-          {count !== null && <span className="element-count">×{count}</span>}
+          {count !== null && <span className="element-count">×{displayCount}</span>}
         </div>
         
         {size === 'large' && (
@@ -163,7 +166,7 @@ const ElementCard = ({
       {/* Count badge */}
       {count !== null && size === 'small' && (
         <div className="element-count-badge">
-          {count}
+          {displayCount}
         </div>
       )}
     </animated.div>
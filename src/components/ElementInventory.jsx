@@ -21,7 +21,9 @@ const ElementInventory = ({
   selectedElement,
   maxSlots = 12,
   onUpgrade = null,
-  playerLevel = 1
+  playerLevel = 1,
+  allowedElements = null,
+  getStackCap = null
 }) => {
   // State for inventory tab
   const [activeTab, setActiveTab] = useState('basic');
@@ -78,8 +80,8 @@ const ElementInventory = ({
     setShowDetails(false);
   };
   
-  // Calculate total inventory slots used
-  const slotsUsed = Object.keys(inventory || {}).length;
+  // Calculate total inventory slots used (elements the player holds any of)
+  const slotsUsed = Object.values(inventory || {}).filter(count => count > 0).length;
   
   // Render inventory tabs
   const renderTabs = () => (
@@ -111,23 +113,30 @@ const ElementInventory = ({
     
     return (
       <div className="inventory-grid">
-        {filteredInventory.map(([element, count]) => (
-          <ElementCard
-            key={element}
-            element={element}
-            count={count}
-            size="medium"
-            onClick={() => {
-              onSelectElement(element);
-              if (count <= 0) {
-                handleShowDetails(element);
-              }
-            }}
-            selected={selectedElement === element}
-            disabled={count <= 0}
-            showDetails={false}
-          />
-        ))}
+        {filteredInventory.map(([element, count]) => {
+          // Elements outside the level's palette can't be placed
+          const allowed = !allowedElements || allowedElements.includes(element);
+          
+          return (
+            <ElementCard
+              key={element}
+              element={element}
+              count={count}
+              size="medium"
+              onClick={() => {
+                if (allowed) {
+                  onSelectElement(element);
+                }
+                if (count <= 0 || !allowed) {
+                  handleShowDetails(element);
+                }
+              }}
+              selected={selectedElement === element}
+              disabled={count <= 0 || !allowed}
+              showDetails={false}
+            />
+          );
+        })}
         
         {/* Empty slots */}
         {Array.from({ length: Math.max(0, maxSlots - slotsUsed) }).map((_, index) => (
@@ -179,6 +188,13 @@ const ElementInventory = ({
               <div className="stat-value">{elementLevel}</div>
             </div>
             
+            {getStackCap && (
+              <div className="element-level">
+                <div className="stat-label">Stack</div>
+                <div className="stat-value">{count}/{getStackCap(detailElement)}</div>
+              </div>
+            )}
+            
             <ProgressBar.Element
               value={count}
               maxValue={Math.pow(2, elementLevel)}
@@ -258,7 +274,7 @@ const ElementInventory = ({
     <div className="element-inventory">
       <div className="inventory-header">
         <h3>Element Inventory</h3>
-        <div className="inventory-slots">
+        <div className={`inventory-slots ${slotsUsed >= maxSlots ? 'full' : ''}`}>
           <span className="slots-label">Slots:</span>
           <span className="slots-value">{slotsUsed}/{maxSlots}</span>
         </div>
@@ -20,7 +20,10 @@ const ElementStore = ({
   playerInventory, 
   playerEssence = 0,
   playerLevel = 1,
+  ownedUpgrades = [],
   onPurchase,
+  onUseItem = null,
+  canUseItem = () => true,
   onClose
 }) => {
   // Store categories
@@ -87,7 +90,7 @@ const ElementStore = ({
   
   // Handle purchase
   const handlePurchase = (item) => {
-    if (!canAfford(item.price)) return;
+    if (!canAfford(item.price) || item.owned) return;
     
     // Call parent's purchase handler
     onPurchase(item);
@@ -174,7 +177,7 @@ const ElementStore = ({
         icon: 'backpack',
         price: 500,
         description: 'Increase your inventory capacity by 4 slots.',
-        owned: false,
+        owned: ownedUpgrades.includes('special_inventory'),
         requiredLevel: 3
       },
       {
@@ -185,7 +188,7 @@ const ElementStore = ({
         icon: 'chain',
         price: 750,
         description: 'Element reactions can trigger chain reactions.',
-        owned: false,
+        owned: ownedUpgrades.includes('special_cascade'),
         requiredLevel: 5
       },
       {
@@ -195,8 +198,9 @@ const ElementStore = ({
         element: 'crystal',
         icon: 'star',
         price: 1000,
-        description: 'Amplify the power of all elements on the board.',
-        owned: false,
+        description: 'Amplify the power of all elements on the board once per level.',
+        owned: ownedUpgrades.includes('special_catalyst'),
+        useLabel: 'Activate Catalyst',
         requiredLevel: 7
       },
       {
@@ -207,7 +211,8 @@ const ElementStore = ({
         icon: 'refresh',
         price: 1500,
         description: 'Convert excess elements into essence.',
-        owned: false,
+        owned: ownedUpgrades.includes('special_transmutation'),
+        useLabel: 'Transmute Elements',
         requiredLevel: 8
       }
     ];
@@ -376,6 +381,17 @@ const ElementStore = ({
                   ? `Requires Level ${selectedItem.requiredLevel}`
                   : 'Purchase'}
           </button>
+          
+          {/* Owned items that are used on demand */}
+          {selectedItem.owned && selectedItem.useLabel && onUseItem && (
+            <button
+              className="use-item-button"
+              disabled={!canUseItem(selectedItem)}
+              onClick={() => onUseItem(selectedItem)}
+            >
+              {selectedItem.useLabel}
+            </button>
+          )}
         </div>
       </div>
     );
@@ -14,7 +14,10 @@ import { useSpring, animated } from 'react-spring';
 import Matter from 'matter-js';
 import { elementColors, elementSymbols } from '../constants/elements';
 
-const GameBoard = ({ board, onCellClick, selectedElement }) => {
+// Delay between the animations of consecutive cascade steps
+const EFFECT_STEP_DELAY_MS = 150;
+
+const GameBoard = ({ board, onCellClick, selectedElement, changes = [] }) => {
   // Reference to the physics canvas for Matter.js
   const physicsRef = useRef(null);
   const canvasRef = useRef(null);
@@ -224,6 +227,12 @@ const GameBoard = ({ board, onCellClick, selectedElement }) => {
     World.add(engine.world, newBodies);
   }, [board]);
   
+  // Latest effect for each destination cell, from placements or simulation ticks
+  const changedCells = changes.reduce((acc, change) => {
+    acc[`${change.to[0]}-${change.to[1]}`] = change;
+    return acc;
+  }, {});
+  
   // Generate animations for cells when they're updated
   const getCellAnimation = (cell, rowIndex, colIndex) => {
     return useSpring({
@@ -248,15 +257,21 @@ const GameBoard = ({ board, onCellClick, selectedElement }) => {
         {board.map((row, rowIndex) => 
           row.map((cell, colIndex) => {
             const animation = getCellAnimation(cell, rowIndex, colIndex);
+            const change = changedCells[`${rowIndex}-${colIndex}`];
+            const changeType = change?.type;
+            
+            // Cascade steps play one after another
+            const effectDelay = `${Math.max(0, (change?.step || 1) - 1) * EFFECT_STEP_DELAY_MS}ms`;
             
             return (
               <animated.div
                 key={`${rowIndex}-${colIndex}`}
-                className={`game-cell ${cell ? 'occupied' : ''}`}
-                style={animation}
+                className={`game-cell ${cell ? 'occupied' : ''} ${cell?.obstacle ? 'obstacle' : ''} ${changeType ? `sim-${changeType}` : ''}`}
+                style={{ ...animation, '--effect-delay': effectDelay }}
                 onClick={() => onCellClick(rowIndex, colIndex)}
               >
-                {cell && (
+                {/* Obstacles block the cell but hold no element */}
+                {cell && cell.element && (
                   <div 
                     className={`element element-${cell.element}`}
                     title={cell.element.charAt(0).toUpperCase() + cell.element.slice(1)}
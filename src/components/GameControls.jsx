@@ -12,7 +12,17 @@
 import React from 'react';
 import { useSpring, animated } from 'react-spring';
 
-const GameControls = ({ onRestart, onNext, onHelp }) => {
+const GameControls = ({ 
+  onRestart, 
+  onNext, 
+  onHelp, 
+  onPause, 
+  isPaused = false,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false
+}) => {
   // Animation for next level button
   const nextButtonAnimation = useSpring({
     from: { opacity: 0, transform: 'scale(0.8)' },
@@ -60,6 +70,59 @@ const GameControls = ({ onRestart, onNext, onHelp }) => {
         <span>Restart</span>
       </button>
       
+      {onUndo && (
+        <button 
+          className="control-button undo"
+          onClick={onUndo}
+          disabled={!canUndo}
+          aria-label="Undo"
+          title="Undo (Ctrl+Z)"
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M9 14L4 9M4 9L9 4M4 9H15C18.3137 9 21 11.6863 21 15C21 18.3137 18.3137 21 15 21H12" 
+                  stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+          <span>Undo</span>
+        </button>
+      )}
+      
+      {onRedo && (
+        <button 
+          className="control-button redo"
+          onClick={onRedo}
+          disabled={!canRedo}
+          aria-label="Redo"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M15 14L20 9M20 9L15 4M20 9H9C5.68629 9 3 11.6863 3 15C3 18.3137 5.68629 21 9 21H12" 
+                  stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+          <span>Redo</span>
+        </button>
+      )}
+      
+      {onPause && (
+        <button 
+          className={`control-button pause ${isPaused ? 'active' : ''}`}
+          onClick={onPause}
+          aria-label={isPaused ? 'Resume' : 'Pause'}
+        >
+          {isPaused ? (
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M7 4L19 12L7 20V4Z" 
+                    stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          ) : (
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M8 4V20M16 4V20" 
+                    stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          )}
+          <span>{isPaused ? 'Resume' : 'Pause'}</span>
+        </button>
+      )}
+      
       {onNext && (
         <animated.button 
           className="control-button next"
@@ -0,0 +1,91 @@
+/**
+ * ElementCraft - Inventory Overflow Component
+ *
+ * This component is displayed when a reward, purchase or reaction adds
+ * more elements than the inventory can hold. The player chooses whether
+ * to discard the excess or convert it into essence.
+ *
+ * @module InventoryOverflow
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { useSpring, animated } from 'react-spring';
+import ElementCard from './ElementCard';
+
+// What caused each batch of overflow
+const sourceLabels = {
+  placement: 'Reaction products',
+  reward: 'Level rewards',
+  purchase: 'Store purchases'
+};
+
+const InventoryOverflow = ({ overflow = [], getValue, onDiscard, onConvert }) => {
+  // Animation for the modal
+  const modalAnimation = useSpring({
+    opacity: 1,
+    transform: 'scale(1)',
+    from: { opacity: 0, transform: 'scale(0.8)' },
+    config: { tension: 280, friction: 20 }
+  });
+
+  // Essence the excess would be worth
+  const essenceValue = overflow.reduce((total, batch) =>
+    total + Object.entries(batch.elements).reduce(
+      (sum, [element, amount]) => sum + amount * getValue(element),
+      0
+    ),
+    0
+  );
+
+  return (
+    <div className="game-over-overlay inventory-overflow-overlay">
+      <animated.div
+        className="game-over-modal inventory-overflow-modal"
+        style={modalAnimation}
+      >
+        <h2 className="game-over-title inventory-overflow-title">Inventory Full</h2>
+
+        <p className="inventory-overflow-text">
+          These elements don&apos;t fit in your inventory.
+        </p>
+
+        {overflow.map((batch, index) => (
+          <div key={index} className="overflow-batch">
+            <h3>{sourceLabels[batch.source] || 'Elements'}</h3>
+            <div className="overflow-grid">
+              {Object.entries(batch.elements).map(([element, amount]) => (
+                <ElementCard
+                  key={element}
+                  element={element}
+                  count={amount}
+                  size="small"
+                  showDetails={false}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="game-over-actions">
+          <button
+            className="restart-button"
+            onClick={onConvert}
+          >
+            Convert to {essenceValue} Essence
+          </button>
+
+          <button
+            className="menu-button"
+            onClick={onDiscard}
+          >
+            Discard
+          </button>
+        </div>
+      </animated.div>
+    </div>
+  );
+};
+
+export default InventoryOverflow;
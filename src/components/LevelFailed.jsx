@@ -0,0 +1,75 @@
+/**
+ * ElementCraft - Level Failed Component
+ *
+ * This component is displayed when the player runs out of moves before
+ * completing the level's objectives. It lists the objectives that were
+ * left unfinished and offers to retry the level.
+ *
+ * @module LevelFailed
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { useSpring, animated } from 'react-spring';
+
+const LevelFailed = ({ level, title, objectives = [], maxMoves, onRetry, onMenu }) => {
+  // Animation for the modal
+  const modalAnimation = useSpring({
+    opacity: 1,
+    transform: 'scale(1)',
+    from: { opacity: 0, transform: 'scale(0.8)' },
+    config: { tension: 280, friction: 20 }
+  });
+
+  // Objectives the player did not finish
+  const remainingObjectives = objectives.filter(objective => !objective.completed);
+
+  return (
+    <div className="game-over-overlay level-failed-overlay">
+      <animated.div
+        className="game-over-modal level-failed-modal"
+        style={modalAnimation}
+      >
+        <h2 className="game-over-title level-failed-title">Level Failed</h2>
+
+        <div className="level-reached">
+          You used all {maxMoves} moves on {title ? <strong>{title}</strong> : <>level <strong>{level}</strong></>}.
+        </div>
+
+        {remainingObjectives.length > 0 && (
+          <div className="failed-objectives">
+            <h3>Unfinished Objectives</h3>
+            <ul className="objectives-list">
+              {remainingObjectives.map((objective, index) => (
+                <li key={objective.id || index} className="objective-item">
+                  <span>{objective.description}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="game-over-actions">
+          <button
+            className="restart-button"
+            onClick={onRetry}
+          >
+            Retry Level
+          </button>
+
+          {onMenu && (
+            <button
+              className="menu-button"
+              onClick={onMenu}
+            >
+              Main Menu
+            </button>
+          )}
+        </div>
+      </animated.div>
+    </div>
+  );
+};
+
+export default LevelFailed;
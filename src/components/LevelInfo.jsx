@@ -13,7 +13,16 @@ import React from 'react';
 import { useSpring, animated } from 'react-spring';
 import { levelObjectives } from '../constants/levels';
 
-const LevelInfo = ({ level, score, isComplete }) => {
+const LevelInfo = ({
+  level,
+  title,
+  score,
+  isComplete,
+  objectives: levelProgress,
+  movesRemaining,
+  maxMoves,
+  onSolvePuzzle
+}) => {
   // Animation for level completion
   const completeAnimation = useSpring({
     opacity: isComplete ? 1 : 0,
@@ -28,19 +37,25 @@ const LevelInfo = ({ level, score, isComplete }) => {
     config: { tension: 100, friction: 15 }
   });
   
-  // Get objectives for the current level
-  const objectives = levelObjectives[level] || [];
+  // Get objectives for the current level, with progress when available
+  const objectives = levelProgress?.length ? levelProgress : (levelObjectives[level] || []);
   
   return (
     <div className="level-info">
       <div className="level-header">
-        <h2 className="level-title">Level {level}</h2>
+        <h2 className="level-title">{title || `Level ${level}`}</h2>
         <div className="score-display">
           <span>Score:</span>
           <animated.span>
             {scoreAnimation.number.to(n => Math.floor(n))}
           </animated.span>
         </div>
+        {maxMoves !== undefined && (
+          <div className={`moves-display ${movesRemaining <= 5 ? 'low' : ''}`}>
+            <span>Moves:</span>
+            <span>{movesRemaining} / {maxMoves}</span>
+          </div>
+        )}
       </div>
       
       <div className="level-objectives">
@@ -57,6 +72,14 @@ const LevelInfo = ({ level, score, isComplete }) => {
                 </svg>
               )}
               <span>{objective.description}</span>
+              {objective.type === 'solve_puzzle' && !objective.completed && onSolvePuzzle && (
+                <button 
+                  className="hint-button objective-solve-button"
+                  onClick={() => onSolvePuzzle(objective.id)}
+                >
+                  Solve
+                </button>
+              )}
             </li>
           ))}
         </ul>
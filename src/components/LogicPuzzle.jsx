@@ -11,16 +11,86 @@
 
 import React, { useState, useEffect } from 'react';
 import { useSpring, animated } from 'react-spring';
-import { checkLogicPuzzle } from '../utils/gameLogic';
+import { createRng } from '../utils/random';
+import {
+  createLogicPuzzle,
+  createPuzzleFromSolution,
+  generateLogicHint,
+  getBoxShape,
+  getLogicPuzzleDifficulties
+} from '../utils/puzzles';
+import {
+  buildLogicConstraints,
+  checkConstraints,
+  describeConstraints,
+  findConstraintErrors,
+  removePlacedCandidates,
+  toggleCandidate
+} from '../utils/logicConstraints';
 import { elementColors, elementSymbols } from '../constants/elements';
 
-const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose }) => {
+// Share of cells emptied when the puzzle is built from a solution alone
+const REMOVAL_RATIO = 0.6;
+
+// Grid of empty candidate notes
+const createNotes = (size) => Array(size).fill(null).map(() => Array(size).fill(null).map(() => []));
+
+// Capitalize a difficulty tier or variant for display
+const formatDifficulty = (difficulty) => difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+
+// Cage of each cell, keyed by position
+const mapCages = (constraints) => {
+  const cages = new Map();
+  
+  constraints
+    .filter(constraint => constraint.type === 'cage')
+    .forEach(cage => cage.cells.forEach(({ row, col }) => cages.set(`${row}-${col}`, cage)));
+  
+  return cages;
+};
+
+const LogicPuzzle = ({
+  size = 4,
+  validElements: elementsProp,
+  solution: solutionProp,
+  puzzle: givens,
+  constraints: constraintsProp,
+  progress,
+  seed,
+  difficulty,
+  target,
+  variant,
+  sizes,
+  difficulties,
+  variants,
+  onSizeChange,
+  onDifficultyChange,
+  onVariantChange,
+  onNext,
+  onProgress,
+  onComplete,
+  onClose
+}) => {
+  // Without a solution the component generates its own uniquely solvable puzzle
+  const [generated] = useState(() => (
+    solutionProp ? null : createLogicPuzzle(size, createRng(seed), elementsProp, getLogicPuzzleDifficulties(size)[0])
+  ));
+  const solution = solutionProp || generated.solution;
+  const validElements = generated ? generated.validElements : elementsProp;
+  const constraints = constraintsProp || generated?.constraints || buildLogicConstraints(size);
+  const cages = mapCages(constraints);
+  const box = getBoxShape(size);
+  
   // Current puzzle state
   const [puzzle, setPuzzle] = useState([]);
   const [selectedCell, setSelectedCell] = useState(null);
   const [errors, setErrors] = useState([]);
   const [complete, setComplete] = useState(false);
   const [hints, setHints] = useState(3); // Number of hints available
+  const [hint, setHint] = useState(null); // Hint currently shown
+  const [notes, setNotes] = useState(() => createNotes(size)); // Candidate elements per cell
+  const [notesMode, setNotesMode] = useState(false);
+  const [history, setHistory] = useState([]); // Earlier grids and notes, for undo
   
   // Animation for the puzzle container
   const containerAnimation = useSpring({
@@ -34,99 +104,33 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
     initializePuzzle();
   }, []);
   
-  // Initialize puzzle with some pre-filled cells
+  // Initialize puzzle with the givens, which only allow one solution
   const initializePuzzle = () => {
-    // Create empty puzzle grid
-    const newPuzzle = Array(size).fill(null).map(() => Array(size).fill(null));
+    // Resume saved progress, notes included
+    if (progress) {
+      setPuzzle(progress.cells);
+      setNotes(progress.notes || createNotes(size));
+      return;
+    }
     
-    // Fill in some cells as hints
-    const cellsToFill = Math.floor(size * size * 0.3); // Fill about 30% of cells
-    let filled = 0;
+    let start = givens || generated?.puzzle;
     
-    while (filled < cellsToFill) {
-      const row = Math.floor(Math.random() * size);
-      const col = Math.floor(Math.random() * size);
-      
-      // Skip if already filled
-      if (newPuzzle[row][col]) continue;
-      
-      // Get element from solution for this cell
-      const element = solution[row][col].element;
-      
-      // Fill the cell
-      newPuzzle[row][col] = {
-        element,
-        fixed: true // Pre-filled cells can't be changed
-      };
-      
-      filled++;
+    if (!start) {
+      // Same seed always keeps the same cells
+      start = createPuzzleFromSolution(solution, REMOVAL_RATIO, createRng(seed), constraints);
     }
     
+    // Pre-filled cells can't be changed
+    const newPuzzle = start.map(row => row.map(cell => (
+      cell ? { element: cell.element, fixed: true } : null
+    )));
+    
     setPuzzle(newPuzzle);
   };
   
   // Check if puzzle is complete
   const checkCompletion = (currentPuzzle) => {
-    // Check each row
-    for (let row = 0; row < size; row++) {
-      const rowElements = new Set();
-      for (let col = 0; col < size; col++) {
-        const cell = currentPuzzle[row][col];
-        if (!cell) return false; // Incomplete if any cell is empty
-        
-        if (rowElements.has(cell.element)) {
-          return false; // Duplicate in row
-        }
-        rowElements.add(cell.element);
-      }
-      
-      // Check if row has all required elements
-      if (rowElements.size !== validElements.length) return false;
-    }
-    
-    // Check each column
-    for (let col = 0; col < size; col++) {
-      const colElements = new Set();
-      for (let row = 0; row < size; row++) {
-        const cell = currentPuzzle[row][col];
-        if (!cell) return false; // Incomplete if any cell is empty
-        
-        if (colElements.has(cell.element)) {
-          return false; // Duplicate in column
-        }
-        colElements.add(cell.element);
-      }
-      
-      // Check if column has all required elements
-      if (colElements.size !== validElements.length) return false;
-    }
-    
-    // Check subsections for larger puzzles (9x9)
-    if (size === 9) {
-      const subsectionSize = 3;
-      for (let subRow = 0; subRow < 3; subRow++) {
-        for (let subCol = 0; subCol < 3; subCol++) {
-          const subElements = new Set();
-          
-          for (let row = subRow * subsectionSize; row < (subRow + 1) * subsectionSize; row++) {
-            for (let col = subCol * subsectionSize; col < (subCol + 1) * subsectionSize; col++) {
-              const cell = currentPuzzle[row][col];
-              if (!cell) return false; // Incomplete if any cell is empty
-              
-              if (subElements.has(cell.element)) {
-                return false; // Duplicate in subsection
-              }
-              subElements.add(cell.element);
-            }
-          }
-          
-          // Check if subsection has all required elements
-          if (subElements.size !== validElements.length) return false;
-        }
-      }
-    }
-    
-    return true;
+    return checkConstraints(currentPuzzle, constraints);
   };
   
   // Handle cell click
@@ -138,75 +142,100 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
     setSelectedCell({ row, col });
   };
   
+  // Replace the grid and notes, keeping the previous ones for undo
+  const updateGrid = (newPuzzle, newNotes) => {
+    setHistory([...history, { puzzle, notes }]);
+    setPuzzle(newPuzzle);
+    setNotes(newNotes);
+    
+    // A shown hint no longer matches the grid
+    setHint(null);
+    
+    if (onProgress) {
+      onProgress({ cells: newPuzzle, notes: newNotes });
+    }
+  };
+  
+  // Check the grid once a cell is filled
+  const checkFilledGrid = (newPuzzle) => {
+    if (checkCompletion(newPuzzle)) {
+      setComplete(true);
+      if (onComplete) {
+        onComplete(true, newPuzzle);
+      }
+    }
+  };
+  
   // Handle element selection
   const handleElementSelect = (element) => {
     if (!selectedCell) return;
     
     const { row, col } = selectedCell;
+    if (puzzle[row][col]?.fixed) return;
+    
+    // In notes mode the element is toggled as a candidate of an empty cell
+    if (notesMode) {
+      if (puzzle[row][col]) return;
+      
+      updateGrid(puzzle, toggleCandidate(notes, row, col, element, validElements));
+      return;
+    }
     
     // Create new puzzle with updated cell
-    const newPuzzle = [...puzzle];
+    const newPuzzle = puzzle.map(puzzleRow => [...puzzleRow]);
     newPuzzle[row][col] = { element };
     
     // Check for conflicts
     const newErrors = findConflicts(newPuzzle, row, col);
     setErrors(newErrors);
     
-    // Update puzzle
-    setPuzzle(newPuzzle);
+    // Update puzzle, clearing the notes the entry rules out
+    updateGrid(newPuzzle, removePlacedCandidates(notes, constraints, row, col, element));
     
     // Check if puzzle is complete
-    if (checkCompletion(newPuzzle)) {
-      setComplete(true);
-      if (onComplete) {
-        onComplete(true);
-      }
-    }
+    checkFilledGrid(newPuzzle);
   };
   
-  // Find conflicts in the puzzle
-  const findConflicts = (currentPuzzle, changedRow, changedCol) => {
-    const conflicts = [];
-    const changedElement = currentPuzzle[changedRow][changedCol]?.element;
+  // Empty the selected cell
+  const eraseCell = () => {
+    if (!selectedCell) return;
     
-    if (!changedElement) return conflicts;
+    const { row, col } = selectedCell;
+    if (!puzzle[row][col] || puzzle[row][col].fixed) return;
     
-    // Check row for conflicts
-    for (let col = 0; col < size; col++) {
-      if (col !== changedCol && 
-          currentPuzzle[changedRow][col]?.element === changedElement) {
-        conflicts.push({ row: changedRow, col });
-        conflicts.push({ row: changedRow, col: changedCol });
-      }
-    }
+    const newPuzzle = puzzle.map(puzzleRow => [...puzzleRow]);
+    newPuzzle[row][col] = null;
     
-    // Check column for conflicts
-    for (let row = 0; row < size; row++) {
-      if (row !== changedRow && 
-          currentPuzzle[row][changedCol]?.element === changedElement) {
-        conflicts.push({ row, col: changedCol });
-        conflicts.push({ row: changedRow, col: changedCol });
-      }
-    }
+    setErrors([]);
+    updateGrid(newPuzzle, notes);
+  };
+  
+  // Undo the last entry, note or hint fill
+  const undo = () => {
+    if (history.length === 0) return;
     
-    // Check subsection for conflicts (for 9x9 puzzles)
-    if (size === 9) {
-      const subsectionSize = 3;
-      const subRow = Math.floor(changedRow / subsectionSize);
-      const subCol = Math.floor(changedCol / subsectionSize);
-      
-      for (let row = subRow * subsectionSize; row < (subRow + 1) * subsectionSize; row++) {
-        for (let col = subCol * subsectionSize; col < (subCol + 1) * subsectionSize; col++) {
-          if (row !== changedRow && col !== changedCol && 
-              currentPuzzle[row][col]?.element === changedElement) {
-            conflicts.push({ row, col });
-            conflicts.push({ row: changedRow, col: changedCol });
-          }
-        }
-      }
+    const previous = history[history.length - 1];
+    
+    setHistory(history.slice(0, -1));
+    setPuzzle(previous.puzzle);
+    setNotes(previous.notes);
+    setErrors([]);
+    setHint(null);
+    
+    if (onProgress) {
+      onProgress({ cells: previous.puzzle, notes: previous.notes });
     }
+  };
+  
+  // Find conflicts in the puzzle: the changed cell and every cell that
+  // shares a broken rule with it
+  const findConflicts = (currentPuzzle, changedRow, changedCol) => {
+    if (!currentPuzzle[changedRow][changedCol]?.element) return [];
+    
+    const involved = constraints.filter(constraint => !constraint.cells ||
+      constraint.cells.some(cell => cell.row === changedRow && cell.col === changedCol));
     
-    return conflicts;
+    return findConstraintErrors(currentPuzzle, involved);
   };
   
   // Check if a cell has an error
@@ -214,38 +243,75 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
     return errors.some(error => error.row === row && error.col === col);
   };
   
-  // Use a hint to fill in a cell
+  // Use a hint: explain the next deduction, or point out wrong entries
   const useHint = () => {
-    if (hints <= 0 || !selectedCell) return;
+    if (hints <= 0 || complete) return;
     
-    const { row, col } = selectedCell;
+    const newHint = generateLogicHint(puzzle, solution, 2, constraints);
     
-    // Ignore if cell is already filled correctly
-    if (puzzle[row][col]?.element === solution[row][col].element) return;
+    if (newHint.type === 'error') {
+      setErrors(newHint.cells);
+    }
     
-    // Get correct element from solution
-    const correctElement = solution[row][col].element;
+    if (newHint.position) {
+      setSelectedCell(newHint.position);
+    }
+    
+    // Telling the player the grid is already full is free
+    setHint(newHint);
+    if (newHint.type !== 'text') {
+      setHints(hints - 1);
+    }
+  };
+  
+  // Fill in the cell the shown hint explains
+  const applyHint = () => {
+    if (!hint?.position) return;
+    
+    const { row, col } = hint.position;
     
     // Update puzzle
-    const newPuzzle = [...puzzle];
+    const newPuzzle = puzzle.map(puzzleRow => [...puzzleRow]);
     newPuzzle[row][col] = { 
-      element: correctElement,
+      element: hint.element,
       hint: true // Mark as filled by hint
     };
     
-    setPuzzle(newPuzzle);
-    setHints(hints - 1);
+    updateGrid(newPuzzle, removePlacedCandidates(notes, constraints, row, col, hint.element));
     
     // Clear errors
     setErrors([]);
     
     // Check if puzzle is complete
-    if (checkCompletion(newPuzzle)) {
-      setComplete(true);
-      if (onComplete) {
-        onComplete(true);
-      }
-    }
+    checkFilledGrid(newPuzzle);
+  };
+  
+  // Cells of the rows, columns, boxes and cages the shown hint is about
+  const highlightedCells = new Set(
+    (hint?.highlight || [])
+      .flatMap(unit => unit.cells)
+      .map(({ row, col }) => `${row}-${col}`)
+  );
+  
+  // Cells on a diagonal that must hold one of each element
+  const diagonalCells = new Set(
+    constraints
+      .filter(constraint => constraint.kind === 'diagonal')
+      .flatMap(constraint => constraint.cells)
+      .map(({ row, col }) => `${row}-${col}`)
+  );
+  
+  // Dashed cage outline on the sides of a cell that leave its cage
+  const getCageEdges = (row, col) => {
+    const cage = cages.get(`${row}-${col}`);
+    if (!cage) return '';
+    
+    const sides = { top: [row - 1, col], bottom: [row + 1, col], left: [row, col - 1], right: [row, col + 1] };
+    
+    return Object.entries(sides)
+      .filter(([, [r, c]]) => cages.get(`${r}-${c}`) !== cage)
+      .map(([side]) => `cage-${side}`)
+      .join(' ');
   };
   
   // Generate puzzle grid
@@ -262,6 +328,10 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
           row.map((cell, colIndex) => {
             const isSelected = selectedCell?.row === rowIndex && selectedCell?.col === colIndex;
             const isError = hasError(rowIndex, colIndex);
+            const isHighlighted = highlightedCells.has(`${rowIndex}-${colIndex}`);
+            const isHintTarget = hint?.position?.row === rowIndex && hint?.position?.col === colIndex;
+            const cage = cages.get(`${rowIndex}-${colIndex}`);
+            const isCageLabel = cage && cage.cells[0].row === rowIndex && cage.cells[0].col === colIndex;
             
             return (
               <div
@@ -270,11 +340,20 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
                   logic-puzzle-cell
                   ${isSelected ? 'selected' : ''}
                   ${isError ? 'error' : ''}
+                  ${isHighlighted ? 'highlighted' : ''}
+                  ${isHintTarget ? 'hint-target' : ''}
+                  ${diagonalCells.has(`${rowIndex}-${colIndex}`) ? 'diagonal' : ''}
+                  ${cage ? `caged ${getCageEdges(rowIndex, colIndex)}` : ''}
                   ${cell?.fixed ? 'fixed' : ''}
                   ${cell?.hint ? 'hint' : ''}
                 `}
                 onClick={() => handleCellClick(rowIndex, colIndex)}
               >
+                {isCageLabel && (
+                  <span className="cage-label" title={`${cage.elements.join(' + ')} = ${cage.reaction}`}>
+                    {elementSymbols[cage.reaction] || cage.reaction}
+                  </span>
+                )}
                 {cell && (
                   <div 
                     className="element-icon"
@@ -283,6 +362,22 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
                     {elementSymbols[cell.element]}
                   </div>
                 )}
+                {!cell && notes[rowIndex]?.[colIndex]?.length > 0 && (
+                  <div 
+                    className="cell-notes"
+                    style={{ gridTemplateColumns: `repeat(${box ? box.width : size}, 1fr)` }}
+                  >
+                    {notes[rowIndex][colIndex].map(note => (
+                      <span 
+                        key={note} 
+                        className="cell-note"
+                        style={{ color: elementColors[note] }}
+                      >
+                        {elementSymbols[note]}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             );
           })
@@ -322,11 +417,9 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
       <div className="logic-puzzle-rules">
         <h3>Rules:</h3>
         <ul>
-          <li>Each row must contain one of each element</li>
-          <li>Each column must contain one of each element</li>
-          {size === 9 && (
-            <li>Each 3x3 section must contain one of each element</li>
-          )}
+          {describeConstraints(constraints).map(rule => (
+            <li key={rule}>{rule}</li>
+          ))}
         </ul>
       </div>
     );
@@ -340,12 +433,48 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
       >
         <div className="puzzle-header">
           <h2>Elemental Logic Puzzle</h2>
+          {sizes && onSizeChange && (
+            <select
+              className="puzzle-size-select"
+              value={size}
+              onChange={(e) => onSizeChange(Number(e.target.value))}
+            >
+              {sizes.map(option => (
+                <option key={option} value={option}>{option} × {option}</option>
+              ))}
+            </select>
+          )}
+          {difficulties?.length > 1 && onDifficultyChange && (
+            <select
+              className="puzzle-size-select"
+              value={target}
+              onChange={(e) => onDifficultyChange(e.target.value)}
+            >
+              {difficulties.map(option => (
+                <option key={option} value={option}>{formatDifficulty(option)}</option>
+              ))}
+            </select>
+          )}
+          {variants?.length > 1 && onVariantChange && (
+            <select
+              className="puzzle-size-select"
+              value={variant}
+              onChange={(e) => onVariantChange(e.target.value)}
+            >
+              {variants.map(option => (
+                <option key={option} value={option}>{formatDifficulty(option)}</option>
+              ))}
+            </select>
+          )}
+          {difficulty && (
+            <span className={`puzzle-difficulty ${difficulty}`}>{formatDifficulty(difficulty)}</span>
+          )}
           <div className="hint-counter">
             Hints: {hints}
             <button 
               className="hint-button"
               onClick={useHint}
-              disabled={hints <= 0 || !selectedCell}
+              disabled={hints <= 0 || complete}
             >
               Use Hint
             </button>
@@ -364,13 +493,55 @@ const LogicPuzzle = ({ size = 4, validElements, solution, onComplete, onClose })
             {renderPuzzleGrid()}
           </div>
           
+          {hint && (
+            <div className={`logic-hint ${hint.type}`}>
+              <p>{hint.text}</p>
+              {hint.element && (
+                <button className="hint-button" onClick={applyHint}>
+                  Fill In
+                </button>
+              )}
+            </div>
+          )}
+          
           {renderElementSelector()}
+          
+          <div className="logic-puzzle-tools">
+            <button 
+              className={`hint-button ${notesMode ? 'active' : ''}`}
+              onClick={() => setNotesMode(!notesMode)}
+            >
+              Notes: {notesMode ? 'On' : 'Off'}
+            </button>
+            <button 
+              className="hint-button"
+              onClick={eraseCell}
+              disabled={!selectedCell}
+            >
+              Erase
+            </button>
+            <button 
+              className="hint-button"
+              onClick={undo}
+              disabled={history.length === 0}
+            >
+              Undo
+            </button>
+          </div>
         </div>
         
         {complete && (
           <div className="puzzle-complete">
             <h3>Puzzle Solved!</h3>
             <p>You've unlocked a new elemental ability!</p>
+            {onNext && (
+              <button 
+                className="restart-button puzzle-next"
+                onClick={onNext}
+              >
+                New Puzzle
+              </button>
+            )}
             <button 
               className="continue-button"
               onClick={() => {
@@ -18,6 +18,10 @@ import useGameStore from '../store/gameStore';
 const MainMenu = ({ 
   onStartGame, 
   onContinueGame, 
+  onSandbox,
+  onDailyChallenge,
+  onWordPuzzle,
+  onLogicPuzzle,
   onSettings, 
   onAchievements,
   onCredits
@@ -147,6 +151,58 @@ const MainMenu = ({
           </animated.div>
           
           <animated.div style={getMenuItemAnimation(2)}>
+            <animated.button 
+              className="menu-button"
+              onClick={() => handleClick(onSandbox)}
+              onMouseEnter={() => handleHover('sandbox')}
+              onMouseLeave={() => setHoveredItem(null)}
+              style={getHoverAnimation('sandbox')}
+            >
+              <span className="button-icon">🧪</span>
+              <span className="button-text">Sandbox</span>
+            </animated.button>
+          </animated.div>
+          
+          <animated.div style={getMenuItemAnimation(3)}>
+            <animated.button 
+              className="menu-button"
+              onClick={() => handleClick(onDailyChallenge)}
+              onMouseEnter={() => handleHover('daily')}
+              onMouseLeave={() => setHoveredItem(null)}
+              style={getHoverAnimation('daily')}
+            >
+              <span className="button-icon">📅</span>
+              <span className="button-text">Daily Challenge</span>
+            </animated.button>
+          </animated.div>
+          
+          <animated.div style={getMenuItemAnimation(4)}>
+            <animated.button 
+              className="menu-button"
+              onClick={() => handleClick(onWordPuzzle)}
+              onMouseEnter={() => handleHover('word')}
+              onMouseLeave={() => setHoveredItem(null)}
+              style={getHoverAnimation('word')}
+            >
+              <span className="button-icon">🔤</span>
+              <span className="button-text">Word Puzzle</span>
+            </animated.button>
+          </animated.div>
+          
+          <animated.div style={getMenuItemAnimation(5)}>
+            <animated.button 
+              className="menu-button"
+              onClick={() => handleClick(onLogicPuzzle)}
+              onMouseEnter={() => handleHover('logic')}
+              onMouseLeave={() => setHoveredItem(null)}
+              style={getHoverAnimation('logic')}
+            >
+              <span className="button-icon">🧩</span>
+              <span className="button-text">Logic Puzzle</span>
+            </animated.button>
+          </animated.div>
+          
+          <animated.div style={getMenuItemAnimation(6)}>
             <animated.button 
               className="menu-button"
               onClick={() => handleClick(onAchievements)}
@@ -159,7 +215,7 @@ const MainMenu = ({
             </animated.button>
           </animated.div>
           
-          <animated.div style={getMenuItemAnimation(3)}>
+          <animated.div style={getMenuItemAnimation(7)}>
             <animated.button 
               className="menu-button"
               onClick={() => handleClick(onSettings)}
@@ -172,7 +228,7 @@ const MainMenu = ({
             </animated.button>
           </animated.div>
           
-          <animated.div style={getMenuItemAnimation(4)}>
+          <animated.div style={getMenuItemAnimation(8)}>
             <animated.button 
               className="menu-button"
               onClick={() => handleClick(onCredits)}
@@ -0,0 +1,113 @@
+/**
+ * ElementCraft - Sandbox Tools Component
+ *
+ * This component replaces the level information in sandbox mode. It
+ * lets the player resize the board, switch between placing and erasing,
+ * clear the board and turn individual mechanics on or off to experiment
+ * with reactions.
+ *
+ * @module SandboxTools
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+
+// Mechanics that can be switched off, with their labels
+const mechanicLabels = {
+  gravity: 'Gravity tick',
+  fireSpread: 'Fire spread',
+  cascades: 'Cascades'
+};
+
+const SandboxTools = ({
+  rows,
+  cols,
+  minSize,
+  maxSize,
+  mechanics = {},
+  tool = 'place',
+  onResize,
+  onToggleMechanic,
+  onToolChange,
+  onClear
+}) => {
+  // Board sizes the player can pick from
+  const sizes = Array.from({ length: maxSize - minSize + 1 }, (_, index) => minSize + index);
+  
+  return (
+    <div className="level-info sandbox-tools">
+      <div className="level-header">
+        <h2 className="level-title">Sandbox</h2>
+      </div>
+
+      <div className="sandbox-section">
+        <h3>Board Size</h3>
+        <div className="sandbox-size">
+          <label>
+            Rows
+            <select
+              value={rows}
+              onChange={(event) => onResize(Number(event.target.value), cols)}
+            >
+              {sizes.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Columns
+            <select
+              value={cols}
+              onChange={(event) => onResize(rows, Number(event.target.value))}
+            >
+              {sizes.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="sandbox-section">
+        <h3>Tools</h3>
+        <div className="sandbox-tool-buttons">
+          <button
+            className={`control-button ${tool === 'place' ? 'active' : ''}`}
+            onClick={() => onToolChange('place')}
+          >
+            Place
+          </button>
+          <button
+            className={`control-button ${tool === 'erase' ? 'active' : ''}`}
+            onClick={() => onToolChange('erase')}
+          >
+            Erase
+          </button>
+          <button
+            className="control-button"
+            onClick={onClear}
+          >
+            Clear Board
+          </button>
+        </div>
+      </div>
+
+      <div className="sandbox-section">
+        <h3>Mechanics</h3>
+        {Object.entries(mechanicLabels).map(([mechanic, label]) => (
+          <label key={mechanic} className="sandbox-mechanic">
+            <input
+              type="checkbox"
+              checked={Boolean(mechanics[mechanic])}
+              onChange={(event) => onToggleMechanic(mechanic, event.target.checked)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SandboxTools;
@@ -0,0 +1,107 @@
+/**
+ * ElementCraft - Save Recovery Component
+ *
+ * This component is displayed when the saved game couldn't be loaded as
+ * is: it was damaged, couldn't be read at all, or was written by a newer
+ * version of the game. The original save is kept as a backup the player
+ * can download before carrying on.
+ *
+ * @module SaveRecovery
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { useSpring, animated } from 'react-spring';
+
+// What happened to the save, by recovery reason
+const reasonMessages = {
+  corrupt: 'Part of your save was damaged. The damaged parts were reset; everything else was kept.',
+  unreadable: 'Your save could not be read, so a new game was started.',
+  newer: 'Your save comes from a newer version of ElementCraft, so a new game was started.'
+};
+
+// Readable names for the save fields that can be reset
+const fieldLabels = {
+  gameState: 'game state',
+  gameMode: 'game mode',
+  currentLevel: 'current level',
+  playerEssence: 'essence',
+  playerLevel: 'player level',
+  unlockedElements: 'unlocked elements',
+  ownedUpgrades: 'store items',
+  levelsCompleted: 'completed levels',
+  movesUsed: 'moves used',
+  wordPuzzleStats: 'word puzzle statistics',
+  solvedWords: 'solved words',
+  dailyHistory: 'daily challenge history'
+};
+
+const SaveRecovery = ({ recovery, getBackup, onContinue }) => {
+  // Animation for the modal
+  const modalAnimation = useSpring({
+    opacity: 1,
+    transform: 'scale(1)',
+    from: { opacity: 0, transform: 'scale(0.8)' },
+    config: { tension: 280, friction: 20 }
+  });
+
+  const backup = getBackup();
+
+  // Save the backup as a file
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `elementcraft-save-backup-${recovery.date.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="game-over-overlay save-recovery-overlay">
+      <animated.div
+        className="game-over-modal save-recovery-modal"
+        style={modalAnimation}
+      >
+        <h2 className="game-over-title save-recovery-title">Save Recovered</h2>
+
+        <p className="save-recovery-text">
+          {reasonMessages[recovery.reason] || reasonMessages.unreadable}
+        </p>
+
+        {recovery.fields.length > 0 && (
+          <p className="save-recovery-text">
+            Reset: {recovery.fields.map(field => fieldLabels[field] || field).join(', ')}
+          </p>
+        )}
+
+        <p className="save-recovery-text">
+          {backup !== null
+            ? 'A copy of the original save has been kept.'
+            : 'No copy of the original save could be kept.'}
+        </p>
+
+        <div className="game-over-actions">
+          {backup !== null && (
+            <button
+              className="restart-button"
+              onClick={handleDownload}
+            >
+              Download Backup
+            </button>
+          )}
+
+          <button
+            className="menu-button"
+            onClick={onContinue}
+          >
+            Continue
+          </button>
+        </div>
+      </animated.div>
+    </div>
+  );
+};
+
+export default SaveRecovery;
@@ -0,0 +1,142 @@
+/**
+ * ElementCraft - Transmutation Dialog Component
+ *
+ * This component is opened by the Element Transmutation store item. It
+ * lets the player pick an element from their inventory and convert some
+ * of it into essence.
+ *
+ * @module TransmutationDialog
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { useSpring, animated } from 'react-spring';
+import ElementCard from './ElementCard';
+
+const TransmutationDialog = ({
+  inventory = {},
+  playerEssence = 0,
+  getValue,
+  onTransmute,
+  onClose
+}) => {
+  // Element and amount being converted
+  const [selectedElement, setSelectedElement] = useState(null);
+  const [amount, setAmount] = useState(1);
+  const [message, setMessage] = useState(null);
+
+  // Animation for the modal
+  const modalAnimation = useSpring({
+    opacity: 1,
+    transform: 'scale(1)',
+    from: { opacity: 0, transform: 'scale(0.8)' },
+    config: { tension: 280, friction: 20 }
+  });
+
+  // Only elements the player actually holds can be converted
+  const convertible = Object.entries(inventory).filter(([, count]) => count > 0);
+  const available = selectedElement ? inventory[selectedElement] || 0 : 0;
+  const essencePreview = selectedElement ? amount * getValue(selectedElement) : 0;
+
+  // Select an element to convert
+  const handleSelect = (element) => {
+    setSelectedElement(element);
+    setAmount(1);
+    setMessage(null);
+  };
+
+  // Convert the chosen amount
+  const handleTransmute = () => {
+    const result = onTransmute(selectedElement, amount);
+
+    if (result.success) {
+      setMessage(`Gained ${result.essence} essence`);
+
+      // Keep the amount within what is left
+      const remaining = available - amount;
+      if (remaining <= 0) {
+        setSelectedElement(null);
+      }
+      setAmount(Math.max(1, Math.min(amount, remaining)));
+    } else {
+      setMessage(result.message);
+    }
+  };
+
+  return (
+    <div className="game-over-overlay transmutation-overlay">
+      <animated.div
+        className="game-over-modal transmutation-modal"
+        style={modalAnimation}
+      >
+        <h2 className="game-over-title transmutation-title">Element Transmutation</h2>
+
+        <div className="essence-display">
+          <div className="essence-icon"></div>
+          <span>{playerEssence} Essence</span>
+        </div>
+
+        {convertible.length === 0 ? (
+          <p className="transmutation-empty">You have no elements to convert.</p>
+        ) : (
+          <div className="transmutation-grid">
+            {convertible.map(([element, count]) => (
+              <ElementCard
+                key={element}
+                element={element}
+                count={count}
+                size="small"
+                selected={selectedElement === element}
+                onClick={() => handleSelect(element)}
+                showDetails={false}
+              />
+            ))}
+          </div>
+        )}
+
+        {selectedElement && (
+          <div className="transmutation-controls">
+            <label htmlFor="transmutation-amount">
+              Convert
+            </label>
+            <input
+              id="transmutation-amount"
+              type="range"
+              min={1}
+              max={available}
+              value={amount}
+              onChange={(event) => setAmount(Number(event.target.value))}
+            />
+            <span className="transmutation-amount">
+              {amount} {selectedElement} → {essencePreview} essence
+            </span>
+          </div>
+        )}
+
+        {message && (
+          <div className="transmutation-message">{message}</div>
+        )}
+
+        <div className="game-over-actions">
+          <button
+            className="restart-button"
+            disabled={!selectedElement}
+            onClick={handleTransmute}
+          >
+            Transmute
+          </button>
+
+          <button
+            className="menu-button"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </animated.div>
+    </div>
+  );
+};
+
+export default TransmutationDialog;
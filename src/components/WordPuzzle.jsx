@@ -12,16 +12,45 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useSpring, animated } from 'react-spring';
 import { checkWordPuzzle } from '../utils/gameLogic';
-import { elementColors } from '../constants/elements';
+import { getWordHintCost, isValidWord } from '../utils/puzzles';
+import WordPuzzleStats from './WordPuzzleStats';
 
-const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
+// Check every guess against the word
+const getResults = (word, attempts) => {
+  return attempts.map(attempt => checkWordPuzzle(word.split(''), attempt.split('')));
+};
+
+// Whether the guesses so far have won or lost the puzzle
+const getStatus = (results, maxAttempts) => {
+  if (results.some(result => result.every(status => status === 'correct'))) return 'won';
+  return results.length >= maxAttempts ? 'lost' : 'playing';
+};
+
+const WordPuzzle = ({
+  word,
+  maxAttempts = 6,
+  guesses = null,
+  stats,
+  hints = [],
+  hintsEnabled = true,
+  points = null,
+  onGuess,
+  onHint,
+  onComplete,
+  onNext,
+  onClose
+}) => {
   // Current attempt and position
+  // Guesses come from the store when it tracks the puzzle, so a reopened
+  // puzzle shows the attempts already used
   const [currentAttempt, setCurrentAttempt] = useState('');
-  const [attempts, setAttempts] = useState([]);
-  const [results, setResults] = useState([]);
-  const [gameStatus, setGameStatus] = useState('playing'); // playing, won, lost
+  const [localAttempts, setLocalAttempts] = useState([]);
+  const attempts = guesses || localAttempts;
+  const results = getResults(word, attempts);
+  const [gameStatus, setGameStatus] = useState(() => getStatus(results, maxAttempts)); // playing, won, lost
   const [shakingRow, setShakingRow] = useState(-1);
   const [revealIndices, setRevealIndices] = useState({ row: -1, col: -1 });
+  const [message, setMessage] = useState(null);
   
   // Reference to input for focus
   const inputRef = useRef(null);
@@ -40,22 +69,54 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
     }
   }, []);
   
+  // Positions revealed by letter hints
+  const revealedPositions = hints
+    .map(hint => hint.position)
+    .filter(Number.isInteger);
+  
+  // Shake the current row and explain why the guess was rejected
+  const rejectAttempt = (reason) => {
+    setShakingRow(attempts.length);
+    setMessage(reason);
+    setTimeout(() => setShakingRow(-1), 500);
+  };
+  
   // Submit current attempt
   const submitAttempt = () => {
     // Validate current attempt
     if (currentAttempt.length !== word.length) {
       // Shake the current row to indicate incorrect length
-      setShakingRow(attempts.length);
-      setTimeout(() => setShakingRow(-1), 500);
+      rejectAttempt(null);
       return;
     }
     
-    // Check the attempt
-    const result = checkWordPuzzle(word.split(''), currentAttempt.split(''));
+    // Check the attempt, through the store when it tracks the puzzle
+    let result;
+    if (onGuess) {
+      const response = onGuess(currentAttempt);
+      
+      if (!response.success) {
+        rejectAttempt(response.message);
+        return;
+      }
+      
+      result = response.result;
+    } else {
+      // Non-words don't use up an attempt
+      if (!isValidWord(currentAttempt)) {
+        rejectAttempt('Not in word list');
+        return;
+      }
+      
+      result = checkWordPuzzle(word.split(''), currentAttempt.split(''));
+    }
+    
+    setMessage(null);
     
-    // Update attempts and results
-    setAttempts([...attempts, currentAttempt]);
-    setResults([...results, result]);
+    // The store records its own guesses
+    if (!onGuess) {
+      setLocalAttempts([...attempts, currentAttempt]);
+    }
     
     // Clear current attempt
     setCurrentAttempt('');
@@ -83,8 +144,16 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
     }
   };
   
+  // Buy the next hint, which costs more essence than the last
+  const requestHint = () => {
+    const response = onHint();
+    setMessage(response.success ? null : response.message);
+  };
+  
   // Animate tile reveals one by one
   const animateReveal = (rowIndex) => {
+    setRevealIndices({ row: rowIndex, col: -1 });
+    
     for (let i = 0; i < word.length; i++) {
       setTimeout(() => {
         setRevealIndices({ row: rowIndex, col: i });
@@ -197,12 +266,13 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
           className={`word-row ${shakingRow === rowIndex ? 'shake' : ''}`}
         >
           {Array.from(attempt.padEnd(word.length)).map((letter, colIndex) => {
-            const isRevealing = rowIndex === revealIndices.row && colIndex <= revealIndices.col;
+            // The row being revealed shows its results one tile at a time
+            const isRevealed = rowIndex !== revealIndices.row || colIndex <= revealIndices.col;
             
             return (
               <div 
                 key={`tile-${rowIndex}-${colIndex}`}
-                className={`word-tile ${isRevealing ? result[colIndex] : ''}`}
+                className={`word-tile ${isRevealed ? result[colIndex] : ''}`}
                 style={{
                   transitionDelay: `${colIndex * 0.1}s`
                 }}
@@ -222,14 +292,19 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
           key="current-attempt"
           className={`word-row ${shakingRow === attempts.length ? 'shake' : ''}`}
         >
-          {Array.from(currentAttempt.padEnd(word.length)).map((letter, colIndex) => (
-            <div 
-              key={`current-${colIndex}`}
-              className={`word-tile ${letter ? 'filled' : ''}`}
-            >
-              {letter}
-            </div>
-          ))}
+          {Array.from(currentAttempt.padEnd(word.length)).map((letter, colIndex) => {
+            // Letters revealed by hints show through until typed over
+            const isRevealed = letter === ' ' && revealedPositions.includes(colIndex);
+            
+            return (
+              <div 
+                key={`current-${colIndex}`}
+                className={`word-tile ${letter.trim() ? 'filled' : ''} ${isRevealed ? 'revealed' : ''}`}
+              >
+                {isRevealed ? word[colIndex] : letter}
+              </div>
+            );
+          })}
         </div>
       );
     }
@@ -262,34 +337,25 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
     return null;
   };
   
-  // Generate element hint based on the first letter
-  const getElementHint = () => {
-    const firstLetter = word[0];
-    
-    const elementHints = {
-      'F': { element: 'fire', description: 'This element burns bright and rises upward.' },
-      'W': { element: 'water', description: 'This element flows and gives life.' },
-      'E': { element: 'earth', description: 'This element provides stability and foundation.' },
-      'A': { element: 'air', description: 'This element is all around us, invisible but essential.' },
-      'M': { element: 'metal', description: 'This element conducts energy and is strong.' },
-      'C': { element: 'crystal', description: 'This element amplifies power and reflects light.' },
-      'S': { element: 'steam', description: 'This element rises when fire meets water.' },
-      'L': { element: 'lava', description: 'This element flows like liquid fire.' },
-      'P': { element: 'plasma', description: 'This element is the most energetic state of matter.' }
-    };
-    
-    const hint = elementHints[firstLetter] || { element: 'unknown', description: 'Solve the puzzle to discover the element.' };
+  // Hints bought so far and the button for the next one
+  const renderHints = () => {
+    const { cost } = getWordHintCost(hints.length);
     
     return (
-      <div className="element-hint">
-        <h4>Element Hint:</h4>
-        <div 
-          className="hint-element"
-          style={{ backgroundColor: elementColors[hint.element] || '#666' }}
-        >
-          {hint.element.charAt(0).toUpperCase()}
-        </div>
-        <p>{hint.description}</p>
+      <div className="word-hints">
+        {hints.map((hint, index) => (
+          <p key={index} className="word-hint">{hint.text}</p>
+        ))}
+        {gameStatus === 'playing' && (
+          <button
+            className="hint-button"
+            onClick={requestHint}
+            disabled={!hintsEnabled}
+            title={hintsEnabled ? undefined : 'Hints are turned off in the settings'}
+          >
+            Hint ({cost} Essence)
+          </button>
+        )}
       </div>
     );
   };
@@ -324,19 +390,38 @@ const WordPuzzle = ({ word, maxAttempts = 6, onComplete, onClose }) => {
           {generateRows()}
         </div>
         
-        {getElementHint()}
+        {message && (
+          <div className="puzzle-message">{message}</div>
+        )}
+        
+        {onHint && renderHints()}
         
         {getResultMessage() && (
           <div className={`puzzle-result ${gameStatus}`}>
             {getResultMessage()}
-            {gameStatus === 'won' && (
+            {gameStatus === 'won' && points !== null && (
               <div className="puzzle-reward">
-                <span>Reward:</span> Unlocked new element!
+                <span>Score:</span> {points} points
+                {hints.length > 0 && ` (${hints.length} ${hints.length === 1 ? 'hint' : 'hints'} used)`}
               </div>
             )}
           </div>
         )}
         
+        {gameStatus !== 'playing' && stats && (
+          <WordPuzzleStats
+            stats={stats}
+            maxAttempts={maxAttempts}
+            lastGuessCount={gameStatus === 'won' ? attempts.length : null}
+          />
+        )}
+        
+        {gameStatus !== 'playing' && onNext && (
+          <button className="restart-button puzzle-next" onClick={onNext}>
+            Next Word
+          </button>
+        )}
+        
         {generateKeyboard()}
         
         <div className="puzzle-legend">
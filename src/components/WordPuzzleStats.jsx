@@ -0,0 +1,59 @@
+/**
+ * ElementCraft - Word Puzzle Statistics Component
+ *
+ * This component shows the player's word puzzle record after a puzzle
+ * ends: puzzles played, win rate and how many guesses each win took.
+ *
+ * @module WordPuzzleStats
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+
+const WordPuzzleStats = ({ stats, maxAttempts = 6, lastGuessCount = null }) => {
+  const { played = 0, won = 0, distribution = {} } = stats || {};
+  const winRate = played > 0 ? Math.round((won / played) * 100) : 0;
+
+  // Longest bar in the distribution, so the bars are relative to it
+  const guessCounts = Array.from({ length: maxAttempts }, (_, index) => index + 1);
+  const mostWins = Math.max(1, ...guessCounts.map(count => distribution[count] || 0));
+
+  return (
+    <div className="word-puzzle-stats">
+      <h3>Statistics</h3>
+
+      <div className="stats-summary">
+        <div className="stat-item">
+          <div className="stat-value">{played}</div>
+          <div className="stat-label">Played</div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-value">{winRate}%</div>
+          <div className="stat-label">Win Rate</div>
+        </div>
+      </div>
+
+      <h4>Guess Distribution</h4>
+      <div className="guess-distribution">
+        {guessCounts.map(count => {
+          const wins = distribution[count] || 0;
+
+          return (
+            <div key={count} className="distribution-row">
+              <span className="distribution-label">{count}</span>
+              <div
+                className={`distribution-bar ${count === lastGuessCount ? 'highlight' : ''}`}
+                style={{ width: `${Math.max(8, (wins / mostWins) * 100)}%` }}
+              >
+                {wins}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default WordPuzzleStats;
@@ -0,0 +1,176 @@
+/**
+ * ElementCraft - Word Dictionary
+ *
+ * This module bundles the dictionary used to validate word puzzle
+ * guesses offline. It covers element-related vocabulary and common
+ * English words for every word length used by the puzzle word lists
+ * (4 to 7 letters). Puzzle answers are always accepted on top of these.
+ *
+ * Words are kept as space-separated strings grouped by length so the
+ * lists stay easy to scan and extend.
+ *
+ * @module dictionary
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+// Words grouped by length, upper case
+const wordsByLength = {
+  4: `
+    ABLE ACHE ACID AGED AIRY ALSO ARCH AREA ARMY AUNT AWAY BABY BACK BAKE BALL BAND BANK BARE BARK
+    BASE BATH BEAM BEAN BEAR BEAT BEEF BELL BELT BEND BEST BIKE BILL BIRD BITE BLOW BLUE BOAT BODY BOIL
+    BOLD BOLT BOND BONE BOOK BOOT BORE BORN BOTH BOWL BULB BURN BUSH BUSY CAGE CAKE CALL CALM CAMP CANE
+    CARD CARE CART CASE CASH CAST CAVE CELL CHIP CITY CLAN CLAW CLAY CLIP CLUB COAL COAT CODE COIL COIN
+    COLD COMB CONE COOK COOL COPE COPY CORD CORE CORN COST CRAB CREW CROP CUBE CURE DAMP DARK DART DASH
+    DATA DATE DAWN DEAL DEAR DEEP DEER DESK DIAL DICE DIET DIRT DISH DIVE DOCK DOME DOOR DOSE DOVE DOWN
+    DRAW DRIP DROP DRUM DUSK DUST DUTY EACH EARN EASE EAST EASY ECHO EDGE ELSE EPIC EVEN EVER EXIT FACE
+    FACT FADE FAIL FAIR FALL FAME FARM FAST FATE FEAR FEED FEEL FELT FERN FILE FILL FILM FIND FINE FIRE
+    FIRM FISH FIST FLAG FLAT FLEW FLOW FOAM FOLD FOLK FOOD FOOT FORD FORM FORT FOUL FREE FROG FROM FUEL
+    FULL FUME FUSE GAIN GAME GATE GAVE GEAR GEMS GIFT GIRL GIVE GLOW GLUE GOAL GOAT GOLD GOLF GONE GOOD
+    GRAY GREW GREY GRID GRIM GRIP GROW GULF GUST HAIL HAIR HALF HALL HAND HANG HARD HARM HAZE HEAD HEAL
+    HEAP HEAR HEAT HELD HELM HELP HERB HERD HERE HERO HIDE HIGH HILL HINT HIRE HOLD HOLE HOME HOOD HOOK
+    HOPE HORN HOSE HOST HOUR HUGE HUNT HURT IDEA INCH INTO IRON ITEM JADE JOIN JOKE JUMP JUST KEEN KEEP
+    KELP KEPT KICK KILN KIND KING KITE KNEE KNOT KNOW LACE LACK LAKE LAMP LAND LANE LAST LATE LAVA LAWN
+    LEAD LEAF LEAK LEAN LEAP LEFT LENS LESS LIFE LIFT LIKE LIME LINE LINK LION LIST LIVE LOAD LOAF LOAN
+    LOCK LOFT LONG LOOK LOOP LORD LOSE LOSS LOST LOUD LOVE LUCK LUNG MADE MAIL MAIN MAKE MALT MANY MARK
+    MASK MASS MAST MATH MAZE MEAL MEAN MEAT MEET MELT MESA MESH MILD MILE MILK MILL MIND MINE MINT MIST
+    MOAT MODE MOLD MOLE MOOD MOON MORE MOSS MOST MOTH MOVE MUCH MUST NAME NEAR NECK NEED NEST NEWS NEXT
+    NICE NODE NONE NOON NORM NOSE NOTE OATH OBEY ODOR OKAY ONCE ONLY ONTO OPAL OPEN ORAL ORES OVAL OVEN
+    OVER PACE PACK PAGE PAID PAIN PAIR PALE PALM PARK PART PASS PAST PATH PEAK PEAR PEAT PEEL PICK PILE
+    PINE PINK PIPE PLAN PLAY PLOT PLUG PLUS POEM POET POLE POND POOL POOR PORE PORT POSE POUR PRAY PULL
+    PUMP PURE PUSH RACE RAFT RAIN RANK RARE RATE READ REAL REAR REED REEF REST RICE RICH RIDE RING RIPE
+    RISE RISK ROAD ROAR ROBE ROCK RODE ROLE ROLL ROOF ROOM ROOT ROPE ROSE RUBY RULE RUNE RUSH RUST SAFE
+    SAGE SAID SAIL SALT SAME SAND SANK SAVE SCAR SEAL SEAM SEAT SEED SEEK SEEM SEEN SELF SELL SEND SENT
+    SHED SHIP SHOE SHOP SHOT SHOW SHUT SICK SIDE SIGN SILK SINK SIZE SKIN SKIP SLAB SLAG SLIP SLOW SMOG
+    SNOW SOAK SOAP SOAR SOFT SOIL SOLD SOLE SOME SONG SOON SORT SOUL SOUP SOUR SPIN SPOT STAR STAY STEM
+    STEP STIR STOP SUCH SUIT SUNK SURE SWAN SWIM TAIL TAKE TALE TALK TALL TANK TAPE TASK TEAM TEAR TELL
+    TEND TENT TERM TEST TEXT THAN THAT THEM THEN THEY THIN THIS THUS TIDE TIDY TIER TILE TILL TIME TINY
+    TOAD TOLD TOLL TOMB TONE TOOK TOOL TORN TOUR TOWN TRAP TRAY TREE TRIM TRIP TRUE TUBE TUNE TURN TWIG
+    TYPE UNIT UPON USED USER VAIN VALE VANE VARY VASE VAST VEIL VEIN VENT VERB VERY VEST VIEW VINE VOID
+    VOLT VOTE WADE WAGE WAIT WAKE WALK WALL WAND WANT WARD WARM WARN WASH WAVE WAXY WEAK WEAR WEED WEEK
+    WELL WENT WERE WEST WHAT WHEN WHOM WIDE WIFE WILD WILL WIND WINE WING WIRE WISE WISH WISP WITH WOLF
+    WOOD WOOL WORD WORE WORK WORM WORN WRAP YARD YARN YEAR YELL YOUR ZERO ZINC ZONE
+  `,
+  5: `
+    ABOUT ABOVE ACORN ACTOR ADAPT ADOBE AFTER AGAIN AGENT AGREE AHEAD ALARM ALBUM ALERT ALIKE ALIVE ALLOW
+    ALLOY ALONE ALONG ALTER AMBER AMONG AMPLE ANGEL ANGER ANGLE ANGRY APART APPLE APPLY ARENA ARGUE ARISE
+    ARMOR ARROW ASHEN ASIDE ASSET ATLAS ATOMS AVOID AWAKE AWARD AWARE BADGE BAKED BASIC BASIN BATCH BEACH
+    BEAST BEGAN BEGIN BEING BELOW BENCH BERRY BIRCH BIRTH BLACK BLADE BLAME BLANK BLAST BLAZE BLEAK BLEND
+    BLESS BLIND BLINK BLOCK BLOOM BLOWN BOARD BOAST BONUS BOOST BOUND BRAIN BRAND BRASS BRAVE BREAD BREAK
+    BRICK BRIDE BRIEF BRINE BRING BRINK BRISK BROAD BROOK BROOM BROWN BRUSH BUILD BUILT BURNT BURST CABIN
+    CABLE CANAL CANDY CARGO CARRY CATCH CAUSE CEDAR CHAIN CHAIR CHALK CHARM CHART CHASE CHEAP CHECK CHEST
+    CHIEF CHILD CHILL CHIME CHOIR CHORD CIDER CIVIL CLAIM CLASH CLASS CLEAN CLEAR CLERK CLIFF CLIMB
+    CLOCK CLOSE CLOTH CLOUD COAST COMET CORAL COUNT COURT COVER CRACK CRAFT CRANE CRASH CRATE CRAVE CREEK
+    CREST CRISP CROSS CROWD CROWN CRUDE CRUMB CRUSH CRUST CURVE CYCLE DAILY DANCE DELTA DENSE DEPTH DEVIL
+    DIRTY DITCH DIVER DOUBT DOUGH DRAFT DRAIN DRAMA DRANK DREAM DRESS DRIED DRIFT DRILL DRINK DRIVE DROVE
+    DROWN DUNES DUSTY DWARF DWELL EAGER EAGLE EARLY EARTH EIGHT ELBOW ELDER EMBER EMPTY ENEMY ENJOY ENTER
+    ENTRY EQUAL ERROR ERUPT ESSAY ETHER EVENT EVERY EXACT EXIST EXTRA FABLE FAINT FAITH FALSE FANCY FAULT
+    FEAST FENCE FERRY FETCH FEVER FIBER FIELD FIERY FIFTH FIFTY FIGHT FINAL FIRST FLAIR FLAKE FLAME FLARE
+    FLASH FLASK FLEET FLESH FLINT FLOAT FLOCK FLOOD FLOOR FLORA FLOUR FLUID FLUSH FLUTE FOCUS FOGGY FORCE
+    FORGE FORTH FORUM FOUND FRAME FRESH FRONT FROST FROZE FRUIT FUNGI FUSED GHOST GIANT GIVEN GLADE GLARE
+    GLASS GLAZE GLEAM GLIDE GLINT GLOBE GLOOM GLORY GLOVE GOING GRACE GRADE GRAIN GRAND GRANT GRAPE GRAPH
+    GRASP GRASS GRAVE GRAVY GREAT GREED GREEN GREET GRIEF GRILL GRIND GROUP GROVE GROWN GUARD GUESS GUEST
+    GUIDE HABIT HAPPY HARSH HASTE HAVEN HEART HEAVY HEDGE HELLO HERBS HONEY HONOR HORSE HOTEL HOUSE HUMAN
+    HUMID HURRY HYDRO IDEAL IGLOO IMAGE INDEX INNER INPUT IRONY ISSUE IVORY JEWEL JOINT JUDGE JUICE KNIFE
+    KNOCK KNOWN LABEL LARGE LASER LATER LAUGH LAYER LEARN LEASE LEAST LEAVE LEDGE LEGAL LEMON LEVEL LIGHT
+    LILAC LIMIT LINEN LIVER LOCAL LODGE LOGIC LOOSE LOTUS LOWER LOYAL LUCKY LUNAR MAGIC MAGMA MAJOR MAKER
+    MANOR MAPLE MARCH MARSH MATCH MAYBE MAYOR MEDAL MERCY MERGE METAL METER MIDST MIGHT MINER MINOR MIXED
+    MODEL MOIST MONEY MONTH MORAL MOTOR MOUND MOUNT MOUSE MOUTH MOVED MOVIE MUDDY MUSIC NERVE NEVER NIGHT
+    NOBLE NOISE NORTH NOVEL NURSE OASIS OCCUR OCEAN OFFER OFTEN OLIVE ONION OPERA ORBIT ORDER OTHER OUGHT
+    OUTER OWNER OXIDE OZONE PAINT PANEL PAPER PARTY PATCH PAUSE PEACE PEARL PETAL PHASE PHONE PIANO PIECE
+    PILOT PITCH PLACE PLAIN PLANE PLANT PLATE PLAZA POINT POLAR POUND POWER PRESS PRICE PRIDE PRIME PRINT
+    PRISM PRIZE PROOF PROUD PROVE PULSE QUAKE QUART QUEEN QUEST QUICK QUIET QUITE RADAR RADIO RAINY RAISE
+    RANCH RANGE RAPID RATIO RAVEN REACH REACT READY REALM REBEL REEDS REFER REIGN RELAX REPLY RESIN RIDGE
+    RIFLE RIGHT RIVAL RIVER ROAST ROBIN ROCKY ROUGH ROUND ROUTE ROYAL RULER RUSTY SADLY SAINT SALAD SANDY
+    SAUCE SCALE SCENE SCENT SCOPE SCORE SCOUT SCRAP SHADE SHAFT SHAKE SHALE SHALL SHAPE SHARD SHARE SHARK
+    SHARP SHEEP SHEET SHELF SHELL SHIFT SHINE SHINY SHIRT SHOCK SHORE SHORT SHOUT SIGHT SILKY SILLY SINCE
+    SKILL SKULL SLATE SLEEP SLEET SLICE SLIDE SLOPE SMALL SMART SMELL SMILE SMITH SMOKE SNAKE SOLAR SOLID
+    SOLVE SORRY SOUND SOUTH SPACE SPARE SPARK SPEAK SPEAR SPEED SPELL SPEND SPENT SPICE SPIKE SPINE SPIRE
+    SPITE SPLIT SPOIL SPOKE SPOON SPORT SPRAY SQUAD STACK STAFF STAGE STAIR STAKE STALE STAND STARE START
+    STATE STEAM STEEL STEEP STEER STERN STICK STIFF STILL STING STOCK STONE STOOD STORE STORM STORY STOVE
+    STRAW STRIP STUCK STUDY STUFF STYLE SUGAR SUITE SUNNY SUPER SURGE SWAMP SWEAT SWEEP SWEET SWELL SWIFT
+    SWING SWORD TABLE TASTE TEACH TEETH TERRA THEFT THEIR THEME THERE THESE THICK THIEF THING THINK THIRD
+    THORN THOSE THREE THREW THROW THUMB TIDAL TIGER TIGHT TIMER TIRED TITLE TOAST TODAY TOKEN TONIC TOOTH
+    TOPIC TORCH TOTAL TOUCH TOUGH TOWEL TOWER TOXIC TRACE TRACK TRADE TRAIL TRAIN TRAIT TREAT TREND TRIAL
+    TRIBE TRICK TRIED TROOP TRUCK TRULY TRUNK TRUST TRUTH TULIP TWICE TWIST ULTRA UNDER UNION UNITY UNTIL
+    UPPER UPSET URBAN USUAL VALID VALUE VALVE VAPOR VAULT VENOM VERSE VIDEO VIGOR VINYL VIRUS VISIT VITAL
+    VIVID VOICE WAGON WASTE WATCH WATER WAVES WEAVE WEIRD WHALE WHEAT WHEEL WHERE WHICH WHILE WHITE WHOLE
+    WHOSE WIDTH WINDY WINGS WITCH WOMAN WOODS WOODY WORLD WORRY WORSE WORST WORTH WOULD WOUND WRATH WRITE
+    WRONG YEAST YIELD YOUNG YOUTH ZESTY
+  `,
+  6: `
+    ABSORB ACCENT ACCEPT ACTION ACTIVE ADVICE AFFECT AFRAID AGENCY ALMOST AMBUSH AMOUNT ANCHOR ANIMAL ANNUAL
+    ANSWER ANYONE ARCTIC ARMADA ARRIVE ARTIST ASHORE ASPECT ATTACK AUTUMN AVENUE BAKERY BALLAD BANNER BARREL
+    BASKET BATTLE BEACON BEAUTY BECOME BEFORE BEHIND BELONG BESIDE BETTER BEYOND BLAZER BLEACH BOILER BORDER
+    BOTTLE BOTTOM BOUNCE BRANCH BREATH BREEZE BRIDGE BRIGHT BROKEN BRONZE BUBBLE BUCKET BURDEN BURNER BUTTON
+    CANDLE CANYON CARBON CAREER CASTLE CAVERN CEMENT CENTER CHANCE CHANGE CHAPEL CHARGE CHOICE CHOSEN CINDER
+    CIRCLE CLEVER CLIENT CLOSET CLOUDY COBALT COFFEE COLUMN COMBAT COMEDY COMMON COPPER CORNER COTTON COUSIN
+    CRADLE CREATE CREDIT CRISIS CRITIC CUSTOM DAMAGE DANGER DEBATE DECADE DECIDE DEFEAT DEFEND DEGREE DEMAND
+    DESERT DESIGN DESIRE DETAIL DEVICE DIVIDE DOCTOR DOLLAR DOMAIN DOUBLE DRAGON DRAWER DRIVER DURING EASILY
+    EATING EFFECT EFFORT EIGHTY EITHER ELEVEN EMBERS EMPIRE EMPLOY ENERGY ENGINE ENOUGH ENSURE ENTIRE ESCAPE
+    ESTATE ETHICS EXCEPT EXCUSE EXPAND EXPECT EXPERT EXPORT EXTEND FABRIC FACING FACTOR FAIRLY FALLEN FAMILY
+    FAMOUS FATHER FELLOW FIGURE FILTER FINGER FINISH FIRMLY FLAMES FLIGHT FLOWER FLUENT FOLLOW FOREST FORGET
+    FORMAL FORMAT FOSSIL FOURTH FREEZE FRIEND FROZEN FUSION FUTURE GALAXY GARAGE GARDEN GATHER GENTLE GEYSER
+    GINGER GLOBAL GOLDEN GRAVEL GROUND GROWTH GUILTY GUITAR HAMMER HANDLE HAPPEN HARBOR HARDLY HEALTH HEARTH
+    HEATED HEAVEN HEIGHT HELMET HIDDEN HOLLOW HONEST HUNGRY HUNTER HYBRID IGNITE IMPACT IMPORT INCOME INDEED
+    INFANT INFORM INJURY INSECT INSIDE INTEND INTENT INVENT INVITE ISLAND ITSELF JACKET JUNGLE JUNIOR KERNEL
+    KETTLE KINDLE LADDER LAGOON LATELY LAUNCH LAWYER LEADER LEAGUE LEGEND LENGTH LESSON LETTER LIKELY LIQUID
+    LISTEN LITTLE LIVING LOCATE LOVELY MAGNET MAINLY MAKING MANAGE MANNER MANTLE MARBLE MARGIN MARINE MARKET
+    MASTER MATTER MEADOW MEMBER MEMORY MENTAL MERELY METEOR METHOD MIDDLE MINUTE MIRROR MOBILE MODERN MOLTEN
+    MOMENT MOTHER MOTION MUSEUM MUTUAL MYSELF NARROW NATION NATURE NEARBY NEARLY NEBULA NEEDLE NEPHEW NORMAL
+    NOTICE NUMBER OBJECT OBTAIN OFFICE ORANGE ORIGIN OUTPUT OXYGEN PALACE PARADE PARENT PARROT PEOPLE PEPPER
+    PERIOD PERMIT PERSON PETROL PLANET PLASMA PLAYER PLEASE PLENTY POCKET POETRY POISON POLICE POLICY POLISH
+    POTATO POWDER PRAISE PREFER PRETTY PRINCE PRISON PROFIT PROPER PUBLIC PURPLE PURSUE PUZZLE QUARRY QUARTZ
+    RABBIT RACING RADIUS RARELY RATHER READER REASON RECENT RECORD REDUCE REFORM REGARD REGION RELATE RELIEF
+    REMAIN REMOTE REMOVE REPAIR REPEAT REPORT RESCUE RESULT RETAIN RETURN REVEAL REVIEW REWARD RHYTHM RIPPLE
+    RITUAL ROCKET RUBBER SACRED SAFELY SAFETY SALMON SAMPLE SCHEME SCHOOL SCORCH SCREEN SCRIPT SEASON SECOND
+    SECRET SECTOR SELECT SENIOR SERIES SETTLE SEVERE SHADOW SHIELD SHOULD SHOWER SIGNAL SILENT SILVER SIMPLE
+    SINGER SINGLE SISTER SLOWLY SMOKEY SMOOTH SOCCER SOCIAL SOURCE SPEECH SPIRAL SPIRIT SPLASH SPREAD SPRING
+    SQUARE STABLE STATUE STATUS STEADY STEAMY STENCH STOLEN STREAM STREET STRESS STRICT STRIKE STRING STRONG
+    STUDIO SUBMIT SUDDEN SUFFER SULFUR SUMMER SUMMIT SUPPLY SURELY SURVEY SWITCH SYMBOL SYSTEM TALENT TARGET
+    TEMPER TEMPLE TENANT TENDER TENNIS THEORY THIRTY THREAD THREAT THRONE TICKET TIMBER TOMATO TONGUE TOWARD
+    TRAVEL TREATY TROPHY TUNDRA TUNNEL TWELVE TWENTY UNIQUE UNLESS UNLIKE UPDATE USEFUL VALLEY VAPOUR VELVET
+    VESSEL VICTIM VIOLET VISION VOLUME WALLET WANDER WARMTH WEALTH WEAPON WEEKLY WEIGHT WINDOW WINTER WISDOM
+    WITHIN WONDER WOODEN WORKER WRITER YELLOW ZEPHYR ZIGZAG
+  `,
+  7: `
+    ABILITY ABSENCE ACADEMY ACCOUNT ACHIEVE ACQUIRE ADDRESS ADVANCE AIRSHIP ALCHEMY ANCIENT ANOTHER ANXIETY
+    ANYBODY ARRANGE ARRIVAL ARSENIC ATTEMPT ATTRACT AVERAGE BALANCE BATTERY BEARING BECAUSE BEDROOM
+    BENEFIT BETWEEN BICYCLE BILLION BLANKET BONFIRE BRITTLE BROTHER BURNING CABINET CALCIUM CAPABLE CAPITAL
+    CAPTAIN CAPTURE CAREFUL CARRIER CAUTION CEILING CENTRAL CENTURY CERTAIN CHAMBER CHANNEL CHAPTER
+    CHARITY CHEMIST CHICKEN CIRCUIT CITIZEN CLASSIC CLIMATE CLOTHES COASTAL COLLECT COLLEGE COMBINE COMFORT
+    COMMAND COMMENT COMPANY COMPARE COMPASS COMPLEX CONCEPT CONCERN CONDUCT CONFIRM CONNECT CONSIST CONTACT
+    CONTAIN CONTENT CONTEST CONTEXT CONTROL CONVERT COOKING CORRECT COUNCIL COUNTER COUNTRY COURAGE CRYSTAL
+    CULTURE CURRENT CUSHION CYCLONE DEFENSE DELIVER DENSITY DEPOSIT DESKTOP DESTROY DEVELOP DIAMOND DIGITAL
+    DISPLAY DISTANT DIVIDED DOLPHIN DRAUGHT DROUGHT DYNAMIC EARTHEN ECLIPSE ECONOMY EDITION ELEMENT EMBRACE
+    EMERALD EMOTION ENHANCE EPISODE ERUPTED EVENING EXACTLY EXAMPLE EXCITED EXHAUST EXPLAIN EXPLORE
+    EXPRESS EXTREME FACTORY FAILURE FASHION FEATHER FEATURE FERMENT FESTIVE FICTION FIREFLY FISHING FITNESS
+    FLICKER FOREVER FORTUNE FORWARD FOUNDER FREEDOM FURNACE FURTHER GALLERY GATEWAY GENERAL GENUINE GLACIER
+    GLIMMER GRAVITY GROWING HABITAT HARMONY HARVEST HEADING HEALTHY HEARING HEATING HELPFUL HIGHWAY HISTORY
+    HOLIDAY HORIZON HOUSING HOWEVER HUNDRED HUNTING IGNITED IMAGINE IMPROVE INCLUDE INDOORS INFERNO
+    INITIAL INSIGHT INSTALL INSTEAD INTENSE INVOLVE ISOTOPE JOURNAL JOURNEY JUSTICE KINGDOM KITCHEN KNOWING
+    LANTERN LEADING LEATHER LEISURE LIBRARY LICENSE LIGHTER LIMITED LIQUIDS LOGICAL MACHINE MAGICAL MANAGER
+    MARKING MASSIVE MAXIMUM MEANING MEASURE MEDICAL MEETING MENTION MERCURY MESSAGE MINERAL MINIMUM MISSION
+    MIXTURE MONSOON MONSTER MORNING MOUNTED MYSTERY NATURAL NEUTRAL NOTHING NUCLEAR NUMBERS OBVIOUS
+    OFFICER OPINION ORGANIC OUTSIDE OVERALL OXIDIZE PACKAGE PAINTER PARTNER PASSAGE PASSION PATIENT PATTERN
+    PAYMENT PENALTY PERFECT PERHAPS PICTURE PIONEER PLASTIC POTTERY POVERTY POWERED PREPARE PRESENT PREVENT
+    PRIMARY PRIVATE PROBLEM PROCESS PRODUCE PRODUCT PROGRAM PROJECT PROMISE PROTECT PROTEIN PROVIDE PURPOSE
+    QUALITY QUARTER RAINBOW READING REALITY RECEIVE RECOVER REFLECT REGULAR RELEASE REMAINS REPLACE REQUEST
+    REQUIRE RESERVE RESOLVE RESPECT RESPOND RESTORE REVENUE REVERSE ROUTINE RUNNING SATISFY SCIENCE SEAWEED
+    SECTION SEGMENT SERIOUS SERVICE SESSION SETTING SEVERAL SHADOWS SHELTER SILICON SIMILAR SOCIETY SOLDIER
+    SOMEONE SPARKLE SPECIAL SPINDLE STATION STORAGE STRANGE STRETCH STUDENT SUBJECT SUCCESS SUGGEST SULPHUR
+    SUMMARY SUNBEAM SUNRISE SUPPORT SUPREME SURFACE SURVIVE SYMPTOM TEACHER TEMPEST TENSION THEATER THERMAL
+    THOUGHT THUNDER TONIGHT TORNADO TOURIST TOWARDS TRAFFIC TRAINER TRIUMPH TROUBLE TSUNAMI TYPICAL UNIFORM
+    UNKNOWN UNUSUAL UPGRADE USUALLY VARIETY VEHICLE VENTURE VERSION VILLAGE VINTAGE VOLCANO WARNING WARRIOR
+    WEATHER WEDDING WESTERN WETLAND WHISPER WITNESS WRITING
+  `
+};
+
+/**
+ * Words accepted as word puzzle guesses, keyed by length
+ *
+ * @type {Object<number, string[]>}
+ */
+export const dictionaryWords = Object.fromEntries(
+  Object.entries(wordsByLength).map(([length, words]) => [length, words.trim().split(/\s+/)])
+);
@@ -2,7 +2,8 @@
  * ElementCraft - Element Constants
  * 
  * This module defines constants related to the elements in the game,
- * including colors, symbols, properties, and interaction rules.
+ * including colors, symbols, properties, particles and sounds.
+ * Element recipes are defined in the recipes module.
  * 
  * @module elements
  * @author ElementCraft Team
@@ -15,6 +16,9 @@ export const INITIAL_ELEMENTS = ['fire', 'water', 'earth', 'air'];
 // Additional elements that can be unlocked through progression
 export const UNLOCKABLE_ELEMENTS = ['metal', 'wood', 'crystal', 'steam', 'cloud', 'lava', 'sand', 'plasma'];
 
+// Elements that only arise as products of recipes
+export const PRODUCT_ELEMENTS = ['mud', 'rust', 'ore', 'oxidation', 'forge', 'forest', 'lightning', 'geyser'];
+
 // Element colors for visual representation
 export const elementColors = {
   // Basic elements
@@ -33,7 +37,17 @@ export const elementColors = {
   cloud: '#d4f1f9',
   lava: '#ff7043',
   sand: '#fff176',
-  plasma: '#ba68c8'
+  plasma: '#ba68c8',
+  
+  // Product elements
+  mud: '#6d4c41',
+  rust: '#bf5b2c',
+  ore: '#78909c',
+  oxidation: '#a1887f',
+  forge: '#ff8a65',
+  forest: '#2e7d32',
+  lightning: '#fff59d',
+  geyser: '#80deea'
 };
 
 // Element symbols or icons for compact representation
@@ -54,7 +68,17 @@ export const elementSymbols = {
   cloud: '🌤️',
   lava: '🌋',
   sand: '🏝️',
-  plasma: '⚡'
+  plasma: '⚡',
+  
+  // Product elements
+  mud: '🟫',
+  rust: '🔩',
+  ore: '🪨',
+  oxidation: '🌫️',
+  forge: '⚒️',
+  forest: '🌳',
+  lightning: '🌩️',
+  geyser: '⛲'
 };
 
 // Element descriptions for tooltips and information
@@ -70,7 +94,15 @@ export const elementDescriptions = {
   cloud: 'A floating element formed when air meets water. Can produce precipitation under certain conditions.',
   lava: 'A destructive element created when fire meets earth. Flows like water but ignites flammable materials.',
   sand: 'A granular element formed when earth is eroded. Can flow like a liquid but maintains solid properties.',
-  plasma: 'The most energetic state of matter, created from extreme heat. Emits light and electrical energy.'
+  plasma: 'The most energetic state of matter, created from extreme heat. Emits light and electrical energy.',
+  mud: 'A heavy, sticky element formed when water soaks into earth. Bakes back into earth when heated.',
+  rust: 'A brittle element formed when water corrodes metal. Crumbles back into the ground over time.',
+  ore: 'A dense element formed when metal settles into earth. Can be smelted with fire to recover metal.',
+  oxidation: 'A fine, drifting film formed when air tarnishes metal. Turns to rust when it meets water.',
+  forge: 'A blazing workshop created from fire, metal, and air. Can fuse sand into crystal.',
+  forest: 'A thriving grove created from water, earth, and wood. Highly flammable when fire is near.',
+  lightning: 'A crackling bolt created from crystal, fire, and air. Fuses sand into crystal on impact.',
+  geyser: 'A pressurised spring created from water, earth, and fire. Releases clouds of vapour into the air.'
 };
 
 // Element physics properties
@@ -158,72 +190,62 @@ export const elementProperties = {
     volatility: 1.0,
     conductivity: 1.0,
     stackable: false
-  }
-};
-
-// Element interaction rules
-export const elementInteractions = {
-  // Fire interactions
-  fire_water: {
-    result: 'steam',
-    score: 100
   },
-  fire_earth: {
-    result: 'lava',
-    score: 150
-  },
-  fire_air: {
-    result: 'plasma',
-    score: 200
-  },
-  fire_wood: {
-    result: 'fire', // Wood burns to more fire
-    score: 50
-  },
-  
-  // Water interactions
-  water_air: {
-    result: 'cloud',
-    score: 100
+  mud: {
+    density: 1.6,
+    viscosity: 0.8,
+    volatility: 0.05,
+    conductivity: 0.4,
+    stackable: false
   },
-  water_earth: {
-    result: 'mud', // Not implemented yet
-    score: 75
+  rust: {
+    density: 2.2,
+    viscosity: 0.0,
+    volatility: 0.05,
+    conductivity: 0.3,
+    stackable: true
   },
-  water_metal: {
-    result: 'rust', // Not implemented yet
-    score: 50
+  ore: {
+    density: 2.8,
+    viscosity: 0.0,
+    volatility: 0.0,
+    conductivity: 0.6,
+    stackable: true
   },
-  water_wood: {
-    result: 'wood', // Wood grows with water
-    score: 50,
-    special: 'growth'
+  oxidation: {
+    density: 0.5,
+    viscosity: 0.2,
+    volatility: 0.3,
+    conductivity: 0.2,
+    stackable: false
   },
-  
-  // Earth interactions
-  earth_air: {
-    result: 'sand',
-    score: 100
+  forge: {
+    density: 3.0,
+    viscosity: 0.0,
+    volatility: 0.5,
+    conductivity: 0.9,
+    stackable: true
   },
-  earth_metal: {
-    result: 'ore', // Not implemented yet
-    score: 125
+  forest: {
+    density: 0.9,
+    viscosity: 0.0,
+    volatility: 0.4,
+    conductivity: 0.3,
+    stackable: true
   },
-  
-  // Air interactions
-  air_metal: {
-    result: 'oxidation', // Not implemented yet
-    score: 75
+  lightning: {
+    density: 0.05,
+    viscosity: 0.0,
+    volatility: 1.0,
+    conductivity: 1.0,
+    stackable: false
   },
-  
-  // Special combinations
-  fire_metal_air: {
-    result: 'forge', // Special 3-element combination
-    score: 300
-  },
-  water_earth_wood: {
-    result: 'forest', // Special 3-element combination
-    score: 300
+  geyser: {
+    density: 1.2,
+    viscosity: 0.5,
+    volatility: 0.7,
+    conductivity: 0.7,
+    stackable: false
   }
 };
 
@@ -284,6 +306,90 @@ export const elementParticles = {
     size: { min: 2, max: 5 },
     lifetime: { min: 600, max: 1500 },
     velocity: { x: { min: -1, max: 1 }, y: { min: -3, max: -1 } }
+  },
+  cloud: {
+    count: 18,
+    color: '#d4f1f9',
+    size: { min: 3, max: 6 },
+    lifetime: { min: 800, max: 1800 },
+    velocity: { x: { min: -1.5, max: 1.5 }, y: { min: -1, max: 0.5 } }
+  },
+  lava: {
+    count: 15,
+    color: '#ff7043',
+    size: { min: 2, max: 4 },
+    lifetime: { min: 400, max: 1000 },
+    velocity: { x: { min: -1, max: 1 }, y: { min: -2, max: 1 } }
+  },
+  sand: {
+    count: 20,
+    color: '#fff176',
+    size: { min: 1, max: 2 },
+    lifetime: { min: 200, max: 600 },
+    velocity: { x: { min: -1, max: 1 }, y: { min: 1, max: 3 } }
+  },
+  plasma: {
+    count: 30,
+    color: '#ba68c8',
+    size: { min: 1, max: 4 },
+    lifetime: { min: 300, max: 900 },
+    velocity: { x: { min: -4, max: 4 }, y: { min: -4, max: 4 } }
+  },
+  mud: {
+    count: 8,
+    color: '#6d4c41',
+    size: { min: 2, max: 4 },
+    lifetime: { min: 200, max: 500 },
+    velocity: { x: { min: -0.5, max: 0.5 }, y: { min: 1, max: 2 } }
+  },
+  rust: {
+    count: 6,
+    color: '#bf5b2c',
+    size: { min: 1, max: 2 },
+    lifetime: { min: 200, max: 500 },
+    velocity: { x: { min: -0.5, max: 0.5 }, y: { min: 1, max: 2 } }
+  },
+  ore: {
+    count: 5,
+    color: '#78909c',
+    size: { min: 1, max: 3 },
+    lifetime: { min: 100, max: 300 },
+    velocity: { x: { min: -0.5, max: 0.5 }, y: { min: 1, max: 2 } }
+  },
+  oxidation: {
+    count: 15,
+    color: '#a1887f',
+    size: { min: 1, max: 2 },
+    lifetime: { min: 500, max: 1200 },
+    velocity: { x: { min: -1, max: 1 }, y: { min: -1, max: 1 } }
+  },
+  forge: {
+    count: 25,
+    color: '#ff8a65',
+    size: { min: 1, max: 3 },
+    lifetime: { min: 300, max: 900 },
+    velocity: { x: { min: -2, max: 2 }, y: { min: -4, max: -1 } }
+  },
+  forest: {
+    count: 12,
+    color: '#2e7d32',
+    size: { min: 2, max: 4 },
+    lifetime: { min: 500, max: 1200 },
+    velocity: { x: { min: -1, max: 1 }, y: { min: 0.5, max: 1.5 } }
+  },
+  lightning: {
+    count: 30,
+    color: '#fff59d',
+    size: { min: 1, max: 3 },
+    lifetime: { min: 100, max: 400 },
+    velocity: { x: { min: -5, max: 5 }, y: { min: -5, max: 5 } }
+  },
+  geyser: {
+    count: 25,
+    color: '#80deea',
+    size: { min: 2, max: 5 },
+    lifetime: { min: 600, max: 1400 },
+    velocity: { x: { min: -1, max: 1 }, y: { min: -6, max: -2 } }
   }
 };
 
@@ -348,5 +454,125 @@ export const elementSounds = {
       volume: 0.4,
       duration: 0.3
     }
+  },
+  crystal: {
+    place: {
+      frequency: 523.25, // C5
+      waveform: 'sine',
+      volume: 0.4,
+      duration: 0.4
+    }
+  },
+  steam: {
+    place: {
+      frequency: 466.16, // A#4
+      waveform: 'sine',
+      volume: 0.4,
+      duration: 0.3
+    }
+  },
+  cloud: {
+    place: {
+      frequency: 369.99, // F#4
+      waveform: 'sine',
+      volume: 0.3,
+      duration: 0.4
+    }
+  },
+  lava: {
+    place: {
+      frequency: 415.30, // G#4
+      waveform: 'sawtooth',
+      volume: 0.5,
+      duration: 0.4
+    }
+  },
+  sand: {
+    place: {
+      frequency: 293.66, // D4
+      waveform: 'triangle',
+      volume: 0.4,
+      duration: 0.3
+    }
+  },
+  plasma: {
+    place: {
+      frequency: 587.33, // D5
+      waveform: 'sawtooth',
+      volume: 0.5,
+      duration: 0.3
+    }
+  },
+  mud: {
+    place: {
+      frequency: 220, // A3
+      waveform: 'triangle',
+      volume: 0.5,
+      duration: 0.4
+    }
+  },
+  rust: {
+    place: {
+      frequency: 277.18, // C#4
+      waveform: 'square',
+      volume: 0.4,
+      duration: 0.25
+    }
+  },
+  ore: {
+    place: {
+      frequency: 246.94, // B3
+      waveform: 'square',
+      volume: 0.5,
+      duration: 0.3
+    }
+  },
+  oxidation: {
+    place: {
+      frequency: 311.13, // D#4
+      waveform: 'sine',
+      volume: 0.3,
+      duration: 0.4
+    }
+  },
+  forge: {
+    place: {
+      frequency: 554.37, // C#5
+      waveform: 'sawtooth',
+      volume: 0.5,
+      duration: 0.4
+    },
+    loop: {
+      file: 'fire_loop.mp3',
+      volume: 0.2
+    }
+  },
+  forest: {
+    place: {
+      frequency: 174.61, // F3
+      waveform: 'triangle',
+      volume: 0.4,
+      duration: 0.5
+    }
+  },
+  lightning: {
+    place: {
+      frequency: 659.25, // E5
+      waveform: 'sawtooth',
+      volume: 0.6,
+      duration: 0.2
+    }
+  },
+  geyser: {
+    place: {
+      frequency: 196, // G3
+      waveform: 'sine',
+      volume: 0.5,
+      duration: 0.5
+    },
+    loop: {
+      file: 'water_loop.mp3',
+      volume: 0.2
+    }
   }
 };
\ No newline at end of file
@@ -20,6 +20,9 @@ export const GAME_STATES = {
   // Shown when a level is completed
   LEVEL_COMPLETE: 'level_complete',
   
+  // Shown when the player runs out of moves
+  LEVEL_FAILED: 'level_failed',
+  
   // Shown for special puzzle challenges
   PUZZLE_MODE: 'puzzle_mode',
   
@@ -59,6 +62,9 @@ export const ACTION_TYPES = {
   // Proceed to the next level
   NEXT_LEVEL: 'next_level',
   
+  // Fail the level after running out of moves
+  FAIL_LEVEL: 'fail_level',
+  
   // Select an element
   SELECT_ELEMENT: 'select_element',
   
@@ -80,6 +86,12 @@ export const ACTION_TYPES = {
   // Resume the game
   RESUME_GAME: 'resume_game',
   
+  // Undo the last placement
+  UNDO: 'undo',
+  
+  // Redo an undone placement
+  REDO: 'redo',
+  
   // Toggle sound
   TOGGLE_SOUND: 'toggle_sound',
   
@@ -116,6 +128,131 @@ export const DIFFICULTY_LEVELS = {
   EXPERT: 'expert'
 };
 
+// Maximum placements that can be undone, per level difficulty
+export const UNDO_LIMITS = {
+  [DIFFICULTY_LEVELS.EASY]: 50,
+  [DIFFICULTY_LEVELS.MEDIUM]: 20,
+  [DIFFICULTY_LEVELS.HARD]: 10,
+  [DIFFICULTY_LEVELS.EXPERT]: 3
+};
+
+// Cascade reaction tuning (Cascade Reactions upgrade)
+export const CASCADE_RULES = {
+  maxSteps: 8,          // Steps resolved before a cascade is cut off
+  stepBonus: 0.5,       // Extra score multiplier per step after the first
+  maxMultiplier: 3      // Highest score multiplier a step can reach
+};
+
+// Inventory slots: the base amount, the Inventory Expansion bonus and
+// one extra slot every few player levels
+export const INVENTORY_SLOTS = {
+  base: 12,
+  expansion: 4,
+  levelInterval: 3
+};
+
+// Most of a single element the inventory can hold, by element tier
+export const STACK_CAPS = {
+  initial: 30,      // Starting elements
+  unlockable: 20,   // Elements unlocked through play
+  product: 10       // Elements only made by reactions
+};
+
+// Essence gained per element converted with Element Transmutation
+export const TRANSMUTATION_RATES = {
+  initial: 5,       // Starting elements
+  unlockable: 15,   // Elements unlocked through play
+  product: 25       // Elements only made by reactions
+};
+
+// Sandbox board size limits and the mechanics players can switch off
+export const SANDBOX_DEFAULTS = {
+  rows: 8,
+  cols: 8,
+  minSize: 4,
+  maxSize: 16,
+  mechanics: {
+    gravity: true,      // Simulation tick moves elements
+    fireSpread: true,   // Fire ignites flammable neighbours
+    cascades: true      // Reaction products keep reacting
+  }
+};
+
+// Ranges the daily challenge generator picks from
+export const DAILY_CHALLENGE_RULES = {
+  minSize: 6,
+  maxSize: 10,
+  minObstacles: 0.04,   // Share of cells blocked by obstacles
+  maxObstacles: 0.1,
+  minPalette: 4,        // Elements the player can place
+  maxPalette: 7,
+  minMoves: 20,
+  maxMoves: 40,
+  minObjectives: 2,
+  maxObjectives: 4,
+  calendarDays: 14      // Past days shown as played or missed
+};
+
+// Persisted save: the storage key, the schema version and where a save
+// that can't be loaded is copied to. Bump the version and add a migration
+// in saveSchema whenever the shape of saved state changes.
+export const SAVE_SCHEMA = {
+  key: 'elementcraft-game-storage',
+  backupKey: 'elementcraft-game-storage-backup',
+  version: 1
+};
+
+// Word puzzle answers: word lengths per tier, and how often each rarity
+// is picked relative to the others
+export const WORD_PUZZLE_BANK = {
+  lengthTiers: {
+    short: [4, 5],
+    medium: [5, 6],
+    long: [6, 7]
+  },
+  rarityWeights: { common: 6, uncommon: 3, rare: 1 }
+};
+
+// Word puzzle hints: each hint level costs more essence and lowers the
+// score of a solved puzzle. The last level reveals a letter and can be
+// bought again until one unknown letter is left.
+export const WORD_PUZZLE_HINTS = {
+  costs: [5, 10, 20, 30], // Essence per level: first letter, vowels, definition, letter
+  basePoints: 100,        // Score of a standalone puzzle solved without hints
+  scorePenalty: 0.15,     // Share of the points lost per hint
+  minScoreShare: 0.25     // Share of the points kept however many hints were used
+};
+
+// Box layouts of the logic puzzle grid sizes, as [height, width]
+export const LOGIC_BOX_LAYOUTS = {
+  4: [2, 2],
+  6: [2, 3],
+  9: [3, 3]
+};
+
+// Logic puzzle generator tuning
+export const LOGIC_PUZZLE_RULES = {
+  attempts: 12,     // Grids tried before settling for the closest difficulty
+  cagesPerRow: 0.5, // Reaction cages per grid row in the cage variants
+  // Tiers offered per grid size: pairs and box interactions hardly ever
+  // come up on the smaller grids
+  difficulties: {
+    4: [DIFFICULTY_LEVELS.EASY],
+    6: [DIFFICULTY_LEVELS.EASY],
+    9: [DIFFICULTY_LEVELS.EASY, DIFFICULTY_LEVELS.MEDIUM, DIFFICULTY_LEVELS.HARD, DIFFICULTY_LEVELS.EXPERT]
+  }
+};
+
+// Logic puzzle variants: extra rules on top of rows, columns and boxes.
+// Levels and the puzzle menu pick one by name; the rules can be mixed.
+export const LOGIC_PUZZLE_VARIANTS = {
+  classic: {},
+  diagonal: { diagonal: true },                     // Both long diagonals hold one of each element
+  cages: { cages: true },                           // Cages hold a reaction's ingredients
+  elemental: { notAdjacent: [['fire', 'water']] },  // Fire never touches water
+  mixed: { diagonal: true, cages: true, notAdjacent: [['fire', 'water']] }
+};
+
 // Player progression stages
 export const PROGRESSION_STAGES = {
   NOVICE: 'novice',        // Just beginning
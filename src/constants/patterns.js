@@ -0,0 +1,88 @@
+/**
+ * ElementCraft - Pattern Constants
+ *
+ * This module defines board patterns as data. A pattern is an ASCII
+ * template (or a list of cell offsets) whose characters are looked up in
+ * a legend, so new structures can be added here without writing code.
+ *
+ * Template characters:
+ *   '.'  the cell must be empty
+ *   '?'  any cell, empty or not (wildcard)
+ *   '*'  any element
+ *   other characters are looked up in the pattern's legend
+ *
+ * Objectives can reference a pattern by id or describe one inline with
+ * their own template and legend. Structures without a fixed shape, such
+ * as rooms and loops, are found by the graph-based objective evaluators.
+ *
+ * Legend values may be an element name, an array of element names (any
+ * of them matches) or an object of elementProperties that the element
+ * must have, e.g. { stackable: true } for solid elements.
+ *
+ * @module patterns
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} PatternDefinition
+ * @property {string} id - Unique pattern identifier
+ * @property {string[]} [template] - ASCII rows describing the pattern
+ * @property {Array<Array>} [cells] - Cell offsets as [row, col, token], instead of a template
+ * @property {Object} [legend] - Template characters mapped to element constraints
+ * @property {boolean} [rotate] - Also match the pattern rotated by 90, 180 and 270 degrees
+ * @property {boolean} [reflect] - Also match the pattern mirrored
+ * @property {string} [stretch] - Objective field giving how many times to repeat the template rows
+ * @property {Object} [defaults] - Default values for objective fields such as the stretch field
+ * @property {number} [count] - Matches required to complete a build_structure objective
+ * @property {number} [score] - Points awarded on the board each time the pattern is found
+ * @property {string} [description] - Player-facing description of the pattern
+ * @property {Object} [effect] - Changes applied to matched cells when the pattern scores
+ * @property {string} [effect.target] - Only cells holding this element are changed
+ * @property {Object} [effect.set] - Properties to set on the cells
+ * @property {Object} [effect.add] - Numeric properties to increase (starting from 1)
+ */
+
+/** @type {Object<string, PatternDefinition>} */
+export const boardPatterns = {
+  // 2x2 block of earth
+  earth_square: {
+    id: 'earth_square',
+    template: [
+      'EE',
+      'EE'
+    ],
+    legend: { E: 'earth' },
+    score: 200,
+    description: 'Built a solid earth foundation',
+    effect: {
+      target: 'earth',
+      set: { stable: true },
+      add: { strength: 1 }
+    }
+  },
+
+  // Fire feeding a straight line of metal, in any direction
+  metal_fire_path: {
+    id: 'metal_fire_path',
+    template: ['FMM'],
+    legend: { F: 'fire', M: 'metal' },
+    rotate: true,
+    score: 250,
+    description: 'Created a conductive metal path with fire',
+    effect: {
+      target: 'metal',
+      set: { conductive: true },
+      add: { power: 1 }
+    }
+  },
+
+  // Unbroken column of elements, as tall as the objective's height
+  vertical_stack: {
+    id: 'vertical_stack',
+    template: ['*'],
+    stretch: 'height',
+    defaults: { height: 3 },
+    description: 'Built a tall tower'
+  }
+};
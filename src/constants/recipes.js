@@ -0,0 +1,211 @@
+/**
+ * ElementCraft - Recipe Constants
+ *
+ * This module defines every element recipe in the game. A recipe lists
+ * the ingredients it consumes (in any order), the element it produces,
+ * optional conditions on the ingredients and optional catalysts that
+ * must be nearby but are not consumed.
+ *
+ * Adding a recipe here is all that is needed for the board, chain
+ * reactions and special combinations to pick it up.
+ *
+ * @module recipes
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} Recipe
+ * @property {string} id - Unique recipe identifier
+ * @property {string[]} ingredients - Elements consumed by the recipe (order-independent)
+ * @property {string} result - Element produced by the recipe
+ * @property {number} score - Points awarded when the recipe fires
+ * @property {string[]} [catalysts] - Elements that must be nearby but are not consumed
+ * @property {Object} [conditions] - Extra requirements on the ingredient cells
+ * @property {boolean} [conditions.amplified] - At least one ingredient must be amplified
+ * @property {number} [conditions.minPower] - The strongest ingredient must have at least this power
+ * @property {string} [special] - Special effect tag for the reaction
+ * @property {string} [description] - Player-facing description of the reaction
+ */
+
+/** @type {Recipe[]} */
+export const elementRecipes = [
+  // Fire recipes
+  {
+    id: 'fire_water',
+    ingredients: ['fire', 'water'],
+    result: 'steam',
+    score: 100
+  },
+  {
+    id: 'fire_earth',
+    ingredients: ['fire', 'earth'],
+    result: 'lava',
+    score: 150
+  },
+  {
+    id: 'fire_air',
+    ingredients: ['fire', 'air'],
+    result: 'plasma',
+    score: 200
+  },
+  {
+    id: 'fire_wood',
+    ingredients: ['fire', 'wood'],
+    result: 'fire', // Wood burns to more fire
+    score: 50
+  },
+
+  // Water recipes
+  {
+    id: 'water_air',
+    ingredients: ['water', 'air'],
+    result: 'cloud',
+    score: 100
+  },
+  {
+    id: 'water_earth',
+    ingredients: ['water', 'earth'],
+    result: 'mud',
+    score: 75
+  },
+  {
+    id: 'water_metal',
+    ingredients: ['water', 'metal'],
+    result: 'rust',
+    score: 50
+  },
+  {
+    id: 'water_wood',
+    ingredients: ['water', 'wood'],
+    result: 'wood', // Wood grows with water
+    score: 50,
+    special: 'growth'
+  },
+
+  // Earth recipes
+  {
+    id: 'earth_air',
+    ingredients: ['earth', 'air'],
+    result: 'sand',
+    score: 100
+  },
+  {
+    id: 'earth_metal',
+    ingredients: ['earth', 'metal'],
+    result: 'ore',
+    score: 125
+  },
+
+  // Air recipes
+  {
+    id: 'air_metal',
+    ingredients: ['air', 'metal'],
+    result: 'oxidation',
+    score: 75
+  },
+
+  // Product follow-on recipes
+  {
+    id: 'mud_fire',
+    ingredients: ['mud', 'fire'],
+    result: 'earth', // Mud bakes dry
+    score: 75
+  },
+  {
+    id: 'mud_wood',
+    ingredients: ['mud', 'wood'],
+    result: 'forest', // Wood takes root in mud
+    score: 150
+  },
+  {
+    id: 'rust_earth',
+    ingredients: ['rust', 'earth'],
+    result: 'ore', // Rust crumbles back into the ground
+    score: 75
+  },
+  {
+    id: 'ore_fire',
+    ingredients: ['ore', 'fire'],
+    result: 'metal', // Smelting
+    score: 150
+  },
+  {
+    id: 'oxidation_water',
+    ingredients: ['oxidation', 'water'],
+    result: 'rust',
+    score: 75
+  },
+  {
+    id: 'forge_sand',
+    ingredients: ['forge', 'sand'],
+    result: 'crystal', // Glassmaking
+    score: 300
+  },
+  {
+    id: 'forest_fire',
+    ingredients: ['forest', 'fire'],
+    result: 'fire', // Wildfire
+    score: 100
+  },
+  {
+    id: 'lightning_sand',
+    ingredients: ['lightning', 'sand'],
+    result: 'crystal', // Fulgurite
+    score: 350
+  },
+  {
+    id: 'geyser_air',
+    ingredients: ['geyser', 'air'],
+    result: 'cloud',
+    score: 150
+  },
+
+  // Conditional and catalysed recipes
+  {
+    id: 'steam_fire_amplified',
+    ingredients: ['steam', 'fire'],
+    result: 'plasma',
+    score: 250,
+    conditions: { amplified: true },
+    description: 'Amplified fire superheated steam into plasma'
+  },
+  {
+    id: 'sand_lava_quench',
+    ingredients: ['sand', 'lava'],
+    result: 'crystal',
+    score: 250,
+    catalysts: ['water'],
+    description: 'Water quenched molten sand into crystal'
+  },
+
+  // Special three-element recipes
+  {
+    id: 'forge',
+    ingredients: ['fire', 'metal', 'air'],
+    result: 'forge',
+    score: 300,
+    description: 'Created a forge by combining fire, metal, and air'
+  },
+  {
+    id: 'forest',
+    ingredients: ['water', 'earth', 'wood'],
+    result: 'forest',
+    score: 300,
+    description: 'Created a forest by combining water, earth, and wood'
+  },
+  {
+    id: 'lightning',
+    ingredients: ['crystal', 'fire', 'air'],
+    result: 'lightning',
+    score: 400,
+    description: 'Created lightning by combining crystal, fire, and air'
+  },
+  {
+    id: 'geyser',
+    ingredients: ['water', 'earth', 'fire'],
+    result: 'geyser',
+    score: 350,
+    description: 'Created a geyser by combining water, earth, and fire'
+  }
+];
@@ -0,0 +1,95 @@
+/**
+ * ElementCraft - Word Puzzle Word Bank
+ *
+ * This module holds the themed answers of the word puzzles. Each theme
+ * belongs to an element and unlocks together with it. Words are 4 to 7
+ * letters long and grouped by rarity: common words come up most often,
+ * rare words are the obscure ones.
+ *
+ * Like the dictionary, words are kept as space-separated strings so the
+ * lists stay easy to scan and extend. A word belongs to one theme only.
+ *
+ * @module wordBank
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+// Answers per theme and rarity, upper case
+const themedWords = {
+  fire: {
+    common: 'FLAME BLAZE BURN HEAT SPARK EMBER TORCH SMOKE ASHES FLARE GLOW CANDLE FUEL MATCH',
+    uncommon: 'SCORCH KINDLE INFERNO BONFIRE CINDER SINGE CHAR FLICKER IGNITE BEACON HEARTH SOOT',
+    rare: 'PYRE SEAR TINDER SMOLDER BRAZIER FURNACE'
+  },
+  water: {
+    common: 'WATER RIVER OCEAN RAIN WAVE LAKE POND STREAM SPLASH DRIP FLOOD TIDE FLUID',
+    uncommon: 'AQUA HYDRO BROOK CREEK SPRING LAGOON MARSH CURRENT RIPPLE HARBOR DELUGE',
+    rare: 'EDDY WEIR ESTUARY TORRENT FJORD BAYOU SLUICE'
+  },
+  earth: {
+    common: 'STONE ROCK SOIL CLAY EARTH DIRT HILL CAVE LAND GROUND BOULDER PEBBLE',
+    uncommon: 'TERRA QUAKE CANYON VALLEY GRAVEL CLIFF RIDGE MESA BEDROCK FOSSIL CAVERN',
+    rare: 'LOAM SHALE GRANITE TALUS SCREE STRATA'
+  },
+  air: {
+    common: 'WIND BREEZE GUST STORM BREATH DRAFT SWIRL GALE FLIGHT',
+    uncommon: 'ZEPHYR WISP TORNADO CYCLONE WHIRL SQUALL TEMPEST FEATHER',
+    rare: 'AURA MISTRAL SIROCCO AERIAL'
+  },
+  metal: {
+    common: 'METAL IRON GOLD STEEL SILVER COPPER BRASS LEAD COIN ANVIL',
+    uncommon: 'ALLOY FORGE SMITH BRONZE NICKEL CHROME RIVET INGOT ZINC',
+    rare: 'PEWTER COBALT SOLDER BILLET TEMPER'
+  },
+  wood: {
+    common: 'WOOD TREE LEAF SEED PLANT FOREST BRANCH ROOT TRUNK BARK PINE MAPLE',
+    uncommon: 'GROVE TIMBER SAPLING ACORN WILLOW CEDAR THICKET BAMBOO',
+    rare: 'BIRCH ALDER COPSE SPRUCE RESIN LUMBER ARBOR'
+  },
+  crystal: {
+    common: 'CRYSTAL GLASS QUARTZ JEWEL SHINE PRISM',
+    uncommon: 'DIAMOND RUBY OPAL JADE EMERALD TOPAZ FACET AMBER',
+    rare: 'GARNET BERYL ONYX AGATE GEODE'
+  },
+  steam: {
+    common: 'STEAM MIST HAZE BOIL KETTLE FUMES SAUNA',
+    uncommon: 'GEYSER PISTON ENGINE BOILER VALVE',
+    rare: 'WHISTLE SPOUT HUMID'
+  },
+  cloud: {
+    common: 'CLOUD SNOW SHOWER DRIZZLE FROST HAIL VAPOR',
+    uncommon: 'THUNDER NIMBUS CUMULUS MONSOON SLEET',
+    rare: 'CIRRUS STRATUS VIRGA'
+  },
+  lava: {
+    common: 'LAVA MAGMA MOLTEN VOLCANO ERUPT CRATER',
+    uncommon: 'CALDERA BASALT PUMICE VENT',
+    rare: 'TEPHRA SCORIA FISSURE'
+  },
+  sand: {
+    common: 'SAND DUNE BEACH DESERT SHORE GRAIN',
+    uncommon: 'OASIS MIRAGE SILT DRIFT SANDBAR',
+    rare: 'LOESS GRIT SILICA'
+  },
+  plasma: {
+    common: 'PLASMA ENERGY FUSION LIGHT SOLAR',
+    uncommon: 'ETHER PULSE NEON AURORA',
+    rare: 'PHOTON QUASAR CORONA NOVA VOID'
+  }
+};
+
+/**
+ * Word puzzle answers keyed by theme, then rarity
+ *
+ * The theme name is the element that unlocks it.
+ *
+ * @type {Object<string, Object<string, string[]>>}
+ */
+export const wordBank = Object.fromEntries(
+  Object.entries(themedWords).map(([theme, rarities]) => [
+    theme,
+    Object.fromEntries(
+      Object.entries(rarities).map(([rarity, words]) => [rarity, words.trim().split(/\s+/)])
+    )
+  ])
+);
@@ -12,6 +12,7 @@
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import useGameStore from '../store/gameStore';
+import { GAME_MODES } from '../constants/gameStates';
 import { initializeAudio, setVolume } from '../utils/sounds';
 
 // Create context
@@ -37,6 +38,8 @@ export const GameProvider = ({ children }) => {
     showSettings: false,
     showAchievements: false,
     showStore: false,
+    showTransmutation: false,
+    showDailyChallenge: false,
     showTutorial: false,
     showGameOver: false,
     showCredits: false,
@@ -114,6 +117,8 @@ export const GameProvider = ({ children }) => {
       showSettings: false,
       showAchievements: false,
       showStore: false,
+      showTransmutation: false,
+      showDailyChallenge: false,
       showTutorial: false,
       showGameOver: false,
       showCredits: false,
@@ -134,6 +139,11 @@ export const GameProvider = ({ children }) => {
   
   // Continue saved game
   const continueGame = () => {
+    // Coming back from another mode reloads the campaign level
+    if (gameStore.gameMode !== GAME_MODES.CAMPAIGN) {
+      gameStore.returnToCampaign();
+    }
+    
     gameStore.startGame();
     setAppState(prev => ({
       ...prev,
@@ -142,6 +152,76 @@ export const GameProvider = ({ children }) => {
     }));
   };
   
+  // Start free play in the sandbox
+  const startSandbox = () => {
+    gameStore.startSandbox();
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      modalStack: []
+    }));
+  };
+  
+  // Play today's daily challenge
+  const startDailyChallenge = () => {
+    gameStore.startDailyChallenge();
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      showDailyChallenge: false,
+      modalStack: []
+    }));
+  };
+  
+  // Play a standalone word puzzle
+  const startWordPuzzle = () => {
+    gameStore.startWordPuzzle();
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      modalStack: []
+    }));
+  };
+  
+  // Reopen the unfinished word puzzle from the main menu
+  const openWordPuzzle = () => {
+    gameStore.openWordPuzzle();
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      modalStack: []
+    }));
+  };
+  
+  // Start a standalone logic puzzle
+  const startLogicPuzzle = (size, difficulty, variant) => {
+    gameStore.startLogicPuzzle(size, difficulty, variant);
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      modalStack: []
+    }));
+  };
+  
+  // Reopen the unfinished logic puzzle from the main menu
+  const openLogicPuzzle = () => {
+    gameStore.openLogicPuzzle();
+    setAppState(prev => ({
+      ...prev,
+      showMainMenu: false,
+      modalStack: []
+    }));
+  };
+  
+  // Toggle the daily challenge overview
+  const toggleDailyChallenge = () => {
+    if (appState.showDailyChallenge) {
+      popModal();
+    } else {
+      pushModal('DailyChallenge');
+    }
+  };
+  
   // Toggle settings menu
   const toggleSettings = () => {
     if (appState.showSettings) {
@@ -219,6 +299,13 @@ export const GameProvider = ({ children }) => {
     showMainMenu,
     startNewGame,
     continueGame,
+    startSandbox,
+    startDailyChallenge,
+    toggleDailyChallenge,
+    startWordPuzzle,
+    openWordPuzzle,
+    startLogicPuzzle,
+    openLogicPuzzle,
     toggleSettings,
     toggleAchievements,
     toggleStore,
@@ -0,0 +1,35 @@
+/**
+ * ElementCraft - Simulation Hook
+ *
+ * This custom hook drives the board simulation at a fixed rate. The store
+ * only advances the simulation while the game is playing, so pausing or
+ * leaving the level stops the board without clearing the timer here.
+ *
+ * @module useSimulation
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { useEffect } from 'react';
+import useGameStore from '../store/gameStore';
+import { SIMULATION_TICK_MS } from '../utils/simulation';
+
+/**
+ * Run the board simulation while enabled
+ *
+ * @param {boolean} enabled - Whether the simulation timer should run
+ * @param {number} [interval=SIMULATION_TICK_MS] - Milliseconds between ticks
+ */
+const useSimulation = (enabled, interval = SIMULATION_TICK_MS) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const timer = setInterval(() => {
+      useGameStore.getState().advanceSimulation();
+    }, interval);
+
+    return () => clearInterval(timer);
+  }, [enabled, interval]);
+};
+
+export default useSimulation;
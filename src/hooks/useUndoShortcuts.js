@@ -0,0 +1,50 @@
+/**
+ * ElementCraft - Undo Shortcuts Hook
+ *
+ * This custom hook binds the standard keyboard shortcuts for undoing and
+ * redoing board placements: Ctrl/Cmd+Z to undo, and Ctrl/Cmd+Shift+Z or
+ * Ctrl/Cmd+Y to redo.
+ *
+ * @module useUndoShortcuts
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { useEffect } from 'react';
+import useGameStore from '../store/gameStore';
+
+/**
+ * Listen for undo/redo shortcuts while enabled
+ *
+ * @param {boolean} enabled - Whether the shortcuts are active
+ */
+const useUndoShortcuts = (enabled) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      // Leave text fields to the browser's own undo
+      const tag = event.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+      const key = event.key.toLowerCase();
+      const { undo, redo } = useGameStore.getState();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useUndoShortcuts;
@@ -12,6 +12,10 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { validateRecipes } from './utils/recipes';
+import { validateObjectives } from './utils/objectives';
+import { validatePatterns } from './utils/patterns';
+import { levelObjectives } from './constants/levels';
 import './styles/main.css';
 import './styles/app.css';
 import './styles/components.css';
@@ -33,6 +37,15 @@ document.addEventListener('click', initAudio);
 document.addEventListener('keydown', initAudio);
 document.addEventListener('touchstart', initAudio);
 
+// Fail loudly if any recipe references an undefined element
+validateRecipes();
+
+// Fail loudly if any board pattern is malformed
+validatePatterns();
+
+// Fail loudly if any level objective has no evaluator
+validateObjectives(levelObjectives);
+
 // Create root element for React rendering
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
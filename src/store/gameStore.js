@@ -10,20 +10,51 @@
  */
 
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
+import { createJSONStorage, persist } from 'zustand/middleware';
 import { 
   generateBoard, 
   checkInteractions, 
   checkWordPuzzle, 
   checkLogicPuzzle 
 } from '../utils/gameLogic';
+import { createRng, hashSeed, randomSeed } from '../utils/random';
+import { simulateTick } from '../utils/simulation';
+import { amplifyBoard, scoreEffects } from '../utils/reactions';
+import { addToInventory, getElementTier, getSlotCount, getStackCap } from '../utils/inventory';
+import { evaluateObjective } from '../utils/objectives';
+import { createSaveRecovery, isReadableSave, migrateSave, repairSave } from '../utils/saveSchema';
 import { 
-  INITIAL_ELEMENTS,
-  elementInteractions 
-} from '../constants/elements';
+  createWordPuzzle, 
+  createLogicPuzzle, 
+  createObjectivePuzzle, 
+  findHiddenLetter, 
+  generateWordHint, 
+  getLogicPuzzleDifficulties, 
+  getWordHintCost, 
+  getWordPuzzleScore, 
+  getLogicPuzzleVariants, 
+  getThemeWords, 
+  getWordTheme, 
+  isValidWord 
+} from '../utils/puzzles';
+import { INITIAL_ELEMENTS, elementProperties } from '../constants/elements';
+import { getRecipeElements } from '../utils/recipes';
+import { 
+  generateDailyChallenge, 
+  createChallengeBoard, 
+  recordDailyResult, 
+  getDateKey 
+} from '../utils/dailyChallenge';
 import { 
   GAME_STATES,
-  ACTION_TYPES 
+  GAME_MODES,
+  ACTION_TYPES,
+  DIFFICULTY_LEVELS,
+  UNDO_LIMITS,
+  TRANSMUTATION_RATES,
+  SANDBOX_DEFAULTS,
+  SAVE_SCHEMA,
+  WORD_PUZZLE_HINTS
 } from '../constants/gameStates';
 import { 
   levelRequirements,
@@ -55,12 +86,99 @@ const defaultSettings = {
   colorblindMode: 'none'
 };
 
+// Copy a board so history snapshots are never mutated
+const cloneBoard = (board) => board.map(row => row.map(cell => (cell ? { ...cell } : null)));
+
+// Apply an inventory delta, in either direction
+const applyInventoryDelta = (inventory, delta, direction) => {
+  const newInventory = { ...inventory };
+  
+  Object.entries(delta).forEach(([element, amount]) => {
+    newInventory[element] = Math.max(0, (newInventory[element] || 0) + amount * direction);
+  });
+  
+  return newInventory;
+};
+
+// Queue elements that did not fit in the inventory for the overflow prompt,
+// tagged with the id of the placement that produced them, if any
+const queueOverflow = (pending, overflow, source, transaction = null) => {
+  return Object.keys(overflow).length > 0 ? [...pending, { source, elements: overflow, transaction }] : pending;
+};
+
+// Key of an objective puzzle in puzzleRetries
+const getPuzzleRetryKey = (level, objectiveId) => `${level}-${objectiveId}`;
+
+// Ids for placement transactions, unique across sessions so overflow
+// batches in a save never match a later placement
+let transactionCount = 0;
+const createTransactionId = () => `${Date.now().toString(36)}-${transactionCount++}`;
+
+// Copy the stored save aside before it gets overwritten
+const backupSave = (saved = localStorage.getItem(SAVE_SCHEMA.key)) => {
+  if (saved === null) return;
+  
+  try {
+    localStorage.setItem(SAVE_SCHEMA.backupKey, saved);
+  } catch (error) {
+    console.error('Could not back up the save:', error);
+  }
+};
+
+// Save storage that backs up saves that can't be parsed and loads them
+// as a recovery notice instead of failing the whole rehydration
+const saveStorage = {
+  getItem: (name) => {
+    const saved = localStorage.getItem(name);
+    if (saved === null || isReadableSave(saved)) return saved;
+    
+    backupSave(saved);
+    return JSON.stringify({
+      state: { saveRecovery: createSaveRecovery('unreadable') },
+      version: SAVE_SCHEMA.version
+    });
+  },
+  setItem: (name, value) => localStorage.setItem(name, value),
+  removeItem: (name) => localStorage.removeItem(name)
+};
+
+// State that isn't saved: it is rebuilt while playing and the
+// simulation would otherwise write it out on every tick. Placement
+// history holds board copies, so it only lasts for the session.
+const unsavedState = ['boardEffects', 'undoStack', 'redoStack'];
+
+// Drop the unsaved fields from the state or a set aside campaign level
+const omitUnsavedState = (state) => Object.fromEntries(
+  Object.entries(state).filter(([key]) => !unsavedState.includes(key))
+);
+
+// Modes that play on a board of their own in place of the campaign level
+const separateBoardModes = [GAME_MODES.SANDBOX, GAME_MODES.DAILY_CHALLENGE];
+
+// Campaign level state set aside while a separate board mode is played;
+// the score is included so the daily challenge's points stay out of the campaign
+const campaignLevelFields = [
+  'board', 'objectives', 'objectiveErrors', 'movesUsed', 'levelStats', 'levelStart',
+  'rngState', 'tick', 'catalystUsed', 'undoStack', 'redoStack', 'score'
+];
+
+// Set the campaign level aside, unless it already is or the board on
+// screen belongs to another mode
+const saveCampaignLevel = (state) => {
+  if (state.campaignLevel || separateBoardModes.includes(state.gameMode)) {
+    return state.campaignLevel;
+  }
+  
+  return Object.fromEntries(campaignLevelFields.map(field => [field, state[field]]));
+};
+
 // Create game store with persistence
 const useGameStore = create(
   persist(
     (set, get) => ({
       // Game state
       gameState: GAME_STATES.INTRO,
+      gameMode: GAME_MODES.CAMPAIGN,
       currentLevel: 1,
       score: 0,
       playerEssence: 0,
@@ -71,6 +189,18 @@ const useGameStore = create(
       board: [],
       selectedElement: null,
       
+      // Simulation
+      tick: 0,
+      
+      // Effect log for animations: the latest placement's effects, kept
+      // while its cascade plays, and the latest simulation tick's changes
+      // tagged with source 'simulation'
+      boardEffects: [],
+      
+      // Placement history
+      undoStack: [],
+      redoStack: [],
+      
       // Inventory and elements
       inventory: INITIAL_ELEMENTS.reduce((acc, element) => {
         acc[element] = 5; // Start with 5 of each basic element
@@ -78,20 +208,90 @@ const useGameStore = create(
       }, {}),
       unlockedElements: [...INITIAL_ELEMENTS],
       
+      // Special store items the player owns, by item id
+      ownedUpgrades: [],
+      catalystUsed: false,
+      
+      // Elements that did not fit in the inventory, as [{ source, elements,
+      // transaction }] where transaction is the id of the placement behind them
+      pendingOverflow: [],
+      
       // Level progress
       objectives: [],
+      movesUsed: 0,
+      levelStart: null,
+      levelStats: { placed: {}, longestChain: 0 },
+      objectiveErrors: [],
       levelsCompleted: [],
       
+      // Campaign level set aside by the sandbox or the daily challenge,
+      // restored by returnToCampaign
+      campaignLevel: null,
+      
       // Puzzle state
       currentWordPuzzle: null,
       currentLogicPuzzle: null,
       
+      // Puzzle opened from a level objective, as { type, objectiveId,
+      // returnState, wordPuzzle, logicPuzzle } with the game state and
+      // standalone puzzles to go back to
+      levelPuzzle: null,
+      
+      // Failed attempts at objective puzzles, keyed by level and objective id,
+      // so a retry gets a new puzzle
+      puzzleRetries: {},
+      
+      // Standalone word puzzle results; distribution counts wins by number of guesses
+      wordPuzzleStats: { played: 0, won: 0, hints: 0, distribution: {} },
+      
+      // Solved word puzzle answers per theme, so answers don't repeat
+      // until the theme runs out
+      solvedWords: {},
+      
+      // Random state (same seed + same moves = same board)
+      seed: randomSeed(),
+      rngState: null,
+      
+      // Sandbox board size and switchable mechanics
+      sandbox: {
+        rows: SANDBOX_DEFAULTS.rows,
+        cols: SANDBOX_DEFAULTS.cols,
+        mechanics: { ...SANDBOX_DEFAULTS.mechanics }
+      },
+      
+      // Daily challenge being played, and results keyed by date
+      dailyChallenge: null,
+      dailyHistory: {},
+      
       // Settings
       settings: { ...defaultSettings },
       
+      // Set when the save couldn't be loaded as is, as { reason, fields,
+      // version, backupKey, date }; the original save is in backupKey
+      saveRecovery: null,
+      
       // Initialize the game
       initGame: () => {
-        const { currentLevel } = get();
+        const { 
+          currentLevel, 
+          seed, 
+          inventory, 
+          unlockedElements, 
+          score, 
+          playerEssence, 
+          experience, 
+          playerLevel,
+          levelPuzzle
+        } = get();
+        
+        // A puzzle left open doesn't outlive its level
+        if (levelPuzzle) {
+          set({
+            currentWordPuzzle: levelPuzzle.wordPuzzle,
+            currentLogicPuzzle: levelPuzzle.logicPuzzle,
+            levelPuzzle: null
+          });
+        }
         
         // Create initial board
         const { rows, cols } = levelRequirements[currentLevel] || { rows: 8, cols: 8 };
@@ -107,24 +307,113 @@ const useGameStore = create(
           board, 
           objectives,
           gameState: GAME_STATES.INTRO,
-          selectedElement: null
+          selectedElement: null,
+          rngState: hashSeed(seed, currentLevel),
+          tick: 0,
+          boardEffects: [],
+          undoStack: [],
+          redoStack: [],
+          movesUsed: 0,
+          levelStats: { placed: {}, longestChain: 0 },
+          objectiveErrors: [],
+          catalystUsed: false,
+          // Progress to roll back to if the level is retried after failing
+          levelStart: { inventory, unlockedElements, score, playerEssence, experience, playerLevel }
         });
       },
       
+      // Set the game seed and restart the current level from it
+      setSeed: (seed) => {
+        set({ seed: seed >>> 0 });
+        get().initGame();
+      },
+      
       // Start the game
+      // A puzzle opened from an objective is reopened where it was left
       startGame: () => {
-        set({ gameState: GAME_STATES.PLAYING });
+        set({ gameState: get().levelPuzzle ? GAME_STATES.PUZZLE_MODE : GAME_STATES.PLAYING });
+      },
+      
+      // Pause the game (stops the simulation)
+      pauseGame: () => {
+        if (get().gameState === GAME_STATES.PLAYING) {
+          set({ gameState: GAME_STATES.PAUSED });
+        }
+      },
+      
+      // Resume a paused game
+      resumeGame: () => {
+        if (get().gameState === GAME_STATES.PAUSED) {
+          set({ gameState: GAME_STATES.PLAYING });
+        }
+      },
+      
+      // Advance the board simulation by one tick
+      advanceSimulation: () => {
+        const { gameState, board, rngState, seed, currentLevel, tick } = get();
+        
+        // Only simulate while actively playing
+        if (gameState !== GAME_STATES.PLAYING || board.length === 0) {
+          return [];
+        }
+        
+        const rng = createRng(rngState ?? hashSeed(seed, currentLevel));
+        const result = simulateTick(board, rng, get().getMechanics());
+        
+        // Placement effects keep playing their cascade steps except on cells
+        // the tick changed; the previous tick's own effects have played
+        const changedCells = new Set(result.changes.map(change => change.to.join(',')));
+        const playing = get().boardEffects.filter(effect =>
+          effect.source !== 'simulation' && !changedCells.has(effect.to.join(','))
+        );
+        
+        set({
+          board: result.board,
+          rngState: rng.getState(),
+          tick: tick + 1,
+          boardEffects: [...playing, ...result.changes.map(change => ({ ...change, source: 'simulation' }))]
+        });
+        
+        if (result.changes.length > 0) {
+          get().checkObjectives();
+        }
+        
+        return result.changes;
       },
       
       // Restart the current level
       restartLevel: () => {
-        const { currentLevel } = get();
+        const { currentLevel, gameMode, dailyChallenge } = get();
+        
+        // The daily challenge restarts from its own board and the progress
+        // the player first started it with
+        if (gameMode === GAME_MODES.DAILY_CHALLENGE && dailyChallenge) {
+          const { levelStart } = get();
+          
+          if (levelStart) {
+            set({ ...levelStart });
+          }
+          
+          get().startDailyChallenge(dailyChallenge.date);
+          return;
+        }
         
         // Re-initialize the level
         get().initGame(currentLevel);
         set({ gameState: GAME_STATES.PLAYING });
       },
       
+      // Retry a failed level from the progress the player started it with
+      retryLevel: () => {
+        const { levelStart } = get();
+        
+        if (levelStart) {
+          set({ ...levelStart, pendingOverflow: [] });
+        }
+        
+        get().restartLevel();
+      },
+      
       // Select an element
       selectElement: (element) => {
         set({ selectedElement: element });
@@ -132,10 +421,40 @@ const useGameStore = create(
       
       // Place an element on the board
       placeElement: (row, col, elementType) => {
-        const { board, inventory, selectedElement } = get();
+        // Free play has its own rules
+        if (get().gameMode === GAME_MODES.SANDBOX) {
+          return get().placeSandboxElement(row, col, elementType);
+        }
+        
+        const { 
+          board, 
+          inventory, 
+          unlockedElements, 
+          selectedElement, 
+          rngState, 
+          seed, 
+          currentLevel,
+          movesUsed,
+          levelStats,
+          gameMode
+        } = get();
+        
+        // The daily challenge gives everyone the same unlimited palette, and
+        // pays no essence or unlocks into the campaign
+        const isDaily = gameMode === GAME_MODES.DAILY_CHALLENGE;
+        
+        // Only elements from the level's palette can be placed
+        if (!get().isElementAllowed(elementType)) {
+          return { success: false, message: 'Element not available on this level' };
+        }
+        
+        // No moves left
+        if (get().getMovesRemaining() <= 0) {
+          return { success: false, message: 'No moves remaining' };
+        }
         
         // Ensure we have the element in inventory
-        if (!inventory[elementType] || inventory[elementType] <= 0) {
+        if (!isDaily && (!inventory[elementType] || inventory[elementType] <= 0)) {
           return { success: false, message: 'Not enough elements in inventory' };
         }
         
@@ -145,136 +464,644 @@ const useGameStore = create(
         }
         
         // Update the board with the new element
-        const newBoard = [...board];
+        const newBoard = cloneBoard(board);
         newBoard[row][col] = { element: elementType };
         
-        // Update inventory
-        const newInventory = { ...inventory };
-        newInventory[elementType]--;
-        
-        // Check for interactions
-        const interactions = checkInteractions(newBoard, row, col);
+        // Check for interactions, continuing the level's random sequence
+        const rngBefore = rngState ?? hashSeed(seed, currentLevel);
+        const rng = createRng(rngBefore);
+        const mechanics = get().getMechanics();
+        const interactions = checkInteractions(newBoard, row, col, rng, {
+          cascade: mechanics.cascades,
+          fireSpread: mechanics.fireSpread
+        });
         
         // Apply interaction results
-        if (interactions.newElements && interactions.newElements.length > 0) {
-          // Add new elements to inventory
-          interactions.newElements.forEach(element => {
-            if (!newInventory[element]) {
-              newInventory[element] = 0;
-            }
-            
-            newInventory[element]++;
-            
-            // Check if this is a newly discovered element
-            const { unlockedElements } = get();
-            if (!unlockedElements.includes(element)) {
-              set({ 
-                unlockedElements: [...unlockedElements, element],
-                playerEssence: get().playerEssence + 50 // Bonus for discovering new element
-              });
-            }
-          });
-        }
+        const discovered = [];
+        const products = {};
         
-        // Update state
+        interactions.newElements.forEach(element => {
+          products[element] = (products[element] || 0) + 1;
+          
+          // Check if this is a newly discovered element
+          if (!isDaily && !unlockedElements.includes(element) && !discovered.includes(element)) {
+            discovered.push(element);
+          }
+        });
+        
+        // Products go into the inventory as far as it has room
+        const stored = isDaily
+          ? { inventory, added: {}, overflow: {} }
+          : addToInventory(
+            applyInventoryDelta(inventory, { [elementType]: -1 }, 1),
+            products,
+            get().getInventorySlots()
+          );
+        
+        // Track inventory changes so the placement can be undone
+        const inventoryDelta = isDaily ? {} : applyInventoryDelta({ [elementType]: -1 }, stored.added, 1);
+        
+        // Score every effect in the log, with a minimum for a plain placement
+        const placementScore = interactions.score || 10;
+        // Essence from the score, plus a bonus for each discovered element
+        const essenceGained = isDaily ? 0 : Math.floor(placementScore / 10) + discovered.length * 50;
+        
+        // Record what this placement did for objectives that track history
+        const newLevelStats = {
+          placed: { ...levelStats.placed, [elementType]: (levelStats.placed[elementType] || 0) + 1 },
+          longestChain: Math.max(levelStats.longestChain, interactions.interactions.length)
+        };
+        
+        const transaction = {
+          id: createTransactionId(),
+          boardBefore: cloneBoard(board),
+          boardAfter: cloneBoard(interactions.newBoard || newBoard),
+          rngBefore,
+          rngAfter: rng.getState(),
+          statsBefore: levelStats,
+          statsAfter: newLevelStats,
+          inventoryDelta,
+          // Products that didn't fit, until the overflow prompt resolves them
+          overflow: stored.overflow,
+          discovered,
+          effects: interactions.effects,
+          score: placementScore,
+          essence: essenceGained
+        };
+        
+        // Update state in one step
         set({ 
           board: interactions.newBoard || newBoard,
-          inventory: newInventory,
-          selectedElement: inventory[elementType] <= 1 ? null : selectedElement,
-          score: get().score + (interactions.score || 10),
-          playerEssence: get().playerEssence + Math.floor((interactions.score || 10) / 10)
+          inventory: stored.inventory,
+          pendingOverflow: queueOverflow(get().pendingOverflow, stored.overflow, 'placement', transaction.id),
+          unlockedElements: [...unlockedElements, ...discovered],
+          selectedElement: !isDaily && inventory[elementType] <= 1 ? null : selectedElement,
+          score: get().score + placementScore,
+          playerEssence: get().playerEssence + essenceGained,
+          rngState: rng.getState(),
+          movesUsed: movesUsed + 1,
+          levelStats: newLevelStats,
+          boardEffects: interactions.effects,
+          undoStack: [...get().undoStack, transaction].slice(-get().getUndoLimit()),
+          redoStack: []
         });
         
         // Check objectives
         get().checkObjectives();
         
+        // Out of moves without finishing the level
+        get().checkMoveLimit();
+        
         return { 
           success: true, 
-          interactions: interactions.interactions || [],
-          newElements: interactions.newElements || []
+          interactions: interactions.interactions,
+          newElements: interactions.newElements,
+          effects: interactions.effects,
+          steps: interactions.steps
         };
       },
       
+      // Check whether the player owns a special store item
+      hasUpgrade: (itemId) => {
+        return get().ownedUpgrades.includes(itemId);
+      },
+      
+      // Number of inventory slots, from Inventory Expansion and player level
+      getInventorySlots: () => {
+        const { playerLevel, ownedUpgrades } = get();
+        return getSlotCount({ playerLevel, ownedUpgrades });
+      },
+      
+      // Most of an element the inventory can hold
+      getStackCap: (element) => {
+        return getStackCap(element);
+      },
+      
+      // Add elements to the inventory, queueing whatever does not fit
+      storeElements: (additions, source) => {
+        const { inventory, pendingOverflow } = get();
+        const stored = addToInventory(inventory, additions, get().getInventorySlots());
+        
+        set({
+          inventory: stored.inventory,
+          pendingOverflow: queueOverflow(pendingOverflow, stored.overflow, source)
+        });
+        
+        return stored;
+      },
+      
+      // Discard the overflowing elements or convert them into essence
+      resolveOverflow: (choice) => {
+        const { pendingOverflow, undoStack } = get();
+        
+        if (pendingOverflow.length === 0) {
+          return { success: false, message: 'No overflowing elements' };
+        }
+        
+        let essence = 0;
+        const placementEssence = {};
+        
+        pendingOverflow.forEach(batch => {
+          const value = choice === 'convert'
+            ? Object.entries(batch.elements).reduce(
+              (total, [element, amount]) => total + amount * get().getTransmutationValue(element),
+              0
+            )
+            : 0;
+          
+          essence += value;
+          if (batch.transaction) {
+            placementEssence[batch.transaction] = (placementEssence[batch.transaction] || 0) + value;
+          }
+        });
+        
+        // Essence from a placement's products is taken back if that placement
+        // is undone, and its products are no longer queued again on redo
+        set({
+          playerEssence: get().playerEssence + essence,
+          pendingOverflow: [],
+          undoStack: undoStack.map(transaction => (
+            transaction.id in placementEssence
+              ? { ...transaction, essence: transaction.essence + placementEssence[transaction.id], overflow: {} }
+              : transaction
+          ))
+        });
+        
+        return { success: true, essence };
+      },
+      
+      // Amplify every element on the board, once per level (Element Catalyst)
+      activateCatalyst: () => {
+        const { board, gameState, catalystUsed, rngState, levelStats, undoStack } = get();
+        
+        if (!get().hasUpgrade('special_catalyst')) {
+          return { success: false, message: 'Element Catalyst not owned' };
+        }
+        
+        if (gameState !== GAME_STATES.PLAYING) {
+          return { success: false, message: 'No level in progress' };
+        }
+        
+        if (catalystUsed) {
+          return { success: false, message: 'Catalyst already used this level' };
+        }
+        
+        const result = amplifyBoard(board);
+        
+        if (result.effects.length === 0) {
+          return { success: false, message: 'No elements to amplify' };
+        }
+        
+        // Undone like a placement, but without using up a move
+        const transaction = {
+          boardBefore: cloneBoard(board),
+          boardAfter: cloneBoard(result.board),
+          rngBefore: rngState,
+          rngAfter: rngState,
+          statsBefore: levelStats,
+          statsAfter: levelStats,
+          inventoryDelta: {},
+          discovered: [],
+          effects: result.effects,
+          score: scoreEffects(result.effects),
+          essence: 0,
+          catalyst: true
+        };
+        
+        set({
+          board: result.board,
+          boardEffects: result.effects,
+          score: get().score + transaction.score,
+          catalystUsed: true,
+          undoStack: [...undoStack, transaction].slice(-get().getUndoLimit()),
+          redoStack: []
+        });
+        
+        get().checkObjectives();
+        
+        return { success: true, effects: result.effects };
+      },
+      
+      // Essence gained for each unit of an element converted by transmutation
+      getTransmutationValue: (element) => {
+        return TRANSMUTATION_RATES[getElementTier(element)];
+      },
+      
+      // Convert inventory elements into essence (Element Transmutation)
+      transmuteElement: (element, amount) => {
+        const { inventory, playerEssence } = get();
+        
+        if (!get().hasUpgrade('special_transmutation')) {
+          return { success: false, message: 'Element Transmutation not owned' };
+        }
+        
+        if (!Number.isInteger(amount) || amount <= 0 || (inventory[element] || 0) < amount) {
+          return { success: false, message: 'Not enough elements in inventory' };
+        }
+        
+        const essenceGained = amount * get().getTransmutationValue(element);
+        
+        set({
+          inventory: { ...inventory, [element]: inventory[element] - amount },
+          playerEssence: playerEssence + essenceGained,
+          selectedElement: get().selectedElement === element && inventory[element] === amount
+            ? null
+            : get().selectedElement
+        });
+        
+        return { success: true, essence: essenceGained };
+      },
+      
+      // Mechanics in effect: switchable in the sandbox, cascades bought in the campaign
+      getMechanics: () => {
+        const { gameMode, sandbox } = get();
+        
+        if (gameMode === GAME_MODES.SANDBOX) {
+          return sandbox.mechanics;
+        }
+        
+        return {
+          gravity: true,
+          fireSpread: true,
+          // Upgrades stay out of the daily challenge so results are comparable
+          cascades: gameMode !== GAME_MODES.DAILY_CHALLENGE && get().hasUpgrade('special_cascade')
+        };
+      },
+      
+      // Every element that can be placed in the sandbox
+      getSandboxElements: () => {
+        return [...new Set([...Object.keys(elementProperties), ...getRecipeElements()])];
+      },
+      
+      // Start free play on an empty board
+      startSandbox: () => {
+        const { sandbox, seed } = get();
+        
+        set({
+          campaignLevel: saveCampaignLevel(get()),
+          gameMode: GAME_MODES.SANDBOX,
+          gameState: GAME_STATES.PLAYING,
+          board: generateBoard(sandbox.rows, sandbox.cols),
+          objectives: [],
+          objectiveErrors: [],
+          selectedElement: null,
+          rngState: hashSeed(seed, GAME_MODES.SANDBOX),
+          tick: 0,
+          boardEffects: [],
+          undoStack: [],
+          redoStack: [],
+          movesUsed: 0,
+          levelStats: { placed: {}, longestChain: 0 }
+        });
+      },
+      
+      // Start the challenge of a date (today by default)
+      startDailyChallenge: (dateKey = getDateKey()) => {
+        const { inventory, unlockedElements, score, playerEssence, experience, playerLevel } = get();
+        const challenge = generateDailyChallenge(dateKey);
+        
+        set({
+          campaignLevel: saveCampaignLevel(get()),
+          gameMode: GAME_MODES.DAILY_CHALLENGE,
+          gameState: GAME_STATES.PLAYING,
+          dailyChallenge: { ...challenge, startScore: score, startedAt: Date.now() },
+          board: createChallengeBoard(challenge),
+          objectives: challenge.objectives,
+          objectiveErrors: [],
+          selectedElement: null,
+          rngState: challenge.seed,
+          tick: 0,
+          boardEffects: [],
+          undoStack: [],
+          redoStack: [],
+          movesUsed: 0,
+          levelStats: { placed: {}, longestChain: 0 },
+          catalystUsed: false,
+          levelStart: { inventory, unlockedElements, score, playerEssence, experience, playerLevel }
+        });
+      },
+      
+      // Record the result of the daily challenge in the history
+      finishDailyChallenge: (completed) => {
+        const { dailyChallenge, dailyHistory, score, movesUsed } = get();
+        
+        if (!dailyChallenge) return null;
+        
+        const result = {
+          completed,
+          score: score - dailyChallenge.startScore,
+          moves: movesUsed,
+          time: Date.now() - dailyChallenge.startedAt
+        };
+        
+        set({ dailyHistory: recordDailyResult(dailyHistory, dailyChallenge.date, result) });
+        
+        return result;
+      },
+      
+      // Leave another mode and go back to the campaign level as it was left
+      // Puzzle modes leave the level on the board; without a saved level
+      // (older saves) a separate board is replaced by a fresh level
+      returnToCampaign: () => {
+        const { gameMode, campaignLevel } = get();
+        
+        set({
+          gameMode: GAME_MODES.CAMPAIGN,
+          gameState: GAME_STATES.INTRO,
+          dailyChallenge: null,
+          campaignLevel: null,
+          selectedElement: null,
+          boardEffects: []
+        });
+        
+        if (campaignLevel) {
+          set({ undoStack: [], redoStack: [], ...campaignLevel });
+        } else if (separateBoardModes.includes(gameMode)) {
+          get().initGame();
+        }
+      },
+      
+      // Record a sandbox board edit so it can be undone
+      commitSandboxEdit: (boardAfter, { rngAfter, statsAfter, effects = [] } = {}) => {
+        const { board, rngState, levelStats, undoStack } = get();
+        
+        const transaction = {
+          boardBefore: cloneBoard(board),
+          boardAfter: cloneBoard(boardAfter),
+          rngBefore: rngState,
+          rngAfter: rngAfter ?? rngState,
+          statsBefore: levelStats,
+          statsAfter: statsAfter || levelStats,
+          inventoryDelta: {},
+          discovered: [],
+          effects,
+          score: 0,
+          essence: 0
+        };
+        
+        set({
+          board: boardAfter,
+          boardEffects: effects,
+          rngState: transaction.rngAfter,
+          levelStats: transaction.statsAfter,
+          undoStack: [...undoStack, transaction].slice(-get().getUndoLimit()),
+          redoStack: []
+        });
+      },
+      
+      // Place an element in the sandbox: unlimited stock, no score or objectives
+      placeSandboxElement: (row, col, elementType) => {
+        const { board, rngState, seed, levelStats } = get();
+        
+        if (board[row][col] !== null) {
+          return { success: false, message: 'Cell already occupied' };
+        }
+        
+        const newBoard = cloneBoard(board);
+        newBoard[row][col] = { element: elementType };
+        
+        const rng = createRng(rngState ?? hashSeed(seed, GAME_MODES.SANDBOX));
+        const mechanics = get().getMechanics();
+        const interactions = checkInteractions(newBoard, row, col, rng, {
+          cascade: mechanics.cascades,
+          fireSpread: mechanics.fireSpread
+        });
+        
+        get().commitSandboxEdit(interactions.newBoard, {
+          rngAfter: rng.getState(),
+          statsAfter: {
+            placed: { ...levelStats.placed, [elementType]: (levelStats.placed[elementType] || 0) + 1 },
+            longestChain: Math.max(levelStats.longestChain, interactions.interactions.length)
+          },
+          effects: interactions.effects
+        });
+        
+        return {
+          success: true,
+          interactions: interactions.interactions,
+          newElements: interactions.newElements,
+          effects: interactions.effects,
+          steps: interactions.steps
+        };
+      },
+      
+      // Remove the element in a sandbox cell
+      eraseCell: (row, col) => {
+        const { board, gameMode } = get();
+        
+        if (gameMode !== GAME_MODES.SANDBOX || !board[row]?.[col]) {
+          return false;
+        }
+        
+        const newBoard = cloneBoard(board);
+        newBoard[row][col] = null;
+        get().commitSandboxEdit(newBoard);
+        
+        return true;
+      },
+      
+      // Remove every element from the sandbox board
+      clearBoard: () => {
+        const { board, gameMode } = get();
+        
+        if (gameMode !== GAME_MODES.SANDBOX || board.flat().every(cell => !cell)) {
+          return false;
+        }
+        
+        get().commitSandboxEdit(board.map(row => row.map(() => null)));
+        
+        return true;
+      },
+      
+      // Resize the sandbox board, keeping the elements that still fit
+      resizeSandbox: (rows, cols) => {
+        const { board, sandbox, gameMode } = get();
+        const clamp = (size) => Math.min(SANDBOX_DEFAULTS.maxSize, Math.max(SANDBOX_DEFAULTS.minSize, Math.round(size)));
+        const newRows = clamp(rows);
+        const newCols = clamp(cols);
+        
+        set({ sandbox: { ...sandbox, rows: newRows, cols: newCols } });
+        
+        if (gameMode !== GAME_MODES.SANDBOX) return;
+        
+        const newBoard = generateBoard(newRows, newCols).map((row, rowIndex) =>
+          row.map((cell, colIndex) => {
+            const existing = board[rowIndex]?.[colIndex];
+            return existing ? { ...existing } : null;
+          })
+        );
+        
+        // Old snapshots no longer match the board's size
+        set({ board: newBoard, boardEffects: [], undoStack: [], redoStack: [] });
+      },
+      
+      // Switch a sandbox mechanic on or off
+      setSandboxMechanic: (mechanic, enabled) => {
+        const { sandbox } = get();
+        
+        set({
+          sandbox: {
+            ...sandbox,
+            mechanics: { ...sandbox.mechanics, [mechanic]: enabled }
+          }
+        });
+      },
+      
+      // Check whether an element is in the current level's palette
+      isElementAllowed: (elementType) => {
+        const { currentLevel, gameMode, dailyChallenge } = get();
+        const availableElements = gameMode === GAME_MODES.DAILY_CHALLENGE
+          ? dailyChallenge?.availableElements
+          : levelRequirements[currentLevel]?.availableElements;
+        
+        return !availableElements || availableElements.includes(elementType);
+      },
+      
+      // Moves left before the level fails
+      getMovesRemaining: () => {
+        const { currentLevel, movesUsed, gameMode, dailyChallenge } = get();
+        
+        // Free play has no move limit
+        if (gameMode === GAME_MODES.SANDBOX) return Infinity;
+        
+        const maxMoves = gameMode === GAME_MODES.DAILY_CHALLENGE
+          ? dailyChallenge?.maxMoves
+          : levelRequirements[currentLevel]?.maxMoves;
+        
+        return maxMoves === undefined ? Infinity : Math.max(0, maxMoves - movesUsed);
+      },
+      
+      // Fail the level when moves run out before the objectives complete
+      checkMoveLimit: () => {
+        if (get().gameState === GAME_STATES.PLAYING && get().getMovesRemaining() <= 0) {
+          set({ gameState: GAME_STATES.LEVEL_FAILED, selectedElement: null });
+          
+          if (get().gameMode === GAME_MODES.DAILY_CHALLENGE) {
+            get().finishDailyChallenge(false);
+          }
+          
+          return true;
+        }
+        
+        return false;
+      },
+      
+      // Maximum number of placements that can be undone on this level
+      getUndoLimit: () => {
+        const { currentLevel, gameMode } = get();
+        
+        // Free play gets the most generous history
+        if (gameMode === GAME_MODES.SANDBOX) return UNDO_LIMITS[DIFFICULTY_LEVELS.EASY];
+        if (gameMode === GAME_MODES.DAILY_CHALLENGE) return UNDO_LIMITS[DIFFICULTY_LEVELS.MEDIUM];
+        
+        const difficulty = levelRequirements[currentLevel]?.difficulty || DIFFICULTY_LEVELS.MEDIUM;
+        
+        return UNDO_LIMITS[difficulty] ?? UNDO_LIMITS[DIFFICULTY_LEVELS.MEDIUM];
+      },
+      
+      // Undo the most recent placement or Element Catalyst
+      // Objectives already awarded stay completed, so redoing never pays out twice.
+      // The board goes back to how it was before the placement, so simulation
+      // ticks since then are undone too; redo returns to the board as it was
+      // when undone.
+      undo: () => {
+        const { undoStack, redoStack, gameState, inventory, unlockedElements, board, rngState } = get();
+        
+        if (gameState !== GAME_STATES.PLAYING || undoStack.length === 0) {
+          return false;
+        }
+        
+        const transaction = undoStack[undoStack.length - 1];
+        
+        set({
+          board: cloneBoard(transaction.boardBefore),
+          inventory: applyInventoryDelta(inventory, transaction.inventoryDelta, -1),
+          unlockedElements: unlockedElements.filter(
+            element => !transaction.discovered.includes(element)
+          ),
+          score: Math.max(0, get().score - transaction.score),
+          playerEssence: Math.max(0, get().playerEssence - transaction.essence),
+          rngState: transaction.rngBefore,
+          movesUsed: transaction.catalyst ? get().movesUsed : Math.max(0, get().movesUsed - 1),
+          catalystUsed: transaction.catalyst ? false : get().catalystUsed,
+          levelStats: transaction.statsBefore,
+          // Products that overflowed are undone with the placement
+          pendingOverflow: get().pendingOverflow.filter(batch => !batch.transaction || batch.transaction !== transaction.id),
+          boardEffects: [],
+          undoStack: undoStack.slice(0, -1),
+          redoStack: [...redoStack, { ...transaction, boardAfter: cloneBoard(board), rngAfter: rngState }]
+        });
+        
+        return true;
+      },
+      
+      // Redo the most recently undone placement or Element Catalyst
+      redo: () => {
+        const { undoStack, redoStack, gameState, inventory, unlockedElements } = get();
+        
+        if (gameState !== GAME_STATES.PLAYING || redoStack.length === 0) {
+          return false;
+        }
+        
+        const transaction = redoStack[redoStack.length - 1];
+        
+        set({
+          board: cloneBoard(transaction.boardAfter),
+          inventory: applyInventoryDelta(inventory, transaction.inventoryDelta, 1),
+          unlockedElements: [
+            ...unlockedElements,
+            ...transaction.discovered.filter(element => !unlockedElements.includes(element))
+          ],
+          score: get().score + transaction.score,
+          playerEssence: get().playerEssence + transaction.essence,
+          rngState: transaction.rngAfter,
+          movesUsed: transaction.catalyst ? get().movesUsed : get().movesUsed + 1,
+          catalystUsed: transaction.catalyst || get().catalystUsed,
+          levelStats: transaction.statsAfter,
+          pendingOverflow: queueOverflow(get().pendingOverflow, transaction.overflow || {}, 'placement', transaction.id),
+          boardEffects: transaction.effects,
+          undoStack: [...undoStack, transaction],
+          redoStack: redoStack.slice(0, -1)
+        });
+        
+        get().checkObjectives();
+        get().checkMoveLimit();
+        
+        return true;
+      },
+      
       // Check if level objectives are complete
       checkObjectives: () => {
-        const { board, objectives, currentLevel } = get();
+        const { board, objectives, currentLevel, levelStats, gameMode } = get();
+        const isDaily = gameMode === GAME_MODES.DAILY_CHALLENGE;
+        const errors = [];
         
-        // Update objectives based on board state
+        // Nothing to complete (sandbox)
+        if (objectives.length === 0) return;
+        
+        // Update objectives based on board state and level statistics
         const updatedObjectives = objectives.map(objective => {
           // Skip already completed objectives
           if (objective.completed) return objective;
           
-          let completed = false;
+          const { completed, error } = evaluateObjective(objective, { board, stats: levelStats });
           
-          switch (objective.type) {
-            case 'create_element':
-              // Check if specific element exists on the board
-              completed = board.some(row => 
-                row.some(cell => cell && cell.element === objective.element)
-              );
-              break;
-              
-            case 'create_combination':
-              // Check if specific combination exists
-              if (objective.combination) {
-                completed = objective.combination.every(([element, count]) => {
-                  const actualCount = board.flat().filter(
-                    cell => cell && cell.element === element
-                  ).length;
-                  return actualCount >= count;
-                });
-              }
-              break;
-              
-            case 'place_element':
-              // Check if specific element is placed enough times
-              if (objective.element && objective.count) {
-                const count = board.flat().filter(
-                  cell => cell && cell.element === objective.element
-                ).length;
-                completed = count >= objective.count;
-              }
-              break;
-              
-            case 'build_structure':
-              // Pattern matching for structures
-              if (objective.pattern === 'earth_square') {
-                // Check for 2x2 square of earth elements
-                for (let r = 0; r < board.length - 1; r++) {
-                  for (let c = 0; c < board[0].length - 1; c++) {
-                    if (
-                      board[r][c]?.element === 'earth' &&
-                      board[r][c+1]?.element === 'earth' &&
-                      board[r+1][c]?.element === 'earth' &&
-                      board[r+1][c+1]?.element === 'earth'
-                    ) {
-                      completed = true;
-                      break;
-                    }
-                  }
-                  if (completed) break;
-                }
-              }
-              // Add other structure patterns as needed
-              break;
-              
-            case 'solve_puzzle':
-              // Puzzles are checked separately
-              break;
-              
-            default:
-              completed = false;
+          // Report objectives that can never be evaluated
+          if (error) {
+            errors.push(error);
           }
           
           // If objective is completed, award points
+          // The daily challenge only scores: its rewards stay out of the campaign
           if (completed && !objective.completed) {
-            set({ 
-              score: get().score + (objective.points || 100),
-              playerEssence: get().playerEssence + Math.floor((objective.points || 100) / 5)
-            });
+            set({ score: get().score + (objective.points || 100) });
             
-            // Add experience for completing objective
-            get().addExperience(objective.points || 100);
+            if (!isDaily) {
+              set({ playerEssence: get().playerEssence + Math.floor((objective.points || 100) / 5) });
+              
+              // Add experience for completing objective
+              get().addExperience(objective.points || 100);
+            }
           }
           
           return {
@@ -283,7 +1110,11 @@ const useGameStore = create(
           };
         });
         
-        set({ objectives: updatedObjectives });
+        if (errors.length > 0 && errors.join() !== get().objectiveErrors.join()) {
+          console.error('Objectives cannot be evaluated:', errors);
+        }
+        
+        set({ objectives: updatedObjectives, objectiveErrors: errors });
         
         // Check if all objectives are complete
         const allComplete = updatedObjectives.every(obj => obj.completed);
@@ -291,6 +1122,12 @@ const useGameStore = create(
         if (allComplete) {
           set({ gameState: GAME_STATES.LEVEL_COMPLETE });
           
+          // The daily challenge has no level rewards, only its result
+          if (get().gameMode === GAME_MODES.DAILY_CHALLENGE) {
+            get().finishDailyChallenge(true);
+            return;
+          }
+          
           // If this level wasn't previously completed, add rewards
           const { levelsCompleted } = get();
           if (!levelsCompleted.includes(currentLevel)) {
@@ -301,7 +1138,7 @@ const useGameStore = create(
       
       // Award rewards for completing a level
       awardLevelCompletion: (level) => {
-        const { levelsCompleted, inventory, unlockedElements } = get();
+        const { levelsCompleted, unlockedElements } = get();
         
         // Mark level as completed
         const newLevelsCompleted = [...levelsCompleted, level];
@@ -310,19 +1147,17 @@ const useGameStore = create(
         const rewards = levelRewards[level];
         
         if (rewards) {
-          // Add elements to inventory
-          const newInventory = { ...inventory };
           const newUnlockedElements = [...unlockedElements];
           
           if (rewards.elements) {
+            // Add 3 of each reward element, as far as the inventory has room
+            get().storeElements(
+              Object.fromEntries(rewards.elements.map(element => [element, 3])),
+              'reward'
+            );
+            
+            // Check if these are newly unlocked elements
             rewards.elements.forEach(element => {
-              if (!newInventory[element]) {
-                newInventory[element] = 0;
-              }
-              
-              newInventory[element] += 3; // Add 3 of each reward element
-              
-              // Check if this is a newly unlocked element
               if (!newUnlockedElements.includes(element)) {
                 newUnlockedElements.push(element);
               }
@@ -334,7 +1169,6 @@ const useGameStore = create(
           
           set({ 
             levelsCompleted: newLevelsCompleted,
-            inventory: newInventory,
             unlockedElements: newUnlockedElements,
             score: get().score + rewardPoints,
             playerEssence: get().playerEssence + Math.floor(rewardPoints / 4)
@@ -390,7 +1224,12 @@ const useGameStore = create(
       
       // Purchase an item from the store
       purchaseItem: (item) => {
-        const { playerEssence, inventory, unlockedElements } = get();
+        const { playerEssence, unlockedElements } = get();
+        
+        // Special items can only be bought once
+        if (item.type === 'special' && get().hasUpgrade(item.id)) {
+          return { success: false, message: 'Already owned' };
+        }
         
         // Check if player can afford it
         if (playerEssence < item.price) {
@@ -399,14 +1238,8 @@ const useGameStore = create(
         
         // Handle different item types
         if (item.type === 'element') {
-          // Purchase a new element
-          const newInventory = { ...inventory };
-          
-          if (!newInventory[item.element]) {
-            newInventory[item.element] = 0;
-          }
-          
-          newInventory[item.element] += 5; // Add 5 of the purchased element
+          // Purchase a new element: 5 of it, as far as the inventory has room
+          get().storeElements({ [item.element]: 5 }, 'purchase');
           
           // Check if this is a newly unlocked element
           let newUnlockedElements = [...unlockedElements];
@@ -416,46 +1249,31 @@ const useGameStore = create(
           
           set({
             playerEssence: playerEssence - item.price,
-            inventory: newInventory,
             unlockedElements: newUnlockedElements
           });
           
           return { success: true, message: `Purchased ${item.name}` };
         }
         else if (item.type === 'upgrade') {
-          // Add more of the element to inventory
-          const newInventory = { ...inventory };
-          
-          if (!newInventory[item.element]) {
-            newInventory[item.element] = 0;
-          }
-          
-          newInventory[item.element] += 10; // Add 10 more with upgrade
+          // Add 10 more of the element, as far as the inventory has room
+          get().storeElements({ [item.element]: 10 }, 'purchase');
           
           set({
-            playerEssence: playerEssence - item.price,
-            inventory: newInventory
+            playerEssence: playerEssence - item.price
           });
           
           return { success: true, message: `Upgraded ${item.element} element` };
         }
         else if (item.type === 'special') {
-          // Handle special items based on ID
-          if (item.id === 'special_inventory') {
-            // Inventory expansion
-            set({
-              playerEssence: playerEssence - item.price,
-              // Logic for expanding inventory would be here
-            });
-          }
-          else if (item.id === 'special_cascade') {
-            // Cascade reactions
-            set({
-              playerEssence: playerEssence - item.price,
-              // Logic for enabling cascade reactions
-            });
-          }
-          // Add other special items as needed
+          // Owning the item is what enables it:
+          // - special_inventory raises getInventorySlots
+          // - special_cascade makes placements resolve chain reactions
+          // - special_catalyst allows activateCatalyst once per level
+          // - special_transmutation allows transmuteElement
+          set({
+            playerEssence: playerEssence - item.price,
+            ownedUpgrades: [...get().ownedUpgrades, item.id]
+          });
           
           return { success: true, message: `Purchased ${item.name}` };
         }
@@ -484,53 +1302,213 @@ const useGameStore = create(
         set({ currentWordPuzzle: puzzle });
       },
       
+      // Start a standalone word puzzle with a themed word
+      startWordPuzzle: (theme = null) => {
+        get().leavePuzzleMode();
+        
+        const { seed, wordPuzzleStats, unlockedElements, solvedWords } = get();
+        
+        // Each puzzle number gets its own word, so abandoning one doesn't reroll it
+        const number = wordPuzzleStats.played + 1;
+        const rng = createRng(hashSeed(seed, GAME_MODES.WORD_PUZZLE, number));
+        
+        set({
+          gameMode: GAME_MODES.WORD_PUZZLE,
+          gameState: GAME_STATES.PUZZLE_MODE,
+          selectedElement: null,
+          currentWordPuzzle: {
+            ...createWordPuzzle(rng, theme, { unlockedElements, solvedWords }),
+            number,
+            guesses: [],
+            hints: [],
+            status: 'playing'
+          }
+        });
+      },
+      
+      // Go back to the standalone word puzzle, with its guesses and hints,
+      // or start the next one if it is finished
+      openWordPuzzle: () => {
+        get().leavePuzzleMode();
+        
+        const { currentWordPuzzle } = get();
+        
+        if (currentWordPuzzle?.status !== 'playing') {
+          get().startWordPuzzle();
+          return;
+        }
+        
+        set({
+          gameMode: GAME_MODES.WORD_PUZZLE,
+          gameState: GAME_STATES.PUZZLE_MODE,
+          selectedElement: null
+        });
+      },
+      
+      // Buy the next hint for the current word puzzle with essence
+      // Each hint level costs more; the last one reveals a letter and repeats
+      buyWordPuzzleHint: () => {
+        const { currentWordPuzzle, playerEssence, settings } = get();
+        
+        if (settings.hintsEnabled === false) {
+          return { success: false, message: 'Hints are turned off' };
+        }
+        
+        if (!currentWordPuzzle || currentWordPuzzle.status !== 'playing') {
+          return { success: false, message: 'No active word puzzle' };
+        }
+        
+        const hints = currentWordPuzzle.hints || [];
+        const { level, cost } = getWordHintCost(hints.length);
+        
+        // The letter hint needs a letter the player doesn't know yet
+        const position = level === 4
+          ? findHiddenLetter(
+            currentWordPuzzle.word,
+            currentWordPuzzle.guesses,
+            hints.map(hint => hint.position).filter(Number.isInteger)
+          )
+          : null;
+        
+        if (level === 4 && position === null) {
+          return { success: false, message: 'No letters left to reveal' };
+        }
+        
+        if (playerEssence < cost) {
+          return { success: false, message: 'Not enough essence' };
+        }
+        
+        const hint = {
+          level,
+          cost,
+          text: generateWordHint(currentWordPuzzle.word, level, position),
+          ...(position !== null && { position })
+        };
+        
+        set({
+          playerEssence: playerEssence - cost,
+          currentWordPuzzle: { ...currentWordPuzzle, hints: [...hints, hint] }
+        });
+        
+        return { success: true, hint };
+      },
+      
+      // Remember a solved answer; once a theme's whole bank is solved
+      // the theme starts over
+      recordSolvedWord: (word) => {
+        const { solvedWords } = get();
+        const theme = getWordTheme(word);
+        const bank = getThemeWords(theme);
+        
+        // Answers from outside the bank, like fixed objective words, aren't tracked
+        if (!bank.includes(word)) return;
+        
+        const solved = [...(solvedWords[theme] || []).filter(other => other !== word), word];
+        
+        set({
+          solvedWords: {
+            ...solvedWords,
+            [theme]: solved.length >= bank.length ? [word] : solved
+          }
+        });
+      },
+      
+      // Record a finished word puzzle in the statistics
+      recordWordPuzzleResult: (won, guessCount, hintsUsed = 0) => {
+        const { wordPuzzleStats } = get();
+        const { distribution } = wordPuzzleStats;
+        
+        set({
+          wordPuzzleStats: {
+            played: wordPuzzleStats.played + 1,
+            won: wordPuzzleStats.won + (won ? 1 : 0),
+            hints: (wordPuzzleStats.hints || 0) + hintsUsed,
+            distribution: won
+              ? { ...distribution, [guessCount]: (distribution[guessCount] || 0) + 1 }
+              : distribution
+          }
+        });
+      },
+      
       // Check word puzzle solution
+      // Guesses that aren't words are rejected without using up an attempt,
+      // and every hint bought lowers the points of a solved puzzle
       checkWordPuzzleSolution: (attempt) => {
-        const { currentWordPuzzle } = get();
+        const { currentWordPuzzle, gameMode, levelPuzzle, objectives } = get();
         
         if (!currentWordPuzzle) {
           return { success: false, message: 'No active word puzzle' };
         }
         
+        const guess = attempt.toUpperCase();
+        const maxAttempts = currentWordPuzzle.maxAttempts || 6;
+        const guesses = currentWordPuzzle.guesses || [];
+        
+        if (currentWordPuzzle.status && currentWordPuzzle.status !== 'playing') {
+          return { success: false, message: 'The puzzle is already finished' };
+        }
+        
+        if (guess.length !== currentWordPuzzle.word.length) {
+          return { success: false, message: `Guesses must have ${currentWordPuzzle.word.length} letters` };
+        }
+        
+        if (!isValidWord(guess)) {
+          return { success: false, message: 'Not in word list' };
+        }
+        
         const result = checkWordPuzzle(
           currentWordPuzzle.word.split(''), 
-          attempt.split('')
+          guess.split('')
         );
         
         // Check if solution is correct (all letters correct)
         const isCorrect = result.every(status => status === 'correct');
+        const newGuesses = [...guesses, guess];
         
+        let status = 'playing';
         if (isCorrect) {
-          // Mark related objectives as complete
-          const { objectives } = get();
-          const updatedObjectives = objectives.map(obj => {
-            if (obj.type === 'solve_puzzle' && obj.puzzleType === 'word') {
-              set({ 
-                score: get().score + (obj.points || 100),
-                playerEssence: get().playerEssence + Math.floor((obj.points || 100) / 5)
-              });
-              
-              // Add experience
-              get().addExperience(obj.points || 100);
-              
-              return { ...obj, completed: true };
-            }
-            return obj;
-          });
-          
-          set({ objectives: updatedObjectives });
-          
-          // Check if all objectives are now complete
-          const allComplete = updatedObjectives.every(obj => obj.completed);
-          if (allComplete) {
-            set({ gameState: GAME_STATES.LEVEL_COMPLETE });
-          }
+          status = 'won';
+        } else if (newGuesses.length >= maxAttempts) {
+          status = 'lost';
+        }
+        
+        // Puzzles opened from an objective are worth the objective's points
+        const objective = levelPuzzle && objectives.find(obj => obj.id === levelPuzzle.objectiveId);
+        const hintsUsed = (currentWordPuzzle.hints || []).length;
+        const points = isCorrect
+          ? getWordPuzzleScore(objective?.points || WORD_PUZZLE_HINTS.basePoints, hintsUsed)
+          : 0;
+        
+        set({ currentWordPuzzle: { ...currentWordPuzzle, guesses: newGuesses, status, points } });
+        
+        // A lost objective puzzle is replaced by a new one when reopened
+        if (status === 'lost' && levelPuzzle) {
+          const { currentLevel, puzzleRetries } = get();
+          const key = getPuzzleRetryKey(currentLevel, levelPuzzle.objectiveId);
+          set({ puzzleRetries: { ...puzzleRetries, [key]: (puzzleRetries[key] || 0) + 1 } });
+        }
+        
+        if (isCorrect) {
+          get().recordSolvedWord(currentWordPuzzle.word);
+        }
+        
+        // Statistics only track standalone puzzles
+        if (status !== 'playing' && gameMode === GAME_MODES.WORD_PUZZLE) {
+          get().recordWordPuzzleResult(isCorrect, newGuesses.length, hintsUsed);
+        }
+        
+        // Standalone puzzles don't count towards level objectives
+        if (isCorrect && gameMode !== GAME_MODES.WORD_PUZZLE) {
+          get().completePuzzleObjective('word', hintsUsed);
         }
         
         return { 
           success: true, 
           result,
-          isCorrect
+          isCorrect,
+          status,
+          points,
+          hintsUsed
         };
       },
       
@@ -539,45 +1517,82 @@ const useGameStore = create(
         set({ currentLogicPuzzle: puzzle });
       },
       
-      // Check logic puzzle solution
-      checkLogicPuzzleSolution: (solution) => {
+      // Start a standalone logic puzzle with a unique solution
+      // The requested tier and variant are kept so the next puzzle uses them again
+      startLogicPuzzle: (size = 4, difficulty = null, variant = null) => {
+        get().leavePuzzleMode();
+        
+        const { seed, currentLogicPuzzle } = get();
+        const tiers = getLogicPuzzleDifficulties(size);
+        const requested = difficulty || currentLogicPuzzle?.target;
+        const target = tiers.includes(requested) ? requested : tiers[0];
+        const variants = getLogicPuzzleVariants();
+        const requestedVariant = variant || currentLogicPuzzle?.variant;
+        const chosenVariant = variants.includes(requestedVariant) ? requestedVariant : variants[0];
+        
+        // Puzzles are numbered so each new one gets its own grid
+        const number = (currentLogicPuzzle?.number || 0) + 1;
+        const rng = createRng(hashSeed(seed, GAME_MODES.LOGIC_PUZZLE, number));
+        
+        set({
+          gameMode: GAME_MODES.LOGIC_PUZZLE,
+          gameState: GAME_STATES.PUZZLE_MODE,
+          selectedElement: null,
+          currentLogicPuzzle: {
+            ...createLogicPuzzle(size, rng, [], target, chosenVariant),
+            target,
+            variant: chosenVariant,
+            number,
+            status: 'playing'
+          }
+        });
+      },
+      
+      // Reopen the unfinished logic puzzle, or start a new one
+      openLogicPuzzle: () => {
+        get().leavePuzzleMode();
+        
         const { currentLogicPuzzle } = get();
         
+        if (currentLogicPuzzle?.status !== 'playing') {
+          get().startLogicPuzzle(currentLogicPuzzle?.size);
+          return;
+        }
+        
+        set({
+          gameMode: GAME_MODES.LOGIC_PUZZLE,
+          gameState: GAME_STATES.PUZZLE_MODE,
+          selectedElement: null
+        });
+      },
+      
+      // Save the entries and candidate notes of the current logic puzzle
+      saveLogicPuzzleProgress: (progress) => {
+        const { currentLogicPuzzle } = get();
+        
+        if (!currentLogicPuzzle) return;
+        
+        set({ currentLogicPuzzle: { ...currentLogicPuzzle, progress } });
+      },
+      
+      // Check logic puzzle solution
+      // The grid is checked against the puzzle rules, so any valid filling counts
+      checkLogicPuzzleSolution: (grid) => {
+        const { currentLogicPuzzle, gameMode } = get();
+        
         if (!currentLogicPuzzle) {
           return { success: false, message: 'No active logic puzzle' };
         }
         
-        const isCorrect = checkLogicPuzzle(
-          solution, 
-          currentLogicPuzzle.solution,
-          currentLogicPuzzle.validElements
-        );
+        const isCorrect = checkLogicPuzzle(grid, currentLogicPuzzle.validElements, currentLogicPuzzle.constraints);
         
         if (isCorrect) {
-          // Mark related objectives as complete
-          const { objectives } = get();
-          const updatedObjectives = objectives.map(obj => {
-            if (obj.type === 'solve_puzzle' && obj.puzzleType === 'logic') {
-              set({ 
-                score: get().score + (obj.points || 100),
-                playerEssence: get().playerEssence + Math.floor((obj.points || 100) / 5)
-              });
-              
-              // Add experience
-              get().addExperience(obj.points || 100);
-              
-              return { ...obj, completed: true };
-            }
-            return obj;
-          });
-          
-          set({ objectives: updatedObjectives });
-          
-          // Check if all objectives are now complete
-          const allComplete = updatedObjectives.every(obj => obj.completed);
-          if (allComplete) {
-            set({ gameState: GAME_STATES.LEVEL_COMPLETE });
-          }
+          set({ currentLogicPuzzle: { ...currentLogicPuzzle, status: 'solved' } });
+        }
+        
+        // Standalone puzzles don't count towards level objectives
+        if (isCorrect && gameMode !== GAME_MODES.LOGIC_PUZZLE) {
+          get().completePuzzleObjective('logic');
         }
         
         return { 
@@ -586,10 +1601,123 @@ const useGameStore = create(
         };
       },
       
+      // Open the puzzle of a level's solve_puzzle objective
+      // The board waits in PUZZLE_MODE until the puzzle is left
+      startLevelPuzzle: (objectiveId) => {
+        const { 
+          objectives, 
+          gameState, 
+          seed, 
+          currentLevel, 
+          currentWordPuzzle, 
+          currentLogicPuzzle, 
+          puzzleRetries 
+        } = get();
+        const objective = objectives.find(obj => obj.id === objectiveId);
+        
+        if (!objective || objective.type !== 'solve_puzzle' || objective.completed) {
+          return { success: false, message: 'No puzzle to solve for this objective' };
+        }
+        
+        if (gameState !== GAME_STATES.PLAYING) {
+          return { success: false, message: 'Puzzles can only be opened during play' };
+        }
+        
+        // The same objective gets the same puzzle until it is failed
+        const retries = puzzleRetries[getPuzzleRetryKey(currentLevel, objective.id)] || 0;
+        const rng = createRng(hashSeed(seed, currentLevel, objective.id, retries));
+        const puzzle = {
+          ...createObjectivePuzzle(objective, currentLevel, rng, retries),
+          objectiveId,
+          status: 'playing'
+        };
+        const isWord = objective.puzzleType === 'word';
+        
+        set({
+          gameState: GAME_STATES.PUZZLE_MODE,
+          selectedElement: null,
+          levelPuzzle: {
+            type: objective.puzzleType,
+            objectiveId,
+            returnState: gameState,
+            wordPuzzle: currentWordPuzzle,
+            logicPuzzle: currentLogicPuzzle
+          },
+          currentWordPuzzle: isWord ? { ...puzzle, guesses: [], hints: [] } : currentWordPuzzle,
+          currentLogicPuzzle: isWord ? currentLogicPuzzle : puzzle
+        });
+        
+        return { success: true };
+      },
+      
+      // Close the puzzle opened from an objective and go back to the board
+      // Solving it may have been the last objective the level needed
+      leavePuzzleMode: () => {
+        const { levelPuzzle } = get();
+        
+        if (!levelPuzzle) return;
+        
+        set({
+          gameState: levelPuzzle.returnState,
+          currentWordPuzzle: levelPuzzle.wordPuzzle,
+          currentLogicPuzzle: levelPuzzle.logicPuzzle,
+          levelPuzzle: null
+        });
+        
+        get().checkObjectives();
+      },
+      
+      // Complete the solve_puzzle objective a solved puzzle belongs to
+      // Puzzles opened from an objective complete that one; otherwise
+      // every open objective of the puzzle type counts. Hints lower the points.
+      completePuzzleObjective: (puzzleType, hintsUsed = 0) => {
+        const { objectives, levelPuzzle } = get();
+        
+        const updatedObjectives = objectives.map(obj => {
+          const matches = levelPuzzle
+            ? obj.id === levelPuzzle.objectiveId
+            : obj.type === 'solve_puzzle' && obj.puzzleType === puzzleType;
+          
+          if (!matches || obj.completed) return obj;
+          
+          const points = getWordPuzzleScore(obj.points || 100, hintsUsed);
+          
+          set({ 
+            score: get().score + points,
+            playerEssence: get().playerEssence + Math.floor(points / 5)
+          });
+          
+          // Add experience
+          get().addExperience(points);
+          
+          return { ...obj, completed: true };
+        });
+        
+        set({ objectives: updatedObjectives });
+        
+        // Outside puzzle mode the level can finish right away; otherwise
+        // it finishes when the puzzle is left
+        if (!levelPuzzle) {
+          get().checkObjectives();
+        }
+      },
+      
+      // Get the backed up copy of a save that couldn't be loaded as is
+      getSaveBackup: () => {
+        const { saveRecovery } = get();
+        return localStorage.getItem(saveRecovery?.backupKey || SAVE_SCHEMA.backupKey);
+      },
+      
+      // Close the save recovery notice; the backup stays in storage
+      dismissSaveRecovery: () => {
+        set({ saveRecovery: null });
+      },
+      
       // Reset the game (for testing or starting over)
       resetGame: () => {
         set({
           gameState: GAME_STATES.INTRO,
+          gameMode: GAME_MODES.CAMPAIGN,
           currentLevel: 1,
           score: 0,
           playerEssence: 0,
@@ -602,18 +1730,61 @@ const useGameStore = create(
             return acc;
           }, {}),
           unlockedElements: [...INITIAL_ELEMENTS],
+          ownedUpgrades: [],
+          catalystUsed: false,
+          pendingOverflow: [],
           objectives: [],
           levelsCompleted: [],
+          campaignLevel: null,
           currentWordPuzzle: null,
-          currentLogicPuzzle: null
+          currentLogicPuzzle: null,
+          levelPuzzle: null,
+          puzzleRetries: {},
+          // Daily history is kept: it belongs to the calendar, not the campaign
+          dailyChallenge: null,
+          movesUsed: 0,
+          levelStart: null,
+          undoStack: [],
+          redoStack: [],
+          seed: randomSeed(),
+          rngState: null
         });
         
         get().initGame();
       }
     }),
     {
-      name: 'elementcraft-game-storage',
-      getStorage: () => localStorage
+      name: SAVE_SCHEMA.key,
+      version: SAVE_SCHEMA.version,
+      storage: createJSONStorage(() => saveStorage),
+      partialize: (state) => ({
+        ...omitUnsavedState(state),
+        campaignLevel: state.campaignLevel && omitUnsavedState(state.campaignLevel)
+      }),
+      
+      // Upgrade older saves; a save from a newer version can't be read
+      // safely, so it is backed up and the game starts fresh
+      migrate: (persistedState, version) => {
+        if (version > SAVE_SCHEMA.version) {
+          backupSave();
+          return { saveRecovery: createSaveRecovery('newer', { version }) };
+        }
+        
+        return migrateSave(persistedState, version);
+      },
+      
+      // Load the save over the defaults, resetting fields that don't match
+      // the schema after backing up the original
+      merge: (persistedState, currentState) => {
+        // Nothing saved yet
+        if (persistedState === undefined) return currentState;
+        
+        const { state, invalid } = repairSave(persistedState, currentState);
+        if (invalid.length === 0) return state;
+        
+        backupSave();
+        return { ...state, saveRecovery: createSaveRecovery('corrupt', { fields: invalid }) };
+      }
     }
   )
 );
@@ -0,0 +1,640 @@
+/**
+ * ElementCraft - Game State Store Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// The store saves to localStorage as soon as it is created
+const savedItems = vi.hoisted(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+  return items;
+});
+
+import useGameStore from './gameStore';
+import { getThemeWords, getWordThemes, isValidWord } from '../utils/puzzles';
+import { GAME_MODES, GAME_STATES, SANDBOX_DEFAULTS, SAVE_SCHEMA } from '../constants/gameStates';
+
+const store = () => useGameStore.getState();
+const bottomRow = () => store().board.length - 1;
+
+// A dictionary word of the same length that isn't the answer
+const wrongGuess = (word) => getWordThemes()
+  .flatMap(getThemeWords)
+  .find(candidate => candidate.length === word.length && candidate !== word && isValidWord(candidate));
+
+beforeEach(() => {
+  store().resetGame();
+  store().resetSettings();
+  store().setSeed(1);
+  store().startGame();
+});
+
+describe('undo and redo', () => {
+  it('takes a placement back and puts it again', () => {
+    const before = store();
+    store().placeElement(bottomRow(), 0, 'earth');
+    const after = store();
+
+    expect(store().undo()).toBe(true);
+    expect(store().board).toEqual(before.board);
+    expect(store().inventory).toEqual(before.inventory);
+    expect(store().score).toBe(before.score);
+    expect(store().playerEssence).toBe(before.playerEssence);
+    expect(store().movesUsed).toBe(0);
+
+    expect(store().redo()).toBe(true);
+    expect(store().board).toEqual(after.board);
+    expect(store().inventory).toEqual(after.inventory);
+    expect(store().score).toBe(after.score);
+    expect(store().movesUsed).toBe(1);
+  });
+
+  it('forgets undone placements once a new one is made', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    store().undo();
+    store().placeElement(bottomRow(), 1, 'earth');
+
+    expect(store().redoStack).toEqual([]);
+    expect(store().redo()).toBe(false);
+  });
+
+  it('redoes to the board as it was when undone, simulation ticks included', () => {
+    store().placeElement(0, 0, 'earth');
+    store().advanceSimulation();
+    const simulated = store().board;
+
+    store().undo();
+    expect(store().board.flat().every(cell => cell === null)).toBe(true);
+
+    store().redo();
+    expect(store().board).toEqual(simulated);
+    expect(store().board[0][0]).toBeNull();
+  });
+
+  it('keeps placement effects playing through a simulation tick', () => {
+    store().placeElement(bottomRow(), 0, 'water');
+    store().placeElement(bottomRow(), 1, 'fire');
+    const placed = store().boardEffects;
+
+    store().advanceSimulation();
+    const tickEffects = store().boardEffects.filter(effect => effect.source === 'simulation');
+
+    expect(placed.length).toBeGreaterThan(0);
+    expect(store().boardEffects.slice(0, placed.length)).toEqual(placed);
+    expect(tickEffects.length).toBeGreaterThan(0);
+    expect(tickEffects).toHaveLength(store().boardEffects.length - placed.length);
+  });
+
+  it('only works while a level is being played', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    store().pauseGame();
+
+    expect(store().gameState).toBe(GAME_STATES.PAUSED);
+    expect(store().undo()).toBe(false);
+  });
+
+  it('keeps history and board effects out of the save', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    const saved = JSON.parse(savedItems.get(SAVE_SCHEMA.key)).state;
+
+    expect(saved.board).toEqual(store().board);
+    expect(saved).not.toHaveProperty('undoStack');
+    expect(saved).not.toHaveProperty('redoStack');
+    expect(saved).not.toHaveProperty('boardEffects');
+  });
+});
+
+describe('move limit and palette', () => {
+  it('rejects elements outside the level palette', () => {
+    useGameStore.setState({ inventory: { ...store().inventory, metal: 3 } });
+
+    const result = store().placeElement(bottomRow(), 0, 'metal');
+
+    expect(result).toEqual({ success: false, message: 'Element not available on this level' });
+    expect(store().board[bottomRow()][0]).toBeNull();
+    expect(store().movesUsed).toBe(0);
+  });
+
+  it('fails the level when the last move leaves objectives open', () => {
+    useGameStore.setState({ movesUsed: 19 });
+
+    store().placeElement(bottomRow(), 0, 'earth');
+
+    expect(store().getMovesRemaining()).toBe(0);
+    expect(store().gameState).toBe(GAME_STATES.LEVEL_FAILED);
+    expect(store().placeElement(bottomRow(), 1, 'earth').success).toBe(false);
+  });
+
+  it('retries a failed level from the progress it started with', () => {
+    const { levelStart } = store();
+    useGameStore.setState({ movesUsed: 18 });
+    store().placeElement(bottomRow(), 0, 'earth');
+    store().placeElement(bottomRow(), 1, 'water');
+    expect(store().gameState).toBe(GAME_STATES.LEVEL_FAILED);
+
+    store().retryLevel();
+
+    expect(store().gameState).toBe(GAME_STATES.PLAYING);
+    expect(store().inventory).toEqual(levelStart.inventory);
+    expect(store().score).toBe(levelStart.score);
+    expect(store().playerEssence).toBe(levelStart.playerEssence);
+    expect(store().movesUsed).toBe(0);
+    expect(store().board.flat().every(cell => cell === null)).toBe(true);
+  });
+});
+
+describe('Element Catalyst', () => {
+  beforeEach(() => {
+    useGameStore.setState({ ownedUpgrades: ['special_catalyst'] });
+    store().placeElement(bottomRow(), 0, 'earth');
+  });
+
+  it('is undone like a placement, without giving back a move', () => {
+    const before = store();
+
+    expect(store().activateCatalyst().success).toBe(true);
+    expect(store().catalystUsed).toBe(true);
+    expect(store().score).toBeGreaterThan(before.score);
+
+    store().undo();
+    expect(store().board).toEqual(before.board);
+    expect(store().score).toBe(before.score);
+    expect(store().catalystUsed).toBe(false);
+    expect(store().movesUsed).toBe(1);
+
+    store().redo();
+    expect(store().board[bottomRow()][0].amplified).toBe(true);
+    expect(store().catalystUsed).toBe(true);
+    expect(store().movesUsed).toBe(1);
+  });
+
+  it('can only be used once a level', () => {
+    store().activateCatalyst();
+
+    expect(store().activateCatalyst().success).toBe(false);
+  });
+});
+
+describe('inventory overflow', () => {
+  // Make steam, which no longer fits in the inventory, at two spots
+  const makeSteam = (col) => {
+    store().placeElement(bottomRow(), col, 'water');
+    store().placeElement(bottomRow(), col + 1, 'fire');
+  };
+
+  beforeEach(() => {
+    useGameStore.setState({ inventory: { fire: 5, water: 5, earth: 5, air: 5, steam: 20 } });
+  });
+
+  it('tags each overflow batch with the placement behind it', () => {
+    makeSteam(0);
+    makeSteam(3);
+
+    const { pendingOverflow, undoStack } = store();
+    expect(pendingOverflow).toHaveLength(2);
+    expect(pendingOverflow[0]).toMatchObject({ source: 'placement', elements: { steam: 1 }, transaction: undoStack[1].id });
+    expect(pendingOverflow[1].transaction).toBe(undoStack[3].id);
+  });
+
+  it('only drops the undone placement\'s batch, and queues it again on redo', () => {
+    makeSteam(0);
+    makeSteam(3);
+    const [first, second] = store().pendingOverflow;
+
+    store().undo();
+    expect(store().pendingOverflow).toEqual([first]);
+
+    store().redo();
+    expect(store().pendingOverflow).toEqual([first, second]);
+  });
+
+  it('credits converted essence to the placement that overflowed', () => {
+    makeSteam(0);
+    makeSteam(3);
+    const essenceBefore = store().playerEssence;
+    const placements = store().undoStack.map(transaction => transaction.essence);
+    const value = store().getTransmutationValue('steam');
+
+    const { essence } = store().resolveOverflow('convert');
+    expect(essence).toBe(2 * value);
+    expect(store().playerEssence).toBe(essenceBefore + 2 * value);
+    expect(store().undoStack.map(transaction => transaction.essence))
+      .toEqual([placements[0], placements[1] + value, placements[2], placements[3] + value]);
+
+    // Undoing takes back the placement's essence and requeues nothing
+    store().undo();
+    expect(store().playerEssence).toBe(essenceBefore + 2 * value - placements[3] - value);
+    store().redo();
+    expect(store().pendingOverflow).toEqual([]);
+  });
+
+  it('discards the overflow for good', () => {
+    makeSteam(0);
+    const essenceBefore = store().playerEssence;
+
+    expect(store().resolveOverflow('discard')).toEqual({ success: true, essence: 0 });
+    expect(store().playerEssence).toBe(essenceBefore);
+
+    store().undo();
+    store().redo();
+    expect(store().pendingOverflow).toEqual([]);
+  });
+});
+
+describe('save loading', () => {
+  // Store a save as the persist middleware writes it and load it
+  const loadSave = (saved) => {
+    savedItems.set(SAVE_SCHEMA.key, typeof saved === 'string' ? saved : JSON.stringify(saved));
+    return useGameStore.persist.rehydrate();
+  };
+
+  beforeEach(() => {
+    savedItems.delete(SAVE_SCHEMA.backupKey);
+  });
+
+  it('migrates saves from before versioning', async () => {
+    await loadSave({ state: { inventory: { fire: 3.5 }, playerEssence: 20 }, version: 0 });
+
+    expect(store().inventory).toEqual({ fire: 3 });
+    expect(store().playerEssence).toBe(20);
+    expect(store().saveRecovery).toBeNull();
+  });
+
+  it('resets invalid fields and keeps a backup', async () => {
+    const saved = JSON.stringify({ state: { currentLevel: -2, playerEssence: 35 }, version: SAVE_SCHEMA.version });
+    await loadSave(saved);
+
+    expect(store().currentLevel).toBe(1);
+    expect(store().playerEssence).toBe(35);
+    expect(store().saveRecovery).toMatchObject({ reason: 'corrupt', fields: ['currentLevel'] });
+    expect(store().getSaveBackup()).toBe(saved);
+  });
+
+  it('starts fresh from a save that cannot be parsed', async () => {
+    await loadSave('{"state":{"playerEssence":');
+
+    expect(store().saveRecovery).toMatchObject({ reason: 'unreadable' });
+    expect(store().getSaveBackup()).toBe('{"state":{"playerEssence":');
+  });
+
+  it('starts fresh from a save written by a newer version', async () => {
+    const essence = store().playerEssence;
+    await loadSave({ state: { playerEssence: 999 }, version: SAVE_SCHEMA.version + 1 });
+
+    expect(store().playerEssence).toBe(essence);
+    expect(store().saveRecovery).toMatchObject({ reason: 'newer', version: SAVE_SCHEMA.version + 1 });
+
+    store().dismissSaveRecovery();
+    expect(store().saveRecovery).toBeNull();
+  });
+});
+
+describe('sandbox', () => {
+  const emptyCells = () => store().board.flat().filter(cell => cell === null).length;
+
+  beforeEach(() => {
+    useGameStore.setState({ sandbox: { rows: SANDBOX_DEFAULTS.rows, cols: SANDBOX_DEFAULTS.cols, mechanics: { ...SANDBOX_DEFAULTS.mechanics } } });
+  });
+
+  it('goes back to the campaign level as it was left', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    store().placeElement(bottomRow(), 2, 'water');
+    const campaign = store();
+
+    store().startSandbox();
+    store().placeElement(0, 0, 'metal');
+    store().returnToCampaign();
+
+    expect(store().gameMode).toBe(GAME_MODES.CAMPAIGN);
+    expect(store().campaignLevel).toBeNull();
+    for (const field of ['board', 'objectives', 'movesUsed', 'levelStats', 'levelStart', 'rngState', 'inventory', 'score']) {
+      expect(store()[field]).toEqual(campaign[field]);
+    }
+
+    store().startGame();
+    expect(store().undo()).toBe(true);
+    expect(store().movesUsed).toBe(1);
+  });
+
+  it('saves the campaign level it set aside without its history', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    const { board } = store();
+    store().startSandbox();
+    const saved = JSON.parse(savedItems.get(SAVE_SCHEMA.key)).state;
+
+    expect(saved.campaignLevel.board).toEqual(board);
+    expect(saved.campaignLevel).not.toHaveProperty('undoStack');
+    expect(saved.campaignLevel).not.toHaveProperty('redoStack');
+  });
+
+  it('erases cells and clears the board as undoable edits', () => {
+    store().startSandbox();
+    store().placeElement(0, 0, 'metal');
+    store().placeElement(0, 3, 'metal');
+    const full = emptyCells();
+
+    expect(store().eraseCell(0, 0)).toBe(true);
+    expect(store().board[0][0]).toBeNull();
+    expect(store().eraseCell(0, 0)).toBe(false);
+
+    expect(store().clearBoard()).toBe(true);
+    expect(emptyCells()).toBe(SANDBOX_DEFAULTS.rows * SANDBOX_DEFAULTS.cols);
+    expect(store().clearBoard()).toBe(false);
+
+    store().undo();
+    store().undo();
+    expect(emptyCells()).toBe(full);
+  });
+
+  it('only edits the sandbox board', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    const { board } = store();
+
+    expect(store().eraseCell(bottomRow(), 0)).toBe(false);
+    expect(store().clearBoard()).toBe(false);
+    expect(store().board).toEqual(board);
+  });
+
+  it('resizes within the size limits, keeping the elements that fit', () => {
+    store().startSandbox();
+    store().placeElement(0, 0, 'metal');
+    store().placeElement(0, 7, 'metal');
+
+    store().resizeSandbox(1, 6);
+    expect(store().sandbox).toMatchObject({ rows: SANDBOX_DEFAULTS.minSize, cols: 6 });
+    expect(store().board).toHaveLength(SANDBOX_DEFAULTS.minSize);
+    expect(store().board[0]).toHaveLength(6);
+    expect(store().board[0][0]).toEqual({ element: 'metal' });
+    expect(store().undoStack).toEqual([]);
+
+    store().resizeSandbox(100, 100);
+    expect(store().sandbox).toMatchObject({ rows: SANDBOX_DEFAULTS.maxSize, cols: SANDBOX_DEFAULTS.maxSize });
+    expect(store().board[0][7]).toBeNull();
+  });
+
+  it('switches mechanics for the sandbox only', () => {
+    store().setSandboxMechanic('fireSpread', false);
+    expect(store().getMechanics().fireSpread).toBe(true);
+
+    store().startSandbox();
+    expect(store().getMechanics()).toEqual({ ...SANDBOX_DEFAULTS.mechanics, fireSpread: false });
+  });
+
+  it('leaves the campaign inventory and score alone', () => {
+    const { inventory, score, playerEssence } = store();
+
+    store().startSandbox();
+    store().placeElement(0, 0, 'water');
+    store().placeElement(0, 1, 'fire');
+    store().eraseCell(0, 0);
+    store().clearBoard();
+
+    expect(store()).toMatchObject({ inventory, score, playerEssence });
+  });
+});
+
+describe('daily challenge', () => {
+  const start = () => {
+    const { inventory, unlockedElements, playerEssence, experience, score } = store();
+    store().startDailyChallenge('2026-10-19');
+    return { inventory, unlockedElements, playerEssence, experience, score };
+  };
+
+  it('pays no essence, unlocks or inventory into the campaign', () => {
+    const before = start();
+    const { board, dailyChallenge } = store();
+    const row = board.findIndex(cells => cells.includes(null));
+
+    expect(store().placeElement(row, board[row].indexOf(null), dailyChallenge.availableElements[0]).success).toBe(true);
+    expect(store().playerEssence).toBe(before.playerEssence);
+    expect(store().inventory).toEqual(before.inventory);
+    expect(store().unlockedElements).toEqual(before.unlockedElements);
+    expect(store().score).toBeGreaterThan(before.score);
+  });
+
+  it('restarts from the progress it was first started with', () => {
+    const before = start();
+    useGameStore.setState({ playerEssence: before.playerEssence + 50, experience: before.experience + 30, score: before.score + 100 });
+
+    store().restartLevel();
+    store().restartLevel();
+
+    expect(store()).toMatchObject(before);
+    expect(store().dailyChallenge.startScore).toBe(before.score);
+  });
+
+  it('goes back to the campaign level and score it was started from', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    const campaign = store();
+    start();
+    const { board, dailyChallenge } = store();
+    const row = board.findIndex(cells => cells.includes(null));
+    store().placeElement(row, board[row].indexOf(null), dailyChallenge.availableElements[0]);
+    store().restartLevel();
+    useGameStore.setState({ score: campaign.score + 100 });
+
+    store().returnToCampaign();
+
+    expect(store().dailyChallenge).toBeNull();
+    for (const field of ['board', 'objectives', 'movesUsed', 'levelStart', 'undoStack', 'score']) {
+      expect(store()[field]).toEqual(campaign[field]);
+    }
+  });
+});
+
+describe('standalone word puzzle', () => {
+  it('reopens with its guesses and hints', () => {
+    store().startWordPuzzle();
+    const { word, number } = store().currentWordPuzzle;
+    store().checkWordPuzzleSolution(wrongGuess(word));
+
+    store().returnToCampaign();
+    store().openWordPuzzle();
+
+    expect(store().gameState).toBe(GAME_STATES.PUZZLE_MODE);
+    expect(store().currentWordPuzzle).toMatchObject({ word, number, guesses: [wrongGuess(word)] });
+  });
+
+  it('moves on to the next word once the puzzle is finished', () => {
+    store().startWordPuzzle();
+    const { word, number } = store().currentWordPuzzle;
+    store().checkWordPuzzleSolution(word);
+
+    store().openWordPuzzle();
+
+    expect(store().currentWordPuzzle).toMatchObject({ number: number + 1, guesses: [], status: 'playing' });
+  });
+
+  it('sells hints at a rising cost, ending on revealed letters', () => {
+    useGameStore.setState({ playerEssence: 100 });
+    store().startWordPuzzle();
+    const { word } = store().currentWordPuzzle;
+
+    const hints = Array.from({ length: 5 }, () => store().buyWordPuzzleHint().hint);
+
+    expect(hints.map(hint => hint.cost)).toEqual([5, 10, 20, 30, 30]);
+    expect(hints.map(hint => hint.level)).toEqual([1, 2, 3, 4, 4]);
+    expect(store().playerEssence).toBe(5);
+    expect(hints[0].text).toContain(`"${word[0]}"`);
+    expect(hints.slice(3)).toMatchObject([
+      { position: 1, text: `Letter 2 is "${word[1]}".` },
+      { position: 2, text: `Letter 3 is "${word[2]}".` }
+    ]);
+    expect(store().currentWordPuzzle.hints).toEqual(hints);
+  });
+
+  it('refuses a hint without enough essence or with hints turned off', () => {
+    useGameStore.setState({ playerEssence: 4 });
+    store().startWordPuzzle();
+
+    expect(store().buyWordPuzzleHint()).toEqual({ success: false, message: 'Not enough essence' });
+
+    useGameStore.setState({ playerEssence: 100 });
+    store().updateSettings({ hintsEnabled: false });
+    expect(store().buyWordPuzzleHint()).toEqual({ success: false, message: 'Hints are turned off' });
+    expect(store().playerEssence).toBe(100);
+    expect(store().currentWordPuzzle.hints).toEqual([]);
+  });
+
+  it('takes points off the score for each hint, down to a quarter', () => {
+    useGameStore.setState({ playerEssence: 1000 });
+    store().startWordPuzzle();
+    store().buyWordPuzzleHint();
+    store().buyWordPuzzleHint();
+    store().checkWordPuzzleSolution(store().currentWordPuzzle.word);
+    expect(store().currentWordPuzzle.points).toBe(70);
+
+    store().startWordPuzzle();
+    for (let hint = 0; hint < 6; hint++) store().buyWordPuzzleHint();
+    expect(store().currentWordPuzzle.hints).toHaveLength(6);
+    store().checkWordPuzzleSolution(store().currentWordPuzzle.word);
+    expect(store().currentWordPuzzle.points).toBe(25);
+  });
+
+  it('does not repeat an answer until the theme runs out', () => {
+    useGameStore.setState({ solvedWords: {} });
+    const bank = getThemeWords('fire');
+    const words = bank.map(() => {
+      store().startWordPuzzle('fire');
+      const { word } = store().currentWordPuzzle;
+      store().checkWordPuzzleSolution(word);
+      return word;
+    });
+
+    expect(new Set(words).size).toBe(bank.length);
+    expect(store().solvedWords.fire).toEqual([words.at(-1)]);
+  });
+
+  it('only tracks solved answers from the word bank, once each', () => {
+    const [first, second] = getThemeWords('water');
+    useGameStore.setState({ solvedWords: {} });
+    store().recordSolvedWord(first);
+    store().recordSolvedWord(second);
+    store().recordSolvedWord(first);
+    store().recordSolvedWord('NOTAWORD');
+
+    expect(store().solvedWords).toEqual({ water: [second, first] });
+  });
+
+  it('leaves the campaign level on the board', () => {
+    store().placeElement(bottomRow(), 0, 'earth');
+    const { board, movesUsed } = store();
+
+    store().openWordPuzzle();
+    store().returnToCampaign();
+
+    expect(store().gameMode).toBe(GAME_MODES.CAMPAIGN);
+    expect(store()).toMatchObject({ board, movesUsed });
+  });
+});
+
+describe('objective puzzles', () => {
+  const playLevel = (level) => {
+    useGameStore.setState({ currentLevel: level });
+    store().initGame();
+    store().startGame();
+  };
+  const objective = (id) => store().objectives.find(obj => obj.id === id);
+
+  it('opens the objective puzzle and goes back to the level and standalone puzzle', () => {
+    store().startWordPuzzle();
+    const standalone = store().currentWordPuzzle;
+    store().returnToCampaign();
+    playLevel(6);
+
+    expect(store().startLevelPuzzle('word_puzzle')).toEqual({ success: true });
+    expect(store().gameState).toBe(GAME_STATES.PUZZLE_MODE);
+    expect(store().levelPuzzle).toMatchObject({ type: 'word', objectiveId: 'word_puzzle', returnState: GAME_STATES.PLAYING });
+    expect(store().currentWordPuzzle).toMatchObject({ word: 'FLAME', objectiveId: 'word_puzzle', guesses: [], status: 'playing' });
+
+    store().leavePuzzleMode();
+
+    expect(store().gameState).toBe(GAME_STATES.PLAYING);
+    expect(store().levelPuzzle).toBeNull();
+    expect(store().currentWordPuzzle).toEqual(standalone);
+  });
+
+  it('only opens unsolved puzzle objectives during play', () => {
+    playLevel(6);
+
+    expect(store().startLevelPuzzle('missing').success).toBe(false);
+    expect(store().startLevelPuzzle('create_plasma').success).toBe(false);
+
+    store().pauseGame();
+    expect(store().startLevelPuzzle('word_puzzle')).toEqual({ success: false, message: 'Puzzles can only be opened during play' });
+  });
+
+  it('grants the objective reward exactly once', () => {
+    playLevel(6);
+    const { score, playerEssence } = store();
+    store().startLevelPuzzle('word_puzzle');
+
+    store().checkWordPuzzleSolution('FLAME');
+    store().completePuzzleObjective('word');
+    store().leavePuzzleMode();
+
+    expect(objective('word_puzzle').completed).toBe(true);
+    expect(store().score).toBe(score + 300);
+    expect(store().playerEssence).toBe(playerEssence + 60);
+    expect(store().startLevelPuzzle('word_puzzle').success).toBe(false);
+  });
+
+  it('reopens the same puzzle until it is lost, then a new one', () => {
+    playLevel(6);
+    store().startLevelPuzzle('word_puzzle');
+    store().leavePuzzleMode();
+    store().startLevelPuzzle('word_puzzle');
+    expect(store().currentWordPuzzle.word).toBe('FLAME');
+
+    const { maxAttempts } = store().currentWordPuzzle;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      store().checkWordPuzzleSolution(wrongGuess('FLAME'));
+    }
+    expect(store().currentWordPuzzle.status).toBe('lost');
+    store().leavePuzzleMode();
+
+    store().startLevelPuzzle('word_puzzle');
+    expect(store().currentWordPuzzle.word).not.toBe('FLAME');
+    expect(store().currentWordPuzzle.status).toBe('playing');
+    expect(objective('word_puzzle').completed).toBe(false);
+  });
+
+  it('gives a logic objective the same grid when reopened', () => {
+    playLevel(7);
+    store().startLevelPuzzle('logic_puzzle');
+    const { solution, size } = store().currentLogicPuzzle;
+    store().leavePuzzleMode();
+    store().startLevelPuzzle('logic_puzzle');
+
+    expect(size).toBe(4);
+    expect(store().currentLogicPuzzle.solution).toEqual(solution);
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * ElementCraft - Test Boards
+ *
+ * Board fixtures shared by the test files.
+ *
+ * @module boards
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+/**
+ * Build a board from rows of characters
+ *
+ * @param {string[]} rows - One string per board row
+ * @param {Object} legend - Element type for each character; any other
+ *   character is an empty cell
+ * @returns {Array<Array<Object|null>>} Board of { element } cells
+ */
+export const parseBoard = (rows, legend) => rows.map(row =>
+  row.split('').map(char => (legend[char] ? { element: legend[char] } : null))
+);
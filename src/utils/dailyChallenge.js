@@ -0,0 +1,316 @@
+/**
+ * ElementCraft - Daily Challenge
+ *
+ * This module generates the daily challenge and keeps track of the
+ * player's daily results. Everything about a challenge (board size,
+ * obstacles, element palette, move limit and objectives) is derived from
+ * the calendar date through the seeded random generator, so every player
+ * gets the same challenge on the same day without a server.
+ *
+ * Dates are handled as local 'YYYY-MM-DD' keys. Results are kept in a
+ * history object keyed by date, from which streaks and the played/missed
+ * calendar are computed.
+ *
+ * @module dailyChallenge
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { createRng, hashSeed } from './random';
+import { generateBoard } from './gameLogic';
+import { elementRecipes } from '../constants/recipes';
+import { INITIAL_ELEMENTS, UNLOCKABLE_ELEMENTS } from '../constants/elements';
+import { DAILY_CHALLENGE_RULES, GAME_MODES } from '../constants/gameStates';
+
+// Recipes the player can trigger by placing one element next to another
+const pairRecipes = elementRecipes.filter(recipe =>
+  recipe.ingredients.length === 2 && !recipe.catalysts && !recipe.conditions
+);
+
+/**
+ * Integer in the range [min, max]
+ *
+ * @param {Object} rng - Seeded random generator from createRng
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Random integer
+ */
+const between = (rng, min, max) => min + rng.int(max - min + 1);
+
+/**
+ * Join element names into a readable list
+ *
+ * @param {Array<string>} elements - Element types
+ * @returns {string} e.g. 'fire, water and air'
+ */
+const listElements = (elements) => {
+  return elements.length > 1
+    ? `${elements.slice(0, -1).join(', ')} and ${elements[elements.length - 1]}`
+    : elements.join('');
+};
+
+// Objective generators. Each one builds an objective from the palette, or
+// returns null when the palette cannot support it.
+const objectiveGenerators = {
+  // Create an element the palette cannot place directly
+  create_element: (rng, palette) => {
+    const recipes = pairRecipes.filter(recipe =>
+      recipe.ingredients.every(element => palette.includes(element)) &&
+      !palette.includes(recipe.result)
+    );
+    if (recipes.length === 0) return null;
+
+    const recipe = rng.pick(recipes);
+
+    return {
+      type: 'create_element',
+      element: recipe.result,
+      description: `Create ${recipe.result} by combining ${listElements(recipe.ingredients)}`,
+      points: 150
+    };
+  },
+
+  // Have several of one element on the board
+  place_element: (rng, palette) => {
+    const element = rng.pick(palette);
+    const count = between(rng, 3, 5);
+
+    return {
+      type: 'place_element',
+      element,
+      count,
+      description: `Have ${count} ${element} elements on the board`,
+      points: 75
+    };
+  },
+
+  // Place each of a few elements at least once
+  place_elements: (rng, palette) => {
+    const elements = rng.shuffle(palette).slice(0, 3);
+
+    return {
+      type: 'place_elements',
+      elements,
+      description: `Place ${listElements(elements)} on the board`,
+      points: 50
+    };
+  },
+
+  // Have two elements on the board at the same time
+  create_combination: (rng, palette) => {
+    const elements = rng.shuffle(palette).slice(0, 2);
+
+    return {
+      type: 'create_combination',
+      combination: elements.map(element => [element, 2]),
+      description: `Have 2 each of ${listElements(elements)} on the board`,
+      points: 150
+    };
+  },
+
+  // Trigger several reactions with one placement
+  chain_reaction: (rng) => {
+    const count = between(rng, 2, 3);
+
+    return {
+      type: 'special_action',
+      action: 'chain_reaction',
+      count,
+      description: `Trigger ${count} reactions with a single placement`,
+      points: 200
+    };
+  },
+
+  // Amplify elements with crystal
+  amplify: (rng, palette) => {
+    if (!palette.includes('crystal')) return null;
+
+    return {
+      type: 'special_action',
+      action: 'amplify',
+      count: 2,
+      description: 'Amplify 2 different elements with crystal',
+      points: 200
+    };
+  }
+};
+
+/**
+ * Get the date key for a day
+ *
+ * @param {Date} [date=new Date()] - Day to get the key for, in local time
+ * @returns {string} Date key as 'YYYY-MM-DD'
+ */
+export const getDateKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Move a date key by a number of days
+ *
+ * @param {string} dateKey - Date key as 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+export const shiftDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Generate the challenge for a date
+ *
+ * @param {string} [dateKey=getDateKey()] - Date key as 'YYYY-MM-DD'
+ * @returns {Object} Challenge with date, seed, rows, cols, obstacles (as
+ *   [row, col] positions), availableElements, maxMoves and objectives
+ */
+export const generateDailyChallenge = (dateKey = getDateKey()) => {
+  const rules = DAILY_CHALLENGE_RULES;
+  const seed = hashSeed(GAME_MODES.DAILY_CHALLENGE, dateKey);
+  const rng = createRng(seed);
+
+  // Board size
+  const rows = between(rng, rules.minSize, rules.maxSize);
+  const cols = between(rng, rules.minSize, rules.maxSize);
+
+  // Obstacles on distinct cells
+  const density = rules.minObstacles + rng.next() * (rules.maxObstacles - rules.minObstacles);
+  const cells = Array.from({ length: rows * cols }, (_, index) => [Math.floor(index / cols), index % cols]);
+  const obstacles = rng.shuffle(cells).slice(0, Math.round(rows * cols * density));
+
+  // Palette: at least three basic elements so recipes are always possible
+  const paletteSize = between(rng, rules.minPalette, rules.maxPalette);
+  const basics = rng.shuffle(INITIAL_ELEMENTS).slice(0, between(rng, 3, INITIAL_ELEMENTS.length));
+  const availableElements = [
+    ...basics,
+    ...rng.shuffle(UNLOCKABLE_ELEMENTS).slice(0, Math.max(0, paletteSize - basics.length))
+  ];
+
+  // Objectives of different types
+  const objectiveCount = between(rng, rules.minObjectives, rules.maxObjectives);
+  const objectives = rng.shuffle(Object.keys(objectiveGenerators))
+    .map(type => objectiveGenerators[type](rng, availableElements))
+    .filter(Boolean)
+    .slice(0, objectiveCount)
+    .map((objective, index) => ({
+      id: `daily_${index + 1}_${objective.action || objective.type}`,
+      ...objective,
+      completed: false
+    }));
+
+  return {
+    date: dateKey,
+    seed,
+    rows,
+    cols,
+    obstacles,
+    availableElements,
+    maxMoves: between(rng, rules.minMoves, rules.maxMoves),
+    objectives
+  };
+};
+
+/**
+ * Create the starting board of a challenge
+ *
+ * Obstacle cells hold { obstacle: true } and no element, so they block
+ * placement and movement but never react.
+ *
+ * @param {Object} challenge - Challenge from generateDailyChallenge
+ * @returns {Array<Array<Object>>} Board with the obstacles placed
+ */
+export const createChallengeBoard = (challenge) => {
+  const board = generateBoard(challenge.rows, challenge.cols);
+
+  challenge.obstacles.forEach(([row, col]) => {
+    board[row][col] = { obstacle: true };
+  });
+
+  return board;
+};
+
+/**
+ * Record a result in the daily history
+ *
+ * Each date keeps its best result (completed first, then highest score)
+ * and the number of attempts.
+ *
+ * @param {Object} history - Results keyed by date key
+ * @param {string} dateKey - Date of the challenge
+ * @param {Object} result - { completed, score, moves, time } with time in milliseconds
+ * @returns {Object} New history
+ */
+export const recordDailyResult = (history, dateKey, result) => {
+  const previous = history[dateKey];
+  const attempts = (previous?.attempts || 0) + 1;
+
+  const isBetter = !previous ||
+    (result.completed && !previous.completed) ||
+    (result.completed === previous.completed && result.score > previous.score);
+
+  return {
+    ...history,
+    [dateKey]: isBetter ? { ...result, attempts } : { ...previous, attempts }
+  };
+};
+
+/**
+ * Compute the current and best streaks of completed challenges
+ *
+ * The current streak still counts while today's challenge is unfinished,
+ * as long as yesterday's was completed.
+ *
+ * @param {Object} history - Results keyed by date key
+ * @param {string} [today=getDateKey()] - Today's date key
+ * @returns {Object} { current, best } in days
+ */
+export const getDailyStreak = (history, today = getDateKey()) => {
+  const isCompleted = (dateKey) => Boolean(history[dateKey]?.completed);
+
+  let current = 0;
+  let day = isCompleted(today) ? today : shiftDateKey(today, -1);
+  while (isCompleted(day)) {
+    current++;
+    day = shiftDateKey(day, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  Object.keys(history).filter(isCompleted).sort().forEach(dateKey => {
+    run = previous && shiftDateKey(previous, 1) === dateKey ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = dateKey;
+  });
+
+  return { current, best: Math.max(best, current) };
+};
+
+/**
+ * List recent days with whether their challenge was played
+ *
+ * @param {Object} history - Results keyed by date key
+ * @param {string} [today=getDateKey()] - Today's date key
+ * @param {number} [days=DAILY_CHALLENGE_RULES.calendarDays] - Number of days to list
+ * @returns {Array<Object>} Oldest first, as { date, status, result } where
+ *   status is 'played', 'missed' or 'today' (today, not played yet)
+ */
+export const getDailyCalendar = (history, today = getDateKey(), days = DAILY_CHALLENGE_RULES.calendarDays) => {
+  return Array.from({ length: days }, (_, index) => {
+    const date = shiftDateKey(today, index - days + 1);
+    const result = history[date] || null;
+
+    let status = 'missed';
+    if (result) {
+      status = 'played';
+    } else if (date === today) {
+      status = 'today';
+    }
+
+    return { date, status, result };
+  });
+};
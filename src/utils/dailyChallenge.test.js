@@ -0,0 +1,108 @@
+/**
+ * ElementCraft - Daily Challenge Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  createChallengeBoard,
+  generateDailyChallenge,
+  getDailyCalendar,
+  getDailyStreak,
+  recordDailyResult,
+  shiftDateKey
+} from './dailyChallenge';
+import { validateObjectives } from './objectives';
+import { DAILY_CHALLENGE_RULES } from '../constants/gameStates';
+
+const won = { completed: true, score: 100, moves: 10, time: 1000 };
+const lost = { completed: false, score: 300, moves: 20, time: 1000 };
+
+// History with a completed challenge on each date
+const completedOn = (...dates) => Object.fromEntries(dates.map(date => [date, { ...won, attempts: 1 }]));
+
+describe('shiftDateKey', () => {
+  it('moves across month and year ends', () => {
+    expect(shiftDateKey('2026-10-31', 1)).toBe('2026-11-01');
+    expect(shiftDateKey('2027-01-01', -1)).toBe('2026-12-31');
+    expect(shiftDateKey('2028-02-28', 1)).toBe('2028-02-29');
+  });
+});
+
+describe('generateDailyChallenge', () => {
+  it('gives everyone the same challenge for a date', () => {
+    expect(generateDailyChallenge('2026-10-19')).toEqual(generateDailyChallenge('2026-10-19'));
+    expect(generateDailyChallenge('2026-10-19')).not.toEqual(generateDailyChallenge('2026-10-20'));
+  });
+
+  it('stays within the challenge rules', () => {
+    const rules = DAILY_CHALLENGE_RULES;
+
+    for (let day = 0; day < 30; day++) {
+      const challenge = generateDailyChallenge(shiftDateKey('2026-01-01', day));
+      const board = createChallengeBoard(challenge);
+
+      expect(challenge.rows).toBeGreaterThanOrEqual(rules.minSize);
+      expect(challenge.cols).toBeLessThanOrEqual(rules.maxSize);
+      expect(challenge.maxMoves).toBeGreaterThanOrEqual(rules.minMoves);
+      expect(challenge.maxMoves).toBeLessThanOrEqual(rules.maxMoves);
+      expect(challenge.objectives.length).toBeGreaterThanOrEqual(rules.minObjectives);
+      expect(challenge.objectives.length).toBeLessThanOrEqual(rules.maxObjectives);
+      expect(validateObjectives({ [challenge.date]: challenge.objectives })).toBe(true);
+      expect(board.flat().filter(cell => cell?.obstacle)).toHaveLength(challenge.obstacles.length);
+    }
+  });
+});
+
+describe('recordDailyResult', () => {
+  it('keeps the best result and counts attempts', () => {
+    let history = recordDailyResult({}, '2026-10-19', lost);
+    history = recordDailyResult(history, '2026-10-19', won);
+    history = recordDailyResult(history, '2026-10-19', { ...won, score: 50 });
+
+    expect(history['2026-10-19']).toEqual({ ...won, attempts: 3 });
+  });
+});
+
+describe('getDailyStreak', () => {
+  it('counts consecutive completed days up to today', () => {
+    const history = completedOn('2026-10-17', '2026-10-18', '2026-10-19');
+
+    expect(getDailyStreak(history, '2026-10-19')).toEqual({ current: 3, best: 3 });
+  });
+
+  it('keeps the streak while today is still unplayed', () => {
+    const history = completedOn('2026-10-17', '2026-10-18');
+
+    expect(getDailyStreak(history, '2026-10-19').current).toBe(2);
+  });
+
+  it('breaks the streak on a missed or failed day but keeps the best', () => {
+    const history = {
+      ...completedOn('2026-10-10', '2026-10-11', '2026-10-12', '2026-10-17'),
+      '2026-10-18': { ...lost, attempts: 1 }
+    };
+
+    expect(getDailyStreak(history, '2026-10-19')).toEqual({ current: 0, best: 3 });
+  });
+
+  it('counts streaks across month ends', () => {
+    const history = completedOn('2026-09-30', '2026-10-01');
+
+    expect(getDailyStreak(history, '2026-10-01')).toEqual({ current: 2, best: 2 });
+  });
+});
+
+describe('getDailyCalendar', () => {
+  it('marks days as played, missed or today', () => {
+    const calendar = getDailyCalendar(completedOn('2026-10-17'), '2026-10-19', 3);
+
+    expect(calendar.map(({ date, status }) => [date, status])).toEqual([
+      ['2026-10-17', 'played'],
+      ['2026-10-18', 'missed'],
+      ['2026-10-19', 'today']
+    ]);
+  });
+});
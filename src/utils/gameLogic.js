@@ -9,7 +9,17 @@
  * @version 1.0.0
  */
 
-import { elementInteractions } from '../constants/elements';
+import { findRecipe } from './recipes';
+import { createRng } from './random';
+import { getSimulationRules } from './simulation';
+import { resolvePlacement } from './reactions';
+import { processChainReaction } from './interactions';
+import { checkConstraints } from './logicConstraints';
+import {
+  getBoxShape,
+  createLogicPuzzle,
+  getLogicPuzzleDifficulty
+} from './puzzles';
 
 /**
  * Generates an empty game board of specified dimensions
@@ -25,274 +35,73 @@ export const generateBoard = (rows, cols) => {
 /**
  * Checks and processes element interactions when a new element is placed
  * 
+ * Delegates to the reaction engine, which returns the effect log for
+ * scoring and animation. With cascade enabled, created elements keep
+ * reacting through processChainReaction.
+ * 
  * @param {Array<Array<Object>>} board - Current game board state
  * @param {number} row - Row where element was placed
  * @param {number} col - Column where element was placed
- * @returns {Object} Interaction results including new board state and score
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.cascade=false] - Resolve chain reactions (Cascade Reactions upgrade)
+ * @param {boolean} [options.fireSpread=true] - Let placed fire ignite its neighbours
+ * @returns {Object} Interaction results including new board state, score,
+ *   effect log and, for cascades, the effects of each step
  */
-export const checkInteractions = (board, row, col) => {
+export const checkInteractions = (board, row, col, rng = createRng(), { cascade = false, fireSpread = true } = {}) => {
   // If the cell is empty, no interaction occurs
-  if (!board[row][col]) return { newBoard: board, score: 0, newElements: [] };
-  
-  const placedElement = board[row][col].element;
-  const boardCopy = JSON.parse(JSON.stringify(board));
+  if (!board[row][col]) return { newBoard: board, score: 0, newElements: [], interactions: [], effects: [], steps: [] };
   
-  // Track interactions
-  const interactions = [];
-  const newElements = [];
-  let totalScore = 0;
+  // Element behaviors that are switched off
+  const skip = fireSpread ? [] : ['fire'];
   
-  // Check adjacent cells for interactions
-  const adjacentCells = [
-    [row - 1, col],    // Above
-    [row + 1, col],    // Below
-    [row, col - 1],    // Left
-    [row, col + 1],    // Right
-    [row - 1, col - 1], // Top-left
-    [row - 1, col + 1], // Top-right
-    [row + 1, col - 1], // Bottom-left
-    [row + 1, col + 1]  // Bottom-right
-  ];
+  if (cascade) {
+    const chain = processChainReaction(board, row, col, rng, null, skip);
+    
+    return {
+      newBoard: chain.board,
+      score: chain.score,
+      newElements: chain.newElements,
+      interactions: chain.reactions,
+      effects: chain.effects,
+      steps: chain.steps
+    };
+  }
   
-  // Process each adjacent cell
-  adjacentCells.forEach(([adjRow, adjCol]) => {
-    // Check if the adjacent cell is within bounds
-    if (
-      adjRow >= 0 && 
-      adjRow < boardCopy.length && 
-      adjCol >= 0 && 
-      adjCol < boardCopy[0].length
-    ) {
-      const adjCell = boardCopy[adjRow][adjCol];
-      
-      // If adjacent cell has an element, check for interaction
-      if (adjCell && adjCell.element) {
-        const interaction = getElementInteraction(placedElement, adjCell.element);
-        
-        if (interaction) {
-          interactions.push({
-            element1: placedElement,
-            element2: adjCell.element,
-            result: interaction.result,
-            position: { row: adjRow, col: adjCol }
-          });
-          
-          // Add new element to tracking if it's not already there
-          if (!newElements.includes(interaction.result)) {
-            newElements.push(interaction.result);
-          }
-          
-          // Apply the interaction result
-          boardCopy[adjRow][adjCol] = { element: interaction.result };
-          totalScore += interaction.score;
-        }
-      }
-    }
-  });
+  const { board: newBoard, effects, score, newElements } = resolvePlacement(board, row, col, rng, skip);
   
-  // Special element effects
-  applySpecialElementEffects(boardCopy, row, col, placedElement);
+  // Recipe reactions in the older { element1, element2, result, position } form
+  const interactions = effects
+    .filter(effect => effect.type === 'combine')
+    .map(effect => ({
+      element1: effect.reactants[0],
+      element2: effect.reactants[1],
+      result: effect.element,
+      position: { row: effect.to[0], col: effect.to[1] }
+    }));
   
   return {
-    newBoard: boardCopy,
-    score: totalScore,
-    newElements: newElements,
-    interactions: interactions
+    newBoard,
+    score,
+    newElements,
+    interactions,
+    effects,
+    steps: effects.length > 0 ? [effects] : []
   };
 };
 
 /**
  * Get the result of interaction between two elements
  * 
+ * Looks up the unconditional recipe in the recipe registry.
+ * 
  * @param {string} element1 - First element type
  * @param {string} element2 - Second element type
  * @returns {Object|null} Interaction result or null if no interaction
  */
 export const getElementInteraction = (element1, element2) => {
-  // Check if there's a defined interaction between these elements
-  const interactionKey = `${element1}_${element2}`;
-  const reverseInteractionKey = `${element2}_${element1}`;
-  
-  return elementInteractions[interactionKey] || 
-         elementInteractions[reverseInteractionKey] || 
-         null;
-};
-
-/**
- * Apply special effects for specific elements
- * 
- * @param {Array<Array<Object>>} board - Current game board
- * @param {number} row - Row of placed element
- * @param {number} col - Column of placed element
- * @param {string} elementType - Type of placed element
- */
-export const applySpecialElementEffects = (board, row, col, elementType) => {
-  switch (elementType) {
-    case 'fire':
-      // Fire can spread to adjacent flammable elements (like wood)
-      applyFireSpread(board, row, col);
-      break;
-      
-    case 'water':
-      // Water can flow downward if there's space
-      applyWaterFlow(board, row, col);
-      break;
-      
-    case 'air':
-      // Air can displace lighter elements
-      applyAirDisplacement(board, row, col);
-      break;
-      
-    case 'crystal':
-      // Crystal can amplify adjacent elements
-      applyCrystalAmplification(board, row, col);
-      break;
-      
-    default:
-      // No special effect for this element
-      break;
-  }
-};
-
-/**
- * Apply fire spreading effect
- * 
- * @param {Array<Array<Object>>} board - Current game board
- * @param {number} row - Row of fire element
- * @param {number} col - Column of fire element
- */
-export const applyFireSpread = (board, row, col) => {
-  // Check adjacent cells for flammable elements
-  const adjacentCells = [
-    [row - 1, col],    // Above
-    [row + 1, col],    // Below
-    [row, col - 1],    // Left
-    [row, col + 1],    // Right
-  ];
-  
-  adjacentCells.forEach(([adjRow, adjCol]) => {
-    // Check if the adjacent cell is within bounds
-    if (
-      adjRow >= 0 && 
-      adjRow < board.length && 
-      adjCol >= 0 && 
-      adjCol < board[0].length
-    ) {
-      const adjCell = board[adjRow][adjCol];
-      
-      // Check if the adjacent cell has a flammable element
-      if (adjCell && adjCell.element === 'wood') {
-        // 20% chance to ignite wood
-        if (Math.random() < 0.2) {
-          board[adjRow][adjCol] = { element: 'fire' };
-        }
-      }
-    }
-  });
-};
-
-/**
- * Apply water flow effect
- * 
- * @param {Array<Array<Object>>} board - Current game board
- * @param {number} row - Row of water element
- * @param {number} col - Column of water element
- */
-export const applyWaterFlow = (board, row, col) => {
-  // Water can flow downward if there's space
-  // Check below
-  if (row + 1 < board.length) {
-    const cellBelow = board[row + 1][col];
-    
-    if (!cellBelow) {
-      // Move water down
-      board[row + 1][col] = { element: 'water' };
-      board[row][col] = null;
-    }
-  }
-  
-  // Water can also spread horizontally if there's no resistance
-  const horizontalCells = [
-    [row, col - 1],    // Left
-    [row, col + 1],    // Right
-  ];
-  
-  horizontalCells.forEach(([adjRow, adjCol]) => {
-    // Check if the adjacent cell is within bounds
-    if (
-      adjRow >= 0 && 
-      adjRow < board.length && 
-      adjCol >= 0 && 
-      adjCol < board[0].length
-    ) {
-      // Water has a 10% chance to spread horizontally to empty cells
-      if (!board[adjRow][adjCol] && Math.random() < 0.1) {
-        board[adjRow][adjCol] = { element: 'water', flowing: true };
-      }
-    }
-  });
-};
-
-/**
- * Apply air displacement effect
- * 
- * @param {Array<Array<Object>>} board - Current game board
- * @param {number} row - Row of air element
- * @param {number} col - Column of air element
- */
-export const applyAirDisplacement = (board, row, col) => {
-  // Air can displace lighter elements upward
-  if (row - 1 >= 0) {
-    const cellAbove = board[row - 1][col];
-    
-    // If cell above has a light element (fire, air), it can be pushed further up
-    if (cellAbove && (cellAbove.element === 'fire' || cellAbove.element === 'steam')) {
-      // Try to push it one more cell up
-      if (row - 2 >= 0 && !board[row - 2][col]) {
-        board[row - 2][col] = { ...cellAbove };
-        board[row - 1][col] = null;
-      }
-    }
-  }
-};
-
-/**
- * Apply crystal amplification effect
- * 
- * @param {Array<Array<Object>>} board - Current game board
- * @param {number} row - Row of crystal element
- * @param {number} col - Column of crystal element
- */
-export const applyCrystalAmplification = (board, row, col) => {
-  // Crystal amplifies the effects of adjacent elements
-  const adjacentCells = [
-    [row - 1, col],    // Above
-    [row + 1, col],    // Below
-    [row, col - 1],    // Left
-    [row, col + 1],    // Right
-  ];
-  
-  adjacentCells.forEach(([adjRow, adjCol]) => {
-    // Check if the adjacent cell is within bounds
-    if (
-      adjRow >= 0 && 
-      adjRow < board.length && 
-      adjCol >= 0 && 
-      adjCol < board[0].length
-    ) {
-      const adjCell = board[adjRow][adjCol];
-      
-      // If there's an element, amplify its effect
-      if (adjCell && adjCell.element) {
-        // Mark the element as amplified
-        board[adjRow][adjCol] = { 
-          ...adjCell, 
-          amplified: true,
-          power: (adjCell.power || 1) * 2
-        };
-      }
-    }
-  });
+  return findRecipe([element1, element2]);
 };
 
 /**
@@ -337,9 +146,11 @@ export const checkWordPuzzle = (solution, attempt) => {
  * 
  * @param {Array<Array<Object>>} board - Current game board (or section)
  * @param {string[]} validElements - Array of valid elements for the puzzle
+ * @param {Array<Object>} [constraints] - Puzzle constraints; variant rules
+ *   such as cages and diagonals are only checked when given
  * @returns {boolean} Whether the puzzle is valid
  */
-export const checkLogicPuzzle = (board, validElements) => {
+export const checkLogicPuzzle = (board, validElements, constraints = null) => {
   const size = board.length;
   
   // Check rows
@@ -372,19 +183,20 @@ export const checkLogicPuzzle = (board, validElements) => {
     }
   }
   
-  // Check 3x3 subgrids for 9x9 puzzles
-  if (size === 9) {
-    for (let boxRow = 0; boxRow < 3; boxRow++) {
-      for (let boxCol = 0; boxCol < 3; boxCol++) {
+  // Check boxes (2x2 for 4x4, 2x3 for 6x6, 3x3 for 9x9)
+  const box = getBoxShape(size);
+  if (box) {
+    for (let boxRow = 0; boxRow < size; boxRow += box.height) {
+      for (let boxCol = 0; boxCol < size; boxCol += box.width) {
         const elements = new Set();
-        for (let row = boxRow * 3; row < boxRow * 3 + 3; row++) {
-          for (let col = boxCol * 3; col < boxCol * 3 + 3; col++) {
+        for (let row = boxRow; row < boxRow + box.height; row++) {
+          for (let col = boxCol; col < boxCol + box.width; col++) {
             const cell = board[row][col];
             if (!cell || !cell.element) {
               return false;
             }
             if (elements.has(cell.element)) {
-              return false; // Duplicate in 3x3 box
+              return false; // Duplicate in box
             }
             elements.add(cell.element);
           }
@@ -393,12 +205,21 @@ export const checkLogicPuzzle = (board, validElements) => {
     }
   }
   
+  // Check the variant rules
+  if (constraints && !checkConstraints(board, constraints)) {
+    return false;
+  }
+  
   return true;
 };
 
 /**
  * Apply physics to elements on the board
  * 
+ * Moves every element at most one cell instantly. The running game uses
+ * simulateTick from the simulation module, which also handles flow,
+ * fire spread, growth and decay.
+ * 
  * @param {Array<Array<Object>>} board - Current game board
  * @returns {Array<Array<Object>>} Updated board after physics
  */
@@ -449,7 +270,7 @@ export const applyPhysics = (board) => {
  * @returns {boolean} Whether element is affected by gravity
  */
 export const isAffectedByGravity = (element) => {
-  return ['water', 'earth', 'metal'].includes(element);
+  return getSimulationRules(element).falls;
 };
 
 /**
@@ -459,16 +280,17 @@ export const isAffectedByGravity = (element) => {
  * @returns {boolean} Whether element is affected by buoyancy
  */
 export const isAffectedByBuoyancy = (element) => {
-  return ['fire', 'air', 'steam'].includes(element);
+  return getSimulationRules(element).rises;
 };
 
 /**
  * Generate a word puzzle for a level
  * 
  * @param {number} level - Current level number
+ * @param {Object} [rng] - Seeded random generator from createRng
  * @returns {Object} Word puzzle data
  */
-export const generateWordPuzzle = (level) => {
+export const generateWordPuzzle = (level, rng = createRng()) => {
   // Word puzzles based on element-related terms
   const wordsByLevel = {
     1: ['FLAME', 'WATER', 'EARTH'],
@@ -479,7 +301,7 @@ export const generateWordPuzzle = (level) => {
   };
   
   const words = wordsByLevel[level] || wordsByLevel[1];
-  const selectedWord = words[Math.floor(Math.random() * words.length)];
+  const selectedWord = rng.pick(words);
   
   return {
     word: selectedWord,
@@ -492,26 +314,28 @@ export const generateWordPuzzle = (level) => {
  * Generate a logic puzzle for a level
  * 
  * @param {number} level - Current level number
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {string|Object} [variant='classic'] - Variant rules, see LOGIC_PUZZLE_VARIANTS
  * @returns {Object} Logic puzzle data
  */
-export const generateLogicPuzzle = (level) => {
+export const generateLogicPuzzle = (level, rng = createRng(), variant = 'classic') => {
   const size = level <= 2 ? 4 : (level <= 4 ? 6 : 9);
   const elements = ['fire', 'water', 'earth', 'air'];
   
   if (level >= 3) elements.push('metal');
   if (level >= 4) elements.push('wood');
   
-  // Generate a valid puzzle solution
-  const solution = generateSolution(size, elements.slice(0, size));
-  
-  // Create a puzzle by removing some elements from the solution
-  const puzzle = createPuzzle(solution, difficulty(level));
+  // Generate a puzzle within the level's tier, boxes and variant rules included
+  const { puzzle, solution, validElements, constraints, difficulty } =
+    createLogicPuzzle(size, rng, elements, getLogicPuzzleDifficulty(level), variant);
   
   return {
     size,
     puzzle,
     solution,
-    validElements: elements.slice(0, size)
+    validElements,
+    constraints,
+    difficulty
   };
 };
 
@@ -542,9 +366,10 @@ export const generateSolution = (size, elements) => {
  * 
  * @param {Array<Array<Object>>} solution - Complete solution
  * @param {number} difficulty - Percentage of cells to remove (0-1)
+ * @param {Object} [rng] - Seeded random generator from createRng
  * @returns {Array<Array<Object>>} Puzzle with some elements removed
  */
-export const createPuzzle = (solution, difficulty) => {
+export const createPuzzle = (solution, difficulty, rng = createRng()) => {
   const size = solution.length;
   const puzzle = JSON.parse(JSON.stringify(solution));
   const totalCells = size * size;
@@ -553,8 +378,8 @@ export const createPuzzle = (solution, difficulty) => {
   // Remove random cells
   let removed = 0;
   while (removed < cellsToRemove) {
-    const row = Math.floor(Math.random() * size);
-    const col = Math.floor(Math.random() * size);
+    const row = rng.int(size);
+    const col = rng.int(size);
     
     if (puzzle[row][col] !== null) {
       puzzle[row][col] = null;
@@ -0,0 +1,34 @@
+/**
+ * ElementCraft - Game Logic Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { checkInteractions } from './gameLogic';
+import { parseBoard } from '../test/boards';
+
+const legend = { F: 'fire', W: 'water', E: 'earth', M: 'metal', A: 'air' };
+
+describe('checkInteractions', () => {
+  it('combines a placed element with two neighbours into a three-element recipe', () => {
+    const result = checkInteractions(parseBoard(['MFA', '.W.'], legend), 0, 1);
+
+    expect(result.newBoard).toEqual([
+      [null, { element: 'forge' }, null],
+      [null, { element: 'water' }, null]
+    ]);
+    expect(result.newElements).toEqual(['forge']);
+    expect(result.interactions[0]).toMatchObject({ element1: 'fire', result: 'forge', position: { row: 0, col: 1 } });
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  it('reacts with each neighbour when no three-element recipe fits', () => {
+    const result = checkInteractions(parseBoard(['WFA'], legend), 0, 1);
+
+    expect(result.newBoard[0][0]).toEqual({ element: 'steam' });
+    expect(result.newBoard[0][2]).toEqual({ element: 'plasma' });
+    expect(result.interactions.map(interaction => interaction.result)).toEqual(['steam', 'plasma']);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * ElementCraft - Element Interaction Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { createRng } from './random';
+import { getChainMultiplier, processChainReaction } from './interactions';
+import { CASCADE_RULES } from '../constants/gameStates';
+import { parseBoard } from '../test/boards';
+
+// Fire turns the wood next to it into fire, so a line of wood chains
+const legend = { F: 'fire', D: 'wood' };
+
+describe('getChainMultiplier', () => {
+  it('raises the multiplier each step up to the cap', () => {
+    expect(getChainMultiplier(1)).toBe(1);
+    expect(getChainMultiplier(2)).toBe(1 + CASCADE_RULES.stepBonus);
+    expect(getChainMultiplier(50)).toBe(CASCADE_RULES.maxMultiplier);
+  });
+});
+
+describe('processChainReaction', () => {
+  it('stops a long chain at the step limit', () => {
+    const result = processChainReaction(parseBoard(['FDDDDDDDDDDD'], legend), 0, 0, createRng(1));
+
+    expect(result.length).toBe(CASCADE_RULES.maxSteps);
+    expect(result.steps).toHaveLength(CASCADE_RULES.maxSteps);
+    expect(result.capped).toBe(true);
+    expect(result.board[0][CASCADE_RULES.maxSteps + 1]).toEqual({ element: 'wood' });
+  });
+
+  it('scores each step with its capped multiplier', () => {
+    const result = processChainReaction(parseBoard(['FDDDDDDDDDDD'], legend), 0, 0, createRng(1));
+    const base = result.steps[0][0].score;
+
+    result.steps.forEach((stepEffects, index) => {
+      expect(stepEffects[0].step).toBe(index + 1);
+      expect(stepEffects[0].score).toBe(Math.round(base * getChainMultiplier(index + 1)));
+    });
+    expect(result.steps.at(-1)[0].score).toBe(base * CASCADE_RULES.maxMultiplier);
+    expect(result.score).toBe(result.effects.reduce((total, effect) => total + effect.score, 0));
+  });
+
+  it('reports a chain that ran out by itself as not capped', () => {
+    const result = processChainReaction(parseBoard(['FDD.'], legend), 0, 0, createRng(1));
+
+    expect(result.length).toBe(2);
+    expect(result.capped).toBe(false);
+    expect(result.effects).toEqual(result.steps.flat());
+    expect(result.reactions.map(reaction => reaction.step)).toEqual([1, 2]);
+    expect(result.board[0].slice(0, 3)).toEqual(parseBoard(['FFF'], legend)[0]);
+  });
+
+  it('calls back once for every combine', () => {
+    const onReaction = vi.fn();
+    processChainReaction(parseBoard(['FDD.'], legend), 0, 0, createRng(1), onReaction);
+
+    expect(onReaction).toHaveBeenCalledTimes(2);
+    expect(onReaction).toHaveBeenLastCalledWith(expect.objectContaining({ step: 2 }), { row: 0, col: 2 });
+  });
+
+  it('does nothing from an empty cell', () => {
+    const result = processChainReaction(parseBoard(['.D'], legend), 0, 0, createRng(1));
+
+    expect(result).toMatchObject({ effects: [], steps: [], score: 0, length: 0, capped: false });
+  });
+});
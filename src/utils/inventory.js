@@ -0,0 +1,105 @@
+/**
+ * ElementCraft - Inventory Capacity
+ *
+ * This module implements the inventory capacity model. Each element
+ * occupies one slot while the player holds any of it, and each slot
+ * holds at most the stack cap of that element's tier. The slot count
+ * grows with the Inventory Expansion upgrade and with player level.
+ *
+ * Everything that adds elements to the inventory (level rewards, store
+ * purchases, reaction products) goes through addToInventory, which
+ * returns whatever did not fit as overflow.
+ *
+ * @module inventory
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { INITIAL_ELEMENTS, UNLOCKABLE_ELEMENTS } from '../constants/elements';
+import { INVENTORY_SLOTS, STACK_CAPS } from '../constants/gameStates';
+
+/**
+ * Get the tier of an element
+ *
+ * @param {string} element - Element type
+ * @returns {string} 'initial', 'unlockable' or 'product'
+ */
+export const getElementTier = (element) => {
+  if (INITIAL_ELEMENTS.includes(element)) return 'initial';
+  if (UNLOCKABLE_ELEMENTS.includes(element)) return 'unlockable';
+  return 'product';
+};
+
+/**
+ * Get the most of an element a single slot can hold
+ *
+ * @param {string} element - Element type
+ * @returns {number} Stack cap
+ */
+export const getStackCap = (element) => {
+  return STACK_CAPS[getElementTier(element)];
+};
+
+/**
+ * Get the number of inventory slots a player has
+ *
+ * @param {Object} player - Player progress
+ * @param {number} [player.playerLevel=1] - Player level
+ * @param {Array<string>} [player.ownedUpgrades=[]] - Owned special store items
+ * @returns {number} Slot count
+ */
+export const getSlotCount = ({ playerLevel = 1, ownedUpgrades = [] } = {}) => {
+  const expansion = ownedUpgrades.includes('special_inventory') ? INVENTORY_SLOTS.expansion : 0;
+  const levelBonus = Math.floor((playerLevel - 1) / INVENTORY_SLOTS.levelInterval);
+
+  return INVENTORY_SLOTS.base + expansion + levelBonus;
+};
+
+/**
+ * Count the slots in use
+ *
+ * @param {Object} inventory - Element counts keyed by element
+ * @returns {number} Number of elements the player holds any of
+ */
+export const getSlotsUsed = (inventory) => {
+  return Object.values(inventory || {}).filter(count => count > 0).length;
+};
+
+/**
+ * Add elements to an inventory, respecting slots and stack caps
+ *
+ * @param {Object} inventory - Element counts keyed by element
+ * @param {Object} additions - Amounts to add keyed by element
+ * @param {number} slots - Slot count from getSlotCount
+ * @returns {Object} { inventory, added, overflow } where inventory is a new
+ *   object, added holds the amounts that fit and overflow the amounts that
+ *   did not (both keyed by element, without zero entries)
+ */
+export const addToInventory = (inventory, additions, slots) => {
+  const newInventory = { ...inventory };
+  const added = {};
+  const overflow = {};
+  let slotsUsed = getSlotsUsed(inventory);
+
+  Object.entries(additions).forEach(([element, amount]) => {
+    if (amount <= 0) return;
+
+    const current = newInventory[element] || 0;
+
+    // A new element needs a free slot
+    const hasSlot = current > 0 || slotsUsed < slots;
+    const fits = hasSlot ? Math.max(0, Math.min(amount, getStackCap(element) - current)) : 0;
+
+    if (fits > 0) {
+      if (current === 0) slotsUsed++;
+      newInventory[element] = current + fits;
+      added[element] = fits;
+    }
+
+    if (amount > fits) {
+      overflow[element] = amount - fits;
+    }
+  });
+
+  return { inventory: newInventory, added, overflow };
+};
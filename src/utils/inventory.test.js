@@ -0,0 +1,55 @@
+/**
+ * ElementCraft - Inventory Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { addToInventory, getSlotCount, getSlotsUsed, getStackCap } from './inventory';
+import { INVENTORY_SLOTS, STACK_CAPS } from '../constants/gameStates';
+
+describe('getSlotCount', () => {
+  it('grows with Inventory Expansion and player level', () => {
+    expect(getSlotCount()).toBe(INVENTORY_SLOTS.base);
+    expect(getSlotCount({ ownedUpgrades: ['special_inventory'] }))
+      .toBe(INVENTORY_SLOTS.base + INVENTORY_SLOTS.expansion);
+    expect(getSlotCount({ playerLevel: 1 + INVENTORY_SLOTS.levelInterval })).toBe(INVENTORY_SLOTS.base + 1);
+  });
+});
+
+describe('addToInventory', () => {
+  it('adds what fits under the stack cap and returns the rest as overflow', () => {
+    const cap = getStackCap('fire');
+    const result = addToInventory({ fire: cap - 2 }, { fire: 5 }, 12);
+
+    expect(cap).toBe(STACK_CAPS.initial);
+    expect(result.inventory.fire).toBe(cap);
+    expect(result.added).toEqual({ fire: 2 });
+    expect(result.overflow).toEqual({ fire: 3 });
+  });
+
+  it('needs a free slot for a new element', () => {
+    const full = { fire: 1, water: 1 };
+    const result = addToInventory(full, { earth: 2, fire: 1 }, 2);
+
+    expect(result.inventory).toEqual({ fire: 2, water: 1 });
+    expect(result.added).toEqual({ fire: 1 });
+    expect(result.overflow).toEqual({ earth: 2 });
+  });
+
+  it('frees the slot of an element that ran out', () => {
+    const result = addToInventory({ fire: 0, water: 1 }, { earth: 1 }, 2);
+
+    expect(getSlotsUsed({ fire: 0, water: 1 })).toBe(1);
+    expect(result.overflow).toEqual({});
+    expect(result.inventory.earth).toBe(1);
+  });
+
+  it('does not change the inventory it is given', () => {
+    const inventory = { fire: 1 };
+    addToInventory(inventory, { fire: 1, water: 1 }, 12);
+
+    expect(inventory).toEqual({ fire: 1 });
+  });
+});
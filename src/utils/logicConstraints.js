@@ -0,0 +1,597 @@
+/**
+ * ElementCraft - Logic Puzzle Constraints
+ *
+ * This module is the constraint model of the element logic puzzles. A
+ * puzzle's rules are a list of plain constraint objects, so they can be
+ * saved with the puzzle and mixed freely:
+ *
+ * - unique: the cells hold different elements (rows, columns, boxes and
+ *   the diagonals of the diagonal variant)
+ * - cage: the cells hold exactly the ingredients of a reaction
+ * - not_adjacent: two elements never touch orthogonally
+ *
+ * The generator, the solution counter, the technique solver, the error
+ * finder and the hints all read the same constraints.
+ *
+ * @module logicConstraints
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { findRecipe } from './recipes';
+import { createRng } from './random';
+import { LOGIC_BOX_LAYOUTS } from '../constants/gameStates';
+
+// Orthogonal neighbour offsets
+const ORTHOGONAL = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Element in a grid cell
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle grid
+ * @param {Object} cell - { row, col }
+ * @returns {string|null} Element type, or null for an empty cell
+ */
+const elementAt = (grid, { row, col }) => {
+  const cell = grid[row][col];
+  return cell ? (cell.element ?? cell) : null;
+};
+
+/**
+ * Orthogonal neighbours of a cell inside the grid
+ *
+ * @param {number} size - Grid size
+ * @param {number} row - Row of the cell
+ * @param {number} col - Column of the cell
+ * @returns {Array<{row: number, col: number}>} Neighbour positions
+ */
+const getNeighbours = (size, row, col) => {
+  return ORTHOGONAL
+    .map(([dRow, dCol]) => ({ row: row + dRow, col: col + dCol }))
+    .filter(cell => cell.row >= 0 && cell.row < size && cell.col >= 0 && cell.col < size);
+};
+
+/**
+ * Capitalize the first letter of a word
+ *
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+/**
+ * Cells of a group that repeat an element
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle grid
+ * @param {Array<Object>} cells - Cells of the group
+ * @returns {Array<Object>} Every cell involved in a repeat
+ */
+const findDuplicates = (grid, cells) => {
+  const errors = [];
+  const seen = new Map();
+
+  cells.forEach(cell => {
+    const element = elementAt(grid, cell);
+    if (!element) return;
+
+    if (seen.has(element)) {
+      errors.push(seen.get(element), cell);
+    } else {
+      seen.set(element, cell);
+    }
+  });
+
+  return errors;
+};
+
+// Behaviour of each constraint type. allows() checks a placement against
+// the cells already filled, findErrors() lists the cells breaking the
+// constraint and describe() gives the rule text shown to the player.
+const constraintTypes = {
+  unique: {
+    allows: (grid, constraint, row, col, element) => constraint.cells.every(cell =>
+      (cell.row === row && cell.col === col) || elementAt(grid, cell) !== element
+    ),
+    findErrors: (grid, constraint) => findDuplicates(grid, constraint.cells),
+    describe: (constraint) => {
+      if (constraint.kind === 'box') {
+        const height = new Set(constraint.cells.map(cell => cell.row)).size;
+        const width = new Set(constraint.cells.map(cell => cell.col)).size;
+        return `Each ${height}x${width} box must contain one of each element`;
+      }
+
+      return `Each ${constraint.kind} must contain one of each element`;
+    }
+  },
+
+  cage: {
+    allows: (grid, constraint, row, col, element) =>
+      constraint.elements.includes(element) &&
+      constraintTypes.unique.allows(grid, constraint, row, col, element),
+    findErrors: (grid, constraint) => [
+      ...constraint.cells.filter(cell => {
+        const element = elementAt(grid, cell);
+        return element && !constraint.elements.includes(element);
+      }),
+      ...findDuplicates(grid, constraint.cells)
+    ],
+    describe: () => 'Each cage must hold exactly the ingredients of its reaction'
+  },
+
+  not_adjacent: {
+    allows: (grid, constraint, row, col, element) => {
+      const [first, second] = constraint.elements;
+      const other = element === first ? second : (element === second ? first : null);
+
+      return !other || getNeighbours(grid.length, row, col).every(cell => elementAt(grid, cell) !== other);
+    },
+    findErrors: (grid, constraint) => {
+      const [first, second] = constraint.elements;
+      const errors = [];
+
+      grid.forEach((cells, row) => cells.forEach((_, col) => {
+        if (elementAt(grid, { row, col }) !== first) return;
+
+        getNeighbours(grid.length, row, col).forEach(cell => {
+          if (elementAt(grid, cell) === second) {
+            errors.push({ row, col }, cell);
+          }
+        });
+      }));
+
+      return errors;
+    },
+    describe: (constraint) => {
+      const [first, second] = constraint.elements;
+      return `${capitalize(first)} may never be orthogonally next to ${second}`;
+    }
+  }
+};
+
+/**
+ * Build the constraints of a logic puzzle grid
+ *
+ * @param {number} size - Grid size
+ * @param {Object} [variants={}] - Extra rules
+ * @param {boolean} [variants.diagonal=false] - Both long diagonals hold one of each element
+ * @param {Array<string[]>} [variants.notAdjacent=[]] - Element pairs that may not touch
+ * @returns {Array<Object>} Constraints
+ */
+export const buildLogicConstraints = (size, { diagonal = false, notAdjacent = [] } = {}) => {
+  const constraints = [];
+  const line = (index, toCell) => Array.from({ length: size }, (_, i) => toCell(index, i));
+
+  for (let row = 0; row < size; row++) {
+    constraints.push({ type: 'unique', kind: 'row', index: row, cells: line(row, (r, col) => ({ row: r, col })) });
+  }
+
+  for (let col = 0; col < size; col++) {
+    constraints.push({ type: 'unique', kind: 'column', index: col, cells: line(col, (c, row) => ({ row, col: c })) });
+  }
+
+  const layout = LOGIC_BOX_LAYOUTS[size];
+  if (layout) {
+    const [height, width] = layout;
+    let index = 0;
+
+    for (let boxRow = 0; boxRow < size; boxRow += height) {
+      for (let boxCol = 0; boxCol < size; boxCol += width) {
+        const cells = [];
+        for (let row = boxRow; row < boxRow + height; row++) {
+          for (let col = boxCol; col < boxCol + width; col++) {
+            cells.push({ row, col });
+          }
+        }
+        constraints.push({ type: 'unique', kind: 'box', index: index++, cells });
+      }
+    }
+  }
+
+  if (diagonal) {
+    constraints.push(
+      { type: 'unique', kind: 'diagonal', index: 0, cells: line(0, (_, i) => ({ row: i, col: i })) },
+      { type: 'unique', kind: 'diagonal', index: 1, cells: line(0, (_, i) => ({ row: i, col: size - 1 - i })) }
+    );
+  }
+
+  notAdjacent.forEach(elements => {
+    constraints.push({ type: 'not_adjacent', elements: [...elements] });
+  });
+
+  return constraints;
+};
+
+/**
+ * Pick reaction cages from a solved grid
+ *
+ * A cage is two or three connected cells whose elements are exactly the
+ * ingredients of a reaction, such as fire and water for steam. Cages
+ * don't overlap.
+ *
+ * @param {Array<Array<Object>>} solution - Complete solution
+ * @param {number} count - Most cages to create
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @returns {Array<Object>} Cage constraints with the reaction they stand for
+ */
+export const createCages = (solution, count, rng = createRng()) => {
+  const size = solution.length;
+  const options = [];
+
+  // Every connected group of two or three cells, grown from each cell
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      getNeighbours(size, row, col).forEach(second => {
+        options.push([{ row, col }, second]);
+
+        getNeighbours(size, second.row, second.col)
+          .filter(third => third.row !== row || third.col !== col)
+          .forEach(third => options.push([{ row, col }, second, third]));
+      });
+    }
+  }
+
+  const taken = new Set();
+  const cages = [];
+
+  for (const cells of rng.shuffle(options)) {
+    if (cages.length >= count) break;
+    if (cells.some(cell => taken.has(`${cell.row}-${cell.col}`))) continue;
+
+    const elements = cells.map(cell => elementAt(solution, cell));
+    if (new Set(elements).size !== elements.length) continue;
+
+    const recipe = findRecipe(elements);
+    if (!recipe) continue;
+
+    cells.forEach(cell => taken.add(`${cell.row}-${cell.col}`));
+    cages.push({
+      type: 'cage',
+      index: cages.length,
+      cells,
+      elements: [...recipe.ingredients],
+      reaction: recipe.result
+    });
+  }
+
+  return cages;
+};
+
+/**
+ * Check whether an element may go in a cell given the filled cells
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle grid
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {number} row - Row of the cell
+ * @param {number} col - Column of the cell
+ * @param {string} element - Element to place
+ * @returns {boolean} Whether no constraint is broken
+ */
+export const isPlacementAllowed = (grid, constraints, row, col, element) => {
+  return constraints.every(constraint => {
+    const { allows } = constraintTypes[constraint.type];
+    const involved = constraint.cells
+      ? constraint.cells.some(cell => cell.row === row && cell.col === col)
+      : true;
+
+    return !involved || allows(grid, constraint, row, col, element);
+  });
+};
+
+/**
+ * Find the cells that break a constraint
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle grid
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @returns {Array<{row: number, col: number}>} Error positions, each listed once
+ */
+export const findConstraintErrors = (grid, constraints) => {
+  const errors = new Map();
+
+  constraints.forEach(constraint => {
+    constraintTypes[constraint.type].findErrors(grid, constraint).forEach(({ row, col }) => {
+      errors.set(`${row}-${col}`, { row, col });
+    });
+  });
+
+  return [...errors.values()];
+};
+
+/**
+ * Check whether a grid is filled and breaks no constraint
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle grid
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @returns {boolean} Whether the grid is solved
+ */
+export const checkConstraints = (grid, constraints) => {
+  const filled = grid.every(row => row.every(cell => cell && (cell.element ?? cell)));
+  return filled && findConstraintErrors(grid, constraints).length === 0;
+};
+
+/**
+ * Get the rule texts of a puzzle's constraints
+ *
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @returns {string[]} Rules, each listed once
+ */
+export const describeConstraints = (constraints) => {
+  return [...new Set(constraints.map(constraint => constraintTypes[constraint.type].describe(constraint)))];
+};
+
+/**
+ * Get the cells of a unit named by the solver
+ *
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {Object} unit - { type, index } as carried by solver steps, where
+ *   type is a unique kind such as 'row', or 'cage'
+ * @returns {Array<{row: number, col: number}>} Cells of the unit
+ */
+export const getConstraintCells = (constraints, { type, index }) => {
+  const constraint = constraints.find(candidate =>
+    (candidate.type === 'cage' ? 'cage' : candidate.kind) === type && candidate.index === index
+  );
+
+  return constraint ? constraint.cells : [];
+};
+
+/**
+ * Candidates that placing an element rules out in other cells
+ *
+ * @param {number} size - Grid size
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {number} row - Row of the placed element
+ * @param {number} col - Column of the placed element
+ * @param {string} element - Placed element
+ * @returns {Array<Object>} Candidates as { row, col, element }
+ */
+export const getCandidateEliminations = (size, constraints, row, col, element) => {
+  const eliminations = [];
+
+  constraints.forEach(constraint => {
+    if (constraint.type === 'not_adjacent') {
+      const [first, second] = constraint.elements;
+      const other = element === first ? second : (element === second ? first : null);
+
+      if (other) {
+        getNeighbours(size, row, col).forEach(cell => eliminations.push({ ...cell, element: other }));
+      }
+      return;
+    }
+
+    if (!constraint.cells.some(cell => cell.row === row && cell.col === col)) return;
+
+    constraint.cells
+      .filter(cell => cell.row !== row || cell.col !== col)
+      .forEach(cell => eliminations.push({ ...cell, element }));
+  });
+
+  return eliminations;
+};
+
+/**
+ * Toggle a candidate note in an empty cell
+ *
+ * Notes are kept in the order of the valid elements.
+ *
+ * @param {Array<Array<string[]>>} notes - Candidate notes per cell
+ * @param {number} row - Row of the cell
+ * @param {number} col - Column of the cell
+ * @param {string} element - Element to note or un-note
+ * @param {string[]} elements - Valid elements
+ * @returns {Array<Array<string[]>>} New notes; the given ones are unchanged
+ */
+export const toggleCandidate = (notes, row, col, element, elements) => {
+  const cellNotes = notes[row][col];
+  const newNotes = notes.map(noteRow => [...noteRow]);
+
+  newNotes[row][col] = cellNotes.includes(element)
+    ? cellNotes.filter(note => note !== element)
+    : elements.filter(note => note === element || cellNotes.includes(note));
+
+  return newNotes;
+};
+
+/**
+ * Update candidate notes for an element placed in a cell
+ *
+ * The filled cell loses its notes and every candidate the placement
+ * rules out (see getCandidateEliminations) is removed.
+ *
+ * @param {Array<Array<string[]>>} notes - Candidate notes per cell
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {number} row - Row of the placed element
+ * @param {number} col - Column of the placed element
+ * @param {string} element - Placed element
+ * @returns {Array<Array<string[]>>} New notes; the given ones are unchanged
+ */
+export const removePlacedCandidates = (notes, constraints, row, col, element) => {
+  const newNotes = notes.map(noteRow => [...noteRow]);
+  newNotes[row][col] = [];
+
+  getCandidateEliminations(notes.length, constraints, row, col, element).forEach(candidate => {
+    newNotes[candidate.row][candidate.col] = newNotes[candidate.row][candidate.col]
+      .filter(note => note !== candidate.element);
+  });
+
+  return newNotes;
+};
+
+/**
+ * Compile constraints into bitmask tables for the solvers
+ *
+ * Unique constraints and cages become units whose cells must all differ;
+ * a unit's mask holds the elements it must contain. Cages also limit the
+ * candidates of their cells, and not_adjacent rules become, for each
+ * element, the mask of elements barred from its neighbours.
+ *
+ * @param {number} size - Grid size
+ * @param {string[]} elements - Valid elements, in bit order
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @returns {Object} { units, cellUnits, peers, neighbours, forbidden, allowed }
+ */
+export const compileLogicConstraints = (size, elements, constraints) => {
+  const full = (1 << size) - 1;
+  const maskOf = (list) => list.reduce((mask, element) => mask | (1 << elements.indexOf(element)), 0);
+  const flat = ({ row, col }) => row * size + col;
+
+  const units = constraints
+    .filter(constraint => constraint.type === 'unique' || constraint.type === 'cage')
+    .map(constraint => ({
+      type: constraint.type === 'cage' ? 'cage' : constraint.kind,
+      index: constraint.index,
+      cells: constraint.cells.map(flat),
+      mask: constraint.type === 'cage' ? maskOf(constraint.elements) : full
+    }));
+
+  const cellUnits = Array.from({ length: size * size }, () => []);
+  units.forEach(unit => unit.cells.forEach(cell => cellUnits[cell].push(unit)));
+
+  const peers = cellUnits.map((list, cell) => [
+    ...new Set(list.flatMap(unit => unit.cells).filter(other => other !== cell))
+  ]);
+
+  const allowed = cellUnits.map(list => list.reduce((mask, unit) => mask & unit.mask, full));
+
+  const forbidden = Array(size).fill(0);
+  const neighbours = Array.from({ length: size * size }, () => []);
+  const pairs = constraints.filter(constraint => constraint.type === 'not_adjacent');
+
+  pairs.forEach(({ elements: [first, second] }) => {
+    const a = elements.indexOf(first);
+    const b = elements.indexOf(second);
+    if (a < 0 || b < 0) return;
+
+    forbidden[a] |= 1 << b;
+    forbidden[b] |= 1 << a;
+  });
+
+  if (pairs.length > 0) {
+    for (let cell = 0; cell < size * size; cell++) {
+      neighbours[cell] = getNeighbours(size, Math.floor(cell / size), cell % size).map(flat);
+    }
+  }
+
+  return { units, cellUnits, peers, neighbours, forbidden, allowed };
+};
+
+/**
+ * Search the solutions of a puzzle, stopping at a limit
+ *
+ * Uses backtracking that always fills the cell with the fewest
+ * candidates next. With an rng the candidates are tried in random order,
+ * which turns the search into a generator of random solved grids.
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {Object} [options={}]
+ * @param {number} [options.limit=2] - Stop once this many solutions are found
+ * @param {Object} [options.rng] - Random order of candidates
+ * @returns {Object} { count, solution } with the first solution found or null
+ */
+export const searchSolutions = (grid, elements, constraints, { limit = 2, rng = null } = {}) => {
+  const size = grid.length;
+  const { units, cellUnits, neighbours, forbidden, allowed } = compileLogicConstraints(size, elements, constraints);
+
+  const used = units.map(() => 0);
+  const values = Array(size * size).fill(-1);
+  const empty = [];
+
+  const unitIndices = cellUnits.map(list => list.map(unit => units.indexOf(unit)));
+
+  // Elements still allowed in a cell, as a bitmask
+  const candidates = (cell) => {
+    let mask = allowed[cell];
+    unitIndices[cell].forEach(index => { mask &= ~used[index]; });
+    neighbours[cell].forEach(other => {
+      if (values[other] >= 0) mask &= ~forbidden[values[other]];
+    });
+    return mask;
+  };
+
+  const assign = (cell, value) => {
+    values[cell] = value;
+    unitIndices[cell].forEach(index => { used[index] |= 1 << value; });
+  };
+
+  const unassign = (cell, value) => {
+    values[cell] = -1;
+    unitIndices[cell].forEach(index => { used[index] &= ~(1 << value); });
+  };
+
+  // Record the givens, failing on any clash
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const element = grid[row][col] ? (grid[row][col].element ?? grid[row][col]) : null;
+      const cell = row * size + col;
+
+      if (!element) {
+        empty.push(cell);
+        continue;
+      }
+
+      const value = elements.indexOf(element);
+      if (value < 0 || !(candidates(cell) & (1 << value))) {
+        return { count: 0, solution: null };
+      }
+
+      assign(cell, value);
+    }
+  }
+
+  let count = 0;
+  let solution = null;
+
+  const search = (remaining) => {
+    if (remaining === 0) {
+      count++;
+      if (!solution) {
+        solution = Array.from({ length: size }, (_, row) =>
+          Array.from({ length: size }, (_, col) => ({ element: elements[values[row * size + col]] }))
+        );
+      }
+      return;
+    }
+
+    // Most constrained empty cell
+    let best = -1;
+    let bestMask = 0;
+    let bestCount = size + 1;
+    for (let i = 0; i < remaining; i++) {
+      const mask = candidates(empty[i]);
+      let bits = 0;
+      for (let m = mask; m; m &= m - 1) bits++;
+
+      if (bits < bestCount) {
+        best = i;
+        bestMask = mask;
+        bestCount = bits;
+        if (bits <= 1) break;
+      }
+    }
+
+    if (bestCount === 0) return;
+
+    // Move the chosen cell to the end of the active part of the list
+    [empty[best], empty[remaining - 1]] = [empty[remaining - 1], empty[best]];
+    const cell = empty[remaining - 1];
+
+    let options = [];
+    for (let value = 0; value < size; value++) {
+      if (bestMask & (1 << value)) options.push(value);
+    }
+    if (rng) options = rng.shuffle(options);
+
+    for (const value of options) {
+      if (count >= limit) break;
+
+      assign(cell, value);
+      search(remaining - 1);
+      unassign(cell, value);
+    }
+  };
+
+  search(empty.length);
+
+  return { count, solution };
+};
@@ -0,0 +1,161 @@
+/**
+ * ElementCraft - Logic Puzzle Constraint Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createRng } from './random';
+import { findRecipe } from './recipes';
+import {
+  buildLogicConstraints,
+  checkConstraints,
+  createCages,
+  describeConstraints,
+  findConstraintErrors,
+  getCandidateEliminations,
+  isPlacementAllowed,
+  removePlacedCandidates,
+  toggleCandidate
+} from './logicConstraints';
+import { parseBoard } from '../test/boards';
+
+const legend = { F: 'fire', W: 'water', E: 'earth', A: 'air' };
+
+const solution = parseBoard([
+  'FWEA',
+  'EAFW',
+  'WFAE',
+  'AEWF'
+], legend);
+
+describe('buildLogicConstraints', () => {
+  it('adds rows, columns and boxes, plus the diagonals when asked', () => {
+    expect(buildLogicConstraints(4)).toHaveLength(12);
+    expect(buildLogicConstraints(4, { diagonal: true })).toHaveLength(14);
+    expect(buildLogicConstraints(5)).toHaveLength(10);
+  });
+});
+
+describe('isPlacementAllowed', () => {
+  it('rejects a repeated element on a diagonal', () => {
+    const grid = parseBoard(['F...', '....', '....', '....'], legend);
+    const constraints = buildLogicConstraints(4, { diagonal: true });
+
+    expect(isPlacementAllowed(grid, constraints, 3, 3, 'fire')).toBe(false);
+    expect(isPlacementAllowed(grid, buildLogicConstraints(4), 3, 3, 'fire')).toBe(true);
+  });
+
+  it('keeps apart elements that may not touch', () => {
+    const grid = parseBoard(['F...', '....', '....', '....'], legend);
+    const constraints = buildLogicConstraints(4, { notAdjacent: [['fire', 'water']] });
+
+    expect(isPlacementAllowed(grid, constraints, 1, 0, 'water')).toBe(false);
+    expect(isPlacementAllowed(grid, constraints, 1, 1, 'water')).toBe(true);
+  });
+
+  it('only lets a cage hold its reaction ingredients', () => {
+    const grid = parseBoard(['....', '....', '....', '....'], legend);
+    const cage = { type: 'cage', index: 0, cells: [{ row: 0, col: 0 }, { row: 0, col: 1 }], elements: ['fire', 'water'] };
+
+    expect(isPlacementAllowed(grid, [cage], 0, 0, 'fire')).toBe(true);
+    expect(isPlacementAllowed(grid, [cage], 0, 0, 'earth')).toBe(false);
+  });
+});
+
+describe('findConstraintErrors', () => {
+  it('lists each clashing cell once', () => {
+    const grid = parseBoard(['FF..', 'W...', '....', '....'], legend);
+    const constraints = buildLogicConstraints(4, { notAdjacent: [['fire', 'water']] });
+
+    expect(findConstraintErrors(grid, constraints)).toEqual(expect.arrayContaining([
+      { row: 0, col: 0 },
+      { row: 0, col: 1 },
+      { row: 1, col: 0 }
+    ]));
+    expect(findConstraintErrors(grid, constraints)).toHaveLength(3);
+  });
+
+  it('accepts a finished grid that follows every rule', () => {
+    expect(checkConstraints(solution, buildLogicConstraints(4))).toBe(true);
+    expect(checkConstraints(solution, buildLogicConstraints(4, { diagonal: true }))).toBe(false);
+  });
+});
+
+describe('createCages', () => {
+  it('cuts non-overlapping cages that hold a reaction', () => {
+    const cages = createCages(solution, 3, createRng(2));
+    const cells = cages.flatMap(cage => cage.cells.map(({ row, col }) => `${row}-${col}`));
+
+    expect(cages.length).toBeGreaterThan(0);
+    expect(new Set(cells).size).toBe(cells.length);
+    cages.forEach(cage => {
+      const elements = cage.cells.map(({ row, col }) => solution[row][col].element);
+      expect(findRecipe(elements)?.result).toBe(cage.reaction);
+    });
+    expect(checkConstraints(solution, cages)).toBe(true);
+  });
+});
+
+describe('describeConstraints', () => {
+  it('lists each rule once', () => {
+    const rules = describeConstraints(buildLogicConstraints(4, { notAdjacent: [['fire', 'water']] }));
+
+    expect(rules).toEqual([
+      'Each row must contain one of each element',
+      'Each column must contain one of each element',
+      'Each 2x2 box must contain one of each element',
+      'Fire may never be orthogonally next to water'
+    ]);
+  });
+});
+
+describe('candidate notes', () => {
+  const elements = Object.values(legend);
+  const fullNotes = () => Array(4).fill(null).map(() => Array(4).fill(null).map(() => [...elements]));
+  const hasNote = (notes, element) => notes.flatMap((noteRow, row) =>
+    noteRow.flatMap((cellNotes, col) => (cellNotes.includes(element) ? [`${row},${col}`] : []))
+  );
+
+  it('rules the element out of the cells sharing a row, column or box', () => {
+    const eliminations = getCandidateEliminations(4, buildLogicConstraints(4), 0, 0, 'fire');
+    const cells = new Set(eliminations.map(({ row, col }) => `${row},${col}`));
+
+    expect(eliminations.every(candidate => candidate.element === 'fire')).toBe(true);
+    expect([...cells].sort()).toEqual(['0,1', '0,2', '0,3', '1,0', '1,1', '2,0', '3,0']);
+  });
+
+  it('rules the other element of a not-adjacent pair out of the neighbours', () => {
+    const constraints = buildLogicConstraints(4, { notAdjacent: [['fire', 'water']] });
+    const eliminations = getCandidateEliminations(4, constraints, 1, 1, 'water');
+
+    expect(eliminations.filter(candidate => candidate.element === 'fire')).toEqual([
+      { row: 0, col: 1, element: 'fire' },
+      { row: 2, col: 1, element: 'fire' },
+      { row: 1, col: 0, element: 'fire' },
+      { row: 1, col: 2, element: 'fire' }
+    ]);
+  });
+
+  it('clears the filled cell and the candidates it rules out', () => {
+    const notes = fullNotes();
+    const newNotes = removePlacedCandidates(notes, buildLogicConstraints(4), 0, 0, 'fire');
+
+    expect(newNotes[0][0]).toEqual([]);
+    expect(hasNote(newNotes, 'fire')).not.toContain('0,1');
+    expect(hasNote(newNotes, 'fire')).toHaveLength(16 - 8);
+    expect(newNotes[0][1]).toEqual(['water', 'earth', 'air']);
+    expect(newNotes[3][3]).toEqual(elements);
+    expect(notes).toEqual(fullNotes());
+  });
+
+  it('toggles a note, keeping notes in element order', () => {
+    const empty = Array(4).fill(null).map(() => Array(4).fill(null).map(() => []));
+    const added = toggleCandidate(toggleCandidate(empty, 2, 3, 'air', elements), 2, 3, 'fire', elements);
+
+    expect(added[2][3]).toEqual(['fire', 'air']);
+    expect(toggleCandidate(added, 2, 3, 'fire', elements)[2][3]).toEqual(['air']);
+    expect(empty[2][3]).toEqual([]);
+  });
+});
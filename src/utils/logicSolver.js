@@ -0,0 +1,657 @@
+/**
+ * ElementCraft - Logic Puzzle Solver
+ *
+ * This module solves the element Sudoku grids the way a person would:
+ * it keeps the candidate elements of every empty cell and applies named
+ * techniques, easiest first, until the grid is filled or no technique
+ * makes progress. Each technique belongs to a difficulty tier, and a
+ * puzzle is rated by the hardest technique it needs.
+ *
+ * The units the techniques work on come from the puzzle's constraints
+ * (see logicConstraints), so diagonals, reaction cages and elements that
+ * may not touch are used for deductions like rows and boxes.
+ *
+ * Every technique only makes sound deductions, so a puzzle the solver
+ * fills completely has exactly one solution.
+ *
+ * @module logicSolver
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { buildLogicConstraints, compileLogicConstraints } from './logicConstraints';
+import { DIFFICULTY_LEVELS } from '../constants/gameStates';
+
+// Difficulty tiers from easiest to hardest
+const TIERS = [
+  DIFFICULTY_LEVELS.EASY,
+  DIFFICULTY_LEVELS.MEDIUM,
+  DIFFICULTY_LEVELS.HARD,
+  DIFFICULTY_LEVELS.EXPERT
+];
+
+/**
+ * Number of candidates in a bitmask
+ *
+ * @param {number} mask - Candidate bitmask
+ * @returns {number} Set bits
+ */
+const bitCount = (mask) => {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count++;
+  return count;
+};
+
+/**
+ * Create the solver state for a puzzle
+ *
+ * Units come from the puzzle's constraints: rows, columns, boxes,
+ * diagonals and cages. Cages also narrow their cells' candidates from
+ * the start.
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object} State with values, candidate masks, units and peers
+ */
+const createState = (grid, elements, constraints = buildLogicConstraints(grid.length)) => {
+  const size = grid.length;
+  const { units, cellUnits, peers, neighbours, forbidden, allowed } =
+    compileLogicConstraints(size, elements, constraints);
+
+  const state = {
+    size,
+    elements,
+    units,
+    cellUnits,
+    peers,
+    neighbours,
+    forbidden,
+    values: Array(size * size).fill(-1),
+    candidates: [...allowed],
+    invalid: false
+  };
+
+  grid.forEach((row, r) => row.forEach((cell, c) => {
+    if (!cell) return;
+
+    const value = elements.indexOf(cell.element ?? cell);
+    const index = r * size + c;
+
+    // A given that clashes with an earlier one leaves no candidate
+    if (value < 0 || !(state.candidates[index] & (1 << value))) {
+      state.invalid = true;
+      return;
+    }
+
+    placeValue(state, index, value);
+  }));
+
+  return state;
+};
+
+/**
+ * Place an element and remove it from the candidates of the cell's peers,
+ * and of its neighbours when an adjacency rule bars them
+ *
+ * @param {Object} state - Solver state
+ * @param {number} index - Flat cell index
+ * @param {number} value - Element index
+ */
+const placeValue = (state, index, value) => {
+  const bit = 1 << value;
+
+  state.values[index] = value;
+  state.candidates[index] = bit;
+  state.peers[index].forEach(peer => {
+    if (state.values[peer] < 0) {
+      state.candidates[peer] &= ~bit;
+    }
+  });
+  state.neighbours[index].forEach(neighbour => {
+    if (state.values[neighbour] < 0) {
+      state.candidates[neighbour] &= ~state.forbidden[value];
+    }
+  });
+};
+
+/**
+ * Cell position of a flat index
+ *
+ * @param {Object} state - Solver state
+ * @param {number} index - Flat cell index
+ * @returns {Object} { row, col }
+ */
+const position = (state, index) => ({
+  row: Math.floor(index / state.size),
+  col: index % state.size
+});
+
+/**
+ * Describe a placement for a step
+ *
+ * @param {Object} state - Solver state
+ * @param {number} index - Flat cell index
+ * @param {number} value - Element index
+ * @returns {Object} { row, col, element }
+ */
+const describeCell = (state, index, value) => ({
+  ...position(state, index),
+  element: state.elements[value]
+});
+
+/**
+ * List the candidates of other cells that a pattern rules out
+ *
+ * @param {Object} state - Solver state
+ * @param {number[]} cells - Cells to clear
+ * @param {number} mask - Candidates to remove
+ * @returns {Array<Object>} Eliminations as { row, col, element }
+ */
+const collectEliminations = (state, cells, mask) => {
+  const eliminations = [];
+
+  cells.forEach(cell => {
+    if (state.values[cell] >= 0) return;
+
+    const removed = state.candidates[cell] & mask;
+    for (let value = 0; value < state.size; value++) {
+      if (removed & (1 << value)) {
+        eliminations.push(describeCell(state, cell, value));
+      }
+    }
+  });
+
+  return eliminations;
+};
+
+/**
+ * Elements already placed in some cells
+ *
+ * @param {Object} state - Solver state
+ * @param {number[]} cells - Cells to look at
+ * @returns {number} Bitmask of the placed elements
+ */
+const placedMask = (state, cells) => {
+  return cells.reduce((mask, cell) => (
+    state.values[cell] >= 0 ? mask | (1 << state.values[cell]) : mask
+  ), 0);
+};
+
+/**
+ * Empty cells of a unit that can still hold an element
+ *
+ * @param {Object} state - Solver state
+ * @param {Object} unit - Unit to search
+ * @param {number} value - Element index
+ * @returns {number[]|null} Cells, or null when the element is already
+ *   placed or the unit doesn't need it
+ */
+const positionsInUnit = (state, unit, value) => {
+  const bit = 1 << value;
+  const cells = [];
+
+  if (!(unit.mask & bit)) return null;
+
+  for (const cell of unit.cells) {
+    if (state.values[cell] === value) return null;
+    if (state.values[cell] < 0 && (state.candidates[cell] & bit)) {
+      cells.push(cell);
+    }
+  }
+
+  return cells;
+};
+
+/**
+ * Units of one type that contain a cell
+ *
+ * @param {Object} state - Solver state
+ * @param {number} cell - Flat cell index
+ * @param {string} type - 'row', 'column' or 'box'
+ * @returns {Object|undefined} Unit
+ */
+const unitOf = (state, cell, type) => state.cellUnits[cell].find(unit => unit.type === type);
+
+// Named techniques, easiest first. Each finds one deduction and returns
+// it as a step, or returns null when it doesn't apply anywhere.
+const techniques = [
+  {
+    id: 'naked_single',
+    name: 'Naked Single',
+    difficulty: DIFFICULTY_LEVELS.EASY,
+    // A cell with only one candidate left
+    find: (state) => {
+      for (let cell = 0; cell < state.values.length; cell++) {
+        if (state.values[cell] < 0 && bitCount(state.candidates[cell]) === 1) {
+          const value = Math.log2(state.candidates[cell]);
+          const units = state.cellUnits[cell];
+
+          // One unit that already holds every other element explains the
+          // cell on its own; otherwise its units explain it together
+          const unit = units.find(u => bitCount(placedMask(state, u.cells)) === state.size - 1);
+          const seen = placedMask(state, unit ? unit.cells : state.peers[cell]);
+
+          return {
+            placements: [describeCell(state, cell, value)],
+            cells: [position(state, cell)],
+            elements: state.elements.filter((_, other) => seen & (1 << other)),
+            // Whether earlier eliminations, not placed elements, rule out the rest
+            ruledOut: bitCount(seen) < state.size - 1,
+            unit: unit ? { type: unit.type, index: unit.index } : null,
+            units: (unit ? [unit] : units).map(u => ({ type: u.type, index: u.index }))
+          };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'hidden_single',
+    name: 'Hidden Single',
+    difficulty: DIFFICULTY_LEVELS.EASY,
+    // An element that fits only one cell of a unit
+    find: (state) => {
+      for (const unit of state.units) {
+        for (let value = 0; value < state.size; value++) {
+          const cells = positionsInUnit(state, unit, value);
+
+          if (cells && cells.length === 1) {
+            return {
+              placements: [describeCell(state, cells[0], value)],
+              cells: [position(state, cells[0])],
+              unit: { type: unit.type, index: unit.index }
+            };
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'naked_pair',
+    name: 'Naked Pair',
+    difficulty: DIFFICULTY_LEVELS.MEDIUM,
+    // Two cells of a unit sharing the same two candidates
+    find: (state) => {
+      for (const unit of state.units) {
+        const pairs = unit.cells.filter(cell =>
+          state.values[cell] < 0 && bitCount(state.candidates[cell]) === 2
+        );
+
+        for (let i = 0; i < pairs.length; i++) {
+          for (let j = i + 1; j < pairs.length; j++) {
+            const mask = state.candidates[pairs[i]];
+            if (state.candidates[pairs[j]] !== mask) continue;
+
+            const others = unit.cells.filter(cell => cell !== pairs[i] && cell !== pairs[j]);
+            const eliminations = collectEliminations(state, others, mask);
+
+            if (eliminations.length > 0) {
+              return {
+                eliminations,
+                cells: [position(state, pairs[i]), position(state, pairs[j])],
+                elements: state.elements.filter((_, value) => mask & (1 << value)),
+                unit: { type: unit.type, index: unit.index }
+              };
+            }
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'hidden_pair',
+    name: 'Hidden Pair',
+    difficulty: DIFFICULTY_LEVELS.MEDIUM,
+    // Two elements that fit only the same two cells of a unit
+    find: (state) => {
+      for (const unit of state.units) {
+        for (let first = 0; first < state.size; first++) {
+          const cells = positionsInUnit(state, unit, first);
+          if (!cells || cells.length !== 2) continue;
+
+          for (let second = first + 1; second < state.size; second++) {
+            const others = positionsInUnit(state, unit, second);
+            if (!others || others.length !== 2 || others[0] !== cells[0] || others[1] !== cells[1]) continue;
+
+            const mask = (1 << state.size) - 1 & ~((1 << first) | (1 << second));
+            const eliminations = collectEliminations(state, cells, mask);
+
+            if (eliminations.length > 0) {
+              return {
+                eliminations,
+                cells: cells.map(cell => position(state, cell)),
+                elements: [state.elements[first], state.elements[second]],
+                unit: { type: unit.type, index: unit.index }
+              };
+            }
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'pointing',
+    name: 'Pointing',
+    difficulty: DIFFICULTY_LEVELS.HARD,
+    // An element confined to one row or column within a box is cleared
+    // from the rest of that row or column
+    find: (state) => {
+      for (const box of state.units.filter(unit => unit.type === 'box')) {
+        for (let value = 0; value < state.size; value++) {
+          const cells = positionsInUnit(state, box, value);
+          if (!cells || cells.length < 2) continue;
+
+          for (const type of ['row', 'column']) {
+            const line = unitOf(state, cells[0], type);
+            if (!cells.every(cell => unitOf(state, cell, type) === line)) continue;
+
+            const outside = line.cells.filter(cell => !box.cells.includes(cell));
+            const eliminations = collectEliminations(state, outside, 1 << value);
+
+            if (eliminations.length > 0) {
+              return {
+                eliminations,
+                cells: cells.map(cell => position(state, cell)),
+                elements: [state.elements[value]],
+                unit: { type: 'box', index: box.index },
+                line: { type: line.type, index: line.index }
+              };
+            }
+          }
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'box_line',
+    name: 'Box/Line Reduction',
+    difficulty: DIFFICULTY_LEVELS.EXPERT,
+    // An element confined to one box within a row or column is cleared
+    // from the rest of that box
+    find: (state) => {
+      for (const line of state.units.filter(unit => unit.type !== 'box')) {
+        for (let value = 0; value < state.size; value++) {
+          const cells = positionsInUnit(state, line, value);
+          if (!cells || cells.length < 2) continue;
+
+          const box = unitOf(state, cells[0], 'box');
+          if (!box || !cells.every(cell => unitOf(state, cell, 'box') === box)) continue;
+
+          const outside = box.cells.filter(cell => !line.cells.includes(cell));
+          const eliminations = collectEliminations(state, outside, 1 << value);
+
+          if (eliminations.length > 0) {
+            return {
+              eliminations,
+              cells: cells.map(cell => position(state, cell)),
+              elements: [state.elements[value]],
+              unit: { type: line.type, index: line.index },
+              line: { type: 'box', index: box.index }
+            };
+          }
+        }
+      }
+      return null;
+    }
+  }
+];
+
+/**
+ * Apply a step to the solver state
+ *
+ * @param {Object} state - Solver state
+ * @param {Object} step - Step found by a technique
+ */
+const applyStep = (state, step) => {
+  (step.placements || []).forEach(({ row, col, element }) => {
+    placeValue(state, row * state.size + col, state.elements.indexOf(element));
+  });
+
+  (step.eliminations || []).forEach(({ row, col, element }) => {
+    state.candidates[row * state.size + col] &= ~(1 << state.elements.indexOf(element));
+  });
+};
+
+/**
+ * Whether an empty cell has run out of candidates
+ *
+ * @param {Object} state - Solver state
+ * @returns {boolean} Whether the grid can no longer be solved
+ */
+const isContradiction = (state) => {
+  return state.invalid || state.values.some((value, cell) => value < 0 && state.candidates[cell] === 0);
+};
+
+/**
+ * Find the easiest deduction available in the current state
+ *
+ * @param {Object} state - Solver state
+ * @returns {Object|null} Step with its technique, or null when stuck
+ */
+const nextStep = (state) => {
+  if (isContradiction(state)) return null;
+
+  for (const technique of techniques) {
+    const step = technique.find(state);
+    if (step) {
+      return {
+        technique: technique.id,
+        name: technique.name,
+        difficulty: technique.difficulty,
+        placements: [],
+        eliminations: [],
+        ...step
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Join element names into a readable list
+ *
+ * @param {string[]} elements - Element types
+ * @param {string} [joiner='and'] - Word before the last element
+ * @returns {string} e.g. 'fire, water and earth'
+ */
+const listElements = (elements, joiner = 'and') => {
+  return elements.length > 1
+    ? `${elements.slice(0, -1).join(', ')} ${joiner} ${elements[elements.length - 1]}`
+    : elements.join('');
+};
+
+/**
+ * Capitalize the first letter of a sentence
+ *
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+/**
+ * Name a unit for display, counting from 1
+ *
+ * @param {Object} unit - { type, index }
+ * @returns {string} e.g. 'Row 3'
+ */
+const unitName = ({ type, index }) => capitalize(`${type} ${index + 1}`);
+
+// Explanations of each technique's steps
+const explanations = {
+  naked_single: (step) => {
+    const { element } = step.placements[0];
+
+    if (step.unit) {
+      return `${unitName(step.unit)} already contains ${listElements(step.elements)}, ` +
+        `so this cell must be ${element}.`;
+    }
+
+    if (step.elements.length > 0) {
+      const units = listElements(step.units.map(unitName).map(name => name.toLowerCase()));
+      const rest = step.ruledOut ? ', and the other elements have been ruled out' : '';
+      return `Between them, ${units} already contain ${listElements(step.elements)}${rest}, ` +
+        `so this cell must be ${element}.`;
+    }
+
+    return `Every other element has been ruled out here, so this cell must be ${element}.`;
+  },
+
+  hidden_single: (step) => {
+    const { element } = step.placements[0];
+    return `${capitalize(element)} fits nowhere else in ` +
+      `${unitName(step.unit).toLowerCase()}, so it must go in this cell.`;
+  },
+
+  naked_pair: (step) => {
+    return `Two cells of ${unitName(step.unit).toLowerCase()} can only hold ${listElements(step.elements, 'or')}, ` +
+      `so no other cell in ${unitName(step.unit).toLowerCase()} can hold them.`;
+  },
+
+  hidden_pair: (step) => {
+    return `${capitalize(listElements(step.elements))} only fit in the same two cells of ${unitName(step.unit).toLowerCase()}, ` +
+      'so those cells can\'t hold anything else.';
+  },
+
+  pointing: (step) => {
+    const [element] = step.elements;
+    return `In ${unitName(step.unit).toLowerCase()}, ${element} can only go in ${unitName(step.line).toLowerCase()}, ` +
+      `so ${element} can be ruled out of the rest of ${unitName(step.line).toLowerCase()}.`;
+  },
+
+  box_line: (step) => {
+    const [element] = step.elements;
+    return `In ${unitName(step.unit).toLowerCase()}, ${element} can only go inside ${unitName(step.line).toLowerCase()}, ` +
+      `so ${element} can be ruled out of the rest of ${unitName(step.line).toLowerCase()}.`;
+  }
+};
+
+/**
+ * Explain a solver step in words
+ *
+ * @param {Object} step - Step from findNextStep or solveLogically
+ * @returns {string} Explanation for the player
+ */
+export const explainLogicStep = (step) => {
+  const explain = explanations[step.technique];
+  return explain ? explain(step) : `Use ${step.name}.`;
+};
+
+/**
+ * Find the next cell that can be filled by deduction
+ *
+ * Candidate eliminations (pairs, pointing, box/line reduction) are
+ * collected on the way, since the placement depends on them.
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object|null} { step, reasons } with the placing step and the
+ *   elimination steps before it, or null when no technique applies
+ */
+export const findNextDeduction = (grid, elements, constraints) => {
+  const state = createState(grid, elements, constraints);
+  const reasons = [];
+
+  let step = nextStep(state);
+  while (step && step.placements.length === 0) {
+    reasons.push(step);
+    applyStep(state, step);
+    step = nextStep(state);
+  }
+
+  return step ? { step, reasons } : null;
+};
+
+/**
+ * Get the techniques the solver knows, easiest first
+ *
+ * @returns {Array<Object>} Techniques as { id, name, difficulty }
+ */
+export const getLogicTechniques = () => {
+  return techniques.map(({ id, name, difficulty }) => ({ id, name, difficulty }));
+};
+
+/**
+ * Get the position of a difficulty tier, easiest first
+ *
+ * @param {string} difficulty - One of DIFFICULTY_LEVELS
+ * @returns {number} Rank from 0, or -1 for an unknown tier
+ */
+export const getDifficultyRank = (difficulty) => {
+  return TIERS.indexOf(difficulty);
+};
+
+/**
+ * Find the next deduction a player could make
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object|null} Step as { technique, name, difficulty, placements,
+ *   eliminations, cells, unit }, or null when no technique applies
+ */
+export const findNextStep = (grid, elements, constraints) => {
+  return nextStep(createState(grid, elements, constraints));
+};
+
+/**
+ * Solve a puzzle with the named techniques only
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object} { solved, steps, technique, difficulty, grid } where
+ *   technique is the hardest one used and difficulty its tier (null when
+ *   the techniques can't finish the puzzle)
+ */
+export const solveLogically = (grid, elements, constraints) => {
+  const state = createState(grid, elements, constraints);
+  const steps = [];
+
+  let step = nextStep(state);
+  while (step) {
+    steps.push(step);
+    applyStep(state, step);
+    step = nextStep(state);
+  }
+
+  const solved = !isContradiction(state) && state.values.every(value => value >= 0);
+
+  // Hardest technique used, by its position in the technique list
+  const hardest = steps.reduce((best, { technique }) => {
+    const index = techniques.findIndex(t => t.id === technique);
+    return Math.max(best, index);
+  }, solved ? 0 : -1);
+
+  return {
+    solved,
+    steps,
+    technique: solved ? techniques[hardest].id : null,
+    difficulty: solved ? techniques[hardest].difficulty : null,
+    grid: Array.from({ length: state.size }, (_, row) =>
+      Array.from({ length: state.size }, (_, col) => {
+        const value = state.values[row * state.size + col];
+        return value >= 0 ? { element: elements[value] } : null;
+      })
+    )
+  };
+};
+
+/**
+ * Rate a puzzle by the hardest technique it needs
+ *
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {string|null} One of DIFFICULTY_LEVELS, or null when the
+ *   techniques can't solve the puzzle
+ */
+export const rateLogicPuzzle = (grid, elements, constraints) => {
+  return solveLogically(grid, elements, constraints).difficulty;
+};
@@ -0,0 +1,192 @@
+/**
+ * ElementCraft - Loop Detection
+ *
+ * This module finds closed loops of a single element on the board, such
+ * as water circuits and rings of fire. The board is treated as a graph:
+ * a loop is a wall of orthogonally connected element cells that fully
+ * encloses at least one other cell, whatever its size or shape.
+ *
+ * Loops are found through their holes. Every group of non-loop cells
+ * that cannot reach the edge of the board (moving in all eight
+ * directions) must be walled in by an unbroken orthogonal loop, and the
+ * element cells touching that group are exactly the loop.
+ *
+ * Rooms are found the same way: groups of empty cells that cannot reach
+ * the edge and are walled in by solid elements, of any size or shape.
+ *
+ * @module loops
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { elementProperties } from '../constants/elements';
+
+// All eight neighbour offsets
+const NEIGHBOURS_8 = [
+  [-1, -1], [-1, 0], [-1, 1],
+  [0, -1],           [0, 1],
+  [1, -1],  [1, 0],  [1, 1]
+];
+
+// Orthogonal neighbour offsets
+const NEIGHBOURS_4 = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Check whether a position is inside the board
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {boolean} Whether the position is in bounds
+ */
+const inBounds = (board, row, col) => {
+  return row >= 0 && row < board.length && col >= 0 && col < board[0].length;
+};
+
+/**
+ * Sort positions in reading order
+ *
+ * @param {Array<Object>} positions - Positions as { row, col }
+ * @returns {Array<Object>} Sorted positions
+ */
+const sortPositions = (positions) => {
+  return positions.sort((a, b) => a.row - b.row || a.col - b.col);
+};
+
+/**
+ * Find every closed loop of an element on the board
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {string} element - Element type forming the loop
+ * @returns {Array<Object>} Loops as { cells, enclosed }, where cells are the
+ *   loop's wall cells and enclosed are the cells inside it, both as { row, col }
+ */
+export const findElementLoops = (board, element) => {
+  if (!board.length || !board[0].length) return [];
+
+  const isWall = (row, col) => board[row][col]?.element === element;
+  const visited = new Set();
+  const loops = [];
+
+  board.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      const startKey = `${rowIndex},${colIndex}`;
+      if (isWall(rowIndex, colIndex) || visited.has(startKey)) return;
+
+      // Flood fill this region of non-wall cells
+      const region = [];
+      const walls = new Map();
+      const queue = [[rowIndex, colIndex]];
+      let touchesEdge = false;
+      visited.add(startKey);
+
+      while (queue.length > 0) {
+        const [r, c] = queue.shift();
+        region.push({ row: r, col: c });
+
+        if (r === 0 || c === 0 || r === board.length - 1 || c === board[0].length - 1) {
+          touchesEdge = true;
+        }
+
+        NEIGHBOURS_8.forEach(([dRow, dCol]) => {
+          const adjRow = r + dRow;
+          const adjCol = c + dCol;
+          if (!inBounds(board, adjRow, adjCol)) return;
+
+          const key = `${adjRow},${adjCol}`;
+
+          if (isWall(adjRow, adjCol)) {
+            walls.set(key, { row: adjRow, col: adjCol });
+          } else if (!visited.has(key)) {
+            visited.add(key);
+            queue.push([adjRow, adjCol]);
+          }
+        });
+      }
+
+      // Only regions that cannot escape to the edge are enclosed
+      if (!touchesEdge) {
+        loops.push({
+          cells: sortPositions([...walls.values()]),
+          enclosed: sortPositions(region)
+        });
+      }
+    });
+  });
+
+  return loops;
+};
+
+/**
+ * Check whether the board contains a closed loop of an element
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {string} element - Element type forming the loop
+ * @returns {boolean} Whether at least one loop exists
+ */
+export const hasElementLoop = (board, element) => {
+  return findElementLoops(board, element).length > 0;
+};
+
+/**
+ * Find every room on the board
+ *
+ * A room is a group of orthogonally connected empty cells that does not
+ * touch the edge of the board and is surrounded by stackable elements.
+ * Neighbouring rooms may share a wall.
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @returns {Array<Array<Object>>} Each room's empty cells as { row, col }
+ */
+export const findEnclosedRooms = (board) => {
+  const visited = new Set();
+  const rooms = [];
+
+  board.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      const startKey = `${rowIndex},${colIndex}`;
+      if (cell || visited.has(startKey)) return;
+
+      // Flood fill this empty region
+      const region = [];
+      const queue = [[rowIndex, colIndex]];
+      let enclosed = true;
+      visited.add(startKey);
+
+      while (queue.length > 0) {
+        const [r, c] = queue.shift();
+        region.push({ row: r, col: c });
+
+        NEIGHBOURS_4.forEach(([dRow, dCol]) => {
+          const adjRow = r + dRow;
+          const adjCol = c + dCol;
+
+          if (!inBounds(board, adjRow, adjCol)) {
+            enclosed = false;
+            return;
+          }
+
+          const adjCell = board[adjRow][adjCol];
+
+          if (adjCell) {
+            // Walls must be solid
+            if (!elementProperties[adjCell.element]?.stackable) enclosed = false;
+            return;
+          }
+
+          const key = `${adjRow},${adjCol}`;
+          if (!visited.has(key)) {
+            visited.add(key);
+            queue.push([adjRow, adjCol]);
+          }
+        });
+      }
+
+      if (enclosed) {
+        rooms.push(sortPositions(region));
+      }
+    });
+  });
+
+  return rooms;
+};
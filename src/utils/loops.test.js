@@ -0,0 +1,105 @@
+/**
+ * ElementCraft - Loop Detection Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { findElementLoops, findEnclosedRooms, hasElementLoop } from './loops';
+import { parseBoard } from '../test/boards';
+
+describe('findElementLoops', () => {
+  it('finds a ring of water around a cell', () => {
+    const board = parseBoard([
+      '.....',
+      '.WWW.',
+      '.W.W.',
+      '.WWW.',
+      '.....'
+    ], { W: 'water' });
+
+    const loops = findElementLoops(board, 'water');
+
+    expect(loops).toHaveLength(1);
+    expect(loops[0].enclosed).toEqual([{ row: 2, col: 2 }]);
+    expect(loops[0].cells).toHaveLength(8);
+  });
+
+  it('finds loops of any size and shape', () => {
+    const board = parseBoard([
+      'FFFF..',
+      'F..FFF',
+      'F....F',
+      'FFFFFF'
+    ], { F: 'fire' });
+
+    expect(findElementLoops(board, 'fire')[0].enclosed).toHaveLength(6);
+  });
+
+  it('ignores a broken ring', () => {
+    const board = parseBoard([
+      '.....',
+      '.WWW.',
+      '.W.W.',
+      '.W.W.',
+      '.....'
+    ], { W: 'water' });
+
+    expect(hasElementLoop(board, 'water')).toBe(false);
+  });
+
+  it('only counts walls of the one element', () => {
+    const board = parseBoard([
+      '.....',
+      '.WWW.',
+      '.W.E.',
+      '.WWW.',
+      '.....'
+    ], { W: 'water', E: 'earth' });
+
+    expect(hasElementLoop(board, 'water')).toBe(false);
+  });
+});
+
+describe('findEnclosedRooms', () => {
+  it('counts rooms that share walls separately', () => {
+    const board = parseBoard([
+      'SSSSSSS',
+      'S.S.S.S',
+      'SSSSSSS'
+    ], { S: 'earth' });
+
+    expect(findEnclosedRooms(board)).toHaveLength(3);
+  });
+
+  it('counts large and oddly shaped rooms', () => {
+    const board = parseBoard([
+      'SSSSS..',
+      'S...SSS',
+      'S.....S',
+      'SSSSSSS'
+    ], { S: 'metal' });
+
+    const rooms = findEnclosedRooms(board);
+
+    expect(rooms).toHaveLength(1);
+    expect(rooms[0]).toHaveLength(8);
+  });
+
+  it('needs solid walls and no opening to the edge', () => {
+    const leaky = parseBoard([
+      'SSS',
+      'S..',
+      'SSS'
+    ], { S: 'earth' });
+    const watery = parseBoard([
+      'SSS',
+      'S.W',
+      'SSS'
+    ], { S: 'earth', W: 'water' });
+
+    expect(findEnclosedRooms(leaky)).toEqual([]);
+    expect(findEnclosedRooms(watery)).toEqual([]);
+  });
+});
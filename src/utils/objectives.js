@@ -0,0 +1,262 @@
+/**
+ * ElementCraft - Objective Evaluators
+ *
+ * This module decides whether level objectives are complete. Every
+ * objective type and special action used by the level data has an
+ * evaluator registered here, and new ones can be plugged in with the
+ * register functions. Fixed-shape structures are matched against the
+ * declarative pattern definitions, so new ones need no code at all.
+ *
+ * Evaluators are pure: they receive the objective and a context of
+ * { board, stats } and return whether the objective is met.
+ *
+ * @module objectives
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { findEnclosedRooms, hasElementLoop } from './loops';
+import { getPattern, matchPattern } from './patterns';
+
+// Basic elements used by balance objectives
+const BASIC_ELEMENTS = ['fire', 'water', 'earth', 'air', 'metal', 'wood'];
+
+/**
+ * Count the cells on the board holding an element
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {string} element - Element type
+ * @returns {number} Number of matching cells
+ */
+const countElement = (board, element) => {
+  return board.flat().filter(cell => cell && cell.element === element).length;
+};
+
+// Structures that need more than a template, for build_structure objectives
+const structureEvaluators = {
+  // Rooms of any size or shape walled in by solid elements
+  complex_building: (objective, { board }) => {
+    return findEnclosedRooms(board).length >= (objective.rooms || 3);
+  }
+};
+
+// Element patterns that need more than a template, for create_pattern objectives
+const patternEvaluators = {
+  // Water forming a closed loop around at least one cell
+  water_flow_circuit: (objective, { board }) => {
+    return hasElementLoop(board, 'water');
+  },
+
+  // Fire forming a closed ring around at least one cell
+  fire_circle: (objective, { board }) => {
+    return hasElementLoop(board, 'fire');
+  }
+};
+
+// Special actions for special_action objectives
+const actionEvaluators = {
+  // Distinct element types amplified by crystal
+  amplify: (objective, { board }) => {
+    const amplified = new Set(
+      board.flat()
+        .filter(cell => cell && cell.amplified)
+        .map(cell => cell.element)
+    );
+
+    return amplified.size >= (objective.count || 1);
+  },
+
+  // Longest chain of reactions triggered by one placement
+  chain_reaction: (objective, { stats }) => {
+    return (stats?.longestChain || 0) >= (objective.count || 1);
+  },
+
+  // Every basic element on the board in equal, non-zero amounts
+  perfect_balance: (objective, { board }) => {
+    const counts = BASIC_ELEMENTS.map(element => countElement(board, element));
+    return counts[0] > 0 && counts.every(count => count === counts[0]);
+  }
+};
+
+/**
+ * Check a declarative board pattern for an objective
+ *
+ * The objective either names a pattern from the pattern constants or
+ * carries its own template and legend.
+ *
+ * @param {Object} objective - Objective definition
+ * @param {Array<Array<Object>>} board - Game board
+ * @returns {boolean} Whether enough matches are on the board
+ */
+const matchesBoardPattern = (objective, board) => {
+  const definition = objective.template || objective.cells
+    ? objective
+    : getPattern(objective.pattern);
+
+  if (!definition) {
+    throw new Error(`Unknown board pattern "${objective.pattern}" in objective "${objective.id}"`);
+  }
+
+  const params = { ...definition.defaults, ...objective };
+  const required = objective.count || definition.count || 1;
+
+  return matchPattern(board, definition, params).length >= required;
+};
+
+/**
+ * Look up a named evaluator in a sub-registry
+ *
+ * @param {Object} registry - Evaluators keyed by name
+ * @param {string} field - Objective field holding the evaluator name
+ * @param {string} kind - Human-readable kind for error messages
+ * @returns {Function} Objective evaluator that throws if the name is unknown
+ */
+const dispatchTo = (registry, field, kind) => (objective, context) => {
+  const evaluate = registry[objective[field]];
+
+  if (!evaluate) {
+    throw new Error(`Unknown ${kind} "${objective[field]}" in objective "${objective.id}"`);
+  }
+
+  return evaluate(objective, context);
+};
+
+// Evaluators keyed by objective type
+const objectiveEvaluators = {
+  // A specific element exists on the board
+  create_element: (objective, { board }) => {
+    return countElement(board, objective.element) > 0;
+  },
+
+  // Several elements exist on the board in the given amounts
+  create_combination: (objective, { board }) => {
+    return (objective.combination || []).every(([element, count]) =>
+      countElement(board, element) >= count
+    );
+  },
+
+  // An element is on the board enough times
+  place_element: (objective, { board }) => {
+    return countElement(board, objective.element) >= (objective.count || 1);
+  },
+
+  // Each listed element has been placed at least once this level
+  place_elements: (objective, { stats }) => {
+    const placed = stats?.placed || {};
+    return (objective.elements || []).every(element => (placed[element] || 0) > 0);
+  },
+
+  // A structure is on the board, either graph-based or declarative
+  build_structure: (objective, context) => {
+    const evaluate = structureEvaluators[objective.pattern];
+    return evaluate ? evaluate(objective, context) : matchesBoardPattern(objective, context.board);
+  },
+
+  // An element pattern is on the board, either graph-based or declarative
+  create_pattern: (objective, context) => {
+    const evaluate = patternEvaluators[objective.pattern];
+    return evaluate ? evaluate(objective, context) : matchesBoardPattern(objective, context.board);
+  },
+
+  special_action: dispatchTo(actionEvaluators, 'action', 'special action'),
+
+  // Puzzles are completed by their own solution checks
+  solve_puzzle: () => false
+};
+
+/**
+ * Register an evaluator for an objective type
+ *
+ * @param {string} type - Objective type
+ * @param {Function} evaluate - (objective, context) => boolean
+ */
+export const registerObjectiveEvaluator = (type, evaluate) => {
+  objectiveEvaluators[type] = evaluate;
+};
+
+/**
+ * Register an evaluator for a build_structure pattern
+ *
+ * @param {string} pattern - Structure pattern name
+ * @param {Function} evaluate - (objective, context) => boolean
+ */
+export const registerStructureEvaluator = (pattern, evaluate) => {
+  structureEvaluators[pattern] = evaluate;
+};
+
+/**
+ * Register an evaluator for a create_pattern pattern
+ *
+ * @param {string} pattern - Element pattern name
+ * @param {Function} evaluate - (objective, context) => boolean
+ */
+export const registerPatternEvaluator = (pattern, evaluate) => {
+  patternEvaluators[pattern] = evaluate;
+};
+
+/**
+ * Register an evaluator for a special_action action
+ *
+ * @param {string} action - Special action name
+ * @param {Function} evaluate - (objective, context) => boolean
+ */
+export const registerActionEvaluator = (action, evaluate) => {
+  actionEvaluators[action] = evaluate;
+};
+
+/**
+ * Evaluate a single objective
+ *
+ * @param {Object} objective - Objective definition
+ * @param {Object} context - Evaluation context
+ * @param {Array<Array<Object>>} context.board - Current game board
+ * @param {Object} [context.stats] - Level statistics ({ placed, longestChain })
+ * @returns {Object} { completed, error } where error describes an
+ *   objective that cannot be evaluated
+ */
+export const evaluateObjective = (objective, context) => {
+  const evaluate = objectiveEvaluators[objective.type];
+
+  if (!evaluate) {
+    return {
+      completed: false,
+      error: `Unknown objective type "${objective.type}" in objective "${objective.id}"`
+    };
+  }
+
+  try {
+    return { completed: Boolean(evaluate(objective, context)), error: null };
+  } catch (error) {
+    return { completed: false, error: error.message };
+  }
+};
+
+/**
+ * Validate that every objective in the level data can be evaluated
+ *
+ * Throws a single error listing all problems, so level data that refers
+ * to a missing evaluator fails loudly at startup.
+ *
+ * @param {Object} levels - Objectives keyed by level number
+ * @throws {Error} If any objective has no evaluator
+ * @returns {boolean} True when every objective is valid
+ */
+export const validateObjectives = (levels) => {
+  const problems = [];
+  const emptyContext = { board: [[null]], stats: { placed: {}, longestChain: 0 } };
+
+  Object.entries(levels).forEach(([level, objectives]) => {
+    objectives.forEach(objective => {
+      const { error } = evaluateObjective(objective, emptyContext);
+      if (error) {
+        problems.push(`Level ${level}: ${error}`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid level objectives:\n${problems.join('\n')}`);
+  }
+
+  return true;
+};
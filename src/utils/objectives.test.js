@@ -0,0 +1,90 @@
+/**
+ * ElementCraft - Objective Evaluator Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { evaluateObjective, validateObjectives } from './objectives';
+import { levelObjectives } from '../constants/levels';
+import { parseBoard } from '../test/boards';
+
+const emptyStats = { placed: {}, longestChain: 0 };
+
+// Whether an objective is complete on a board
+const isComplete = (objective, board, stats = emptyStats) => {
+  return evaluateObjective({ id: 'test', ...objective }, { board, stats }).completed;
+};
+
+describe('evaluateObjective', () => {
+  it('counts elements on the board', () => {
+    const board = parseBoard(['FF.', 'W..'], { F: 'fire', W: 'water' });
+
+    expect(isComplete({ type: 'create_element', element: 'water' }, board)).toBe(true);
+    expect(isComplete({ type: 'place_element', element: 'fire', count: 2 }, board)).toBe(true);
+    expect(isComplete({ type: 'place_element', element: 'fire', count: 3 }, board)).toBe(false);
+    expect(isComplete({ type: 'create_combination', combination: [['fire', 2], ['water', 1]] }, board)).toBe(true);
+  });
+
+  it('checks placements made this level', () => {
+    const objective = { type: 'place_elements', elements: ['fire', 'water'] };
+    const board = parseBoard(['...'], {});
+
+    expect(isComplete(objective, board, { placed: { fire: 1 }, longestChain: 0 })).toBe(false);
+    expect(isComplete(objective, board, { placed: { fire: 1, water: 2 }, longestChain: 0 })).toBe(true);
+  });
+
+  it('needs three rooms of any shape for complex_building', () => {
+    const objective = { type: 'build_structure', pattern: 'complex_building' };
+    const threeRooms = parseBoard([
+      'SSSSSSSS',
+      'S.S..S.S',
+      'SSS..SSS',
+      '..SSSS..'
+    ], { S: 'earth' });
+    const twoRooms = parseBoard([
+      'SSSSS',
+      'S.S.S',
+      'SSSSS'
+    ], { S: 'earth' });
+
+    expect(isComplete(objective, threeRooms)).toBe(true);
+    expect(isComplete(objective, twoRooms)).toBe(false);
+    expect(isComplete({ ...objective, rooms: 2 }, twoRooms)).toBe(true);
+  });
+
+  it('matches template structures', () => {
+    const board = parseBoard(['.EE', '.EE'], { E: 'earth' });
+
+    expect(isComplete({ type: 'build_structure', pattern: 'earth_square' }, board)).toBe(true);
+    expect(isComplete({ type: 'build_structure', pattern: 'vertical_stack', height: 2 }, board)).toBe(true);
+    expect(isComplete({ type: 'build_structure', pattern: 'vertical_stack', height: 3 }, board)).toBe(false);
+  });
+
+  it('checks special actions', () => {
+    const board = [[{ element: 'fire', amplified: true }, { element: 'water', amplified: true }]];
+
+    expect(isComplete({ type: 'special_action', action: 'amplify', count: 2 }, board)).toBe(true);
+    expect(isComplete({ type: 'special_action', action: 'chain_reaction', count: 3 }, board, { placed: {}, longestChain: 3 })).toBe(true);
+  });
+
+  it('reports objectives it cannot evaluate instead of throwing', () => {
+    const board = parseBoard(['...'], {});
+
+    expect(evaluateObjective({ id: 'a', type: 'unknown' }, { board }).error).toMatch(/Unknown objective type/);
+    expect(evaluateObjective({ id: 'b', type: 'special_action', action: 'fly' }, { board }).error).toMatch(/Unknown special action/);
+    expect(evaluateObjective({ id: 'c', type: 'build_structure', pattern: 'castle' }, { board }).error).toMatch(/Unknown board pattern/);
+  });
+});
+
+describe('validateObjectives', () => {
+  it('accepts every level objective', () => {
+    expect(validateObjectives(levelObjectives)).toBe(true);
+  });
+
+  it('rejects levels with objectives that cannot be evaluated', () => {
+    expect(() => validateObjectives({ 1: [{ id: 'x', type: 'build_structure', pattern: 'castle' }] }))
+      .toThrow(/Level 1/);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * ElementCraft - Pattern Matcher
+ *
+ * This module matches the declarative board patterns from the patterns
+ * constants against a board. One matcher handles every pattern, in every
+ * rotation and reflection the pattern allows.
+ *
+ * @module patterns
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { boardPatterns } from '../constants/patterns';
+import { elementProperties } from '../constants/elements';
+
+// Template characters with a built-in meaning
+const EMPTY = '.';
+const WILDCARD = '?';
+const ANY_ELEMENT = '*';
+
+/**
+ * Get a pattern definition by id
+ *
+ * @param {string} id - Pattern identifier
+ * @returns {Object|null} Pattern definition or null if unknown
+ */
+export const getPattern = (id) => {
+  return boardPatterns[id] || null;
+};
+
+/**
+ * Get every pattern that scores when found on the board
+ *
+ * @returns {Array<Object>} Scoring pattern definitions
+ */
+export const getScoringPatterns = () => {
+  return Object.values(boardPatterns).filter(pattern => pattern.score);
+};
+
+/**
+ * Add a pattern definition at runtime
+ *
+ * @param {Object} definition - Pattern definition with a unique id
+ */
+export const registerPattern = (definition) => {
+  boardPatterns[definition.id] = definition;
+};
+
+/**
+ * Turn a pattern definition into a list of constrained cell offsets
+ *
+ * @param {Object} definition - Pattern definition
+ * @param {Object} [params={}] - Values for the pattern's stretch field
+ * @returns {Array<Object>} Cells as { row, col, token }
+ */
+const parsePattern = (definition, params = {}) => {
+  if (definition.cells) {
+    return definition.cells.map(([row, col, token]) => ({ row, col, token }));
+  }
+
+  // Repeat the template rows when the pattern stretches
+  const repeat = definition.stretch ? (params[definition.stretch] || 1) : 1;
+  const rows = Array.from({ length: repeat }, () => definition.template).flat();
+
+  return rows.flatMap((line, row) =>
+    [...line]
+      .map((token, col) => ({ row, col, token }))
+      .filter(cell => cell.token !== WILDCARD && cell.token !== ' ')
+  );
+};
+
+/**
+ * Shift cells so the smallest row and column are zero
+ *
+ * @param {Array<Object>} cells - Cells as { row, col, token }
+ * @returns {Array<Object>} Normalized cells in reading order
+ */
+const normalize = (cells) => {
+  const minRow = Math.min(...cells.map(cell => cell.row));
+  const minCol = Math.min(...cells.map(cell => cell.col));
+
+  return cells
+    .map(cell => ({ ...cell, row: cell.row - minRow, col: cell.col - minCol }))
+    .sort((a, b) => a.row - b.row || a.col - b.col);
+};
+
+/**
+ * Get every distinct orientation a pattern may be matched in
+ *
+ * @param {Array<Object>} cells - Cells as { row, col, token }
+ * @param {Object} definition - Pattern definition (rotate/reflect flags)
+ * @returns {Array<Array<Object>>} Unique orientations of the cells (symmetric
+ *   patterns collapse to fewer orientations, so matches are never duplicated)
+ */
+const getOrientations = (cells, definition) => {
+  const rotations = definition.rotate ? 4 : 1;
+  const reflections = definition.reflect ? [false, true] : [false];
+  const orientations = new Map();
+
+  reflections.forEach(reflected => {
+    let current = reflected
+      ? cells.map(cell => ({ ...cell, col: -cell.col }))
+      : cells;
+
+    for (let turn = 0; turn < rotations; turn++) {
+      const normalized = normalize(current);
+      const key = normalized.map(cell => `${cell.row},${cell.col},${cell.token}`).join(';');
+      orientations.set(key, normalized);
+
+      // Rotate 90 degrees clockwise
+      current = current.map(cell => ({ ...cell, row: cell.col, col: -cell.row }));
+    }
+  });
+
+  return [...orientations.values()];
+};
+
+/**
+ * Check whether a board cell satisfies a template token
+ *
+ * @param {Object|null} cell - Board cell
+ * @param {string} token - Template character
+ * @param {Object} legend - Pattern legend
+ * @returns {boolean} Whether the cell matches
+ */
+const matchesToken = (cell, token, legend = {}) => {
+  if (token === EMPTY) return !cell;
+  if (token === ANY_ELEMENT) return Boolean(cell && cell.element);
+
+  const constraint = legend[token];
+  if (!cell || !cell.element || constraint === undefined) return false;
+
+  if (typeof constraint === 'string') {
+    return cell.element === constraint;
+  }
+
+  if (Array.isArray(constraint)) {
+    return constraint.includes(cell.element);
+  }
+
+  // Property constraint, e.g. { stackable: true }
+  const properties = elementProperties[cell.element] || {};
+  return Object.entries(constraint).every(([key, value]) => properties[key] === value);
+};
+
+/**
+ * Find every placement of a pattern on the board
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {Object} definition - Pattern definition
+ * @param {Object} [params={}] - Values for the pattern's stretch field (e.g. an objective)
+ * @returns {Array<Object>} Matches as { positions }, where positions lists the
+ *   matched non-empty template cells as { row, col }
+ */
+export const matchPattern = (board, definition, params = {}) => {
+  if (!board.length || !board[0].length) return [];
+
+  const cells = parsePattern(definition, params);
+  if (cells.length === 0) return [];
+
+  const matches = [];
+
+  getOrientations(cells, definition).forEach(orientation => {
+    const height = Math.max(...orientation.map(cell => cell.row)) + 1;
+    const width = Math.max(...orientation.map(cell => cell.col)) + 1;
+
+    for (let row = 0; row + height <= board.length; row++) {
+      for (let col = 0; col + width <= board[0].length; col++) {
+        const fits = orientation.every(cell =>
+          matchesToken(board[row + cell.row][col + cell.col], cell.token, definition.legend)
+        );
+
+        if (!fits) continue;
+
+        matches.push({
+          positions: orientation
+            .filter(cell => cell.token !== EMPTY)
+            .map(cell => ({ row: row + cell.row, col: col + cell.col }))
+        });
+      }
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Apply a pattern's effect to the cells of a match
+ *
+ * @param {Array<Array<Object>>} board - Board to update in place
+ * @param {Object} definition - Pattern definition
+ * @param {Object} match - Match returned by matchPattern
+ */
+export const applyPatternEffect = (board, definition, match) => {
+  const effect = definition.effect;
+  if (!effect) return;
+
+  match.positions.forEach(({ row, col }) => {
+    const cell = board[row][col];
+    if (!cell || (effect.target && cell.element !== effect.target)) return;
+
+    const updated = { ...cell, ...(effect.set || {}) };
+
+    Object.entries(effect.add || {}).forEach(([key, amount]) => {
+      updated[key] = (cell[key] || 1) + amount;
+    });
+
+    board[row][col] = updated;
+  });
+};
+
+/**
+ * Validate that every pattern definition can be matched
+ *
+ * Checks that each pattern has a template or cell list, that every
+ * template character is either built in or defined in the legend, and
+ * that legend elements exist.
+ *
+ * @param {Object} [patterns=boardPatterns] - Pattern definitions keyed by id
+ * @throws {Error} If any pattern is malformed
+ * @returns {boolean} True when every pattern is valid
+ */
+export const validatePatterns = (patterns = boardPatterns) => {
+  const problems = [];
+  const builtIn = [EMPTY, WILDCARD, ANY_ELEMENT, ' '];
+
+  Object.entries(patterns).forEach(([id, definition]) => {
+    if (definition.id !== id) {
+      problems.push(`Pattern "${id}" has mismatched id "${definition.id}"`);
+    }
+
+    if (!definition.template && !definition.cells) {
+      problems.push(`Pattern "${id}" needs a template or cells`);
+      return;
+    }
+
+    const tokens = definition.cells
+      ? definition.cells.map(([, , token]) => token)
+      : definition.template.join('').split('');
+
+    tokens
+      .filter(token => !builtIn.includes(token))
+      .forEach(token => {
+        const constraint = definition.legend?.[token];
+        const elements = typeof constraint === 'string' ? [constraint] : constraint;
+
+        if (constraint === undefined) {
+          problems.push(`Pattern "${id}" uses "${token}", which is missing from its legend`);
+        } else if (Array.isArray(elements)) {
+          elements
+            .filter(element => !elementProperties[element])
+            .forEach(element => problems.push(`Pattern "${id}" references unknown element "${element}"`));
+        }
+      });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid board patterns:\n${[...new Set(problems)].join('\n')}`);
+  }
+
+  return true;
+};
@@ -0,0 +1,64 @@
+/**
+ * ElementCraft - Board Pattern Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { getPattern, matchPattern, validatePatterns } from './patterns';
+import { parseBoard } from '../test/boards';
+
+const legend = { F: 'fire', M: 'metal', E: 'earth', W: 'water' };
+
+describe('matchPattern', () => {
+  it('finds a pattern in every rotation when asked to', () => {
+    const definition = getPattern('metal_fire_path');
+
+    expect(matchPattern(parseBoard(['FMM'], legend), definition)).toHaveLength(1);
+    expect(matchPattern(parseBoard(['MMF'], legend), definition)).toHaveLength(1);
+    expect(matchPattern(parseBoard(['F', 'M', 'M'], legend), definition)).toHaveLength(1);
+  });
+
+  it('only matches the template as written without rotation', () => {
+    const definition = { id: 'line', template: ['FM'], legend: { F: 'fire', M: 'metal' } };
+
+    expect(matchPattern(parseBoard(['FM'], legend), definition)).toHaveLength(1);
+    expect(matchPattern(parseBoard(['MF'], legend), definition)).toHaveLength(0);
+  });
+
+  it('reports the matched cells, without empty template cells', () => {
+    const definition = { id: 'gap', template: ['E.E'], legend: { E: 'earth' } };
+
+    expect(matchPattern(parseBoard(['.E.E'], legend), definition)).toEqual([
+      { positions: [{ row: 0, col: 1 }, { row: 0, col: 3 }] }
+    ]);
+    expect(matchPattern(parseBoard(['EWE'], legend), definition)).toEqual([]);
+  });
+
+  it('stretches templates by the objective field', () => {
+    const definition = getPattern('vertical_stack');
+    const board = parseBoard(['E', 'W', 'F'], legend);
+
+    expect(matchPattern(board, definition, { height: 3 })).toHaveLength(1);
+    expect(matchPattern(board, definition, { height: 4 })).toHaveLength(0);
+  });
+
+  it('checks element properties from the legend', () => {
+    const definition = { id: 'solid', template: ['SS'], legend: { S: { stackable: true } } };
+
+    expect(matchPattern(parseBoard(['EM'], legend), definition)).toHaveLength(1);
+    expect(matchPattern(parseBoard(['EW'], legend), definition)).toHaveLength(0);
+  });
+});
+
+describe('validatePatterns', () => {
+  it('accepts the built-in patterns', () => {
+    expect(validatePatterns()).toBe(true);
+  });
+
+  it('rejects undefined legend characters and unknown elements', () => {
+    expect(() => validatePatterns({ bad: { id: 'bad', template: ['XY'], legend: { X: 'unobtainium' } } }))
+      .toThrow(/unknown element "unobtainium"[\s\S]*"Y"/);
+  });
+});
@@ -10,7 +10,10 @@
  */
 
 import Matter from 'matter-js';
-import { elementProperties } from '../constants/elements';
+import { elementProperties, elementColors } from '../constants/elements';
+
+// Collision mask covering every element category
+const ALL_CATEGORIES = 0xFFFFF;
 
 // Create physics engine instance
 let engine = null;
@@ -121,6 +124,10 @@ export const createElementBody = (elementType, x, y, size, options = {}) => {
     case 'metal':
     case 'wood':
     case 'crystal':
+    case 'rust':
+    case 'ore':
+    case 'forge':
+    case 'forest':
       // Solid elements are rectangles
       body = Matter.Bodies.rectangle(
         x, y, size, size,
@@ -136,6 +143,8 @@ export const createElementBody = (elementType, x, y, size, options = {}) => {
     case 'steam':
     case 'cloud':
     case 'plasma':
+    case 'oxidation':
+    case 'lightning':
       // Gaseous elements are circles
       body = Matter.Bodies.circle(
         x, y, size / 2,
@@ -148,6 +157,8 @@ export const createElementBody = (elementType, x, y, size, options = {}) => {
       
     case 'lava':
     case 'sand':
+    case 'mud':
+    case 'geyser':
       // Semi-fluid elements are soft bodies
       body = createSoftBody(x, y, size, properties, elementType);
       break;
@@ -409,22 +420,7 @@ const createSoftBody = (x, y, size, properties, elementType) => {
  * @returns {string} CSS color
  */
 const getElementColor = (elementType) => {
-  const colors = {
-    fire: '#ff6b6b',
-    water: '#4fc3f7',
-    earth: '#66bb6a',
-    air: '#e0e0e0',
-    metal: '#b0bec5',
-    wood: '#8d6e63',
-    crystal: '#8d4e85',
-    steam: '#c8e6c9',
-    cloud: '#d4f1f9',
-    lava: '#ff7043',
-    sand: '#fff176',
-    plasma: '#ba68c8'
-  };
-  
-  return colors[elementType] || colors.earth;
+  return elementColors[elementType] || elementColors.earth;
 };
 
 /**
@@ -447,7 +443,15 @@ const getCollisionCategory = (elementType) => {
     cloud: 0x0100,
     lava: 0x0200,
     sand: 0x0400,
-    plasma: 0x0800
+    plasma: 0x0800,
+    mud: 0x1000,
+    rust: 0x2000,
+    ore: 0x4000,
+    oxidation: 0x8000,
+    forge: 0x10000,
+    forest: 0x20000,
+    lightning: 0x40000,
+    geyser: 0x80000
   };
   
   return categories[elementType] || 0x0001;
@@ -473,34 +477,45 @@ const getCollisionMask = (elementType) => {
     cloud: 0x0100,
     lava: 0x0200,
     sand: 0x0400,
-    plasma: 0x0800
+    plasma: 0x0800,
+    mud: 0x1000,
+    rust: 0x2000,
+    ore: 0x4000,
+    oxidation: 0x8000,
+    forge: 0x10000,
+    forest: 0x20000,
+    lightning: 0x40000,
+    geyser: 0x80000
   };
   
   // Default is collide with everything
-  let mask = 0xFFFF;
+  let mask = ALL_CATEGORIES;
   
   // Customize collision masks based on element type
   switch (elementType) {
     case 'fire':
       // Fire doesn't collide with steam, plasma, or air
-      mask = 0xFFFF & ~(categories.steam | categories.plasma | categories.air);
+      mask = ALL_CATEGORIES & ~(categories.steam | categories.plasma | categories.air);
       break;
     
     case 'air':
     case 'steam':
     case 'cloud':
+    case 'oxidation':
       // Gaseous elements don't collide with each other
-      mask = 0xFFFF & ~(categories.air | categories.steam | categories.cloud);
+      mask = ALL_CATEGORIES & ~(categories.air | categories.steam | categories.cloud | categories.oxidation);
       break;
       
     case 'water':
     case 'lava':
+    case 'mud':
+    case 'geyser':
       // Fluid elements have partial collision with each other
-      mask = 0xFFFF;
+      mask = ALL_CATEGORIES;
       break;
       
     default:
-      mask = 0xFFFF;
+      mask = ALL_CATEGORIES;
   }
   
   return mask;
@@ -9,28 +9,140 @@
  * @version 1.0.0
  */
 
-// Word lists for word puzzles
-const wordLists = {
-  // Fire-related words
-  fire: ['FLAME', 'BLAZE', 'TORCH', 'SPARK', 'EMBER', 'SCORCH', 'INFERNO', 'KINDLE'],
-  
-  // Water-related words
-  water: ['STREAM', 'RIVER', 'OCEAN', 'FLUID', 'HYDRO', 'AQUA', 'SPLASH', 'DRIP'],
-  
-  // Earth-related words
-  earth: ['STONE', 'TERRA', 'SOIL', 'QUAKE', 'ROCK', 'CRYSTAL', 'METAL', 'CLAY'],
-  
-  // Air-related words
-  air: ['BREEZE', 'WIND', 'GUST', 'STORM', 'CLOUD', 'VAPOR', 'ZEPHYR', 'WISP'],
-  
-  // Metal-related words
-  metal: ['ALLOY', 'FORGE', 'STEEL', 'SILVER', 'GOLD', 'IRON', 'BRASS', 'SMITH'],
+import { createRng } from './random';
+import { dictionaryWords } from '../constants/dictionary';
+import { wordBank } from '../constants/wordBank';
+import { INITIAL_ELEMENTS, UNLOCKABLE_ELEMENTS } from '../constants/elements';
+import {
+  DIFFICULTY_LEVELS,
+  LOGIC_BOX_LAYOUTS,
+  LOGIC_PUZZLE_RULES,
+  LOGIC_PUZZLE_VARIANTS,
+  WORD_PUZZLE_BANK,
+  WORD_PUZZLE_HINTS
+} from '../constants/gameStates';
+import { levelRequirements } from '../constants/levels';
+import { explainLogicStep, findNextDeduction, getDifficultyRank, rateLogicPuzzle } from './logicSolver';
+import {
+  buildLogicConstraints,
+  createCages,
+  findConstraintErrors,
+  getConstraintCells,
+  searchSolutions
+} from './logicConstraints';
+
+// Guesses allowed in a standalone word puzzle
+const WORD_PUZZLE_ATTEMPTS = 6;
+
+// Every word accepted as a guess: the dictionary plus all puzzle answers
+const validWords = new Set([
+  ...Object.values(dictionaryWords).flat(),
+  ...Object.values(wordBank).flatMap(rarities => Object.values(rarities).flat())
+]);
+
+/**
+ * Check whether a guess is a real word
+ * 
+ * @param {string} word - Guess in any case
+ * @returns {boolean} Whether the word is in the dictionary
+ */
+export const isValidWord = (word) => {
+  return validWords.has(word.toUpperCase());
+};
+
+/**
+ * Get the themes of the word bank
+ * 
+ * Each theme unlocks with the element it is named after.
+ * 
+ * @param {string[]} [unlockedElements] - Elements the player has; all
+ *   themes when omitted
+ * @returns {string[]} Theme names
+ */
+export const getWordThemes = (unlockedElements = null) => {
+  const themes = Object.keys(wordBank);
+  return unlockedElements ? themes.filter(theme => unlockedElements.includes(theme)) : themes;
+};
+
+/**
+ * Get every answer of a theme
+ * 
+ * @param {string} theme - Theme name
+ * @returns {string[]} Words of all rarities
+ */
+export const getThemeWords = (theme) => {
+  return Object.values(wordBank[theme] || {}).flat();
+};
+
+/**
+ * Pick a word from a theme
+ * 
+ * Words the player already solved are skipped until the whole theme has
+ * been solved. Words of the requested length tier are preferred, and
+ * common words come up more often than rare ones.
+ * 
+ * @param {string} theme - Theme name
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Object} [options={}]
+ * @param {string} [options.tier] - Length tier from WORD_PUZZLE_BANK.lengthTiers
+ * @param {string[]} [options.solved=[]] - Words of the theme already solved
+ * @returns {string} Chosen word
+ */
+export const pickThemeWord = (theme, rng = createRng(), { tier = null, solved = [] } = {}) => {
+  const { lengthTiers, rarityWeights } = WORD_PUZZLE_BANK;
+  const entries = Object.entries(wordBank[theme] || {})
+    .flatMap(([rarity, words]) => words.map(word => ({ word, weight: rarityWeights[rarity] || 1 })));
+  
+  // Once every word is solved the whole bank is open again
+  const unsolved = entries.filter(entry => !solved.includes(entry.word));
+  let pool = unsolved.length > 0 ? unsolved : entries;
+  
+  const lengths = lengthTiers[tier];
+  const tiered = lengths ? pool.filter(entry => lengths.includes(entry.word.length)) : [];
+  if (tiered.length > 0) pool = tiered;
+  
+  // Weighted by rarity
+  let roll = rng.next() * pool.reduce((total, entry) => total + entry.weight, 0);
+  for (const entry of pool) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.word;
+  }
   
-  // Wood-related words
-  wood: ['GROVE', 'FOREST', 'PLANT', 'TRUNK', 'BRANCH', 'LEAF', 'TIMBER', 'SEED'],
+  return pool[pool.length - 1].word;
+};
+
+/**
+ * Pick a random themed word for the standalone word puzzle mode
+ * 
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {string} [theme] - Theme to pick from; random when omitted
+ * @param {Object} [options={}]
+ * @param {string[]} [options.unlockedElements] - Elements whose themes may be picked
+ * @param {Object<string, string[]>} [options.solvedWords={}] - Solved words per theme
+ * @param {string} [options.tier] - Length tier from WORD_PUZZLE_BANK.lengthTiers
+ * @returns {Object} Puzzle with word, theme and maxAttempts
+ */
+export const createWordPuzzle = (rng = createRng(), theme = null, { unlockedElements = null, solvedWords = {}, tier = null } = {}) => {
+  const themes = getWordThemes(unlockedElements);
+  const available = themes.length > 0 ? themes : getWordThemes();
+  const puzzleTheme = available.includes(theme) ? theme : rng.pick(available);
   
-  // Advanced element words
-  advanced: ['PLASMA', 'LAVA', 'STEAM', 'MAGMA', 'FUSION', 'ETHER', 'PRISM', 'VOID']
+  return {
+    word: pickThemeWord(puzzleTheme, rng, { tier, solved: solvedWords[puzzleTheme] }),
+    theme: puzzleTheme,
+    maxAttempts: WORD_PUZZLE_ATTEMPTS
+  };
+};
+
+/**
+ * Get the word length tier of a level
+ * 
+ * @param {number} level - Level number
+ * @returns {string} Tier from WORD_PUZZLE_BANK.lengthTiers
+ */
+export const getWordLengthTier = (level) => {
+  if (level <= 3) return 'short';
+  return level <= 7 ? 'medium' : 'long';
 };
 
 /**
@@ -38,30 +150,19 @@ const wordLists = {
  * 
  * @param {number} level - Current level
  * @param {string} theme - Puzzle theme ('fire', 'water', etc.)
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Object<string, string[]>} [solvedWords={}] - Solved words per theme
  * @returns {Object} Puzzle configuration
  */
-export const generateWordPuzzle = (level, theme = null) => {
+export const generateWordPuzzle = (level, theme = null, rng = createRng(), solvedWords = {}) => {
   // If no theme provided, choose based on level
-  if (!theme) {
-    const themes = Object.keys(wordLists);
+  const themes = getWordThemes();
+  if (!wordBank[theme]) {
     theme = themes[Math.min(level - 1, themes.length - 1)];
   }
   
-  // Get word list for theme
-  const words = wordLists[theme] || wordLists.fire;
-  
-  // Select a word based on level difficulty
-  let word;
-  if (level <= 3) {
-    // Easier words (5 letters)
-    word = words.filter(w => w.length === 5)[0] || words[0];
-  } else if (level <= 7) {
-    // Medium words (6 letters)
-    word = words.filter(w => w.length === 6)[0] || words[0];
-  } else {
-    // Harder words (7+ letters)
-    word = words.filter(w => w.length >= 7)[0] || words[0];
-  }
+  // Longer words as the levels go on
+  const word = pickThemeWord(theme, rng, { tier: getWordLengthTier(level), solved: solvedWords[theme] });
   
   // Determine maximum attempts based on difficulty
   const maxAttempts = Math.max(6, 12 - level);
@@ -126,10 +227,11 @@ export const checkWordGuess = (solution, guess) => {
  * Generate a hint for a word puzzle
  * 
  * @param {string} word - The puzzle word
- * @param {number} hintLevel - Hint level (1-3)
+ * @param {number} hintLevel - Hint level (1-4)
+ * @param {number|null} [position=null] - Letter to reveal at level 4, see findHiddenLetter
  * @returns {string} Hint text
  */
-export const generateWordHint = (word, hintLevel = 1) => {
+export const generateWordHint = (word, hintLevel = 1, position = null) => {
   // First letter hint
   if (hintLevel === 1) {
     return `The word starts with the letter "${word[0]}".`;
@@ -170,9 +272,63 @@ export const generateWordHint = (word, hintLevel = 1) => {
     return definitions[word] || `The word is related to the ${getWordTheme(word)} element.`;
   }
   
+  // Revealed letter hint
+  if (hintLevel === 4 && position !== null) {
+    return `Letter ${position + 1} is "${word[position]}".`;
+  }
+  
   return 'Try different letter combinations to solve the puzzle.';
 };
 
+/**
+ * Get the level and essence cost of the next word puzzle hint
+ * 
+ * @param {number} hintsUsed - Hints already bought for the puzzle
+ * @returns {Object} { level, cost }, with the last level repeating
+ */
+export const getWordHintCost = (hintsUsed) => {
+  const { costs } = WORD_PUZZLE_HINTS;
+  const level = Math.min(hintsUsed + 1, costs.length);
+  
+  return { level, cost: costs[level - 1] };
+};
+
+/**
+ * Find a letter of the word the player doesn't know yet
+ * 
+ * Positions a guess already got right, or an earlier hint revealed, are
+ * skipped. The first letter is revealed last, since the first hint gives
+ * it away. The last unknown letter is never revealed.
+ * 
+ * @param {string} word - The puzzle word
+ * @param {string[]} [guesses=[]] - Guesses made so far
+ * @param {number[]} [revealed=[]] - Positions revealed by earlier hints
+ * @returns {number|null} Position to reveal, or null when none is left
+ */
+export const findHiddenLetter = (word, guesses = [], revealed = []) => {
+  const hidden = Array.from(word, (_, position) => position).filter(position =>
+    !revealed.includes(position) && !guesses.some(guess => guess[position] === word[position])
+  );
+  
+  if (hidden.length <= 1) return null;
+  
+  return hidden.find(position => position > 0) ?? hidden[0];
+};
+
+/**
+ * Get the score of a solved word puzzle after hints
+ * 
+ * @param {number} points - Points for solving it without hints
+ * @param {number} hintsUsed - Hints bought for the puzzle
+ * @returns {number} Points awarded
+ */
+export const getWordPuzzleScore = (points, hintsUsed) => {
+  const { scorePenalty, minScoreShare } = WORD_PUZZLE_HINTS;
+  const share = Math.max(minScoreShare, 1 - scorePenalty * hintsUsed);
+  
+  return Math.round(points * share);
+};
+
 /**
  * Determine the theme of a word
  * 
@@ -180,22 +336,276 @@ export const generateWordHint = (word, hintLevel = 1) => {
  * @returns {string} Theme name
  */
 export const getWordTheme = (word) => {
-  for (const [theme, words] of Object.entries(wordLists)) {
-    if (words.includes(word)) {
+  for (const theme of Object.keys(wordBank)) {
+    if (getThemeWords(theme).includes(word)) {
       return theme;
     }
   }
   return 'element'; // Default theme
 };
 
+/**
+ * Get the grid sizes logic puzzles can be played at
+ * 
+ * @returns {number[]} Grid sizes
+ */
+export const getLogicPuzzleSizes = () => {
+  return Object.keys(LOGIC_BOX_LAYOUTS).map(Number);
+};
+
+/**
+ * Get the box layout of a logic puzzle grid
+ * 
+ * @param {number} size - Grid size
+ * @returns {Object|null} { height, width } of each box, or null when the
+ *   grid has no boxes
+ */
+export const getBoxShape = (size) => {
+  const layout = LOGIC_BOX_LAYOUTS[size];
+  return layout ? { height: layout[0], width: layout[1] } : null;
+};
+
+/**
+ * Pick the elements of a logic puzzle, one per row
+ * 
+ * Preferred elements come first; the rest are filled from the basic and
+ * unlockable elements.
+ * 
+ * @param {number} size - Grid size
+ * @param {string[]} [preferred=[]] - Elements to use first
+ * @returns {string[]} Exactly size elements
+ */
+export const getLogicPuzzleElements = (size, preferred = []) => {
+  return [...new Set([...preferred, ...INITIAL_ELEMENTS, ...UNLOCKABLE_ELEMENTS])].slice(0, size);
+};
+
+/**
+ * Count the solutions of a logic puzzle, stopping at a limit
+ * 
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {number} [limit=2] - Stop counting once this many solutions are found
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {number} Number of solutions found, at most limit
+ */
+export const countSolutions = (grid, elements, limit = 2, constraints = buildLogicConstraints(grid.length)) => {
+  return searchSolutions(grid, elements, constraints, { limit }).count;
+};
+
+/**
+ * Check whether a logic puzzle has exactly one solution
+ * 
+ * @param {Array<Array<Object|string|null>>} grid - Puzzle with null for empty cells
+ * @param {string[]} elements - Valid elements
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {boolean} Whether the solution is unique
+ */
+export const hasUniqueSolution = (grid, elements, constraints) => {
+  return countSolutions(grid, elements, 2, constraints) === 1;
+};
+
+/**
+ * Create a puzzle from a solution that stays within a difficulty tier
+ * 
+ * Cells are removed in random order, and a removal is kept only while
+ * the solver can still finish the puzzle with techniques no harder than
+ * the tier. Solving by deduction alone also proves the solution unique.
+ * 
+ * @param {Array<Array<Object>>} solution - Complete solution
+ * @param {string} difficulty - Highest tier allowed, one of DIFFICULTY_LEVELS
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object} { puzzle, difficulty } with the tier the puzzle needs
+ */
+export const createRatedPuzzle = (solution, difficulty, rng = createRng(), constraints = undefined) => {
+  const size = solution.length;
+  const puzzle = JSON.parse(JSON.stringify(solution));
+  const elements = [...new Set(solution.flat().map(cell => cell.element))];
+  const maxRank = getDifficultyRank(difficulty);
+  
+  let rating = DIFFICULTY_LEVELS.EASY;
+  const cells = rng.shuffle(
+    Array.from({ length: size * size }, (_, index) => [Math.floor(index / size), index % size])
+  );
+  
+  for (const [row, col] of cells) {
+    const cell = puzzle[row][col];
+    puzzle[row][col] = null;
+    
+    const next = rateLogicPuzzle(puzzle, elements, constraints);
+    if (next && getDifficultyRank(next) <= maxRank) {
+      rating = next;
+    } else {
+      puzzle[row][col] = cell;
+    }
+  }
+  
+  return { puzzle, difficulty: rating };
+};
+
+/**
+ * Get the named logic puzzle variants
+ * 
+ * @returns {string[]} Variant names, classic first
+ */
+export const getLogicPuzzleVariants = () => {
+  return Object.keys(LOGIC_PUZZLE_VARIANTS);
+};
+
+/**
+ * Generate a solved grid that follows a puzzle's constraints
+ * 
+ * @param {number} size - Grid size
+ * @param {string[]} elements - Elements to use
+ * @param {Array<Object>} constraints - Puzzle constraints
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @returns {Array<Array<Object>>|null} Solution, or null when the rules can't all hold
+ */
+export const generateConstrainedSolution = (size, elements, constraints, rng = createRng()) => {
+  const empty = Array(size).fill(null).map(() => Array(size).fill(null));
+  return searchSolutions(empty, elements, constraints, { limit: 1, rng }).solution;
+};
+
+/**
+ * Generate a standalone logic puzzle with a unique solution
+ * 
+ * Grids are generated until one needs exactly the requested tier. Small
+ * grids rarely need the hardest techniques, so after a few tries the
+ * hardest puzzle found that doesn't exceed the tier is used.
+ * 
+ * Variants add rules on top of rows, columns and boxes; see
+ * LOGIC_PUZZLE_VARIANTS. Cages are cut from each solved grid, so they
+ * always hold a reaction's ingredients.
+ * 
+ * @param {number} size - Grid size (4, 6 or 9)
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {string[]} [preferred=[]] - Elements to use first
+ * @param {string} [difficulty=DIFFICULTY_LEVELS.MEDIUM] - Target tier
+ * @param {string|Object} [variant='classic'] - Variant name, or rules as
+ *   { diagonal, notAdjacent, cages }
+ * @returns {Object} Logic puzzle configuration with its constraints and
+ *   rated difficulty
+ */
+export const createLogicPuzzle = (
+  size,
+  rng = createRng(),
+  preferred = [],
+  difficulty = DIFFICULTY_LEVELS.MEDIUM,
+  variant = 'classic'
+) => {
+  const validElements = getLogicPuzzleElements(size, preferred);
+  const rules = typeof variant === 'string' ? LOGIC_PUZZLE_VARIANTS[variant] || {} : variant;
+  
+  // Adjacency rules only apply to elements the grid uses
+  const notAdjacent = (rules.notAdjacent || [])
+    .filter(pair => pair.every(element => validElements.includes(element)));
+  const baseConstraints = buildLogicConstraints(size, { ...rules, notAdjacent });
+  const cageCount = rules.cages ? Math.round(size * LOGIC_PUZZLE_RULES.cagesPerRow) : 0;
+  
+  let best = null;
+  
+  for (let attempt = 0; attempt < LOGIC_PUZZLE_RULES.attempts; attempt++) {
+    const solution = generateConstrainedSolution(size, validElements, baseConstraints, rng);
+    if (!solution) break;
+    
+    const constraints = [...baseConstraints, ...createCages(solution, cageCount, rng)];
+    const rated = createRatedPuzzle(solution, difficulty, rng, constraints);
+    const candidate = { size, solution, validElements, constraints, ...rated };
+    
+    if (rated.difficulty === difficulty) {
+      return candidate;
+    }
+    
+    if (!best || getDifficultyRank(rated.difficulty) > getDifficultyRank(best.difficulty)) {
+      best = candidate;
+    }
+  }
+  
+  if (best) return best;
+  
+  // Small grids can't always keep fire from water on top of the diagonals,
+  // so rules that no grid satisfies are dropped, adjacency first
+  const fallback = notAdjacent.length > 0 ? { ...rules, notAdjacent: [] } : 'classic';
+  return createLogicPuzzle(size, rng, preferred, difficulty, fallback);
+};
+
+/**
+ * Get the logic puzzle difficulty tier of a level
+ * 
+ * @param {number} level - Level number
+ * @returns {string} One of DIFFICULTY_LEVELS; levels past the last one are expert
+ */
+export const getLogicPuzzleDifficulty = (level) => {
+  return levelRequirements[level]?.difficulty || DIFFICULTY_LEVELS.EXPERT;
+};
+
+/**
+ * Get the difficulty tiers a logic puzzle size can be generated at
+ * 
+ * Smaller grids never need the harder techniques, so they only offer the
+ * tiers the solver can reach on them.
+ * 
+ * @param {number} size - Grid size
+ * @returns {string[]} Tiers from DIFFICULTY_LEVELS
+ */
+export const getLogicPuzzleDifficulties = (size) => {
+  return LOGIC_PUZZLE_RULES.difficulties[size] || [DIFFICULTY_LEVELS.EASY];
+};
+
+/**
+ * Create the puzzle a level's solve_puzzle objective asks for
+ * 
+ * Word objectives use their word, logic objectives their grid size and
+ * optional variant, with the level's elements and difficulty tier. A lost
+ * word puzzle shows its answer, so retries draw another word from the
+ * objective word's theme.
+ * 
+ * @param {Object} objective - solve_puzzle objective
+ * @param {number} level - Level the objective belongs to
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {number} [retries=0] - Failed attempts at the objective's puzzle
+ * @returns {Object} Word or logic puzzle configuration
+ */
+export const createObjectivePuzzle = (objective, level, rng = createRng(), retries = 0) => {
+  if (objective.puzzleType === 'word') {
+    if (!objective.word) return createWordPuzzle(rng);
+    
+    const word = objective.word.toUpperCase();
+    const theme = getWordTheme(word);
+    
+    if (retries > 0) {
+      return createWordPuzzle(rng, theme, { solvedWords: { [theme]: [word] } });
+    }
+    
+    return { word, theme, maxAttempts: WORD_PUZZLE_ATTEMPTS };
+  }
+  
+  const elements = levelRequirements[level]?.availableElements || [];
+  if (!objective.size) return generateLogicPuzzle(level, elements, rng, objective.variant);
+  
+  // Small grids only reach the easier tiers
+  const tiers = getLogicPuzzleDifficulties(objective.size);
+  const difficulty = getLogicPuzzleDifficulty(level);
+  
+  return createLogicPuzzle(
+    objective.size,
+    rng,
+    elements,
+    tiers.includes(difficulty) ? difficulty : tiers[tiers.length - 1],
+    objective.variant
+  );
+};
+
 /**
  * Generate a logic puzzle (Sudoku-style) for a given level
  * 
  * @param {number} level - Current level
  * @param {string[]} elements - Available elements
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {string|Object} [variant='classic'] - Variant for the level, see createLogicPuzzle
  * @returns {Object} Logic puzzle configuration
  */
-export const generateLogicPuzzle = (level, elements) => {
+export const generateLogicPuzzle = (level, elements, rng = createRng(), variant = 'classic') => {
   // Determine puzzle size based on level
   let size;
   if (level <= 3) {
@@ -206,22 +616,12 @@ export const generateLogicPuzzle = (level, elements) => {
     size = 9; // 9x9 grid
   }
   
-  // Limit elements to the puzzle size
-  const validElements = elements.slice(0, size);
-  
-  // Generate puzzle solution
-  const solution = generateSudokuSolution(size, validElements);
-  
-  // Create puzzle by removing some cells
-  const difficulty = Math.min(0.7, 0.4 + (level * 0.03));
-  const puzzle = createPuzzleFromSolution(solution, difficulty);
+  // Generate a puzzle within the level's tier, with one element per row
+  // topped up when the level offers too few
+  const puzzle = createLogicPuzzle(size, rng, elements, getLogicPuzzleDifficulty(level), variant);
   
   return {
-    size,
-    solution,
-    puzzle,
-    validElements,
-    difficulty,
+    ...puzzle,
     level
   };
 };
@@ -231,14 +631,15 @@ export const generateLogicPuzzle = (level, elements) => {
  * 
  * @param {number} size - Puzzle size
  * @param {string[]} elements - Elements to use
+ * @param {Object} [rng] - Seeded random generator from createRng
  * @returns {Array<Array<Object>>} Completed solution grid
  */
-export const generateSudokuSolution = (size, elements) => {
+export const generateSudokuSolution = (size, elements, rng = createRng()) => {
   // Create empty grid
   const grid = Array(size).fill().map(() => Array(size).fill(null));
   
   // Fill in the grid using backtracking
-  const solved = solveSudoku(grid, 0, 0, size, elements);
+  const solved = solveSudoku(grid, 0, 0, size, elements, rng);
   
   if (!solved) {
     console.error('Failed to generate a valid puzzle solution');
@@ -257,9 +658,10 @@ export const generateSudokuSolution = (size, elements) => {
  * @param {number} col - Current column
  * @param {number} size - Grid size
  * @param {string[]} elements - Valid elements
+ * @param {Object} [rng] - Seeded random generator from createRng
  * @returns {boolean} Whether the puzzle was solved
  */
-export const solveSudoku = (grid, row, col, size, elements) => {
+export const solveSudoku = (grid, row, col, size, elements, rng = createRng()) => {
   // If we've filled the entire grid, we're done
   if (row === size) {
     return true;
@@ -267,16 +669,16 @@ export const solveSudoku = (grid, row, col, size, elements) => {
   
   // If we've filled the current row, move to the next row
   if (col === size) {
-    return solveSudoku(grid, row + 1, 0, size, elements);
+    return solveSudoku(grid, row + 1, 0, size, elements, rng);
   }
   
   // If this cell is already filled, move to the next cell
   if (grid[row][col] !== null) {
-    return solveSudoku(grid, row, col + 1, size, elements);
+    return solveSudoku(grid, row, col + 1, size, elements, rng);
   }
   
   // Shuffle elements for randomness
-  const shuffledElements = [...elements].sort(() => Math.random() - 0.5);
+  const shuffledElements = rng.shuffle(elements);
   
   // Try placing each element in this cell
   for (const element of shuffledElements) {
@@ -286,7 +688,7 @@ export const solveSudoku = (grid, row, col, size, elements) => {
       grid[row][col] = element;
       
       // Recursively try to fill the rest of the grid
-      if (solveSudoku(grid, row, col + 1, size, elements)) {
+      if (solveSudoku(grid, row, col + 1, size, elements, rng)) {
         return true;
       }
       
@@ -324,45 +726,14 @@ export const isValidPlacement = (grid, row, col, element, size) => {
     }
   }
   
-  // Check 3x3 box for 9x9 grids
-  if (size === 9) {
-    const boxSize = 3;
-    const boxRow = Math.floor(row / boxSize) * boxSize;
-    const boxCol = Math.floor(col / boxSize) * boxSize;
-    
-    for (let r = boxRow; r < boxRow + boxSize; r++) {
-      for (let c = boxCol; c < boxCol + boxSize; c++) {
-        if (grid[r][c] === element) {
-          return false;
-        }
-      }
-    }
-  }
-  
-  // Check 2x2 box for 4x4 grids
-  if (size === 4) {
-    const boxSize = 2;
-    const boxRow = Math.floor(row / boxSize) * boxSize;
-    const boxCol = Math.floor(col / boxSize) * boxSize;
-    
-    for (let r = boxRow; r < boxRow + boxSize; r++) {
-      for (let c = boxCol; c < boxCol + boxSize; c++) {
-        if (grid[r][c] === element) {
-          return false;
-        }
-      }
-    }
-  }
-  
-  // For 6x6 grids, check 2x3 boxes
-  if (size === 6) {
-    const boxHeight = 2;
-    const boxWidth = 3;
-    const boxRow = Math.floor(row / boxHeight) * boxHeight;
-    const boxCol = Math.floor(col / boxWidth) * boxWidth;
+  // Check the box (2x2 for 4x4, 2x3 for 6x6, 3x3 for 9x9)
+  const box = getBoxShape(size);
+  if (box) {
+    const boxRow = Math.floor(row / box.height) * box.height;
+    const boxCol = Math.floor(col / box.width) * box.width;
     
-    for (let r = boxRow; r < boxRow + boxHeight; r++) {
-      for (let c = boxCol; c < boxCol + boxWidth; c++) {
+    for (let r = boxRow; r < boxRow + box.height; r++) {
+      for (let c = boxCol; c < boxCol + box.width; c++) {
         if (grid[r][c] === element) {
           return false;
         }
@@ -377,27 +748,41 @@ export const isValidPlacement = (grid, row, col, element, size) => {
 /**
  * Create a puzzle by removing cells from a solution
  * 
+ * Cells are removed in random order, and a removal is kept only while
+ * the puzzle still has a single solution. Fewer cells than requested are
+ * removed when no more can go without losing uniqueness.
+ * 
  * @param {Array<Array<Object>>} solution - Complete solution
  * @param {number} difficulty - Difficulty (0-1) representing proportion of cells to remove
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
  * @returns {Array<Array<Object|null>>} Puzzle with empty cells
  */
-export const createPuzzleFromSolution = (solution, difficulty) => {
+export const createPuzzleFromSolution = (solution, difficulty, rng = createRng(), constraints = undefined) => {
   const size = solution.length;
   const puzzle = JSON.parse(JSON.stringify(solution));
+  const elements = [...new Set(solution.flat().map(cell => cell.element))];
   
   // Calculate number of cells to remove
   const totalCells = size * size;
   const cellsToRemove = Math.floor(totalCells * difficulty);
   
-  // Remove cells randomly
+  // Try every cell once, in random order
+  const cells = rng.shuffle(
+    Array.from({ length: totalCells }, (_, index) => [Math.floor(index / size), index % size])
+  );
+  
   let removed = 0;
-  while (removed < cellsToRemove) {
-    const row = Math.floor(Math.random() * size);
-    const col = Math.floor(Math.random() * size);
+  for (const [row, col] of cells) {
+    if (removed >= cellsToRemove) break;
+    
+    const cell = puzzle[row][col];
+    puzzle[row][col] = null;
     
-    if (puzzle[row][col] !== null) {
-      puzzle[row][col] = null;
+    if (hasUniqueSolution(puzzle, elements, constraints)) {
       removed++;
+    } else {
+      puzzle[row][col] = cell;
     }
   }
   
@@ -435,64 +820,102 @@ export const checkLogicPuzzle = (puzzle, solution) => {
 /**
  * Generate a hint for a logic puzzle
  * 
+ * Wrong entries are pointed out first, since no deduction can be trusted
+ * while they are on the grid. Otherwise the solver finds the next cell
+ * that can be filled by deduction and the hint explains why.
+ * 
  * @param {Array<Array<Object|null>>} puzzle - Current puzzle state
  * @param {Array<Array<Object>>} solution - Correct solution
- * @param {number} hintLevel - Hint level (1-3)
- * @returns {Object} Hint data
+ * @param {number} hintLevel - Hint level: 1 points at the cell, 2 explains
+ *   the deduction, 3 also fills the cell in
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Object} Hint data with the text, the target position and
+ *   element, and the units to highlight as { type, index, cells }
  */
-export const generateLogicHint = (puzzle, solution, hintLevel = 1) => {
+export const generateLogicHint = (puzzle, solution, hintLevel = 2, constraints = buildLogicConstraints(puzzle.length)) => {
   const size = puzzle.length;
+  const elements = [...new Set(solution.flat().map(cell => cell.element))];
   
-  // Find all empty cells
+  // Entries that don't match the solution
+  const wrongCells = [];
   const emptyCells = [];
   for (let row = 0; row < size; row++) {
     for (let col = 0; col < size; col++) {
-      if (!puzzle[row][col]) {
+      const cell = puzzle[row][col];
+      
+      if (!cell) {
         emptyCells.push({ row, col });
+      } else if (cell.element !== solution[row][col].element) {
+        wrongCells.push({ row, col, element: cell.element });
       }
     }
   }
   
-  if (emptyCells.length === 0) {
-    return { type: 'text', text: 'The puzzle is already filled. Check for errors.' };
+  if (wrongCells.length > 0) {
+    const [first] = wrongCells;
+    const text = wrongCells.length === 1
+      ? `The ${first.element} at row ${first.row + 1}, column ${first.col + 1} is wrong, so the puzzle can't be solved from here.`
+      : `${wrongCells.length} entries are wrong, so the puzzle can't be solved from here.`;
+    
+    return { type: 'error', text, cells: wrongCells, highlight: [] };
   }
   
-  // Choose a random empty cell
-  const randomCell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-  const { row, col } = randomCell;
-  
-  if (hintLevel === 1) {
-    // Level 1 hint: Just tell where to look
-    return {
-      type: 'text',
-      text: `Focus on the cell at row ${row + 1}, column ${col + 1}.`
-    };
+  if (emptyCells.length === 0) {
+    return { type: 'text', text: 'The puzzle is already filled.', highlight: [] };
   }
   
-  if (hintLevel === 2) {
-    // Level 2 hint: Tell which element is wrong or missing
-    const correctElement = solution[row][col].element;
+  const deduction = findNextDeduction(puzzle, elements, constraints);
+  
+  // Puzzles not built by the rated generator can need guesswork, so the
+  // hint falls back to naming a cell's element; only level 3 fills it in
+  if (!deduction) {
+    const { row, col } = emptyCells[0];
+    const element = solution[row][col].element;
+    
+    let type = 'text';
+    if (hintLevel >= 3) {
+      type = 'fill';
+    } else if (hintLevel === 2) {
+      type = 'explain';
+    }
     
     return {
-      type: 'element',
-      text: `The cell at row ${row + 1}, column ${col + 1} should contain a specific element.`,
-      element: correctElement
+      type,
+      text: hintLevel >= 2
+        ? `No simple deduction is left here: the cell at row ${row + 1}, column ${col + 1} is ${element}.`
+        : `Focus on the cell at row ${row + 1}, column ${col + 1}.`,
+      position: { row, col },
+      element: hintLevel >= 2 ? element : null,
+      highlight: []
     };
   }
   
-  if (hintLevel === 3) {
-    // Level 3 hint: Fill in the cell directly
-    const correctElement = solution[row][col].element;
-    
+  const { step, reasons } = deduction;
+  const { row, col, element } = step.placements[0];
+  const highlight = [
+    ...reasons.flatMap(reason => [reason.unit, reason.line]),
+    ...(step.unit ? [step.unit] : step.units || [])
+  ].filter(Boolean).map(unit => ({ ...unit, cells: getConstraintCells(constraints, unit) }));
+  
+  if (hintLevel === 1) {
+    // Level 1 hint: Just tell where to look
     return {
-      type: 'fill',
-      text: `Filling in the cell at row ${row + 1}, column ${col + 1} with ${correctElement}.`,
+      type: 'text',
+      text: `Focus on the cell at row ${row + 1}, column ${col + 1}.`,
       position: { row, col },
-      element: correctElement
+      highlight
     };
   }
   
-  return { type: 'text', text: 'Try to find patterns in rows and columns.' };
+  // Level 2 explains the deduction, level 3 also fills the cell in
+  return {
+    type: hintLevel >= 3 ? 'fill' : 'explain',
+    text: [...reasons, step].map(explainLogicStep).join(' '),
+    technique: step.technique,
+    position: { row, col },
+    element,
+    highlight
+  };
 };
 
 /**
@@ -500,88 +923,10 @@ export const generateLogicHint = (puzzle, solution, hintLevel = 1) => {
  * 
  * @param {Array<Array<Object|null>>} puzzle - Current puzzle state
  * @param {number} size - Puzzle size
- * @returns {Array<{row: number, col: number}>} Error positions
+ * @param {Array<Object>} [constraints] - Puzzle constraints, plain Sudoku rules by default
+ * @returns {Array<{row: number, col: number}>} Positions of every cell
+ *   breaking a rule, each listed once
  */
-export const findPuzzleErrors = (puzzle, size) => {
-  const errors = [];
-  
-  // Check rows
-  for (let row = 0; row < size; row++) {
-    const elements = new Set();
-    const errorPositions = [];
-    
-    for (let col = 0; col < size; col++) {
-      if (puzzle[row][col]) {
-        const element = puzzle[row][col].element;
-        
-        if (elements.has(element)) {
-          // Found a duplicate in this row
-          errorPositions.push({ row, col });
-        } else {
-          elements.add(element);
-        }
-      }
-    }
-    
-    // Mark all duplicates in this row as errors
-    errors.push(...errorPositions);
-  }
-  
-  // Check columns
-  for (let col = 0; col < size; col++) {
-    const elements = new Set();
-    const errorPositions = [];
-    
-    for (let row = 0; row < size; row++) {
-      if (puzzle[row][col]) {
-        const element = puzzle[row][col].element;
-        
-        if (elements.has(element)) {
-          // Found a duplicate in this column
-          errorPositions.push({ row, col });
-        } else {
-          elements.add(element);
-        }
-      }
-    }
-    
-    // Mark all duplicates in this column as errors
-    errors.push(...errorPositions);
-  }
-  
-  // Check boxes for 9x9 and 4x4 grids
-  if (size === 9 || size === 4 || size === 6) {
-    const boxSize = size === 9 ? 3 : (size === 4 ? 2 : [2, 3]); // 3x3 for 9x9, 2x2 for 4x4, 2x3 for 6x6
-    
-    // Handle different box sizes for 6x6 grid
-    const boxHeight = Array.isArray(boxSize) ? boxSize[0] : boxSize;
-    const boxWidth = Array.isArray(boxSize) ? boxSize[1] : boxSize;
-    
-    for (let boxRow = 0; boxRow < size; boxRow += boxHeight) {
-      for (let boxCol = 0; boxCol < size; boxCol += boxWidth) {
-        const elements = new Set();
-        const errorPositions = [];
-        
-        for (let row = boxRow; row < boxRow + boxHeight; row++) {
-          for (let col = boxCol; col < boxCol + boxWidth; col++) {
-            if (puzzle[row][col]) {
-              const element = puzzle[row][col].element;
-              
-              if (elements.has(element)) {
-                // Found a duplicate in this box
-                errorPositions.push({ row, col });
-              } else {
-                elements.add(element);
-              }
-            }
-          }
-        }
-        
-        // Mark all duplicates in this box as errors
-        errors.push(...errorPositions);
-      }
-    }
-  }
-  
-  return errors;
+export const findPuzzleErrors = (puzzle, size, constraints = buildLogicConstraints(size)) => {
+  return findConstraintErrors(puzzle, constraints);
 };
\ No newline at end of file
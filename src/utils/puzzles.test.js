@@ -0,0 +1,244 @@
+/**
+ * ElementCraft - Logic Puzzle Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createRng } from './random';
+import { checkConstraints } from './logicConstraints';
+import { getDifficultyRank, rateLogicPuzzle } from './logicSolver';
+import {
+  countSolutions,
+  createLogicPuzzle,
+  createObjectivePuzzle,
+  createRatedPuzzle,
+  findHiddenLetter,
+  generateLogicHint,
+  getLogicPuzzleDifficulties,
+  getThemeWords,
+  getWordHintCost,
+  getWordPuzzleScore,
+  hasUniqueSolution,
+  pickThemeWord
+} from './puzzles';
+import { DIFFICULTY_LEVELS } from '../constants/gameStates';
+import { parseBoard } from '../test/boards';
+
+const legend = { F: 'fire', W: 'water', E: 'earth', A: 'air' };
+const elements = Object.values(legend);
+
+const solution = parseBoard([
+  'FWEA',
+  'EAFW',
+  'WFAE',
+  'AEWF'
+], legend);
+
+describe('countSolutions', () => {
+  it('counts up to the limit', () => {
+    const empty = parseBoard(['....', '....', '....', '....'], legend);
+
+    expect(countSolutions(empty, elements)).toBe(2);
+    expect(countSolutions(empty, elements, 5)).toBe(5);
+  });
+
+  it('counts a finished grid once', () => {
+    expect(countSolutions(solution, elements)).toBe(1);
+  });
+
+  it('finds no solution when the givens clash', () => {
+    const grid = parseBoard(['FF..', '....', '....', '....'], legend);
+
+    expect(countSolutions(grid, elements)).toBe(0);
+  });
+});
+
+describe('hasUniqueSolution', () => {
+  it('accepts a grid with one way to finish it', () => {
+    const grid = parseBoard(['FWE.', 'EAF.', 'WFA.', '....'], legend);
+
+    expect(hasUniqueSolution(grid, elements)).toBe(true);
+  });
+
+  it('rejects a grid that can be finished two ways', () => {
+    // The fire and earth in the top rows can swap
+    const grid = parseBoard(['.W.A', '.A.W', 'WFAE', 'AEWF'], legend);
+
+    expect(hasUniqueSolution(grid, elements)).toBe(false);
+  });
+});
+
+describe('rateLogicPuzzle', () => {
+  it('rates a grid of single candidates as easy', () => {
+    const grid = parseBoard(['FWE.', 'EAF.', 'WFA.', '....'], legend);
+
+    expect(rateLogicPuzzle(grid, elements)).toBe(DIFFICULTY_LEVELS.EASY);
+  });
+
+  it('gives no rating when deduction alone cannot finish the grid', () => {
+    const grid = parseBoard(['.W.A', '.A.W', 'WFAE', 'AEWF'], legend);
+
+    expect(rateLogicPuzzle(grid, elements)).toBeNull();
+  });
+});
+
+describe('createRatedPuzzle', () => {
+  it('removes cells while the puzzle stays unique and within the tier', () => {
+    const { puzzle, difficulty } = createRatedPuzzle(solution, DIFFICULTY_LEVELS.EASY, createRng(3));
+
+    expect(difficulty).toBe(DIFFICULTY_LEVELS.EASY);
+    expect(puzzle.flat().some(cell => cell === null)).toBe(true);
+    expect(hasUniqueSolution(puzzle, elements)).toBe(true);
+    expect(rateLogicPuzzle(puzzle, elements)).toBe(difficulty);
+  });
+});
+
+describe('createLogicPuzzle', () => {
+  it('rates generated puzzles no harder than the requested tier', () => {
+    const config = createLogicPuzzle(9, createRng(7), [], DIFFICULTY_LEVELS.MEDIUM);
+
+    expect(getDifficultyRank(config.difficulty)).toBeLessThanOrEqual(getDifficultyRank(DIFFICULTY_LEVELS.MEDIUM));
+    expect(rateLogicPuzzle(config.puzzle, config.validElements, config.constraints)).toBe(config.difficulty);
+    expect(hasUniqueSolution(config.puzzle, config.validElements, config.constraints)).toBe(true);
+    expect(checkConstraints(config.solution, config.constraints)).toBe(true);
+  });
+
+  it('is reproducible from a seed', () => {
+    const first = createLogicPuzzle(6, createRng(11), [], DIFFICULTY_LEVELS.EASY, 'diagonal');
+    const second = createLogicPuzzle(6, createRng(11), [], DIFFICULTY_LEVELS.EASY, 'diagonal');
+
+    expect(first.puzzle).toEqual(second.puzzle);
+    expect(checkConstraints(first.solution, first.constraints)).toBe(true);
+  });
+
+  it('keeps the variant rules in the solution', () => {
+    const config = createLogicPuzzle(6, createRng(5), [], DIFFICULTY_LEVELS.EASY, 'mixed');
+
+    expect(config.constraints.some(constraint => constraint.type === 'cage')).toBe(true);
+    expect(checkConstraints(config.solution, config.constraints)).toBe(true);
+  });
+});
+
+describe('getLogicPuzzleDifficulties', () => {
+  it('only offers the harder tiers on full-size grids', () => {
+    expect(getLogicPuzzleDifficulties(4)).toEqual([DIFFICULTY_LEVELS.EASY]);
+    expect(getLogicPuzzleDifficulties(9)).toContain(DIFFICULTY_LEVELS.EXPERT);
+  });
+});
+
+describe('generateLogicHint', () => {
+  it('warns about wrong entries before giving any deduction', () => {
+    const single = generateLogicHint(parseBoard(['FWEW', 'EAF.', 'WFAE', 'AEWF'], legend), solution);
+    const several = generateLogicHint(parseBoard(['FWEW', 'EAFF', 'WFA.', 'AEWF'], legend), solution);
+
+    expect(single).toMatchObject({ type: 'error', cells: [{ row: 0, col: 3, element: 'water' }] });
+    expect(single.text).toContain('row 1, column 4');
+    expect(several.type).toBe('error');
+    expect(several.cells).toHaveLength(2);
+    expect(several.text).toMatch(/^2 entries are wrong/);
+  });
+
+  it('highlights the cells of the row, column or box behind the deduction', () => {
+    const row = generateLogicHint(parseBoard(['FWE.', 'EAFW', 'WFAE', 'AEWF'], legend), solution);
+    const column = generateLogicHint(parseBoard(['FWEA', 'EAFW', 'WFAE', 'AE..'], legend), solution);
+    const box = generateLogicHint(parseBoard(['FW..', 'E...', '....', '....'], legend), solution);
+
+    expect(row.highlight).toEqual([{ type: 'row', index: 0, cells: [0, 1, 2, 3].map(col => ({ row: 0, col })) }]);
+    expect(column.highlight).toEqual([{ type: 'column', index: 2, cells: [0, 1, 2, 3].map(r => ({ row: r, col: 2 })) }]);
+    expect(box.position).toEqual({ row: 1, col: 1 });
+    expect(box.highlight).toContainEqual({
+      type: 'box',
+      index: 0,
+      cells: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 0 }, { row: 1, col: 1 }]
+    });
+  });
+
+  it('only fills the cell in at level 3', () => {
+    const grid = parseBoard(['FWE.', 'EAFW', 'WFAE', 'AEWF'], legend);
+    const [point, explain, fill] = [1, 2, 3].map(level => generateLogicHint(grid, solution, level));
+
+    expect(point).toMatchObject({ type: 'text', position: { row: 0, col: 3 } });
+    expect(point).not.toHaveProperty('element');
+    expect(explain).toMatchObject({ type: 'explain', element: 'air' });
+    expect(explain.text).toContain('must be air');
+    expect(fill).toMatchObject({ type: 'fill', position: { row: 0, col: 3 }, element: 'air' });
+  });
+
+  it('names the element without a deduction, still only filling at level 3', () => {
+    const grid = parseBoard(['F...', '....', '....', '....'], legend);
+    const [point, explain, fill] = [1, 2, 3].map(level => generateLogicHint(grid, solution, level));
+
+    expect(point).toMatchObject({ type: 'text', element: null });
+    expect(explain).toMatchObject({ type: 'explain', element: 'water' });
+    expect(fill).toMatchObject({ type: 'fill', position: { row: 0, col: 1 }, element: 'water' });
+  });
+});
+
+describe('word puzzle hints', () => {
+  it('costs more for each hint level, repeating the last', () => {
+    expect([0, 1, 2, 3, 4, 9].map(used => getWordHintCost(used))).toEqual([
+      { level: 1, cost: 5 },
+      { level: 2, cost: 10 },
+      { level: 3, cost: 20 },
+      { level: 4, cost: 30 },
+      { level: 4, cost: 30 },
+      { level: 4, cost: 30 }
+    ]);
+  });
+
+  it('reveals letters the player has not found, the first one last', () => {
+    expect(findHiddenLetter('FLAME')).toBe(1);
+    expect(findHiddenLetter('FLAME', ['BLAZE'])).toBe(3);
+    expect(findHiddenLetter('FLAME', [], [1, 2, 3])).toBe(4);
+    expect(findHiddenLetter('FLAME', [], [1, 2, 4])).toBe(3);
+    expect(findHiddenLetter('FLAME', [], [1, 2, 3, 4])).toBeNull();
+  });
+
+  it('lowers the score for each hint down to a quarter of the points', () => {
+    expect(getWordPuzzleScore(100, 0)).toBe(100);
+    expect(getWordPuzzleScore(100, 2)).toBe(70);
+    expect(getWordPuzzleScore(100, 5)).toBe(25);
+    expect(getWordPuzzleScore(200, 20)).toBe(50);
+  });
+});
+
+describe('createObjectivePuzzle', () => {
+  const objective = { id: 'word_puzzle', type: 'solve_puzzle', puzzleType: 'word', word: 'flame' };
+
+  it('uses the objective word first, then another word of its theme', () => {
+    const first = createObjectivePuzzle(objective, 6, createRng(1));
+    const retry = createObjectivePuzzle(objective, 6, createRng(1), 1);
+
+    expect(first).toMatchObject({ word: 'FLAME', theme: 'fire' });
+    expect(retry.theme).toBe('fire');
+    expect(retry.word).not.toBe('FLAME');
+  });
+});
+
+describe('pickThemeWord', () => {
+  const bank = getThemeWords('fire');
+  const seeds = Array.from({ length: 30 }, (_, seed) => seed + 1);
+
+  it('skips solved words while the theme has others left', () => {
+    const [left, ...solved] = bank;
+
+    seeds.forEach(seed => {
+      expect(pickThemeWord('fire', createRng(seed), { solved })).toBe(left);
+      expect([left, solved[0]]).toContain(pickThemeWord('fire', createRng(seed), { solved: solved.slice(1) }));
+    });
+  });
+
+  it('opens the whole theme again once every word is solved', () => {
+    seeds.forEach(seed => {
+      expect(bank).toContain(pickThemeWord('fire', createRng(seed), { solved: bank }));
+    });
+  });
+
+  it('prefers words of the length tier', () => {
+    seeds.forEach(seed => {
+      expect([6, 7]).toContain(pickThemeWord('fire', createRng(seed), { tier: 'long' }).length);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * ElementCraft - Random Number Utilities
+ *
+ * This module provides a small seedable pseudo-random number generator
+ * used for all gameplay randomness. Given the same seed, the generator
+ * always produces the same sequence, which makes levels, puzzles and
+ * reaction sequences reproducible for bug reports, replays and daily
+ * challenges.
+ *
+ * @module random
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+/**
+ * Hash any number of values into a 32-bit unsigned seed
+ *
+ * @param {...(string|number)} parts - Values to combine into the seed
+ * @returns {number} 32-bit unsigned seed
+ */
+export const hashSeed = (...parts) => {
+  const text = parts.join('|');
+  let hash = 2166136261; // FNV-1a offset basis
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Generate a fresh seed for a new game
+ *
+ * This is the only place where non-deterministic randomness enters the game.
+ *
+ * @returns {number} 32-bit unsigned seed
+ */
+export const randomSeed = () => {
+  return hashSeed(Date.now(), Math.random());
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * The generator's internal state is a single 32-bit integer, so it can be
+ * persisted with getState() and resumed later by passing that state back
+ * in as the seed.
+ *
+ * @param {number} [seed] - Seed or previously saved state
+ * @returns {Object} Generator with next, int, chance, pick, shuffle and getState
+ */
+export const createRng = (seed = randomSeed()) => {
+  let state = seed >>> 0;
+
+  // Next float in the range [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Integer in the range [0, max)
+  const int = (max) => Math.floor(next() * max);
+
+  // True with the given probability
+  const chance = (probability) => next() < probability;
+
+  // Random item from an array
+  const pick = (items) => items[int(items.length)];
+
+  // Shuffled copy of an array (Fisher-Yates)
+  const shuffle = (items) => {
+    const shuffled = [...items];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  };
+
+  return {
+    next,
+    int,
+    chance,
+    pick,
+    shuffle,
+    getState: () => state
+  };
+};
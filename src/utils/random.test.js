@@ -0,0 +1,53 @@
+/**
+ * ElementCraft - Random Number Generator Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createRng, hashSeed } from './random';
+
+describe('hashSeed', () => {
+  it('gives the same unsigned seed for the same parts', () => {
+    expect(hashSeed('daily', '2026-10-19')).toBe(hashSeed('daily', '2026-10-19'));
+    expect(Number.isInteger(hashSeed(1, 2))).toBe(true);
+    expect(hashSeed(1, 2)).toBeGreaterThanOrEqual(0);
+  });
+
+  it('separates the parts it combines', () => {
+    expect(hashSeed(12, 3)).not.toBe(hashSeed(1, 23));
+  });
+});
+
+describe('createRng', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const first = createRng(42);
+    const second = createRng(42);
+
+    expect(Array.from({ length: 5 }, () => first.next()))
+      .toEqual(Array.from({ length: 5 }, () => second.next()));
+  });
+
+  it('resumes from a saved state', () => {
+    const rng = createRng(7);
+    rng.next();
+    const resumed = createRng(rng.getState());
+
+    expect(resumed.next()).toBe(rng.next());
+  });
+
+  it('keeps integers in range and shuffles without losing items', () => {
+    const rng = createRng(99);
+    const items = ['fire', 'water', 'earth', 'air'];
+
+    for (let i = 0; i < 100; i++) {
+      const value = rng.int(4);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(4);
+    }
+
+    expect(rng.shuffle(items).sort()).toEqual([...items].sort());
+    expect(items).toEqual(['fire', 'water', 'earth', 'air']);
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * ElementCraft - Reaction Engine
+ *
+ * This module resolves everything that happens when an element is placed:
+ * recipe reactions with its neighbours, followed by the placed element's
+ * own behavior (fire spreading, water flowing, air pushing, crystal
+ * amplifying, wood growing). Each element behavior is registered once
+ * here and every caller goes through the same engine.
+ *
+ * Instead of mutating the board silently, the engine returns an effect
+ * log. Each entry describes one change as { type, element, from, to,
+ * score }, with positions as [row, col], so the store can score it and
+ * the board can animate it.
+ *
+ * @module reactions
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { resolveRecipe } from './recipes';
+import { createRng } from './random';
+import { getSimulationRules } from './simulation';
+
+// Orthogonal neighbour offsets
+const NEIGHBOURS_4 = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// All eight neighbour offsets
+const NEIGHBOURS_8 = [
+  ...NEIGHBOURS_4,
+  [-1, -1], [-1, 1], [1, -1], [1, 1]
+];
+
+// Chances and points for element behaviors
+const FIRE_SPREAD_CHANCE = 0.2;
+const FIRE_SPREAD_SCORE = 30;
+const WATER_SPREAD_CHANCE = 0.1;
+const AIR_PUSH_SCORE = 20;
+const CRYSTAL_AMPLIFY_SCORE = 25;
+const WOOD_GROWTH_CHANCE = 0.2;
+const WOOD_GROWTH_SCORE = 50;
+
+/**
+ * Check whether a position is inside the board
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {boolean} Whether the position is in bounds
+ */
+const inBounds = (board, row, col) => {
+  return row >= 0 && row < board.length && col >= 0 && col < board[0].length;
+};
+
+/**
+ * Get the in-bounds neighbours of a cell
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {Array<Array<number>>} [offsets=NEIGHBOURS_4] - Neighbour offsets
+ * @returns {Array<Array<number>>} Neighbour positions as [row, col]
+ */
+const getNeighbours = (board, row, col, offsets = NEIGHBOURS_4) => {
+  return offsets
+    .map(([dRow, dCol]) => [row + dRow, col + dCol])
+    .filter(([r, c]) => inBounds(board, r, c));
+};
+
+/**
+ * Amplify the element in a cell, doubling its power
+ *
+ * @param {Array<Array<Object>>} board - Board to update in place
+ * @param {number} row - Row of the cell
+ * @param {number} col - Column of the cell
+ */
+const amplifyCell = (board, row, col) => {
+  board[row][col] = {
+    ...board[row][col],
+    amplified: true,
+    power: (board[row][col].power || 1) * 2
+  };
+};
+
+/**
+ * Create an effect log entry
+ *
+ * @param {string} type - Effect type (combine, burn, flow, spread, push, amplify, grow)
+ * @param {string} element - Element the effect produced or moved
+ * @param {Array<number>} from - Source position as [row, col]
+ * @param {Array<number>} to - Affected position as [row, col]
+ * @param {number} [score=0] - Points awarded for the effect
+ * @returns {Object} Effect entry
+ */
+export const createEffect = (type, element, from, to, score = 0) => ({
+  type,
+  element,
+  from,
+  to,
+  score
+});
+
+// Element behaviors keyed by element type. Each one updates the board in
+// place and returns the effects it caused.
+const reactionBehaviors = {
+  // Fire can ignite adjacent flammable elements
+  fire: (board, row, col, rng) => {
+    return getNeighbours(board, row, col)
+      .filter(([r, c]) => board[r][c] && getSimulationRules(board[r][c].element).flammable > 0)
+      .filter(() => rng.chance(FIRE_SPREAD_CHANCE))
+      .map(([r, c]) => {
+        board[r][c] = { element: 'fire', spreading: true };
+        return createEffect('burn', 'fire', [row, col], [r, c], FIRE_SPREAD_SCORE);
+      });
+  },
+
+  // Water flows down into empty space and sometimes spreads sideways
+  water: (board, row, col, rng) => {
+    const effects = [];
+    let sourceRow = row;
+
+    if (inBounds(board, row + 1, col) && !board[row + 1][col]) {
+      board[row + 1][col] = { element: 'water', flowing: true };
+      board[row][col] = null;
+      effects.push(createEffect('flow', 'water', [row, col], [row + 1, col]));
+      sourceRow = row + 1;
+    }
+
+    [[row, col - 1], [row, col + 1]]
+      .filter(([r, c]) => inBounds(board, r, c) && !board[r][c])
+      .forEach(([r, c]) => {
+        if (rng.chance(WATER_SPREAD_CHANCE)) {
+          board[r][c] = { element: 'water', flowing: true };
+          effects.push(createEffect('spread', 'water', [sourceRow, col], [r, c]));
+        }
+      });
+
+    return effects;
+  },
+
+  // Air pushes a light element above it one more cell up
+  air: (board, row, col) => {
+    const above = inBounds(board, row - 1, col) ? board[row - 1][col] : null;
+
+    if (!above || !getSimulationRules(above.element).rises) return [];
+    if (!inBounds(board, row - 2, col) || board[row - 2][col]) return [];
+
+    board[row - 2][col] = { ...above };
+    board[row - 1][col] = null;
+
+    return [createEffect('push', above.element, [row - 1, col], [row - 2, col], AIR_PUSH_SCORE)];
+  },
+
+  // Crystal amplifies adjacent elements
+  crystal: (board, row, col) => {
+    return getNeighbours(board, row, col)
+      .filter(([r, c]) => board[r][c] && board[r][c].element)
+      .map(([r, c]) => {
+        amplifyCell(board, r, c);
+        return createEffect('amplify', board[r][c].element, [row, col], [r, c], CRYSTAL_AMPLIFY_SCORE);
+      });
+  },
+
+  // Wood next to water may grow into an empty adjacent cell
+  wood: (board, row, col, rng) => {
+    const neighbours = getNeighbours(board, row, col);
+    const hasWater = neighbours.some(([r, c]) => board[r][c]?.element === 'water');
+    const emptyCells = neighbours.filter(([r, c]) => !board[r][c]);
+
+    if (!hasWater || emptyCells.length === 0 || !rng.chance(WOOD_GROWTH_CHANCE)) {
+      return [];
+    }
+
+    const [growRow, growCol] = rng.pick(emptyCells);
+    board[growRow][growCol] = { element: 'wood', growing: true };
+
+    return [createEffect('grow', 'wood', [row, col], [growRow, growCol], WOOD_GROWTH_SCORE)];
+  }
+};
+
+/**
+ * Register the behavior of an element
+ *
+ * @param {string} element - Element type
+ * @param {Function} behavior - (board, row, col, rng) => effects; may update the board in place
+ */
+export const registerReactionBehavior = (element, behavior) => {
+  reactionBehaviors[element] = behavior;
+};
+
+/**
+ * Check whether an element has a registered behavior
+ *
+ * @param {string} element - Element type
+ * @returns {boolean} Whether the element has a behavior
+ */
+export const hasReactionBehavior = (element) => {
+  return Boolean(reactionBehaviors[element]);
+};
+
+/**
+ * React the element at a position with two of its neighbours using the
+ * three-ingredient recipes
+ *
+ * The two neighbours are consumed and the product takes the element's cell.
+ *
+ * @param {Array<Array<Object>>} board - Board to update in place
+ * @param {number} row - Row of the reacting element
+ * @param {number} col - Column of the reacting element
+ * @param {Array<Array<number>>} neighbours - Neighbour positions as [row, col]
+ * @returns {Object|null} Combine effect, or null when no recipe fires
+ */
+const applyTripleReaction = (board, row, col, neighbours) => {
+  const source = board[row][col];
+  const occupied = neighbours.filter(([r, c]) => board[r][c]?.element);
+
+  for (let first = 0; first < occupied.length; first++) {
+    for (let second = first + 1; second < occupied.length; second++) {
+      const partners = [occupied[first], occupied[second]];
+      const cells = partners.map(([r, c]) => board[r][c]);
+
+      // The remaining neighbours can act as catalysts
+      const nearby = neighbours
+        .filter(position => !partners.includes(position))
+        .map(([r, c]) => board[r][c]);
+
+      const reaction = resolveRecipe([source, ...cells], nearby);
+      if (!reaction) continue;
+
+      partners.forEach(([r, c]) => {
+        board[r][c] = null;
+      });
+      board[row][col] = { element: reaction.result };
+
+      return {
+        ...createEffect('combine', reaction.result, [row, col], [row, col], reaction.score),
+        reactants: [source.element, ...cells.map(cell => cell.element)],
+        consumed: partners
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * React the element at a position with its neighbours using the recipes
+ *
+ * A three-ingredient recipe the element completes with two neighbours
+ * fires first and consumes all three; otherwise the element reacts with
+ * each neighbour in turn.
+ *
+ * @param {Array<Array<Object>>} board - Board to update in place
+ * @param {number} row - Row of the reacting element
+ * @param {number} col - Column of the reacting element
+ * @param {Array<Array<number>>} [offsets=NEIGHBOURS_8] - Neighbours to react with
+ * @returns {Array<Object>} Combine effects, one per reaction
+ */
+export const applyRecipeReactions = (board, row, col, offsets = NEIGHBOURS_8) => {
+  const source = board[row][col];
+  if (!source) return [];
+
+  const neighbours = getNeighbours(board, row, col, offsets);
+
+  const triple = applyTripleReaction(board, row, col, neighbours);
+  if (triple) return [triple];
+
+  const effects = [];
+
+  neighbours.forEach(([adjRow, adjCol]) => {
+    const adjCell = board[adjRow][adjCol];
+    if (!adjCell || !adjCell.element) return;
+
+    // Every other neighbour can act as a catalyst for this pair
+    const nearby = neighbours
+      .filter(([r, c]) => r !== adjRow || c !== adjCol)
+      .map(([r, c]) => board[r][c]);
+
+    const reaction = resolveRecipe([source, adjCell], nearby);
+    if (!reaction) return;
+
+    board[adjRow][adjCol] = { element: reaction.result };
+    effects.push({
+      ...createEffect('combine', reaction.result, [row, col], [adjRow, adjCol], reaction.score),
+      reactants: [source.element, adjCell.element]
+    });
+  });
+
+  return effects;
+};
+
+/**
+ * Apply the registered behavior of the element at a position
+ *
+ * @param {Array<Array<Object>>} board - Board to update in place
+ * @param {number} row - Row of the element
+ * @param {number} col - Column of the element
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Array<string>} [skip=[]] - Elements whose behavior is switched off
+ * @returns {Array<Object>} Effects caused by the behavior
+ */
+export const applyElementBehavior = (board, row, col, rng = createRng(), skip = []) => {
+  const cell = board[row][col];
+  const behavior = cell && !skip.includes(cell.element) && reactionBehaviors[cell.element];
+
+  return behavior ? behavior(board, row, col, rng) : [];
+};
+
+/**
+ * Amplify every element on the board (Element Catalyst)
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @returns {Object} { board, effects } with a new board and one amplify effect per element
+ */
+export const amplifyBoard = (board) => {
+  const newBoard = board.map(boardRow => boardRow.map(cell => (cell ? { ...cell } : null)));
+  const effects = [];
+
+  newBoard.forEach((boardRow, row) => {
+    boardRow.forEach((cell, col) => {
+      if (!cell || !cell.element) return;
+
+      amplifyCell(newBoard, row, col);
+      effects.push(createEffect('amplify', cell.element, [row, col], [row, col], CRYSTAL_AMPLIFY_SCORE));
+    });
+  });
+
+  return { board: newBoard, effects };
+};
+
+/**
+ * Sum the points of an effect log
+ *
+ * @param {Array<Object>} effects - Effect log
+ * @returns {number} Total score
+ */
+export const scoreEffects = (effects) => {
+  return effects.reduce((total, effect) => total + (effect.score || 0), 0);
+};
+
+/**
+ * Resolve all reactions caused by placing the element at a position
+ *
+ * Recipe reactions with the eight surrounding cells run first, then the
+ * placed element's behavior.
+ *
+ * @param {Array<Array<Object>>} board - Board with the element already placed
+ * @param {number} row - Row where the element was placed
+ * @param {number} col - Column where the element was placed
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Array<string>} [skip=[]] - Elements whose behavior is switched off
+ * @returns {Object} { board, effects, score, newElements } where board is a
+ *   new board and effects is the ordered effect log
+ */
+export const resolvePlacement = (board, row, col, rng = createRng(), skip = []) => {
+  const newBoard = board.map(boardRow => boardRow.map(cell => (cell ? { ...cell } : null)));
+
+  if (!newBoard[row][col]) {
+    return { board: newBoard, effects: [], score: 0, newElements: [] };
+  }
+
+  const effects = [
+    ...applyRecipeReactions(newBoard, row, col),
+    ...applyElementBehavior(newBoard, row, col, rng, skip)
+  ];
+
+  const newElements = [...new Set(
+    effects
+      .filter(effect => effect.type === 'combine')
+      .map(effect => effect.element)
+  )];
+
+  return {
+    board: newBoard,
+    effects,
+    score: scoreEffects(effects),
+    newElements
+  };
+};
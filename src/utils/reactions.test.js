@@ -0,0 +1,77 @@
+/**
+ * ElementCraft - Element Reaction Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createRng } from './random';
+import { amplifyBoard, applyRecipeReactions, resolvePlacement, scoreEffects } from './reactions';
+import { parseBoard } from '../test/boards';
+
+const legend = { F: 'fire', W: 'water', E: 'earth', M: 'metal', A: 'air' };
+
+describe('resolvePlacement', () => {
+  it('combines the placed element with its neighbours', () => {
+    const board = parseBoard(['WF.'], legend);
+    const result = resolvePlacement(board, 0, 1, createRng(1));
+
+    expect(result.board[0][0]).toEqual({ element: 'steam' });
+    expect(result.newElements).toEqual(['steam']);
+    expect(result.effects[0]).toMatchObject({ type: 'combine', element: 'steam', from: [0, 1], to: [0, 0] });
+    expect(result.score).toBe(scoreEffects(result.effects));
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  it('leaves the board it is given unchanged', () => {
+    const board = parseBoard(['WF.'], legend);
+    resolvePlacement(board, 0, 1, createRng(1));
+
+    expect(board).toEqual(parseBoard(['WF.'], legend));
+  });
+
+  it('does nothing for an empty cell or an element without partners', () => {
+    expect(resolvePlacement(parseBoard(['W..'], legend), 0, 2, createRng(1)).effects).toEqual([]);
+    expect(resolvePlacement(parseBoard(['E..'], legend), 0, 0, createRng(1)).effects).toEqual([]);
+  });
+});
+
+describe('applyRecipeReactions', () => {
+  it('consumes two neighbours into a three-ingredient product', () => {
+    const board = parseBoard(['MFA', '.W.'], legend);
+    const effects = applyRecipeReactions(board, 0, 1);
+
+    expect(effects).toHaveLength(1);
+    expect(effects[0]).toMatchObject({
+      type: 'combine',
+      element: 'forge',
+      to: [0, 1],
+      reactants: ['fire', 'metal', 'air'],
+      consumed: [[0, 0], [0, 2]]
+    });
+    expect(board).toEqual([[null, { element: 'forge' }, null], [null, { element: 'water' }, null]]);
+  });
+
+  it('reacts with each neighbour in turn when no three-ingredient recipe fits', () => {
+    const board = parseBoard(['WFA'], legend);
+    const effects = applyRecipeReactions(board, 0, 1);
+
+    expect(effects.map(effect => effect.element)).toEqual(['steam', 'plasma']);
+    expect(board[0][1]).toEqual({ element: 'fire' });
+  });
+});
+
+describe('amplifyBoard', () => {
+  it('amplifies every element once and scores each', () => {
+    const board = parseBoard(['F.', '.W'], legend);
+    const { board: amplified, effects } = amplifyBoard(board);
+
+    expect(effects.map(effect => effect.type)).toEqual(['amplify', 'amplify']);
+    expect(amplified[0][0].amplified).toBe(true);
+    expect(amplified[1][1].amplified).toBe(true);
+    expect(amplified[0][1]).toBeNull();
+    expect(board[0][0].amplified).toBeUndefined();
+    expect(scoreEffects(effects)).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * ElementCraft - Recipe Registry
+ *
+ * This module is the single place where element recipes are resolved.
+ * Recipes are indexed by their sorted ingredient list so that lookups are
+ * order-independent and work for any number of ingredients.
+ *
+ * @module recipes
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { elementRecipes } from '../constants/recipes';
+import {
+  elementColors,
+  elementSymbols,
+  elementDescriptions,
+  elementProperties,
+  elementParticles,
+  elementSounds
+} from '../constants/elements';
+
+// Element tables every recipe element must appear in
+const elementTables = {
+  elementColors,
+  elementSymbols,
+  elementDescriptions,
+  elementProperties,
+  elementParticles,
+  elementSounds
+};
+
+/**
+ * Build the normalized lookup key for a list of elements
+ *
+ * @param {string[]} elements - Element types in any order
+ * @returns {string} Sorted, underscore-joined key
+ */
+export const getRecipeKey = (elements) => {
+  return [...elements].sort().join('_');
+};
+
+/**
+ * Rank a recipe so that more specific recipes are tried first
+ *
+ * @param {Object} recipe - Recipe definition
+ * @returns {number} Specificity score (higher is more specific)
+ */
+const getSpecificity = (recipe) => {
+  const conditionCount = Object.keys(recipe.conditions || {}).length;
+  const catalystCount = (recipe.catalysts || []).length;
+
+  return conditionCount + catalystCount;
+};
+
+// Recipes grouped by normalized ingredient key, most specific first
+const recipeIndex = elementRecipes.reduce((index, recipe) => {
+  const key = getRecipeKey(recipe.ingredients);
+
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+
+  index.get(key).push(recipe);
+  index.get(key).sort((a, b) => getSpecificity(b) - getSpecificity(a));
+
+  return index;
+}, new Map());
+
+/**
+ * Normalize a cell or element name into a cell object
+ *
+ * @param {Object|string} cell - Board cell or element type
+ * @returns {Object} Cell object with an element property
+ */
+const toCell = (cell) => {
+  return typeof cell === 'string' ? { element: cell } : cell;
+};
+
+/**
+ * Check whether the ingredient cells satisfy a recipe's conditions
+ *
+ * @param {Object} recipe - Recipe definition
+ * @param {Array<Object>} cells - Ingredient cells
+ * @returns {boolean} Whether all conditions are met
+ */
+const meetsConditions = (recipe, cells) => {
+  const conditions = recipe.conditions;
+
+  if (!conditions) return true;
+
+  // At least one ingredient must be amplified
+  if (conditions.amplified && !cells.some(cell => cell.amplified)) {
+    return false;
+  }
+
+  // The strongest ingredient must reach the minimum power
+  if (conditions.minPower) {
+    const maxPower = Math.max(...cells.map(cell => cell.power || 1));
+    if (maxPower < conditions.minPower) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Check whether all of a recipe's catalysts are present nearby
+ *
+ * @param {Object} recipe - Recipe definition
+ * @param {Array<Object>} nearby - Cells around the reaction that are not ingredients
+ * @returns {boolean} Whether every catalyst is available
+ */
+const hasCatalysts = (recipe, nearby) => {
+  if (!recipe.catalysts || recipe.catalysts.length === 0) return true;
+
+  const available = nearby.filter(Boolean).map(cell => toCell(cell).element);
+
+  return recipe.catalysts.every(catalyst => available.includes(catalyst));
+};
+
+/**
+ * Resolve the recipe that fires for a set of ingredient cells
+ *
+ * @param {Array<Object|string>} ingredients - Ingredient cells or element types, in any order
+ * @param {Array<Object|string>} [nearby=[]] - Surrounding cells that may act as catalysts
+ * @returns {Object|null} Matching recipe or null if nothing reacts
+ */
+export const resolveRecipe = (ingredients, nearby = []) => {
+  const cells = ingredients.map(toCell);
+
+  if (cells.some(cell => !cell || !cell.element)) return null;
+
+  const candidates = recipeIndex.get(getRecipeKey(cells.map(cell => cell.element)));
+
+  if (!candidates) return null;
+
+  return candidates.find(recipe =>
+    meetsConditions(recipe, cells) && hasCatalysts(recipe, nearby)
+  ) || null;
+};
+
+/**
+ * Find the unconditional recipe for a set of elements
+ *
+ * Conditional and catalysed recipes are ignored, which makes this
+ * suitable for UI lookups such as "what does fire + water make?".
+ *
+ * @param {string[]} elements - Element types in any order
+ * @returns {Object|null} Matching recipe or null if none exists
+ */
+export const findRecipe = (elements) => {
+  const candidates = recipeIndex.get(getRecipeKey(elements)) || [];
+
+  return candidates.find(recipe => getSpecificity(recipe) === 0) || null;
+};
+
+/**
+ * Get every recipe that uses a given number of ingredients
+ *
+ * @param {number} count - Number of ingredients
+ * @returns {Array<Object>} Recipes with that many ingredients
+ */
+export const getRecipesByArity = (count) => {
+  return elementRecipes.filter(recipe => recipe.ingredients.length === count);
+};
+
+/**
+ * Get all recipes in the registry
+ *
+ * @returns {Array<Object>} All recipe definitions
+ */
+export const getAllRecipes = () => {
+  return [...elementRecipes];
+};
+
+/**
+ * Get every element that appears in a recipe
+ *
+ * @returns {Array<string>} Ingredients, catalysts and results, without duplicates
+ */
+export const getRecipeElements = () => {
+  return [...new Set(elementRecipes.flatMap(recipe => [
+    ...recipe.ingredients,
+    ...(recipe.catalysts || []),
+    recipe.result
+  ]))];
+};
+
+/**
+ * Validate that every element referenced by a recipe is fully defined
+ *
+ * Checks ingredients, catalysts and results against every element table
+ * and throws a single error listing all problems, so a broken recipe
+ * fails loudly at startup instead of placing an invisible element.
+ *
+ * @param {Array<Object>} [recipes=elementRecipes] - Recipes to validate
+ * @throws {Error} If any recipe references an undefined element
+ * @returns {boolean} True when every recipe is valid
+ */
+export const validateRecipes = (recipes = elementRecipes) => {
+  const problems = [];
+  const seenIds = new Set();
+
+  recipes.forEach(recipe => {
+    if (seenIds.has(recipe.id)) {
+      problems.push(`Duplicate recipe id "${recipe.id}"`);
+    }
+    seenIds.add(recipe.id);
+
+    const referenced = [
+      ...recipe.ingredients,
+      ...(recipe.catalysts || []),
+      recipe.result
+    ];
+
+    referenced.forEach(element => {
+      Object.entries(elementTables).forEach(([tableName, table]) => {
+        if (!table[element]) {
+          problems.push(`Recipe "${recipe.id}" references "${element}", which is missing from ${tableName}`);
+        }
+      });
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid element recipes:\n${problems.join('\n')}`);
+  }
+
+  return true;
+};
@@ -0,0 +1,70 @@
+/**
+ * ElementCraft - Recipe Registry Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  findRecipe,
+  getRecipeElements,
+  getRecipeKey,
+  getRecipesByArity,
+  resolveRecipe,
+  validateRecipes
+} from './recipes';
+
+describe('resolveRecipe', () => {
+  it('finds a recipe whatever order the ingredients come in', () => {
+    expect(resolveRecipe(['fire', 'water']).result).toBe('steam');
+    expect(resolveRecipe(['water', 'fire']).result).toBe('steam');
+    expect(resolveRecipe([{ element: 'air' }, { element: 'metal' }, { element: 'fire' }]).result).toBe('forge');
+    expect(getRecipeKey(['water', 'fire'])).toBe(getRecipeKey(['fire', 'water']));
+  });
+
+  it('returns null when nothing reacts', () => {
+    expect(resolveRecipe(['earth', 'earth'])).toBeNull();
+    expect(resolveRecipe(['fire', null])).toBeNull();
+  });
+
+  it('only fires conditional recipes when the condition holds', () => {
+    expect(resolveRecipe(['steam', 'fire'])).toBeNull();
+    expect(resolveRecipe([{ element: 'steam' }, { element: 'fire', amplified: true }]).result).toBe('plasma');
+  });
+
+  it('needs every catalyst nearby without consuming it', () => {
+    expect(resolveRecipe(['sand', 'lava'])).toBeNull();
+    expect(resolveRecipe(['sand', 'lava'], [{ element: 'earth' }])).toBeNull();
+    expect(resolveRecipe(['sand', 'lava'], [null, { element: 'water' }]).result).toBe('crystal');
+  });
+});
+
+describe('findRecipe', () => {
+  it('ignores conditional and catalysed recipes', () => {
+    expect(findRecipe(['fire', 'earth']).result).toBe('lava');
+    expect(findRecipe(['steam', 'fire'])).toBeNull();
+    expect(findRecipe(['lava', 'sand'])).toBeNull();
+  });
+});
+
+describe('getRecipesByArity', () => {
+  it('groups recipes by their number of ingredients', () => {
+    expect(getRecipesByArity(3).map(recipe => recipe.result)).toEqual(['forge', 'forest', 'lightning', 'geyser']);
+    expect(getRecipesByArity(2).every(recipe => recipe.ingredients.length === 2)).toBe(true);
+  });
+});
+
+describe('validateRecipes', () => {
+  it('accepts the game recipes', () => {
+    expect(validateRecipes()).toBe(true);
+    expect(getRecipeElements()).toContain('forge');
+  });
+
+  it('lists every undefined element and duplicate id', () => {
+    const recipe = { id: 'fire_void', ingredients: ['fire', 'void'], result: 'steam', score: 10 };
+
+    expect(() => validateRecipes([recipe, recipe])).toThrow(/Duplicate recipe id "fire_void"/);
+    expect(() => validateRecipes([recipe])).toThrow(/references "void", which is missing from elementColors/);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * ElementCraft - Save Schema
+ *
+ * This module describes the shape of the persisted game state. Saves
+ * carry a schema version: older saves are upgraded through the migration
+ * chain one version at a time, then every known field is validated.
+ * Fields that fail validation fall back to their defaults instead of
+ * taking the whole save down with them.
+ *
+ * The functions here are pure; the store decides when to back up the
+ * stored copy and tell the player.
+ *
+ * @module saveSchema
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { GAME_MODES, GAME_STATES, SAVE_SCHEMA } from '../constants/gameStates';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isRecord = (check) => (value) => isPlainObject(value) && Object.values(value).every(check);
+const isOneOf = (values) => (value) => Object.values(values).includes(value);
+
+// Checks for the saved fields. Fields not listed are loaded as saved.
+const saveFields = {
+  gameState: isOneOf(GAME_STATES),
+  gameMode: isOneOf(GAME_MODES),
+  currentLevel: (value) => Number.isInteger(value) && value >= 1,
+  score: isAmount,
+  playerEssence: isAmount,
+  playerLevel: (value) => Number.isInteger(value) && value >= 1,
+  experience: isAmount,
+  board: (value) => Array.isArray(value) && value.every(row =>
+    Array.isArray(row) && row.every(cell => cell === null || isPlainObject(cell))
+  ),
+  inventory: isRecord(isCount),
+  unlockedElements: isStringArray,
+  ownedUpgrades: isStringArray,
+  objectives: (value) => Array.isArray(value) && value.every(objective =>
+    isPlainObject(objective) &&
+    typeof objective.id === 'string' &&
+    typeof objective.type === 'string' &&
+    typeof objective.completed === 'boolean'
+  ),
+  levelsCompleted: (value) => Array.isArray(value) && value.every(Number.isInteger),
+  movesUsed: isCount,
+  campaignLevel: (value) => value === null || (isPlainObject(value) && saveFields.board(value.board)),
+  puzzleRetries: isRecord(isCount),
+  settings: isPlainObject,
+  wordPuzzleStats: (value) => isPlainObject(value) && isCount(value.played) && isCount(value.won),
+  solvedWords: isRecord(isStringArray),
+  dailyHistory: isRecord(isPlainObject),
+  seed: isCount
+};
+
+// Object fields whose saved keys are laid over the defaults, so keys
+// added by later versions get their default values
+const nestedDefaults = ['settings', 'wordPuzzleStats', 'sandbox'];
+
+// Migrations keyed by the version they upgrade a save to. Fields missing
+// from a save are left out so they still load as their defaults.
+const migrations = {
+  // Saves from before versioning: whole-number inventories, objectives
+  // that always say whether they're completed and hint-aware word stats
+  1: (state) => ({
+    ...state,
+    ...(isPlainObject(state.inventory) && {
+      inventory: Object.fromEntries(
+        Object.entries(state.inventory)
+          .filter(([, count]) => typeof count === 'number' && Number.isFinite(count))
+          .map(([element, count]) => [element, Math.max(0, Math.floor(count))])
+      )
+    }),
+    ...(Array.isArray(state.objectives) && {
+      objectives: state.objectives.map(objective => (
+        isPlainObject(objective) ? { ...objective, completed: Boolean(objective.completed) } : objective
+      ))
+    }),
+    ...(isPlainObject(state.wordPuzzleStats) && {
+      wordPuzzleStats: { hints: 0, distribution: {}, ...state.wordPuzzleStats }
+    })
+  })
+};
+
+/**
+ * Check whether a stored save can be parsed at all
+ *
+ * @param {string} saved - Save as stored
+ * @returns {boolean} Whether it is JSON holding a state object
+ */
+export const isReadableSave = (saved) => {
+  try {
+    return isPlainObject(JSON.parse(saved)?.state);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Upgrade a save to the current schema version
+ *
+ * @param {Object} state - Saved state
+ * @param {number} version - Schema version the save was written with
+ * @returns {Object} State in the current schema
+ */
+export const migrateSave = (state, version) => {
+  let migrated = state;
+
+  for (let next = version + 1; next <= SAVE_SCHEMA.version; next++) {
+    if (migrations[next] && isPlainObject(migrated)) {
+      migrated = migrations[next](migrated);
+    }
+  }
+
+  return migrated;
+};
+
+/**
+ * Find the saved fields that don't match the schema
+ *
+ * @param {Object} state - Saved state in the current schema
+ * @returns {string[]} Names of the invalid fields, or ['state'] when the
+ *   save isn't an object
+ */
+export const validateSave = (state) => {
+  if (!isPlainObject(state)) return ['state'];
+
+  return Object.entries(saveFields)
+    .filter(([field, check]) => field in state && !check(state[field]))
+    .map(([field]) => field);
+};
+
+/**
+ * Lay a saved state over the defaults, dropping invalid fields
+ *
+ * @param {Object} state - Saved state in the current schema
+ * @param {Object} defaults - Current (default) store state
+ * @returns {Object} { state, invalid } with the merged state and the
+ *   fields that were reset to their defaults
+ */
+export const repairSave = (state, defaults) => {
+  const invalid = validateSave(state);
+  if (!isPlainObject(state)) return { state: defaults, invalid };
+
+  const valid = Object.fromEntries(
+    Object.entries(state).filter(([field]) => !invalid.includes(field))
+  );
+
+  nestedDefaults.forEach(field => {
+    if (isPlainObject(valid[field]) && isPlainObject(defaults[field])) {
+      valid[field] = { ...defaults[field], ...valid[field] };
+    }
+  });
+
+  return { state: { ...defaults, ...valid }, invalid };
+};
+
+/**
+ * Describe a save that had to be recovered
+ *
+ * @param {string} reason - 'corrupt' when fields were reset, 'unreadable'
+ *   when the save couldn't be parsed, 'newer' when a later version wrote it
+ * @param {Object} [details={}]
+ * @param {string[]} [details.fields=[]] - Fields reset to their defaults
+ * @param {number} [details.version] - Schema version of the save
+ * @returns {Object} Recovery notice kept in the store until dismissed
+ */
+export const createSaveRecovery = (reason, { fields = [], version = SAVE_SCHEMA.version } = {}) => ({
+  reason,
+  fields,
+  version,
+  backupKey: SAVE_SCHEMA.backupKey,
+  date: new Date().toISOString()
+});
@@ -0,0 +1,118 @@
+/**
+ * ElementCraft - Save Schema Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createSaveRecovery, isReadableSave, migrateSave, repairSave, validateSave } from './saveSchema';
+import { GAME_STATES, SAVE_SCHEMA } from '../constants/gameStates';
+
+const defaults = {
+  gameState: GAME_STATES.MENU,
+  currentLevel: 1,
+  playerEssence: 0,
+  inventory: { fire: 5 },
+  settings: { soundEnabled: true, hintsEnabled: true },
+  wordPuzzleStats: { played: 0, won: 0, hints: 0, distribution: {} }
+};
+
+describe('isReadableSave', () => {
+  it('needs JSON holding a state object', () => {
+    expect(isReadableSave(JSON.stringify({ state: {}, version: 0 }))).toBe(true);
+    expect(isReadableSave('{"state":')).toBe(false);
+    expect(isReadableSave(JSON.stringify({ state: [] }))).toBe(false);
+    expect(isReadableSave(null)).toBe(false);
+  });
+});
+
+describe('migrateSave', () => {
+  it('upgrades saves from before versioning', () => {
+    const migrated = migrateSave({
+      inventory: { fire: 2.7, water: -1, earth: 'lots' },
+      objectives: [{ id: 'a', type: 'create_element' }, { id: 'b', type: 'score', completed: true }],
+      wordPuzzleStats: { played: 3, won: 2 }
+    }, 0);
+
+    expect(migrated.inventory).toEqual({ fire: 2, water: 0 });
+    expect(migrated.objectives.map(objective => objective.completed)).toEqual([false, true]);
+    expect(migrated.wordPuzzleStats).toEqual({ played: 3, won: 2, hints: 0, distribution: {} });
+    expect(validateSave(migrated)).toEqual([]);
+  });
+
+  it('leaves out fields the old save never had', () => {
+    const migrated = migrateSave({ playerEssence: 10 }, 0);
+
+    expect(migrated).toEqual({ playerEssence: 10 });
+    expect(validateSave(migrated)).toEqual([]);
+  });
+
+  it('leaves current saves alone', () => {
+    const state = { inventory: { fire: 2.5 } };
+
+    expect(migrateSave(state, SAVE_SCHEMA.version)).toBe(state);
+  });
+
+  it('passes saves that are not objects through', () => {
+    expect(migrateSave(null, 0)).toBeNull();
+  });
+});
+
+describe('validateSave', () => {
+  it('names the fields that break the schema', () => {
+    expect(validateSave({
+      gameState: 'flying',
+      currentLevel: 0,
+      playerEssence: 12.5,
+      inventory: { fire: 1.5 },
+      unlockedElements: ['fire'],
+      unknownField: 'kept'
+    })).toEqual(['gameState', 'currentLevel', 'inventory']);
+  });
+
+  it('checks the campaign level set aside by another mode', () => {
+    expect(validateSave({ campaignLevel: null, puzzleRetries: { '6-word_puzzle': 1 } })).toEqual([]);
+    expect(validateSave({ campaignLevel: { board: [[null]] } })).toEqual([]);
+    expect(validateSave({ campaignLevel: { board: 'lost' }, puzzleRetries: { '6-word_puzzle': -1 } }))
+      .toEqual(['campaignLevel', 'puzzleRetries']);
+  });
+
+  it('rejects a save that is not an object', () => {
+    expect(validateSave([])).toEqual(['state']);
+  });
+});
+
+describe('repairSave', () => {
+  it('resets only the invalid fields', () => {
+    const { state, invalid } = repairSave({ currentLevel: 'two', playerEssence: 40 }, defaults);
+
+    expect(invalid).toEqual(['currentLevel']);
+    expect(state.currentLevel).toBe(1);
+    expect(state.playerEssence).toBe(40);
+  });
+
+  it('fills keys added to nested settings by later versions', () => {
+    const { state } = repairSave({ settings: { soundEnabled: false } }, defaults);
+
+    expect(state.settings).toEqual({ soundEnabled: false, hintsEnabled: true });
+  });
+
+  it('falls back to the defaults for a save that is not an object', () => {
+    expect(repairSave('broken', defaults)).toEqual({ state: defaults, invalid: ['state'] });
+  });
+});
+
+describe('createSaveRecovery', () => {
+  it('records why the save was recovered and where the backup is', () => {
+    const recovery = createSaveRecovery('corrupt', { fields: ['inventory'], version: 0 });
+
+    expect(recovery).toMatchObject({
+      reason: 'corrupt',
+      fields: ['inventory'],
+      version: 0,
+      backupKey: SAVE_SCHEMA.backupKey
+    });
+    expect(createSaveRecovery('unreadable')).toMatchObject({ fields: [], version: SAVE_SCHEMA.version });
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * ElementCraft - Board Simulation
+ *
+ * This module implements the fixed-rate cellular automaton that runs on
+ * the grid board while a level is being played. Every tick applies
+ * gravity, buoyancy, liquid flow, fire spread, wood growth and decay using
+ * rules derived from elementProperties.
+ *
+ * The simulation is pure: it takes a board and a seeded random generator
+ * and returns the next board plus a list of per-tick changes, so it can
+ * run headless (tests, replays) as well as behind the UI.
+ *
+ * @module simulation
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { elementProperties } from '../constants/elements';
+import { createRng } from './random';
+
+// Milliseconds between simulation ticks
+export const SIMULATION_TICK_MS = 1000;
+
+// Density thresholds that decide whether an element sinks or rises
+const HEAVY_DENSITY = 1.0;
+const LIGHT_DENSITY = 0.5;
+
+// Per-tick base chances, scaled by element properties
+const FIRE_SPREAD_CHANCE = 0.5;
+const GROWTH_CHANCE = 0.05;
+const DECAY_CHANCE = 0.02;
+
+// Orthogonal neighbour offsets
+const NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Derive the simulation rules for an element from its properties
+ *
+ * @param {string} element - Element type
+ * @returns {Object} Rule flags and rates for the element
+ */
+export const getSimulationRules = (element) => {
+  const properties = elementProperties[element];
+
+  if (!properties) {
+    return { falls: false, rises: false, flows: 0, flammable: 0, grows: false, decays: 0 };
+  }
+
+  const { density, viscosity, volatility, stackable } = properties;
+  const organic = stackable && density < HEAVY_DENSITY;
+
+  return {
+    // Heavy elements sink, light ones rise
+    falls: density >= HEAVY_DENSITY,
+    rises: density < LIGHT_DENSITY,
+
+    // Heavy non-stackable elements spread sideways; thicker liquids flow less
+    flows: density >= HEAVY_DENSITY && !stackable ? 1 - viscosity : 0,
+
+    // Organic solids catch fire according to their volatility
+    flammable: organic ? volatility : 0,
+
+    // Organic solids grow next to water
+    grows: organic,
+
+    // Light, volatile elements burn out or dissipate over time
+    decays: density < LIGHT_DENSITY && !stackable ? volatility * DECAY_CHANCE : 0
+  };
+};
+
+/**
+ * Check whether a position is inside the board
+ *
+ * @param {Array<Array<Object>>} board - Game board
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {boolean} Whether the position is in bounds
+ */
+const inBounds = (board, row, col) => {
+  return row >= 0 && row < board.length && col >= 0 && col < board[0].length;
+};
+
+/**
+ * Move a cell and record the change
+ *
+ * @param {Array<Array<Object>>} board - Board being updated
+ * @param {Set<string>} settled - Positions that already acted this tick
+ * @param {Array<Object>} changes - Change list to append to
+ * @param {string} type - Change type
+ * @param {Array<number>} from - Source [row, col]
+ * @param {Array<number>} to - Destination [row, col]
+ */
+const moveCell = (board, settled, changes, type, from, to) => {
+  const cell = board[from[0]][from[1]];
+  const displaced = board[to[0]][to[1]];
+
+  board[to[0]][to[1]] = cell;
+  board[from[0]][from[1]] = displaced;
+  settled.add(`${to[0]},${to[1]}`);
+
+  changes.push({ type, element: cell.element, from, to });
+
+  if (displaced) {
+    settled.add(`${from[0]},${from[1]}`);
+    changes.push({ type, element: displaced.element, from: to, to: from });
+  }
+};
+
+/**
+ * Check whether a moving element can enter a target cell
+ *
+ * Empty cells can always be entered. A falling element can also sink
+ * through a lighter rising element, and vice versa.
+ *
+ * @param {Object} cell - Moving cell
+ * @param {Object|null} target - Cell being entered
+ * @param {number} direction - 1 when sinking, -1 when rising
+ * @returns {boolean} Whether the move is allowed
+ */
+const canEnter = (cell, target, direction) => {
+  if (!target) return true;
+
+  const rules = getSimulationRules(target.element);
+  const density = elementProperties[cell.element]?.density ?? 0;
+  const targetDensity = elementProperties[target.element]?.density ?? 0;
+
+  return direction > 0
+    ? rules.rises && targetDensity < density
+    : rules.falls && targetDensity > density;
+};
+
+/**
+ * Apply gravity, liquid flow and buoyancy
+ *
+ * @param {Array<Array<Object>>} board - Board being updated
+ * @param {Object} rng - Seeded random generator from createRng
+ * @param {Set<string>} settled - Positions that already acted this tick
+ * @param {Array<Object>} changes - Change list to append to
+ */
+const applyMovement = (board, rng, settled, changes) => {
+  const rows = board.length;
+  const cols = board[0].length;
+
+  // Sinking and flowing, bottom-up so stacks fall together
+  for (let row = rows - 1; row >= 0; row--) {
+    for (let col = 0; col < cols; col++) {
+      const cell = board[row][col];
+      if (!cell || settled.has(`${row},${col}`)) continue;
+
+      const rules = getSimulationRules(cell.element);
+      if (!rules.falls) continue;
+
+      if (row + 1 < rows && canEnter(cell, board[row + 1][col], 1)) {
+        moveCell(board, settled, changes, 'fall', [row, col], [row + 1, col]);
+        continue;
+      }
+
+      // Liquids slide downhill, and stacked liquid levels out
+      if (rules.flows > 0 && rng.chance(rules.flows)) {
+        const stacked = row + 1 < rows && board[row + 1][col]?.element === cell.element;
+        const sides = rng.shuffle([-1, 1])
+          .map(offset => col + offset)
+          .filter(adjCol => adjCol >= 0 && adjCol < cols && !board[row][adjCol])
+          .filter(adjCol => stacked || (row + 1 < rows && !board[row + 1][adjCol]));
+
+        if (sides.length > 0) {
+          moveCell(board, settled, changes, 'flow', [row, col], [row, sides[0]]);
+        }
+      }
+    }
+  }
+
+  // Rising, top-down so columns of gas rise together
+  for (let row = 1; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cell = board[row][col];
+      if (!cell || settled.has(`${row},${col}`)) continue;
+
+      if (getSimulationRules(cell.element).rises && canEnter(cell, board[row - 1][col], -1)) {
+        moveCell(board, settled, changes, 'rise', [row, col], [row - 1, col]);
+      }
+    }
+  }
+};
+
+/**
+ * Apply fire spread, growth and decay
+ *
+ * Candidates are collected from the board as it was at the start of this
+ * phase so that new fire or growth does not act in the same tick.
+ *
+ * @param {Array<Array<Object>>} board - Board being updated
+ * @param {Object} rng - Seeded random generator from createRng
+ * @param {Array<Object>} changes - Change list to append to
+ * @param {boolean} fireSpread - Whether fire ignites its neighbours
+ */
+const applyTransformations = (board, rng, changes, fireSpread) => {
+  const snapshot = board.map(row => [...row]);
+
+  snapshot.forEach((row, rowIndex) => {
+    row.forEach((cell, colIndex) => {
+      if (!cell) return;
+
+      const rules = getSimulationRules(cell.element);
+      const neighbours = NEIGHBOURS
+        .map(([dRow, dCol]) => [rowIndex + dRow, colIndex + dCol])
+        .filter(([adjRow, adjCol]) => inBounds(board, adjRow, adjCol));
+
+      // Fire ignites flammable neighbours
+      if (fireSpread && cell.element === 'fire') {
+        neighbours.forEach(([adjRow, adjCol]) => {
+          const target = board[adjRow][adjCol];
+          if (!target || target.element === 'fire') return;
+
+          const flammable = getSimulationRules(target.element).flammable;
+          if (flammable > 0 && rng.chance(flammable * FIRE_SPREAD_CHANCE)) {
+            board[adjRow][adjCol] = { element: 'fire' };
+            changes.push({
+              type: 'spread',
+              element: 'fire',
+              from: [rowIndex, colIndex],
+              to: [adjRow, adjCol],
+              replaced: target.element
+            });
+          }
+        });
+      }
+
+      // Organic elements grow into empty cells when watered
+      if (rules.grows && board[rowIndex][colIndex] === cell) {
+        const watered = neighbours.some(([adjRow, adjCol]) =>
+          board[adjRow][adjCol]?.element === 'water'
+        );
+        const emptyCells = neighbours.filter(([adjRow, adjCol]) => !board[adjRow][adjCol]);
+
+        if (watered && emptyCells.length > 0 && rng.chance(GROWTH_CHANCE)) {
+          const [growRow, growCol] = rng.pick(emptyCells);
+          board[growRow][growCol] = { element: cell.element };
+          changes.push({
+            type: 'grow',
+            element: cell.element,
+            from: [rowIndex, colIndex],
+            to: [growRow, growCol]
+          });
+        }
+      }
+
+      // Volatile elements burn out
+      if (rules.decays > 0 && board[rowIndex][colIndex] === cell && rng.chance(rules.decays)) {
+        board[rowIndex][colIndex] = null;
+        changes.push({
+          type: 'decay',
+          element: cell.element,
+          from: [rowIndex, colIndex],
+          to: [rowIndex, colIndex]
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Advance the board by one simulation tick
+ *
+ * @param {Array<Array<Object>>} board - Current game board
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @param {Object} [mechanics] - Mechanics that can be switched off (sandbox)
+ * @param {boolean} [mechanics.gravity=true] - Elements fall, rise and flow
+ * @param {boolean} [mechanics.fireSpread=true] - Fire ignites flammable neighbours
+ * @returns {Object} { board, changes } where changes lists every
+ *   move, flow, spread, growth and decay as { type, element, from, to }
+ */
+export const simulateTick = (board, rng = createRng(), { gravity = true, fireSpread = true } = {}) => {
+  if (!board.length || !board[0].length) {
+    return { board, changes: [] };
+  }
+
+  const nextBoard = board.map(row => [...row]);
+  const settled = new Set();
+  const changes = [];
+
+  if (gravity) {
+    applyMovement(nextBoard, rng, settled, changes);
+  }
+  applyTransformations(nextBoard, rng, changes, fireSpread);
+
+  return {
+    board: changes.length > 0 ? nextBoard : board,
+    changes
+  };
+};
+
+/**
+ * Run several simulation ticks without a UI
+ *
+ * @param {Array<Array<Object>>} board - Starting board
+ * @param {number} ticks - Number of ticks to run
+ * @param {Object} [rng] - Seeded random generator from createRng
+ * @returns {Object} { board, history } where history holds each tick's changes
+ */
+export const runSimulation = (board, ticks, rng = createRng()) => {
+  let current = board;
+  const history = [];
+
+  for (let tick = 0; tick < ticks; tick++) {
+    const result = simulateTick(current, rng);
+    current = result.board;
+    history.push(result.changes);
+  }
+
+  return { board: current, history };
+};
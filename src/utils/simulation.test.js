@@ -0,0 +1,68 @@
+/**
+ * ElementCraft - Board Simulation Tests
+ *
+ * @author ElementCraft Team
+ * @version 1.0.0
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createRng } from './random';
+import { runSimulation, simulateTick } from './simulation';
+
+// Board of the given size with elements at { 'row,col': element }
+const makeBoard = (rows, cols, cells = {}) => Array.from({ length: rows }, (_, row) =>
+  Array.from({ length: cols }, (_, col) => (cells[`${row},${col}`] ? { element: cells[`${row},${col}`] } : null))
+);
+
+// Where an element ended up on the board
+const findElement = (board, element) => {
+  for (let row = 0; row < board.length; row++) {
+    const col = board[row].findIndex(cell => cell?.element === element);
+    if (col !== -1) return { row, col };
+  }
+
+  return null;
+};
+
+describe('simulateTick', () => {
+  it('lets heavy elements fall to the floor', () => {
+    const { board } = runSimulation(makeBoard(4, 3, { '0,1': 'earth' }), 5, createRng(1));
+
+    expect(findElement(board, 'earth')).toEqual({ row: 3, col: 1 });
+  });
+
+  it('lets light elements rise', () => {
+    const { board, changes } = simulateTick(makeBoard(4, 3, { '3,1': 'air' }), createRng(1));
+
+    expect(findElement(board, 'air')).toEqual({ row: 2, col: 1 });
+    expect(changes).toEqual([{ type: 'rise', element: 'air', from: [3, 1], to: [2, 1] }]);
+  });
+
+  it('reports each move as a change', () => {
+    const { changes } = simulateTick(makeBoard(3, 1, { '0,0': 'earth' }), createRng(1));
+
+    expect(changes).toEqual([{ type: 'fall', element: 'earth', from: [0, 0], to: [1, 0] }]);
+  });
+
+  it('leaves the board alone with gravity switched off', () => {
+    const start = makeBoard(3, 3, { '0,1': 'earth' });
+    const { board, changes } = simulateTick(start, createRng(1), { gravity: false });
+
+    expect(changes).toEqual([]);
+    expect(board).toEqual(start);
+  });
+
+  it('does not change the board it is given', () => {
+    const start = makeBoard(3, 3, { '0,1': 'earth' });
+    const copy = JSON.parse(JSON.stringify(start));
+    simulateTick(start, createRng(1));
+
+    expect(start).toEqual(copy);
+  });
+
+  it('replays the same ticks from the same seed', () => {
+    const start = makeBoard(6, 6, { '0,0': 'water', '0,3': 'fire', '1,3': 'wood', '5,2': 'wood', '2,5': 'earth' });
+
+    expect(runSimulation(start, 10, createRng(5))).toEqual(runSimulation(start, 10, createRng(5)));
+  });
+});
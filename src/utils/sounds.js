@@ -525,7 +525,15 @@ export const generateElementInteractionSound = (element1, element2) => {
       lava: 415.30, // G#4/Ab4
       sand: 293.66, // D4
       cloud: 369.99, // F#4/Gb4
-      plasma: 587.33 // D5
+      plasma: 587.33, // D5
+      mud: 220,     // A3
+      rust: 277.18, // C#4/Db4
+      ore: 246.94,  // B3
+      oxidation: 311.13, // D#4/Eb4
+      forge: 554.37, // C#5/Db5
+      forest: 174.61, // F3
+      lightning: 659.25, // E5
+      geyser: 196   // G3
     };
     
     return frequencies[element] || 440;
@@ -545,7 +553,15 @@ export const generateElementInteractionSound = (element1, element2) => {
       lava: 'sawtooth',
       sand: 'triangle',
       cloud: 'sine',
-      plasma: 'sawtooth'
+      plasma: 'sawtooth',
+      mud: 'triangle',
+      rust: 'square',
+      ore: 'square',
+      oxidation: 'sine',
+      forge: 'sawtooth',
+      forest: 'triangle',
+      lightning: 'sawtooth',
+      geyser: 'sine'
     };
     
     return waveforms[element] || 'sine';
@@ -38,7 +38,7 @@ export default defineConfig({
           // Split vendor code from app code
           'vendor': ['react', 'react-dom', 'matter-js', 'howler'],
           // Split game engine from UI components
-          'game-engine': ['@utils/gameLogic', '@utils/interactions', '@utils/physics'],
+          'game-engine': ['@utils/gameLogic', '@utils/interactions', '@utils/physics', '@utils/recipes', '@utils/random', '@utils/simulation', '@utils/objectives', '@utils/loops', '@utils/patterns', '@utils/reactions', '@utils/dailyChallenge'],
         }
       }
     }